@@ -12,6 +12,7 @@ const AuditLog = require('./models/AuditLog');
 const Package = require('./models/Package');
 const Payment = require('./models/Payment');
 const { createAuditLog } = require('./utils/auditLogger');
+const { requirePermission } = require('./middleware/adminAuth');
 
 // --- Import Routes ---
 const keysRouter = require('./routes/keys');
@@ -22,6 +23,10 @@ const packagesRouter = require('./routes/packages');
 const mockPayOSRouter = require('./routes/mockPayOS');
 const bankInfoRouter = require('./routes/bankInfo');
 const settingsRouter = require('./routes/settings');
+const auditLogRouter = require('./routes/auditLog');
+const adminAuthRouter = require('./routes/adminAuth');
+const adminWebhooksRouter = require('./routes/adminWebhooks');
+const adminBankStatementsRouter = require('./routes/adminBankStatements');
 
 // Import new routes
 const adminStatsRouter = require('./routes/adminStats');
@@ -30,10 +35,39 @@ const aiProxyRouter = require('./routes/aiProxy');
 // --- Import Services ---
 const proxyManager = require('./services/proxyManager');
 const ApiKeyManager = require('./services/apiKeyManager');
+const circuitBreaker = require('./services/circuitBreaker');
+const scheduler = require('./services/scheduler');
+const KeyMaintenanceJobs = require('./services/keyMaintenanceJobs');
+const KeyNotifications = require('./services/keyNotifications');
+const Webhooks = require('./services/webhooks');
+const Subscriptions = require('./services/subscriptions');
+const CreditLedger = require('./services/creditLedger');
+const PaymentLifecycle = require('./services/paymentLifecycle');
+const AdminAccounts = require('./services/adminAccounts');
+const SessionTokens = require('./services/sessionTokens');
+const { PaymentService } = require('./services/paymentService');
+
+// Không chạy production với secret JWT admin/user mặc định/thiếu hoặc thiếu checksum key PayOS
+try {
+  AdminAccounts.assertProductionSecret();
+  SessionTokens.assertProductionSecret();
+  PaymentService.assertProductionConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
 // --- App & Middleware Setup ---
 const app = express();
 
+// Số proxy đứng trước app (Render, Nginx: 1): req.ip lấy IP client từ X-Forwarded-For cho rate limit đăng nhập và audit log
+const trustProxyHops = parseInt(process.env.TRUST_PROXY, 10);
+if (trustProxyHops > 0) {
+  app.set('trust proxy', trustProxyHops);
+} else if (process.env.NODE_ENV === 'production') {
+  console.warn('⚠️ TRUST_PROXY is not set: behind a reverse proxy all clients share the proxy IP (login rate limit, audit log)');
+}
+
 // --- CORS Configuration ---
 const allowedOrigins = [
   'https://keyadmintoolviettruyen.netlify.app',
@@ -61,7 +95,21 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // --- MongoDB Connection ---
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('MongoDB connected!'))
+  .then(() => {
+    console.log('MongoDB connected!');
+    AdminAccounts.bootstrapOwner().catch(err => console.error('Failed to bootstrap owner account:', err));
+    PaymentLifecycle.dropLegacyTtlIndex().catch(err => console.error('Failed to drop legacy payment TTL index:', err));
+    // Job định kỳ (reset quota, thăm dò lại key); leader lock trong MongoDB nên chạy an toàn trên nhiều instance
+    if (process.env.DISABLE_SCHEDULER !== 'true') {
+      KeyMaintenanceJobs.register();
+      KeyNotifications.register();
+      Webhooks.register();
+      Subscriptions.register();
+      CreditLedger.register();
+      PaymentLifecycle.register();
+      scheduler.start();
+    }
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // --- API Endpoints ---
@@ -71,7 +119,7 @@ app.get('/api/status', (req, res) => {
 });
 
 // Provider Management
-app.get('/api/providers', async (req, res) => {
+app.get('/api/providers', requirePermission('providers:read'), async (req, res) => {
     try {
         const providers = await ApiProvider.find();
         res.json(providers);
@@ -80,7 +128,7 @@ app.get('/api/providers', async (req, res) => {
     }
 });
 
-app.post('/api/providers/:providerId/keys', async (req, res) => {
+app.post('/api/providers/:providerId/keys', requirePermission('providers:write'), async (req, res) => {
     try {
         const { providerId } = req.params;
         const { apiKey } = req.body;
@@ -94,13 +142,19 @@ app.post('/api/providers/:providerId/keys', async (req, res) => {
         }
         provider.apiKeys.push(apiKey);
         await provider.save();
+        await createAuditLog({
+            req,
+            action: 'ADD_PROVIDER_KEY',
+            details: `API key ${apiKey.slice(0, 12)}... added to ${provider.name}.`,
+            target: { type: 'provider', id: provider._id }
+        });
         res.json(provider);
     } catch (error) {
         res.status(500).json({ message: 'Server error adding key' });
     }
 });
 
-app.delete('/api/providers/:providerId/keys/:apiKey', async (req, res) => {
+app.delete('/api/providers/:providerId/keys/:apiKey', requirePermission('providers:write'), async (req, res) => {
     try {
         const { providerId, apiKey: apiKeyToDelete } = req.params;
 
@@ -121,13 +175,19 @@ app.delete('/api/providers/:providerId/keys/:apiKey', async (req, res) => {
         }
 
         await provider.save();
+        await createAuditLog({
+            req,
+            action: 'DELETE_PROVIDER_KEY',
+            details: `API key ${decodedApiKey.slice(0, 12)}... removed from ${provider.name}.`,
+            target: { type: 'provider', id: provider._id }
+        });
         res.json(provider);
     } catch (error) {
         res.status(500).json({ message: 'Server error deleting key' });
     }
 });
 
-app.post('/api/providers', async (req, res) => {
+app.post('/api/providers', requirePermission('providers:write'), async (req, res) => {
     try {
         const { name } = req.body;
         if (!name) {
@@ -139,6 +199,12 @@ app.post('/api/providers', async (req, res) => {
         }
         const newProvider = new ApiProvider({ name });
         await newProvider.save();
+        await createAuditLog({
+            req,
+            action: 'CREATE_PROVIDER',
+            details: `Provider ${name} created.`,
+            target: { type: 'provider', id: newProvider._id }
+        });
         res.status(201).json(newProvider);
     } catch (error) {
         res.status(500).json({ message: 'Failed to create API provider' });
@@ -148,7 +214,7 @@ app.post('/api/providers', async (req, res) => {
 // Package Management - moved to /routes/packages.js
 
 // Dashboard Stats
-app.get('/api/stats/dashboard', async (req, res) => {
+app.get('/api/stats/dashboard', requirePermission('stats:read'), async (req, res) => {
   try {
     console.log('📊 Loading dashboard stats...');
     
@@ -160,14 +226,11 @@ app.get('/api/stats/dashboard', async (req, res) => {
       { $group: { _id: null, total: { $sum: '$credit' } } }
     ]);
     
-    // Payment stats (using new Payment model)
-    const totalRevenue = await Payment.aggregate([
-      { $match: { status: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$price' } } }
-    ]);
+    // Payment stats (net revenue: refunds count as negative revenue)
+    const totalRevenue = await Payment.revenueSummary();
     
     const monthlyTransactions = await Payment.countDocuments({
-      status: 'completed',
+      status: { $in: Payment.REVENUE_STATUSES },
       completedAt: {
         $gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1)
       }
@@ -177,15 +240,7 @@ app.get('/api/stats/dashboard', async (req, res) => {
     const todayStart = new Date();
     todayStart.setHours(0, 0, 0, 0);
     
-    const todayRevenue = await Payment.aggregate([
-      { 
-        $match: { 
-          status: 'completed',
-          completedAt: { $gte: todayStart }
-        } 
-      },
-      { $group: { _id: null, total: { $sum: '$price' } } }
-    ]);
+    const todayRevenue = await Payment.revenueSummary(todayStart);
     
     // API usage stats
     const providers = await ApiProvider.find();
@@ -198,7 +253,7 @@ app.get('/api/stats/dashboard', async (req, res) => {
     console.log('✅ Dashboard stats loaded:', {
       totalKeys,
       activeKeys,
-      totalRevenue: totalRevenue[0]?.total || 0,
+      totalRevenue: totalRevenue.net,
       monthlyTransactions
     });
 
@@ -206,9 +261,11 @@ app.get('/api/stats/dashboard', async (req, res) => {
       success: true,
       keyStats: { total: totalKeys, active: activeKeys, expired: expiredKeys },
       billingStats: { 
-        totalRevenue: totalRevenue[0]?.total || 0, 
+        totalRevenue: totalRevenue.net, 
+        grossRevenue: totalRevenue.gross,
+        refundedRevenue: -totalRevenue.refunds,
         monthlyTransactions,
-        todayRevenue: todayRevenue[0]?.total || 0
+        todayRevenue: todayRevenue.net
       },
       apiUsageStats: { totalRequests, costToday },
       proxyStats: proxyStats || { overview: {}, topPerformers: [] },
@@ -220,16 +277,6 @@ app.get('/api/stats/dashboard', async (req, res) => {
   }
 });
 
-// Audit Log
-app.get('/api/audit-log', async (req, res) => {
-    try {
-        const logs = await AuditLog.find().sort({ timestamp: -1 }).limit(50);
-        res.json(logs);
-    } catch (error) {
-        res.status(500).json({ message: 'Failed to fetch audit logs' });
-    }
-});
-
 // AI Proxy Endpoint - ENHANCED WITH BETTER ERROR HANDLING
 /* OLD ENDPOINT - DISABLED to prevent conflict with aiProxy.js
 app.post('/api/ai/generate', async (req, res) => {
@@ -399,7 +446,7 @@ app.post('/api/ai/generate', async (req, res) => {
 */
 
 // API Key Management Stats
-app.get('/api/providers/:provider/key-stats', async (req, res) => {
+app.get('/api/providers/:provider/key-stats', requirePermission('providers:read'), async (req, res) => {
     try {
         const { provider } = req.params;
         const stats = await ApiKeyManager.getKeyStatistics(provider);
@@ -415,11 +462,32 @@ app.get('/api/providers/:provider/key-stats', async (req, res) => {
     }
 });
 
+// Circuit breaker state of providers and upstream keys (this instance)
+app.get('/api/providers/circuits', requirePermission('providers:read'), (req, res) => {
+    res.json({ success: true, circuits: circuitBreaker.getSnapshot() });
+});
+
+// Scheduled jobs status (last run, result, lock owner)
+app.get('/api/jobs', requirePermission('providers:read'), async (req, res) => {
+    try {
+        res.json({ success: true, jobs: await scheduler.getStatus() });
+    } catch (error) {
+        console.error('Error getting job status:', error);
+        res.status(500).json({ success: false, error: 'Failed to get job status' });
+    }
+});
+
 // Reset API Key Quotas (admin endpoint)
-app.post('/api/providers/:provider/reset-quotas', async (req, res) => {
+app.post('/api/providers/:provider/reset-quotas', requirePermission('providers:write'), async (req, res) => {
     try {
         const { provider } = req.params;
         await ApiKeyManager.resetDailyQuotas(provider);
+        await createAuditLog({
+            req,
+            action: 'AI_QUOTA_RESET',
+            details: `Quotas manually reset for ${provider}.`,
+            target: { type: 'provider', id: provider }
+        });
         res.json({ success: true, message: `Quotas reset for ${provider}` });
     } catch (error) {
         console.error('Error resetting quotas:', error);
@@ -429,13 +497,17 @@ app.post('/api/providers/:provider/reset-quotas', async (req, res) => {
 
 // Mount routers
 app.use('/api/keys', keysRouter);
+app.use('/api/admin/auth', adminAuthRouter);
 app.use('/api/admin/keys', adminKeysRouter);
 app.use('/api/admin/proxies', adminProxiesRouter);
+app.use('/api/admin/webhooks', adminWebhooksRouter);
+app.use('/api/admin/bank-statements', adminBankStatementsRouter);
 app.use('/api/payment', paymentRouter);
 app.use('/api/packages', packagesRouter);
 app.use('/api/mock-payos', mockPayOSRouter);
 app.use('/api/bank-info', bankInfoRouter);
 app.use('/api/settings', settingsRouter);
+app.use('/api/audit-log', auditLogRouter);
 
 // Mount new routes
 app.use('/api/admin/stats', adminStatsRouter);
@@ -1,7 +1,8 @@
-const jwt = require('jsonwebtoken');
+const AdminAccounts = require('../services/adminAccounts');
+const SessionTokens = require('../services/sessionTokens');
 
-// Middleware xác thực admin
-const isAdmin = (req, res, next) => {
+// Middleware xác thực admin: JWT do /api/admin/auth/login cấp, gắn req.admin = { id, username, role }
+const isAdmin = async (req, res, next) => {
   try {
     // Lấy token từ header
     const authHeader = req.headers.authorization;
@@ -13,22 +14,12 @@ const isAdmin = (req, res, next) => {
     }
 
     const token = authHeader.substring(7); // Bỏ 'Bearer ' prefix
-    
-    // Verify token (thay YOUR_ADMIN_SECRET bằng secret thực tế)
-    const decoded = jwt.verify(token, process.env.ADMIN_JWT_SECRET || 'your_admin_secret');
-    
-    // Kiểm tra role admin
-    if (decoded.role !== 'admin') {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Admin access required' 
-      });
-    }
+    const admin = await AdminAccounts.verifyToken(token);
 
-    req.admin = decoded;
+    req.admin = { id: String(admin._id), username: admin.username, role: admin.role };
     next();
   } catch (error) {
-    console.error('Admin auth error:', error);
+    console.error('Admin auth error:', error.message);
     return res.status(401).json({ 
       success: false, 
       message: 'Invalid or expired token' 
@@ -36,8 +27,23 @@ const isAdmin = (req, res, next) => {
   }
 };
 
+// Middleware phân quyền theo role (xem ROLE_PERMISSIONS trong services/adminAccounts.js)
+// Dùng: router.get('/', requirePermission('keys:read'), handler)
+const requirePermission = (permission) => (req, res, next) => {
+  isAdmin(req, res, () => {
+    if (!AdminAccounts.hasPermission(req.admin.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: `Permission '${permission}' required`
+      });
+    }
+    next();
+  });
+};
+
 // Middleware xác thực user (cho các route AI proxy)
-const authenticateUser = (req, res, next) => {
+// Nhận access token do /api/keys/validate hoặc /api/keys/refresh cấp, gắn req.user (claims) và req.userKeyDoc
+const authenticateUser = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -48,19 +54,19 @@ const authenticateUser = (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
+    const { keyDoc, claims } = await SessionTokens.verifyAccessToken(token);
     
-    // Verify user token (sử dụng cùng secret với key validation)
-    const decoded = jwt.verify(token, process.env.USER_JWT_SECRET || 'your_user_secret');
-    
-    req.user = decoded;
+    req.user = claims;
+    req.userKeyDoc = keyDoc;
     next();
   } catch (error) {
-    console.error('User auth error:', error);
+    console.error('User auth error:', error.message);
     return res.status(401).json({ 
       success: false, 
-      message: 'Invalid or expired user token' 
+      code: error.code || 'INVALID_TOKEN',
+      message: error.code === 'SESSION_REVOKED' ? 'Session has been revoked' : 'Invalid or expired user token'
     });
   }
 };
 
-module.exports = { isAdmin, authenticateUser }; 
\ No newline at end of file
+module.exports = { isAdmin, requirePermission, authenticateUser }; 
\ No newline at end of file
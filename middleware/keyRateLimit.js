@@ -0,0 +1,60 @@
+const KeyRateLimiter = require('../services/keyRateLimiter');
+
+/**
+ * Rate limit và giới hạn số generation đồng thời theo user key (không theo IP).
+ * Chạy sau authenticateUser (dùng `req.userKeyDoc`).
+ */
+const keyRateLimit = async (req, res, next) => {
+  try {
+    const keyDoc = req.userKeyDoc;
+    if (!keyDoc) {
+      return next();
+    }
+
+    const limits = await KeyRateLimiter.resolveLimits(keyDoc);
+
+    const rate = await KeyRateLimiter.hit(keyDoc, limits);
+    if (rate.limit !== null) {
+      res.set('RateLimit-Limit', String(rate.limit));
+      res.set('RateLimit-Remaining', String(rate.remaining));
+      res.set('RateLimit-Reset', String(rate.retryAfter));
+    }
+    if (!rate.allowed) {
+      res.set('Retry-After', String(rate.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many AI requests for this key (limit ${rate.limit}/${rate.window}), please try again later`,
+        retryAfter: rate.retryAfter
+      });
+    }
+
+    const slotId = await KeyRateLimiter.acquireSlot(keyDoc, limits.maxConcurrent);
+    if (!slotId) {
+      const retryAfter = KeyRateLimiter.CONCURRENCY_RETRY_AFTER_SECONDS;
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many concurrent AI generations for this key (limit ${limits.maxConcurrent})`,
+        retryAfter
+      });
+    }
+
+    // Trả slot khi response kết thúc hoặc client ngắt kết nối
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      KeyRateLimiter.releaseSlot(keyDoc, slotId);
+    };
+    res.on('finish', release);
+    res.on('close', release);
+
+    next();
+  } catch (error) {
+    console.error('Key rate limit error:', error);
+    // Không chặn request nếu store lỗi
+    next();
+  }
+};
+
+module.exports = { keyRateLimit };
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Tài khoản quản trị. Mật khẩu chỉ lưu dạng scrypt hash (services/adminAccounts.js).
+const adminUserSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true },
+  role: {
+    type: String,
+    enum: ['owner', 'operator', 'support', 'read_only'],
+    default: 'read_only'
+  },
+  isActive: { type: Boolean, default: true },
+  // Tăng lên để vô hiệu hóa mọi JWT đã cấp (đổi mật khẩu, khóa, đổi quyền)
+  tokenVersion: { type: Number, default: 0 },
+  lastLoginAt: { type: Date, default: null },
+  lastLoginIp: { type: String, default: null },
+  createdBy: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('AdminUser', adminUserSchema);
@@ -7,6 +7,11 @@ const apiProviderSchema = new mongoose.Schema({
   costToday: { type: Number, default: 0 },
   totalRequests: { type: Number, default: 0 },
   lastChecked: { type: Date, default: Date.now },
+  // Circuit breaker (services/circuitBreaker.js)
+  circuitState: { type: String, enum: ['closed', 'open', 'half_open'], default: 'closed' },
+  circuitOpenedAt: { type: Date, default: null },
+  // Chu kỳ quota đã reset gần nhất (YYYY-MM-DD theo múi giờ reset của provider)
+  quotaResetPeriod: { type: String, default: null },
   // Enhanced API key tracking
   keyStatus: [{
     key: { type: String, required: true },
@@ -14,8 +19,11 @@ const apiProviderSchema = new mongoose.Schema({
     quotaExceeded: { type: Boolean, default: false },
     lastError: { type: String, default: null },
     lastErrorTime: { type: Date, default: null },
+    lastErrorType: { type: String, default: null },
     requestCount: { type: Number, default: 0 },
-    lastUsed: { type: Date, default: null }
+    lastUsed: { type: Date, default: null },
+    circuitState: { type: String, enum: ['closed', 'open', 'half_open'], default: 'closed' },
+    circuitOpenedAt: { type: Date, default: null }
   }]
 });
 
@@ -11,6 +11,7 @@ const apiRequestLogSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  model: { type: String, default: null },
   promptLength: { type: Number, default: 0 },
   responseLength: { type: Number, default: 0 },
   tokenUsage: {
@@ -18,9 +19,18 @@ const apiRequestLogSchema = new mongoose.Schema({
     completionTokens: { type: Number, default: 0 },
     totalTokens: { type: Number, default: 0 }
   },
+  creditsCharged: { type: Number, default: 0 },
   success: { type: Boolean, required: true },
   error: { type: String, default: null },
   retries: { type: Number, default: 0 },
+  // Chuỗi provider đã thử (fallback), theo thứ tự
+  attempts: [{
+    _id: false,
+    provider: String,
+    success: Boolean,
+    errorClass: { type: String, default: null },
+    error: { type: String, default: null }
+  }],
   requestType: { 
     type: String, 
     enum: ['text', 'image'], 
@@ -36,5 +46,7 @@ const apiRequestLogSchema = new mongoose.Schema({
 // Compound index for efficient daily stats queries
 apiRequestLogSchema.index({ provider: 1, createdAt: 1 });
 apiRequestLogSchema.index({ createdAt: 1, success: 1 });
+// Lịch sử dùng theo từng user key
+apiRequestLogSchema.index({ userId: 1, createdAt: -1 });
 
 module.exports = mongoose.model('ApiRequestLog', apiRequestLogSchema);
\ No newline at end of file
@@ -1,10 +1,19 @@
 const mongoose = require('mongoose');
 
 const auditLogSchema = new mongoose.Schema({
-  timestamp: { type: Date, default: Date.now },
-  actor: { type: String, default: 'System' },
-  action: { type: String, required: true },
+  timestamp: { type: Date, default: Date.now, index: true },
+  actor: { type: String, default: 'System' },        // username admin hoặc 'System'
+  actorId: { type: String, default: null, index: true }, // AdminUser id (từ JWT admin)
+  actorRole: { type: String, default: null },
+  action: { type: String, required: true, index: true },
   details: { type: String },
+  targetType: { type: String, default: null },        // 'key', 'proxy', 'package', 'setting', ...
+  targetId: { type: String, default: null },
+  changes: { type: mongoose.Schema.Types.Mixed, default: null }, // { field: { before, after } }
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
 });
 
-module.exports = mongoose.model('AuditLog', auditLogSchema); 
\ No newline at end of file
+auditLogSchema.index({ targetType: 1, targetId: 1, timestamp: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -11,6 +11,11 @@ const bankInfoSchema = new mongoose.Schema({
         required: true,
         default: 'Vietcombank'
     },
+    // Mã BIN NAPAS (6 số) cho VietQR; bỏ trống = tra theo bankName
+    bankBin: {
+        type: String,
+        default: null
+    },
     accountNumber: {
         type: String,
         required: true,
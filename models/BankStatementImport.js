@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Một lần import file sao kê ngân hàng (kết quả đối soát với payment)
+const bankStatementImportSchema = new mongoose.Schema({
+  fileName: { type: String, default: null },
+  format: { type: String, required: true }, // vietcombank | mb | generic
+  importedBy: { type: String, default: 'System' },
+  counts: {
+    rows: { type: Number, default: 0 },
+    credits: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    review: { type: Number, default: 0 },
+    unmatched: { type: Number, default: 0 },
+    ignored: { type: Number, default: 0 }
+  },
+  // Dòng không đọc được (ngày / số tiền sai định dạng), tối đa 100 dòng
+  rowErrors: [{
+    _id: false,
+    row: Number,
+    message: String
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+bankStatementImportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('BankStatementImport', bankStatementImportSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Giao dịch trong sao kê ngân hàng đã import.
+// status: matched (tự hoàn tất payment) | review (chờ admin) | unmatched (tiền vào không nhận ra nội dung)
+//         | ignored (tiền ra) | resolved (admin đã ghép payment) | dismissed (admin bỏ qua)
+const bankTransactionSchema = new mongoose.Schema({
+  importId: { type: mongoose.Schema.Types.ObjectId, ref: 'BankStatementImport', required: true },
+  bank: { type: String, required: true },
+  // Hash ngày + số tiền + nội dung + mã tham chiếu: import lại cùng file không tạo giao dịch trùng
+  fingerprint: { type: String, required: true, unique: true },
+  reference: { type: String, default: null },
+  transactionDate: { type: Date, required: true },
+  amount: { type: Number, required: true }, // VND, âm = tiền ra
+  content: { type: String, default: '' },
+  row: { type: Number, default: null },
+  status: {
+    type: String,
+    enum: ['matched', 'review', 'unmatched', 'ignored', 'resolved', 'dismissed'],
+    required: true
+  },
+  reason: { type: String, default: null },
+  paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', default: null },
+  // Payment có thể khớp (cho admin chọn khi review)
+  candidates: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Payment' }],
+  resolvedBy: { type: String, default: null },
+  resolvedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+bankTransactionSchema.index({ status: 1, transactionDate: -1 });
+bankTransactionSchema.index({ importId: 1 });
+bankTransactionSchema.index({ paymentId: 1 });
+
+module.exports = mongoose.model('BankTransaction', bankTransactionSchema);
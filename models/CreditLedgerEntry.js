@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Append-only: mỗi thay đổi credit của một Key là một entry, không sửa/xóa entry cũ
+const creditLedgerEntrySchema = new mongoose.Schema({
+  keyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key',
+    required: true,
+    index: true
+  },
+  key: {
+    type: String,
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['debit', 'topup', 'refund', 'admin_adjustment', 'expiry', 'subscription_grant', 'clawback'],
+    required: true
+  },
+  amount: { type: Number, required: true }, // Có dấu: âm = trừ, dương = cộng
+  balanceAfter: { type: Number, required: true },
+  reason: { type: String, default: '' },
+  reference: {
+    type: { type: String, default: null }, // 'payment', 'ai_request', ...
+    id: { type: String, default: null }
+  },
+  // Lô credit bị tác động (CreditLot): lô được tạo khi cộng, các lô bị trừ khi dùng / hết hạn
+  lots: [{
+    _id: false,
+    lotId: { type: mongoose.Schema.Types.ObjectId, ref: 'CreditLot' },
+    amount: Number
+  }],
+  actor: { type: String, default: 'System' },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+creditLedgerEntrySchema.index({ keyId: 1, createdAt: -1 });
+creditLedgerEntrySchema.index({ 'reference.type': 1, 'reference.id': 1 });
+
+module.exports = mongoose.model('CreditLedgerEntry', creditLedgerEntrySchema);
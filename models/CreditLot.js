@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Một lô credit của key (một lần nạp, một lần admin cộng, một chu kỳ gói tháng...).
+// Tổng remaining của các lô = Key.credit, trừ phần credit có từ trước khi có lô (không theo dõi, không hết hạn).
+const creditLotSchema = new mongoose.Schema({
+  keyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Key', required: true },
+  source: {
+    type: { type: String, enum: ['payment', 'admin', 'subscription', 'batch', 'refund', 'system'], required: true },
+    id: { type: String, default: null }
+  },
+  amount: { type: Number, required: true },
+  remaining: { type: Number, required: true },
+  expiresAt: { type: Date, default: null }, // null = không hết hạn
+  expiredAmount: { type: Number, default: 0 },
+  expiredAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+creditLotSchema.index({ keyId: 1, remaining: 1, expiresAt: 1, createdAt: 1 });
+creditLotSchema.index({ expiresAt: 1, remaining: 1 });
+
+module.exports = mongoose.model('CreditLot', creditLotSchema);
@@ -7,6 +7,18 @@ const creditPackageSchema = new mongoose.Schema({
   bonus: { type: String, default: '' },
   isPopular: { type: Boolean, default: false },
   isActive: { type: Boolean, default: true }, // Để ẩn/hiện gói cước
+  // Giới hạn request AI; bỏ trống (null) = dùng giá trị mặc định hệ thống
+  rateLimits: {
+    requestsPerMinute: { type: Number, default: null },
+    requestsPerHour: { type: Number, default: null },
+    maxConcurrent: { type: Number, default: null }
+  },
+  // 'topup': nạp credit một lần; 'subscription': gói tháng (credits = số credit cấp mỗi chu kỳ)
+  type: { type: String, enum: ['topup', 'subscription'], default: 'topup' },
+  subscription: {
+    durationMonths: { type: Number, default: null }, // mỗi lần mua gia hạn Key.expiredAt thêm N tháng
+    rolloverCap: { type: Number, default: null } // credit gói chưa dùng được chuyển sang chu kỳ sau tối đa; null = không giới hạn
+  },
 });
 
 module.exports = mongoose.model('CreditPackage', creditPackageSchema); 
\ No newline at end of file
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Leader lock cho job định kỳ: chỉ một instance chạy mỗi job trong mỗi chu kỳ
+const jobLockSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  owner: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+  lastRunAt: { type: Date, default: null },
+  lastDurationMs: { type: Number, default: 0 },
+  lastResult: { type: mongoose.Schema.Types.Mixed, default: null },
+  lastError: { type: String, default: null }
+});
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
@@ -5,9 +5,60 @@ const keySchema = new mongoose.Schema({
   isActive: { type: Boolean, default: true },
   createdAt: { type: Date, default: Date.now },
   expiredAt: { type: Date },
-  maxActivations: { type: Number, default: 1 },
+  maxActivations: { type: Number, default: 1 }, // 0 = không giới hạn thiết bị
+  // Số thiết bị đang kích hoạt (KeyActivation), cập nhật nguyên tử khi đăng ký/gỡ thiết bị
+  activationCount: { type: Number, default: 0 },
+  // User tự gỡ thiết bị: số lần trong cửa sổ 24 giờ bắt đầu từ windowStart (giới hạn gỡ / kích hoạt lại liên tục)
+  deviceReleases: {
+    windowStart: { type: Date, default: null },
+    count: { type: Number, default: 0 },
+    lastAt: { type: Date, default: null }
+  },
   note: { type: String, default: "" },
   credit: { type: Number, default: 0 },
+  // Lần trừ credit gần nhất (dùng AI / use-credit)
+  lastUsedAt: { type: Date, default: null },
+  // Lô sinh hàng loạt (KeyBatch), null với key tạo lẻ
+  batchId: { type: mongoose.Schema.Types.ObjectId, ref: 'KeyBatch', default: null, index: true },
+  // Tăng lên để vô hiệu hóa mọi session token đã cấp (khi khóa key)
+  sessionVersion: { type: Number, default: 0 },
+  // Gói cước mua gần nhất (áp dụng rateLimits của gói)
+  packageId: { type: mongoose.Schema.Types.ObjectId, ref: 'CreditPackage', default: null },
+  // Giới hạn request AI; bỏ trống (null) = dùng giá trị của gói cước / mặc định hệ thống
+  rateLimits: {
+    requestsPerMinute: { type: Number, default: null },
+    requestsPerHour: { type: Number, default: null },
+    maxConcurrent: { type: Number, default: null }
+  },
+  // Gói tháng đang dùng (điều khoản chụp lại lúc mua, sửa gói không ảnh hưởng người đã mua)
+  subscription: {
+    packageId: { type: mongoose.Schema.Types.ObjectId, ref: 'CreditPackage', default: null },
+    name: { type: String, default: null },
+    monthlyCredits: { type: Number, default: 0 },
+    rolloverCap: { type: Number, default: null },
+    status: { type: String, enum: ['none', 'active', 'ended'], default: 'none' },
+    startedAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+    nextGrantAt: { type: Date, default: null },
+    lastGrantAt: { type: Date, default: null },
+    cyclesGranted: { type: Number, default: 0 },
+    // Các payment đã áp dụng vào gói (kích hoạt / gia hạn), gọi lại cùng payment không gia hạn lần hai
+    appliedPayments: { type: [String], default: [] },
+    // Phần credit của gói còn lại (tính rollover); credit gói được xem là dùng trước credit nạp lẻ
+    planBalance: { type: Number, default: 0 }
+  },
+  // Trạng thái thông báo webhook đã gửi (tránh gửi lặp mỗi lần quét)
+  notifications: {
+    expiringFor: { type: Date, default: null }, // expiredAt đã báo "sắp hết hạn"
+    lowCredit: { type: Boolean, default: false },
+    creditExhausted: { type: Boolean, default: false }
+  },
 });
 
+// Phục vụ tìm kiếm / sắp xếp trong trang quản trị
+keySchema.index({ createdAt: -1 });
+keySchema.index({ expiredAt: 1 });
+keySchema.index({ lastUsedAt: -1 });
+keySchema.index({ 'subscription.status': 1, 'subscription.nextGrantAt': 1 });
+
 module.exports = mongoose.model('Key', keySchema); 
\ No newline at end of file
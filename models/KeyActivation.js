@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Thiết bị đã kích hoạt một user key (giới hạn bởi Key.maxActivations).
+// Chỉ lưu hash của fingerprint do client gửi lên.
+const keyActivationSchema = new mongoose.Schema({
+  keyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Key', required: true, index: true },
+  deviceHash: { type: String, required: true },
+  deviceName: { type: String, default: null },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  activatedAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now }
+});
+
+keyActivationSchema.index({ keyId: 1, deviceHash: 1 }, { unique: true });
+
+module.exports = mongoose.model('KeyActivation', keyActivationSchema);
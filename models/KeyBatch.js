@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Lô key sinh hàng loạt (cho đại lý). Key thuộc lô có Key.batchId = _id của lô.
+const keyBatchSchema = new mongoose.Schema({
+  label: { type: String, required: true, trim: true },
+  count: { type: Number, required: true },
+  credit: { type: Number, default: 0 },
+  expiredAt: { type: Date, default: null },
+  maxActivations: { type: Number, default: 1 },
+  note: { type: String, default: '' },
+  format: {
+    prefix: { type: String, default: 'KEY' },
+    length: { type: Number, default: 8 },
+    checksum: { type: Boolean, default: false }
+  },
+  createdBy: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('KeyBatch', keyBatchSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Các generation đang chạy của một user key (giới hạn số request đồng thời)
+const keyConcurrencySchema = new mongoose.Schema({
+  keyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Key', required: true, unique: true },
+  slots: [{
+    _id: false,
+    id: { type: String, required: true },
+    // Slot tự hết hạn nếu instance chết trước khi kịp trả slot
+    expiresAt: { type: Date, required: true }
+  }]
+});
+
+module.exports = mongoose.model('KeyConcurrency', keyConcurrencySchema);
@@ -1,5 +1,19 @@
 const mongoose = require('mongoose');
 
+// Vòng đời payment: pending → completed | failed | expired | cancelled, completed → refunded.
+// Cổng thanh toán xác nhận tiền về muộn vẫn hoàn tất được payment đã failed / expired.
+const PAYMENT_STATUSES = ['pending', 'completed', 'failed', 'expired', 'refunded', 'cancelled'];
+const PAYMENT_TRANSITIONS = {
+    pending: ['completed', 'failed', 'expired', 'cancelled'],
+    failed: ['completed'],
+    expired: ['completed'],
+    completed: ['refunded'],
+    refunded: [],
+    cancelled: []
+};
+// Payment được tính doanh thu (đã nhận tiền); tiền hoàn lại tính là doanh thu âm vào ngày hoàn
+const REVENUE_STATUSES = ['completed', 'refunded'];
+
 const paymentSchema = new mongoose.Schema({
     userKey: {
         type: String,
@@ -11,6 +25,20 @@ const paymentSchema = new mongoose.Schema({
         required: true,
         min: 1
     },
+    packageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CreditPackage',
+        default: null
+    },
+    // Điều khoản gói tháng lúc tạo payment (null với nạp credit lẻ)
+    subscription: {
+        type: new mongoose.Schema({
+            name: String,
+            durationMonths: Number,
+            rolloverCap: Number
+        }, { _id: false }),
+        default: null
+    },
     price: {
         type: Number,
         required: true,
@@ -18,9 +46,26 @@ const paymentSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['pending', 'completed', 'failed', 'expired'],
+        enum: PAYMENT_STATUSES,
         default: 'pending'
     },
+    // Lần chuyển trạng thái gần nhất và lý do (hủy, hết hạn, hoàn tiền...)
+    statusChangedAt: {
+        type: Date,
+        default: null
+    },
+    statusReason: {
+        type: String,
+        default: null
+    },
+    statusHistory: [{
+        _id: false,
+        from: String,
+        to: String,
+        at: { type: Date, default: Date.now },
+        actor: { type: String, default: 'System' },
+        reason: { type: String, default: null }
+    }],
     paymentMethod: {
         type: String,
         enum: ['bank_transfer', 'qr_code', 'momo', 'zalopay'],
@@ -48,6 +93,36 @@ const paymentSchema = new mongoose.Schema({
     completedAt: {
         type: Date
     },
+    // Nguồn xác nhận thanh toán: admin | webhook | polling | bank_import
+    completedVia: {
+        type: String,
+        default: null
+    },
+    // Hoàn tiền (admin) / chargeback (ngân hàng, cổng thanh toán đòi lại), có thể hoàn nhiều lần từng phần.
+    // Hoàn đủ price thì payment chuyển sang refunded.
+    refunds: [{
+        type: { type: String, enum: ['refund', 'chargeback'], default: 'refund' },
+        amount: { type: Number, required: true, min: 0 },
+        credits: { type: Number, default: 0 }, // credit thu hồi khỏi key
+        shortfall: { type: Number, default: 0 }, // phần credit key đã dùng hết, thành số dư âm
+        reason: { type: String, required: true },
+        transactionId: { type: String, default: null },
+        actor: { type: String, default: 'System' },
+        at: { type: Date, default: Date.now }
+    }],
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    refundedCredits: {
+        type: Number,
+        default: 0
+    },
+    // Khóa trong lúc cộng credit để webhook / polling / admin không hoàn tất cùng lúc
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
     expiredAt: {
         type: Date,
         default: function() {
@@ -62,7 +137,10 @@ const paymentSchema = new mongoose.Schema({
 // Index for performance
 paymentSchema.index({ status: 1, createdAt: -1 });
 paymentSchema.index({ userKey: 1, status: 1 });
-paymentSchema.index({ expiredAt: 1 }, { expireAfterSeconds: 0 }); // Auto-delete expired documents
+// Payment được giữ vĩnh viễn (lịch sử doanh thu); job payment-expiry chuyển pending quá hạn sang expired
+paymentSchema.index({ status: 1, expiredAt: 1 });
+paymentSchema.index({ status: 1, statusChangedAt: 1 });
+paymentSchema.index({ 'refunds.at': 1 });
 
 // Methods
 paymentSchema.methods.isExpired = function() {
@@ -81,6 +159,32 @@ paymentSchema.methods.markAsFailed = function() {
     return this.save();
 };
 
+paymentSchema.statics.canTransition = function(from, to) {
+    return (PAYMENT_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Chuyển trạng thái nguyên tử theo PAYMENT_TRANSITIONS (kèm statusHistory).
+ * @param {Object} [options] - { from: trạng thái nguồn chấp nhận, actor, reason, set / push: field cập nhật thêm }
+ * @returns {Object|null} payment sau khi cập nhật, null nếu không tồn tại, không được chuyển hoặc vừa bị đổi trạng thái
+ */
+paymentSchema.statics.transition = async function(paymentId, to, { from, actor = 'System', reason = null, set = {}, push = {} } = {}) {
+    const current = await this.findById(paymentId, 'status').lean();
+    if (!current || !this.canTransition(current.status, to) || (from && ![].concat(from).includes(current.status))) {
+        return null;
+    }
+
+    const now = new Date();
+    return this.findOneAndUpdate(
+        { _id: paymentId, status: current.status },
+        {
+            $set: { ...set, status: to, statusChangedAt: now, statusReason: reason },
+            $push: { ...push, statusHistory: { from: current.status, to, at: now, actor, reason } }
+        },
+        { new: true }
+    );
+};
+
 // Static methods
 paymentSchema.statics.findActivePayment = function(userKey, creditAmount) {
     return this.findOne({
@@ -91,18 +195,54 @@ paymentSchema.statics.findActivePayment = function(userKey, creditAmount) {
     });
 };
 
-paymentSchema.statics.cleanup = async function() {
-    // Clean up expired pending payments
+paymentSchema.statics.cleanup = async function(now = new Date()) {
+    // Chuyển payment pending quá hạn sang expired (không xóa)
     const result = await this.updateMany(
         {
             status: 'pending',
-            expiredAt: { $lt: new Date() }
+            expiredAt: { $lt: now },
+            // Bỏ qua payment đang được hoàn tất
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
         },
         {
-            $set: { status: 'expired' }
+            $set: { status: 'expired', statusChangedAt: now, statusReason: 'Payment window elapsed' },
+            $push: { statusHistory: { from: 'pending', to: 'expired', at: now, actor: 'System', reason: 'Payment window elapsed' } }
         }
     );
     return result;
 };
 
-module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
+/**
+ * Doanh thu ròng kể từ `since` (không truyền = toàn bộ): tiền thu theo completedAt trừ tiền hoàn theo ngày hoàn
+ * @returns {{ gross, refunds, net, transactions, refundCount }}
+ */
+paymentSchema.statics.revenueSummary = async function(since = null) {
+    const [paid] = await this.aggregate([
+        { $match: { status: { $in: REVENUE_STATUSES }, ...(since ? { completedAt: { $gte: since } } : {}) } },
+        { $group: { _id: null, total: { $sum: '$price' }, count: { $sum: 1 } } }
+    ]);
+    const refundMatch = since ? { 'refunds.at': { $gte: since } } : { 'refunds.0': { $exists: true } };
+    const [refunded] = await this.aggregate([
+        { $match: refundMatch },
+        { $unwind: '$refunds' },
+        ...(since ? [{ $match: refundMatch }] : []),
+        { $group: { _id: null, total: { $sum: '$refunds.amount' }, count: { $sum: 1 } } }
+    ]);
+
+    const gross = paid ? paid.total : 0;
+    const refunds = refunded ? refunded.total : 0;
+    return {
+        gross,
+        refunds,
+        net: gross - refunds,
+        transactions: paid ? paid.count : 0,
+        refundCount: refunded ? refunded.count : 0
+    };
+};
+
+const Payment = mongoose.model('Payment', paymentSchema);
+Payment.STATUSES = PAYMENT_STATUSES;
+Payment.TRANSITIONS = PAYMENT_TRANSITIONS;
+Payment.REVENUE_STATUSES = REVENUE_STATUSES;
+
+module.exports = Payment;
\ No newline at end of file
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+const Payment = require('./Payment');
+
+// Payment chưa thanh toán (expired / failed / cancelled) đã quá hạn lưu giữ, chuyển khỏi collection payments.
+// Cùng schema với Payment, _id giữ nguyên để tra cứu.
+const paymentArchiveSchema = Payment.schema.clone();
+paymentArchiveSchema.add({
+  archivedAt: { type: Date, default: Date.now }
+});
+paymentArchiveSchema.index({ archivedAt: 1 });
+
+module.exports = mongoose.model('PaymentArchive', paymentArchiveSchema, 'payment_archive');
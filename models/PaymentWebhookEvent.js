@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Webhook thanh toán đã xác thực chữ ký, mỗi giao dịch (reference của cổng thanh toán) một bản ghi.
+// Webhook gửi lại cùng reference không được xử lý lần hai.
+const paymentWebhookEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true, default: 'payos' },
+  reference: { type: String, required: true },
+  orderCode: { type: Number, default: null },
+  paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', default: null },
+  amount: { type: Number, default: null },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'rejected', 'failed'],
+    default: 'received'
+  },
+  // Lý do ignored / rejected (vd. payment không tồn tại, sai số tiền)
+  reason: { type: String, default: null },
+  payload: { type: mongoose.Schema.Types.Mixed },
+  // Số lần cổng thanh toán gửi webhook này
+  deliveries: { type: Number, default: 1 },
+  lastError: { type: String, default: null },
+  receivedAt: { type: Date, default: Date.now },
+  processedAt: { type: Date, default: null }
+});
+
+paymentWebhookEventSchema.index({ provider: 1, reference: 1 }, { unique: true });
+paymentWebhookEventSchema.index({ paymentId: 1 });
+paymentWebhookEventSchema.index({ status: 1, receivedAt: -1 });
+
+module.exports = mongoose.model('PaymentWebhookEvent', paymentWebhookEventSchema);
@@ -102,7 +102,7 @@ proxySchema.virtual('proxyUrl').get(function() {
 // Method để test proxy
 proxySchema.methods.testConnection = async function() {
   const { HttpsProxyAgent } = require('https-proxy-agent');
-  const fetch = require('node-fetch');
+  const { default: fetch } = await import('node-fetch');
   
   try {
     const startTime = Date.now();
@@ -110,7 +110,7 @@ proxySchema.methods.testConnection = async function() {
     
     const response = await fetch('https://httpbin.org/ip', {
       agent: agent,
-      timeout: 10000
+      signal: AbortSignal.timeout(10000)
     });
     
     const endTime = Date.now();
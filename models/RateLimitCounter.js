@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Bộ đếm request theo cửa sổ cố định, dùng chung giữa các instance
+const rateLimitCounterSchema = new mongoose.Schema({
+  bucket: { type: String, required: true, unique: true }, // `${keyId}:${window}:${windowStart}`
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Auto-delete counters of past windows
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
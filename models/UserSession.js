@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Phiên đăng nhập của user key (refresh token). Access token là JWT ngắn hạn, không lưu DB.
+const userSessionSchema = new mongoose.Schema({
+  keyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Key', required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  // Thiết bị đã đăng nhập; gỡ thiết bị sẽ thu hồi session của nó
+  activationId: { type: mongoose.Schema.Types.ObjectId, ref: 'KeyActivation', default: null, index: true },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  lastRefreshedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  revokeReason: { type: String, default: null },
+  expiresAt: { type: Date, required: true }
+});
+
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Auto-delete expired sessions
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Một lần gửi event tới một endpoint (delivery log). Gửi lỗi được thử lại theo nextAttemptAt.
+const webhookDeliverySchema = new mongoose.Schema({
+  endpointId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookEndpoint', required: true, index: true },
+  eventId: { type: String, required: true },
+  event: { type: String, required: true, index: true },
+  // Chống gửi trùng cùng một sự kiện (vd. `key.expiring:<keyId>:<expiredAt>`)
+  dedupeKey: { type: String, default: null },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'delivered', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date, default: null },
+  lastAttemptAt: { type: Date, default: null },
+  responseStatus: { type: Number, default: null },
+  responseBody: { type: String, default: null },
+  lastError: { type: String, default: null },
+  deliveredAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index(
+  { endpointId: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+// Giữ delivery log 30 ngày
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
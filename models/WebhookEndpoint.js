@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Endpoint nhận webhook do admin đăng ký. Payload ký HMAC-SHA256 bằng `secret` (xem services/webhooks.js).
+const webhookEndpointSchema = new mongoose.Schema({
+  url: { type: String, required: true, trim: true },
+  description: { type: String, default: '' },
+  // Danh sách event đăng ký (Webhooks.EVENTS)
+  events: { type: [String], default: [] },
+  secret: { type: String, required: true },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  lastDeliveryAt: { type: Date, default: null },
+  lastDeliveryStatus: { type: String, default: null }
+});
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
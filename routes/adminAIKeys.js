@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { isAdmin } = require('../middleware/adminAuth');
+const { requirePermission } = require('../middleware/adminAuth');
 const aiKeyManager = require('../services/aiKeyManager');
+const providers = require('../services/providers');
+const { createAuditLog } = require('../utils/auditLogger');
 
 // GET /admin/ai-keys - Lấy danh sách tất cả API keys (chỉ admin)
-router.get('/ai-keys', isAdmin, async (req, res) => {
+router.get('/ai-keys', requirePermission('providers:read'), async (req, res) => {
   try {
     const keys = await aiKeyManager.loadKeys();
     
@@ -38,7 +40,7 @@ router.get('/ai-keys', isAdmin, async (req, res) => {
 });
 
 // POST /admin/ai-keys - Thêm/cập nhật API key cho provider (chỉ admin)
-router.post('/ai-keys', isAdmin, async (req, res) => {
+router.post('/ai-keys', requirePermission('providers:write'), async (req, res) => {
   try {
     const { provider, apiKey } = req.body;
 
@@ -51,7 +53,7 @@ router.post('/ai-keys', isAdmin, async (req, res) => {
     }
 
     // Validate provider name
-    const validProviders = ['gemini', 'openai', 'deepseek', 'stability', 'elevenlabs'];
+    const validProviders = providers.listProviders();
     if (!validProviders.includes(provider.toLowerCase())) {
       return res.status(400).json({
         success: false,
@@ -70,6 +72,12 @@ router.post('/ai-keys', isAdmin, async (req, res) => {
 
     // Cập nhật key
     await aiKeyManager.updateKey(provider.toLowerCase(), apiKey.trim());
+    await createAuditLog({
+      req,
+      action: 'UPDATE_AI_KEY',
+      details: `API key for ${provider.toLowerCase()} updated.`,
+      target: { type: 'provider', id: provider.toLowerCase() }
+    });
 
     res.json({
       success: true,
@@ -90,12 +98,12 @@ router.post('/ai-keys', isAdmin, async (req, res) => {
 });
 
 // DELETE /admin/ai-keys/:provider - Xóa API key cho provider (chỉ admin)
-router.delete('/ai-keys/:provider', isAdmin, async (req, res) => {
+router.delete('/ai-keys/:provider', requirePermission('providers:write'), async (req, res) => {
   try {
     const { provider } = req.params;
 
     // Validate provider name
-    const validProviders = ['gemini', 'openai', 'deepseek', 'stability', 'elevenlabs'];
+    const validProviders = providers.listProviders();
     if (!validProviders.includes(provider.toLowerCase())) {
       return res.status(400).json({
         success: false,
@@ -114,6 +122,12 @@ router.delete('/ai-keys/:provider', isAdmin, async (req, res) => {
 
     // Xóa key
     await aiKeyManager.deleteKey(provider.toLowerCase());
+    await createAuditLog({
+      req,
+      action: 'DELETE_AI_KEY',
+      details: `API key for ${provider.toLowerCase()} deleted.`,
+      target: { type: 'provider', id: provider.toLowerCase() }
+    });
 
     res.json({
       success: true,
@@ -129,12 +143,12 @@ router.delete('/ai-keys/:provider', isAdmin, async (req, res) => {
 });
 
 // GET /admin/ai-keys/:provider - Lấy thông tin API key cho provider cụ thể (chỉ admin)
-router.get('/ai-keys/:provider', isAdmin, async (req, res) => {
+router.get('/ai-keys/:provider', requirePermission('providers:read'), async (req, res) => {
   try {
     const { provider } = req.params;
 
     // Validate provider name
-    const validProviders = ['gemini', 'openai', 'deepseek', 'stability', 'elevenlabs'];
+    const validProviders = providers.listProviders();
     if (!validProviders.includes(provider.toLowerCase())) {
       return res.status(400).json({
         success: false,
@@ -165,12 +179,12 @@ router.get('/ai-keys/:provider', isAdmin, async (req, res) => {
 });
 
 // POST /admin/ai-keys/test/:provider - Test API key cho provider (chỉ admin)
-router.post('/ai-keys/test/:provider', isAdmin, async (req, res) => {
+router.post('/ai-keys/test/:provider', requirePermission('providers:write'), async (req, res) => {
   try {
     const { provider } = req.params;
 
     // Validate provider name
-    const validProviders = ['gemini', 'openai', 'deepseek', 'stability', 'elevenlabs'];
+    const validProviders = providers.listProviders();
     if (!validProviders.includes(provider.toLowerCase())) {
       return res.status(400).json({
         success: false,
@@ -191,40 +205,7 @@ router.post('/ai-keys/test/:provider', isAdmin, async (req, res) => {
     let testResult = { valid: false, message: 'Test failed' };
 
     try {
-      switch (provider.toLowerCase()) {
-        case 'gemini':
-          // Test Gemini API
-          const { GoogleGenerativeAI } = require('@google/generative-ai');
-          const genAI = new GoogleGenerativeAI(key);
-          const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
-          const result = await model.generateContent('Test connection');
-          await result.response.text(); // Make sure the response can be parsed
-          testResult = { valid: true, message: 'Gemini API key is valid' };
-          break;
-
-        case 'openai':
-          // Test OpenAI API
-          const OpenAI = require('openai');
-          const openai = new OpenAI({ apiKey: key });
-          await openai.models.list();
-          testResult = { valid: true, message: 'OpenAI API key is valid' };
-          break;
-
-        case 'deepseek':
-          // Test DeepSeek API
-          const response = await fetch('https://api.deepseek.com/v1/models', {
-            headers: { 'Authorization': `Bearer ${key}` }
-          });
-          if (response.ok) {
-            testResult = { valid: true, message: 'DeepSeek API key is valid' };
-          } else {
-            testResult = { valid: false, message: 'DeepSeek API key is invalid' };
-          }
-          break;
-
-        default:
-          testResult = { valid: false, message: 'Test not implemented for this provider' };
-      }
+      testResult = await providers.getAdapter(provider).testConnection(key);
     } catch (testError) {
       testResult = { valid: false, message: `API test failed: ${testError.message}` };
     }
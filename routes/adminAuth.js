@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const AdminUser = require('../models/AdminUser');
+const AdminAccounts = require('../services/adminAccounts');
+const { isAdmin, requirePermission } = require('../middleware/adminAuth');
+const { createAuditLog } = require('../utils/auditLogger');
+
+// Chống dò mật khẩu: tối đa 10 lần đăng nhập / 15 phút / IP (sau reverse proxy cần TRUST_PROXY để req.ip là IP client)
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { success: false, message: 'Too many login attempts, please try again later.' }
+});
+
+const accountErrorStatus = {
+    INVALID_INPUT: 400,
+    USERNAME_TAKEN: 409
+};
+
+// POST /api/admin/auth/login - Đăng nhập, trả về JWT
+router.post('/login', loginLimiter, async (req, res) => {
+    const { username, password } = req.body;
+    if (!username || !password) {
+        return res.status(400).json({ success: false, message: 'Username and password are required' });
+    }
+
+    try {
+        const result = await AdminAccounts.login(username, password, { ip: req.ip });
+        req.admin = { id: String(result.admin.id), username: result.admin.username, role: result.admin.role };
+        await createAuditLog({
+            req,
+            action: 'ADMIN_LOGIN',
+            details: `Admin ${result.admin.username} logged in.`,
+            target: { type: 'admin', id: result.admin.id }
+        });
+        res.json({ success: true, tokenType: 'Bearer', ...result });
+    } catch (error) {
+        if (error.code === 'INVALID_CREDENTIALS') {
+            await createAuditLog({
+                req,
+                action: 'ADMIN_LOGIN_FAILED',
+                details: `Failed login for '${String(username).slice(0, 50)}'.`,
+                target: { type: 'admin' }
+            });
+            return res.status(401).json({ success: false, message: 'Invalid username or password' });
+        }
+        console.error('❌ Admin login error:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// GET /api/admin/auth/me - Tài khoản hiện tại và quyền
+router.get('/me', isAdmin, async (req, res) => {
+    const role = req.admin.role;
+    res.json({
+        success: true,
+        admin: req.admin,
+        permissions: AdminAccounts.ROLE_PERMISSIONS[role] || []
+    });
+});
+
+// POST /api/admin/auth/change-password - Đổi mật khẩu của chính mình (token cũ hết hiệu lực)
+router.post('/change-password', isAdmin, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    try {
+        const admin = await AdminUser.findById(req.admin.id);
+        if (!admin || !(await AdminAccounts.verifyPassword(currentPassword, admin.passwordHash))) {
+            return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+        }
+        await AdminAccounts.setPassword(admin, newPassword);
+        await createAuditLog({
+            req,
+            action: 'ADMIN_CHANGE_PASSWORD',
+            details: `Admin ${admin.username} changed password.`,
+            target: { type: 'admin', id: admin._id }
+        });
+        res.json({ success: true, token: AdminAccounts.signToken(admin), expiresIn: AdminAccounts.ADMIN_TOKEN_TTL_SECONDS });
+    } catch (error) {
+        if (accountErrorStatus[error.code]) {
+            return res.status(accountErrorStatus[error.code]).json({ success: false, message: error.message });
+        }
+        console.error('❌ Change password error:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// --- Quản lý tài khoản admin (owner) ---
+
+// GET /api/admin/auth/users
+router.get('/users', requirePermission('admins:manage'), async (req, res) => {
+    try {
+        const admins = await AdminUser.find().sort({ createdAt: 1 });
+        res.json({ success: true, admins: admins.map(admin => AdminAccounts.toPublic(admin)) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// POST /api/admin/auth/users - Tạo tài khoản { username, password, role }
+router.post('/users', requirePermission('admins:manage'), async (req, res) => {
+    try {
+        const admin = await AdminAccounts.createAdmin(req.body, req.admin.username);
+        await createAuditLog({
+            req,
+            action: 'CREATE_ADMIN',
+            details: `Admin account ${admin.username} (${admin.role}) was created.`,
+            target: { type: 'admin', id: admin._id },
+            after: AdminAccounts.toPublic(admin)
+        });
+        res.status(201).json({ success: true, admin: AdminAccounts.toPublic(admin) });
+    } catch (error) {
+        if (accountErrorStatus[error.code]) {
+            return res.status(accountErrorStatus[error.code]).json({ success: false, message: error.message });
+        }
+        console.error('❌ Create admin error:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// PUT /api/admin/auth/users/:id - Đổi role, khóa/mở, đặt lại mật khẩu { role, isActive, password }
+router.put('/users/:id', requirePermission('admins:manage'), async (req, res) => {
+    const { role, isActive, password } = req.body;
+    if (!/^[a-f0-9]{24}$/i.test(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Admin not found' });
+    }
+    try {
+        const admin = await AdminUser.findById(req.params.id);
+        if (!admin) {
+            return res.status(404).json({ success: false, message: 'Admin not found' });
+        }
+        if (role !== undefined && !AdminAccounts.ROLES.includes(role)) {
+            return res.status(400).json({ success: false, message: `Role must be one of: ${AdminAccounts.ROLES.join(', ')}` });
+        }
+        if (isActive !== undefined && typeof isActive !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'isActive must be a boolean' });
+        }
+
+        // Không cho mất owner cuối cùng còn hoạt động
+        const losesOwner = admin.role === 'owner' && admin.isActive &&
+            ((role !== undefined && role !== 'owner') || isActive === false);
+        if (losesOwner) {
+            const otherOwners = await AdminUser.countDocuments({ _id: { $ne: admin._id }, role: 'owner', isActive: true });
+            if (otherOwners === 0) {
+                return res.status(400).json({ success: false, message: 'Cannot demote or disable the last active owner' });
+            }
+        }
+
+        const before = AdminAccounts.toPublic(admin);
+        const changes = [];
+        if (role !== undefined && role !== admin.role) {
+            changes.push(`role ${admin.role} → ${role}`);
+            admin.role = role;
+        }
+        if (isActive !== undefined && isActive !== admin.isActive) {
+            changes.push(isActive ? 'enabled' : 'disabled');
+            admin.isActive = isActive;
+        }
+        if (password !== undefined) {
+            const check = AdminAccounts.validatePassword(password);
+            if (!check.valid) {
+                return res.status(400).json({ success: false, message: check.message });
+            }
+            admin.passwordHash = await AdminAccounts.hashPassword(password);
+            changes.push('password reset');
+        }
+        if (changes.length > 0) {
+            // Token đang dùng của tài khoản này hết hiệu lực ngay
+            admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+            await admin.save();
+            await createAuditLog({
+                req,
+                action: 'UPDATE_ADMIN',
+                details: `Admin account ${admin.username}: ${changes.join(', ')}.`,
+                target: { type: 'admin', id: admin._id },
+                before,
+                after: AdminAccounts.toPublic(admin)
+            });
+        }
+
+        res.json({ success: true, admin: AdminAccounts.toPublic(admin) });
+    } catch (error) {
+        console.error('❌ Update admin error:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/adminAuth');
+const BankStatementImport = require('../models/BankStatementImport');
+const BankTransaction = require('../models/BankTransaction');
+const BankStatements = require('../services/bankStatements');
+const { createAuditLog } = require('../utils/auditLogger');
+const { parsePagination, buildPagination, parseDate } = require('../utils/query');
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const TRANSACTION_STATUSES = ['matched', 'review', 'unmatched', 'ignored', 'resolved', 'dismissed'];
+
+const isObjectId = (value) => /^[a-f0-9]{24}$/i.test(String(value || ''));
+
+// POST /api/admin/bank-statements/import - Import sao kê { fileName, content (base64), format, mapping }
+// format: auto (mặc định) | vietcombank | mb | generic (cần mapping cột)
+router.post('/import', requirePermission('payments:write'), async (req, res) => {
+    try {
+        const { fileName, content, format = 'auto', mapping } = req.body;
+        if (typeof content !== 'string' || !content) {
+            return res.status(400).json({ success: false, message: 'content (base64 file) is required' });
+        }
+        const buffer = Buffer.from(content.replace(/^data:[^,]*,/, ''), 'base64');
+        if (buffer.length > MAX_FILE_BYTES) {
+            return res.status(400).json({ success: false, message: 'File is too large (max 10MB)' });
+        }
+
+        const { statementImport, transactions } = await BankStatements.import(buffer, {
+            fileName: fileName ? String(fileName).slice(0, 200) : null,
+            format,
+            mapping,
+            actor: req.admin.username
+        });
+
+        await createAuditLog({
+            req,
+            action: 'BANK_STATEMENT_IMPORTED',
+            details: `Bank statement ${statementImport.fileName || ''} (${statementImport.format}) imported: ${statementImport.counts.matched} payment(s) auto-completed, ${statementImport.counts.review + statementImport.counts.unmatched} waiting for review.`,
+            target: { type: 'bank_statement', id: statementImport._id }
+        });
+
+        res.status(201).json({
+            success: true,
+            import: statementImport,
+            review: transactions.filter(transaction => ['review', 'unmatched'].includes(transaction.status))
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_INPUT') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('❌ Error importing bank statement:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// GET /api/admin/bank-statements/imports - Các lần import, mới nhất trước
+router.get('/imports', requirePermission('payments:read'), async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query);
+        const [imports, total] = await Promise.all([
+            BankStatementImport.find()
+                .sort({ createdAt: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .lean(),
+            BankStatementImport.countDocuments()
+        ]);
+        res.json({ success: true, imports, pagination: buildPagination(pagination, total) });
+    } catch (error) {
+        console.error('❌ Error loading bank statement imports:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// GET /api/admin/bank-statements/transactions - Giao dịch đã import
+// Filter: status (mặc định review,unmatched = hàng chờ), importId, from, to; phân trang page, limit
+router.get('/transactions', requirePermission('payments:read'), async (req, res) => {
+    try {
+        const statuses = String(req.query.status || 'review,unmatched').split(',');
+        if (!statuses.every(status => TRANSACTION_STATUSES.includes(status))) {
+            return res.status(400).json({ success: false, message: `status must be one of: ${TRANSACTION_STATUSES.join(', ')}` });
+        }
+        const filter = { status: { $in: statuses } };
+        if (req.query.importId) {
+            if (!isObjectId(req.query.importId)) {
+                return res.status(400).json({ success: false, message: 'Invalid importId' });
+            }
+            filter.importId = req.query.importId;
+        }
+        const from = parseDate(req.query.from);
+        const to = parseDate(req.query.to);
+        if (from === null || to === null) {
+            return res.status(400).json({ success: false, message: 'Invalid from/to date' });
+        }
+        if (from || to) {
+            filter.transactionDate = {};
+            if (from) filter.transactionDate.$gte = from;
+            if (to) filter.transactionDate.$lte = to;
+        }
+
+        const pagination = parsePagination(req.query);
+        const [transactions, total] = await Promise.all([
+            BankTransaction.find(filter)
+                .sort({ transactionDate: -1, _id: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .populate('candidates', 'userKey price status creditAmount paymentData.transferContent createdAt')
+                .lean(),
+            BankTransaction.countDocuments(filter)
+        ]);
+        res.json({ success: true, transactions, pagination: buildPagination(pagination, total) });
+    } catch (error) {
+        console.error('❌ Error loading bank transactions:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// POST /api/admin/bank-statements/transactions/:id/match - Ghép giao dịch với payment { paymentId } và hoàn tất payment
+router.post('/transactions/:id/match', requirePermission('payments:write'), async (req, res) => {
+    try {
+        if (!isObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy giao dịch' });
+        }
+        const transaction = await BankStatements.resolve(req.params.id, req.body.paymentId, { actor: req.admin.username });
+        await createAuditLog({
+            req,
+            action: 'BANK_TRANSACTION_MATCHED',
+            details: `Bank transaction ${transaction.reference || transaction._id} (${transaction.amount}) matched to payment ${transaction.paymentId}.`,
+            target: { type: 'payment', id: transaction.paymentId }
+        });
+        res.json({ success: true, transaction });
+    } catch (error) {
+        const statusCodes = {
+            NOT_FOUND: 404,
+            PAYMENT_NOT_FOUND: 404,
+            INVALID_STATE: 409,
+            AMOUNT_MISMATCH: 400,
+            ALREADY_COMPLETED: 409,
+            NOT_PENDING: 409,
+            PAYMENT_BUSY: 409,
+            KEY_NOT_FOUND: 400
+        };
+        if (statusCodes[error.code]) {
+            return res.status(statusCodes[error.code]).json({ success: false, message: error.message });
+        }
+        console.error('❌ Error matching bank transaction:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// POST /api/admin/bank-statements/transactions/:id/dismiss - Bỏ qua giao dịch { reason }
+router.post('/transactions/:id/dismiss', requirePermission('payments:write'), async (req, res) => {
+    try {
+        if (!isObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy giao dịch' });
+        }
+        const reason = req.body.reason ? String(req.body.reason).slice(0, 500) : undefined;
+        const transaction = await BankStatements.dismiss(req.params.id, { actor: req.admin.username, reason });
+        await createAuditLog({
+            req,
+            action: 'BANK_TRANSACTION_DISMISSED',
+            details: `Bank transaction ${transaction.reference || transaction._id} (${transaction.amount}) dismissed: ${transaction.reason}`,
+            target: { type: 'bank_transaction', id: transaction._id }
+        });
+        res.json({ success: true, transaction });
+    } catch (error) {
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({ success: false, message: error.message });
+        }
+        if (error.code === 'INVALID_STATE') {
+            return res.status(409).json({ success: false, message: error.message });
+        }
+        console.error('❌ Error dismissing bank transaction:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+module.exports = router;
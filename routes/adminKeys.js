@@ -1,25 +1,123 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
+const { requirePermission } = require('../middleware/adminAuth');
 const Key = require('../models/Key');
+const CreditLedger = require('../services/creditLedger');
+const KeyRateLimiter = require('../services/keyRateLimiter');
+const SessionTokens = require('../services/sessionTokens');
+const KeyActivations = require('../services/keyActivations');
+const KeyGenerator = require('../services/keyGenerator');
+const KeyBatches = require('../services/keyBatches');
+const KeyBatch = require('../models/KeyBatch');
+const KeyUsage = require('../services/keyUsage');
+const CreditLots = require('../services/creditLots');
 const { createAuditLog } = require('../utils/auditLogger');
+const { toCsv } = require('../utils/csv');
+const { escapeRegex, parsePagination, buildPagination, parseDate } = require('../utils/query');
 
-// Helper sinh key ngẫu nhiên
-const generateKey = () => 'KEY-' + Math.random().toString(36).substr(2, 8).toUpperCase();
+const EXPORT_COLUMNS = ['key', 'credit', 'expiredAt', 'maxActivations', 'isActive', 'note', 'createdAt'];
+const SORT_FIELDS = ['createdAt', 'expiredAt', 'credit', 'key', 'lastUsedAt'];
+
+// Mọi route /:id: id không phải ObjectId thì trả 404 thay vì để Mongoose ném CastError (500)
+router.param('id', (req, res, next, id) => {
+    if (!mongoose.Types.ObjectId.isValid(id) || !/^[a-f0-9]{24}$/i.test(id)) {
+        return res.status(404).json({ message: 'Không tìm thấy key' });
+    }
+    next();
+});
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Filter danh sách key từ query string:
+ * search (key, note), status (active|locked), expired (true|false), minCredit, maxCredit,
+ * createdFrom, createdTo, batchId, recentUsage (true|false) + usageDays (mặc định 7)
+ * @returns {{ filter } | { error }}
+ */
+const buildKeyFilter = (query) => {
+    const conditions = [];
+    const now = new Date();
+
+    if (query.search) {
+        const pattern = { $regex: escapeRegex(String(query.search).trim()), $options: 'i' };
+        conditions.push({ $or: [{ key: pattern }, { note: pattern }] });
+    }
+    if (query.status === 'active' || query.status === 'locked') {
+        conditions.push({ isActive: query.status === 'active' });
+    }
+    if (query.expired === 'true') {
+        conditions.push({ expiredAt: { $lt: now } });
+    } else if (query.expired === 'false') {
+        conditions.push({ $or: [{ expiredAt: null }, { expiredAt: { $gte: now } }] });
+    }
+
+    const credit = {};
+    for (const [param, operator] of [['minCredit', '$gte'], ['maxCredit', '$lte']]) {
+        if (query[param] === undefined || query[param] === '') continue;
+        const value = Number(query[param]);
+        if (isNaN(value)) return { error: `${param} must be a number` };
+        credit[operator] = value;
+    }
+    if (Object.keys(credit).length > 0) {
+        conditions.push({ credit });
+    }
+
+    const createdFrom = parseDate(query.createdFrom);
+    const createdTo = parseDate(query.createdTo);
+    if (createdFrom === null || createdTo === null) {
+        return { error: 'createdFrom/createdTo must be valid dates' };
+    }
+    if (createdFrom || createdTo) {
+        const createdAt = {};
+        if (createdFrom) createdAt.$gte = createdFrom;
+        if (createdTo) createdAt.$lte = createdTo;
+        conditions.push({ createdAt });
+    }
+
+    if (query.batchId) {
+        if (!/^[a-f0-9]{24}$/i.test(query.batchId)) return { error: 'batchId is invalid' };
+        // Cast sẵn vì filter cũng dùng trong aggregate (không tự cast như find)
+        conditions.push({ batchId: new mongoose.Types.ObjectId(query.batchId) });
+    }
+
+    if (query.recentUsage === 'true' || query.recentUsage === 'false') {
+        const days = parseInt(query.usageDays) || 7;
+        const since = new Date(now.getTime() - days * DAY_MS);
+        conditions.push(query.recentUsage === 'true'
+            ? { lastUsedAt: { $gte: since } }
+            : { $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: since } }] });
+    }
+
+    return { filter: conditions.length > 0 ? { $and: conditions } : {} };
+};
 
 // POST / - Tạo key mới
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('keys:write'), async (req, res) => {
     try {
         const { expiredAt, maxActivations, note, credit } = req.body;
-        const newKeyString = generateKey();
+        const newKeyString = KeyGenerator.generate(await KeyGenerator.resolveFormat());
         const newKey = new Key({
             key: newKeyString,
             expiredAt,
             maxActivations,
             note,
-            credit: typeof credit === 'number' ? credit : 0,
+            credit: 0,
         });
         await newKey.save();
-        await createAuditLog('CREATE_KEY', `Key ${newKeyString} created with ${credit || 0} credit.`, 'Admin');
+        if (typeof credit === 'number' && credit !== 0) {
+            const { key: creditedKey } = await CreditLedger.adjust(newKey, credit, {
+                reason: 'Initial credit',
+                actor: req.admin.username
+            });
+            newKey.credit = creditedKey.credit;
+        }
+        await createAuditLog({
+            req,
+            action: 'CREATE_KEY',
+            details: `Key ${newKeyString} created with ${credit || 0} credit.`,
+            target: { type: 'key', id: newKey._id },
+            after: newKey
+        });
         
         console.log('✅ Created new key:', newKeyString);
         res.status(201).json({
@@ -35,16 +133,147 @@ router.post('/', async (req, res) => {
     }
 });
 
+// POST /batches - Sinh key hàng loạt
+// { count, label, credit, expiredAt, maxActivations, note, prefix, length, checksum }
+router.post('/batches', requirePermission('keys:write'), async (req, res) => {
+    try {
+        const { batch, keys } = await KeyBatches.create(req.body, req.admin.username);
+        await createAuditLog({
+            req,
+            action: 'CREATE_KEY_BATCH',
+            details: `Batch "${batch.label}" generated: ${keys.length} key(s) with ${batch.credit} credit each.`,
+            target: { type: 'key_batch', id: batch._id },
+            after: batch
+        });
+        res.status(201).json({ success: true, batch, keys: keys.map(key => key.key) });
+    } catch (error) {
+        if (error.code === 'INVALID_INPUT') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('❌ Error generating key batch:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// GET /batches - Danh sách lô key
+router.get('/batches', requirePermission('keys:read'), async (req, res) => {
+    try {
+        res.json({ success: true, batches: await KeyBatches.list() });
+    } catch (error) {
+        console.error('❌ Error loading key batches:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// GET /batches/:batchId/export?format=csv|json - Xuất key của lô
+router.get('/batches/:batchId/export', requirePermission('keys:read'), async (req, res) => {
+    try {
+        const batch = /^[a-f0-9]{24}$/i.test(req.params.batchId) && await KeyBatch.findById(req.params.batchId);
+        if (!batch) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy lô key' });
+        }
+        const keys = await KeyBatches.getKeys(batch._id);
+        const fileName = `keys-${batch.label.replace(/[^a-z0-9_-]+/gi, '_')}-${batch._id}`;
+
+        await createAuditLog({
+            req,
+            action: 'EXPORT_KEY_BATCH',
+            details: `Batch "${batch.label}" exported (${keys.length} key(s)).`,
+            target: { type: 'key_batch', id: batch._id }
+        });
+
+        if (req.query.format === 'json') {
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+            return res.json({
+                batch,
+                keys: keys.map(key => Object.fromEntries(EXPORT_COLUMNS.map(column => [column, key[column]])))
+            });
+        }
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+        res.send(toCsv(keys, EXPORT_COLUMNS));
+    } catch (error) {
+        console.error('❌ Error exporting key batch:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// POST /batches/:batchId/actions - Thao tác trên cả lô
+// { action: 'lock' | 'unlock' | 'extend' | 'add_credit' | 'delete', days?, expiredAt?, amount?, operationId? }
+router.post('/batches/:batchId/actions', requirePermission('keys:write'), async (req, res) => {
+    try {
+        const batch = /^[a-f0-9]{24}$/i.test(req.params.batchId) && await KeyBatch.findById(req.params.batchId);
+        if (!batch) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy lô key' });
+        }
+        const { action, ...params } = req.body;
+        const result = await KeyBatches.applyAction(batch, action, params, req.admin.username);
+        await createAuditLog({
+            req,
+            action: `KEY_BATCH_${String(action).toUpperCase()}`,
+            details: `Batch "${batch.label}": ${action} applied to ${result.affected} key(s).` +
+                `${result.failed && result.failed.length ? ` ${result.failed.length} key(s) failed (operationId ${result.operationId}).` : ''}` +
+                `${Object.keys(params).length ? ` Params: ${JSON.stringify(params)}` : ''}`,
+            target: { type: 'key_batch', id: batch._id }
+        });
+        res.json({ success: !(result.failed && result.failed.length), ...result });
+    } catch (error) {
+        if (error.code === 'INVALID_INPUT') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        if (error.code === 'BATCH_IN_USE') {
+            return res.status(409).json({ success: false, message: error.message });
+        }
+        console.error('❌ Error applying key batch action:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
 // GET / - Lấy danh sách key
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('keys:read'), async (req, res) => {
     try {
-        console.log('📋 Loading admin keys...');
-        const keys = await Key.find().sort({ createdAt: -1 });
-        console.log(`✅ Loaded ${keys.length} keys`);
-        
+        const { filter, error } = buildKeyFilter(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        const pagination = parsePagination(req.query);
+        const sortBy = SORT_FIELDS.includes(req.query.sortBy) ? req.query.sortBy : 'createdAt';
+        const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
+        const now = new Date();
+
+        const [keys, totals] = await Promise.all([
+            Key.find(filter)
+                .sort({ [sortBy]: sortOrder, _id: sortOrder })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .lean(),
+            Key.aggregate([
+                { $match: filter },
+                {
+                    $group: {
+                        _id: null,
+                        total: { $sum: 1 },
+                        active: { $sum: { $cond: ['$isActive', 1, 0] } },
+                        expired: { $sum: { $cond: [{ $and: [{ $eq: [{ $type: '$expiredAt' }, 'date'] }, { $lt: ['$expiredAt', now] }] }, 1, 0] } },
+                        totalCredit: { $sum: '$credit' }
+                    }
+                }
+            ])
+        ]);
+        const summary = totals[0] || { total: 0, active: 0, expired: 0, totalCredit: 0 };
+        console.log(`📋 Loaded ${keys.length}/${summary.total} admin keys (page ${pagination.page})`);
+
         res.json({
             success: true,
-            keys: keys
+            keys,
+            pagination: buildPagination(pagination, summary.total),
+            totals: {
+                total: summary.total,
+                active: summary.active,
+                locked: summary.total - summary.active,
+                expired: summary.expired,
+                totalCredit: summary.totalCredit
+            }
         });
     } catch (error) {
         console.error('❌ Error loading admin keys:', error);
@@ -56,60 +285,285 @@ router.get('/', async (req, res) => {
 });
 
 // PUT /:id/details - Cập nhật chi tiết key (note, expiredAt, credit...)
-router.put('/:id/details', async (req, res) => {
+router.put('/:id/details', requirePermission('keys:write'), async (req, res) => {
     try {
-        const { note, expiredAt, credit, maxActivations } = req.body;
-        const updateData = { note, expiredAt, credit, maxActivations };
+        const { note, expiredAt, credit, maxActivations, rateLimits } = req.body;
+        const updateData = { note, expiredAt, maxActivations };
+        if (maxActivations !== undefined && (!Number.isInteger(maxActivations) || maxActivations < 0)) {
+            return res.status(400).json({ message: 'maxActivations phải là số nguyên không âm (0 = không giới hạn)' });
+        }
+        if (rateLimits !== undefined) {
+            const check = KeyRateLimiter.validateLimits(rateLimits);
+            if (!check.valid) {
+                return res.status(400).json({ message: check.message });
+            }
+            updateData.rateLimits = rateLimits;
+        }
 
-        const key = await Key.findByIdAndUpdate(req.params.id, updateData, { new: true });
-        if (!key) {
+        const before = await Key.findById(req.params.id);
+        if (!before) {
             return res.status(404).json({ message: 'Không tìm thấy key' });
         }
-        await createAuditLog('UPDATE_KEY_DETAILS', `Details for key ${key.key} were updated.`, 'Admin');
+        let key = await Key.findByIdAndUpdate(req.params.id, updateData, { new: true });
+        // Credit không ghi đè trực tiếp: ledger ghi phần chênh lệch so với số dư tại thời điểm đặt
+        if (typeof credit === 'number') {
+            ({ key } = await CreditLedger.setBalance(key, credit, {
+                reason: 'Credit edited in key details',
+                actor: req.admin.username
+            }));
+        }
+        await createAuditLog({
+            req,
+            action: 'UPDATE_KEY_DETAILS',
+            details: `Details for key ${key.key} were updated.`,
+            target: { type: 'key', id: key._id },
+            before,
+            after: key
+        });
         res.json(key);
     } catch (error) {
+        if (error.code === 'INVALID_AMOUNT') {
+            return res.status(400).json({ message: 'credit phải là số' });
+        }
+        if (error.code === 'BALANCE_CONFLICT') {
+            return res.status(409).json({ message: 'Số dư key đang thay đổi, vui lòng thử lại' });
+        }
         res.status(500).json({ message: 'Lỗi máy chủ' });
     }
 });
 
 // PUT /:id/status - Cập nhật trạng thái (Active/Inactive)
-router.put('/:id/status', async (req, res) => {
+router.put('/:id/status', requirePermission('keys:support'), async (req, res) => {
     try {
         const { isActive } = req.body;
         if (typeof isActive !== 'boolean') {
             return res.status(400).json({ message: 'Trạng thái không hợp lệ' });
         }
-        const key = await Key.findByIdAndUpdate(req.params.id, { isActive }, { new: true });
+        const key = await Key.findByIdAndUpdate(req.params.id, { isActive });
         if (!key) {
             return res.status(404).json({ message: 'Không tìm thấy key' });
         }
+        const previousStatus = key.isActive;
+        key.isActive = isActive;
         const statusText = isActive ? 'activated' : 'deactivated';
-        await createAuditLog('UPDATE_KEY_STATUS', `Key ${key.key} was ${statusText}.`, 'Admin');
+        // Khóa key: thu hồi mọi session token đang dùng
+        let revokedSessions = 0;
+        if (!isActive) {
+            revokedSessions = await SessionTokens.revokeAll(key._id, 'Key locked by admin');
+        }
+        await createAuditLog({
+            req,
+            action: 'UPDATE_KEY_STATUS',
+            details: `Key ${key.key} was ${statusText}.${isActive ? '' : ` ${revokedSessions} session(s) revoked.`}`,
+            target: { type: 'key', id: key._id },
+            before: { isActive: previousStatus },
+            after: { isActive }
+        });
         res.json(key);
     } catch (error) {
         res.status(500).json({ message: 'Lỗi máy chủ' });
     }
 });
 
+// POST /:id/sessions/revoke - Thu hồi mọi session token của key (không khóa key)
+router.post('/:id/sessions/revoke', requirePermission('keys:support'), async (req, res) => {
+    try {
+        const key = await Key.findById(req.params.id);
+        if (!key) {
+            return res.status(404).json({ message: 'Không tìm thấy key' });
+        }
+        const revokedSessions = await SessionTokens.revokeAll(key._id, req.body.reason || 'Revoked by admin');
+        await createAuditLog({
+            req,
+            action: 'REVOKE_KEY_SESSIONS',
+            details: `${revokedSessions} session(s) of key ${key.key} were revoked.`,
+            target: { type: 'key', id: key._id }
+        });
+        res.json({ success: true, revokedSessions });
+    } catch (error) {
+        res.status(500).json({ message: 'Lỗi máy chủ' });
+    }
+});
+
+// GET /:id/activations - Danh sách thiết bị đã kích hoạt key
+router.get('/:id/activations', requirePermission('keys:read'), async (req, res) => {
+    try {
+        const key = await Key.findById(req.params.id);
+        if (!key) {
+            return res.status(404).json({ message: 'Không tìm thấy key' });
+        }
+        res.json({
+            success: true,
+            maxActivations: key.maxActivations || 0,
+            activationCount: key.activationCount || 0,
+            devices: await KeyActivations.list(key._id)
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Lỗi máy chủ' });
+    }
+});
+
+// DELETE /:id/activations - Reset mọi thiết bị của key (kèm thu hồi session)
+router.delete('/:id/activations', requirePermission('keys:support'), async (req, res) => {
+    try {
+        const key = await Key.findById(req.params.id);
+        if (!key) {
+            return res.status(404).json({ message: 'Không tìm thấy key' });
+        }
+        const releasedDevices = await KeyActivations.reset(key._id);
+        await createAuditLog({
+            req,
+            action: 'RESET_KEY_ACTIVATIONS',
+            details: `${releasedDevices} device(s) of key ${key.key} were released.`,
+            target: { type: 'key', id: key._id },
+            before: { activationCount: key.activationCount || 0 },
+            after: { activationCount: 0 }
+        });
+        res.json({ success: true, releasedDevices });
+    } catch (error) {
+        res.status(500).json({ message: 'Lỗi máy chủ' });
+    }
+});
+
+// DELETE /:id/activations/:deviceId - Gỡ một thiết bị
+router.delete('/:id/activations/:deviceId', requirePermission('keys:support'), async (req, res) => {
+    try {
+        const key = await Key.findById(req.params.id);
+        if (!key) {
+            return res.status(404).json({ message: 'Không tìm thấy key' });
+        }
+        const released = /^[a-f0-9]{24}$/i.test(req.params.deviceId) &&
+            await KeyActivations.release(key._id, req.params.deviceId);
+        if (!released) {
+            return res.status(404).json({ message: 'Không tìm thấy thiết bị' });
+        }
+        await createAuditLog({
+            req,
+            action: 'RELEASE_KEY_ACTIVATION',
+            details: `Device ${req.params.deviceId} of key ${key.key} was released.`,
+            target: { type: 'key', id: key._id }
+        });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ message: 'Lỗi máy chủ' });
+    }
+});
+
 // POST /update-credit - Cộng/trừ credit
-router.post('/update-credit', async (req, res) => {
-    const { key, amount } = req.body;
-    if (typeof amount !== 'number') {
+// expiresAt (tùy chọn, chỉ khi cộng): hạn dùng của lô credit này (credit khuyến mãi)
+router.post('/update-credit', requirePermission('keys:write'), async (req, res) => {
+    const { key, amount, reason } = req.body;
+    if (typeof amount !== 'number' || amount === 0) {
         return res.status(400).json({ success: false, message: 'amount phải là số' });
     }
-    const updatedKey = await Key.findOneAndUpdate({ key }, { $inc: { credit: amount } }, { new: true });
-    if (!updatedKey) {
-        return res.status(404).json({ success: false, message: 'Không tìm thấy key' });
+    const expiresAt = parseDate(req.body.expiresAt);
+    if (expiresAt === null || (expiresAt && (amount < 0 || expiresAt <= new Date()))) {
+        return res.status(400).json({ success: false, message: 'expiresAt phải là thời điểm trong tương lai và chỉ dùng khi cộng credit' });
+    }
+    try {
+        const { key: keyDoc, balance } = await CreditLedger.adjust(key, amount, {
+            reason: reason || 'Manual credit update',
+            actor: req.admin.username,
+            expiresAt
+        });
+        await createAuditLog({
+            req,
+            action: amount > 0 ? 'ADD_CREDIT' : 'REMOVE_CREDIT',
+            details: `${Math.abs(amount)} credit ${amount > 0 ? 'added to' : 'removed from'} key ${key}${expiresAt ? ` (expires ${expiresAt.toISOString()})` : ''}. New balance: ${balance}`,
+            target: { type: 'key', id: keyDoc._id },
+            before: { credit: balance - amount },
+            after: { credit: balance }
+        });
+        res.json({ success: true, credit: balance });
+    } catch (error) {
+        if (error.code === 'KEY_NOT_FOUND') {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy key' });
+        }
+        console.error('❌ Error updating credit:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
     }
-    const action = amount > 0 ? 'ADD_CREDIT' : 'REMOVE_CREDIT';
-    await createAuditLog(action, `${Math.abs(amount)} credit ${amount > 0 ? 'added to' : 'removed from'} key ${key}. New balance: ${updatedKey.credit}`, 'Admin');
-    res.json({ success: true, credit: updatedKey.credit });
 });
 
-// --- Các API cho người dùng cuối (không thay đổi) ---
+// GET /:id/ledger - Lịch sử biến động credit của key
+router.get('/:id/ledger', requirePermission('keys:read'), async (req, res) => {
+    try {
+        const key = await Key.findById(req.params.id);
+        if (!key) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy key' });
+        }
+        const { page, limit, type } = req.query;
+        const history = await CreditLedger.getHistory(key, { page, limit, type });
+        res.json({ success: true, ...history });
+    } catch (error) {
+        console.error('❌ Error loading credit ledger:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// GET /:id/credit-lots - Cơ cấu số dư theo lô credit (nguồn, còn lại, hạn dùng)
+router.get('/:id/credit-lots', requirePermission('keys:read'), async (req, res) => {
+    try {
+        const key = /^[a-f0-9]{24}$/i.test(req.params.id) && await Key.findById(req.params.id);
+        if (!key) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy key' });
+        }
+        const [balance, lots] = await Promise.all([
+            CreditLots.getBreakdown(key),
+            CreditLots.list(key._id)
+        ]);
+        res.json({ success: true, balance, lots });
+    } catch (error) {
+        console.error('❌ Error loading credit lots:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// GET /:id/usage - Lịch sử dùng AI của key: timeline, tổng hợp theo ngày và theo provider
+// Query: from, to (mặc định 30 ngày), timeZone, provider, success, page, limit
+router.get('/:id/usage', requirePermission('keys:read'), async (req, res) => {
+    try {
+        const key = /^[a-f0-9]{24}$/i.test(req.params.id) && await Key.findById(req.params.id);
+        if (!key) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy key' });
+        }
+        const report = await KeyUsage.getReport(key, req.query, { includeAttempts: true });
+        res.json({ success: true, ...report });
+    } catch (error) {
+        if (error.code === 'INVALID_INPUT') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('❌ Error loading key usage:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// POST /:id/ledger/reconcile - Đối soát Key.credit với tổng ledger (fix=true để ghi bù chênh lệch)
+router.post('/:id/ledger/reconcile', requirePermission('keys:write'), async (req, res) => {
+    try {
+        const key = await Key.findById(req.params.id);
+        if (!key) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy key' });
+        }
+        const result = await CreditLedger.reconcile(key, { fix: req.body.fix === true, actor: req.admin.username });
+        if (result.fixed) {
+            await createAuditLog({
+                req,
+                action: 'RECONCILE_CREDIT',
+                details: `Ledger of key ${key.key} reconciled. Drift: ${result.drift}`,
+                target: { type: 'key', id: key._id }
+            });
+        }
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('❌ Error reconciling credit ledger:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// --- API cũ cho người dùng cuối, nay chỉ dành cho admin (user dùng /api/keys) ---
 
 // POST /validate - Xác thực key
-router.post('/validate', async (req, res) => {
+router.post('/validate', requirePermission('keys:write'), async (req, res) => {
     const { key } = req.body;
     const found = await Key.findOne({ key, isActive: true });
     if (found) {
@@ -120,18 +574,21 @@ router.post('/validate', async (req, res) => {
 });
 
 // POST /use-credit - Trừ credit khi dùng
-router.post('/use-credit', async (req, res) => {
+router.post('/use-credit', requirePermission('keys:write'), async (req, res) => {
     const { key } = req.body;
     const found = await Key.findOne({ key, isActive: true });
     if (!found) {
         return res.status(404).json({ success: false, message: 'Không tìm thấy key' });
     }
-    if ((found.credit || 0) < 1) {
-        return res.status(400).json({ success: false, message: 'Hết credit' });
+    try {
+        const { balance } = await CreditLedger.debit(found, 1, { reason: 'use-credit', requireActive: true });
+        res.json({ success: true, credit: balance });
+    } catch (error) {
+        if (error.code === 'INSUFFICIENT_CREDIT') {
+            return res.status(400).json({ success: false, message: 'Hết credit' });
+        }
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
     }
-    found.credit -= 1;
-    await found.save();
-    res.json({ success: true, credit: found.credit });
 });
 
 module.exports = router; 
\ No newline at end of file
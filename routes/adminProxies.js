@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/adminAuth');
 const Proxy = require('../models/Proxy');
 const ApiProvider = require('../models/ApiProvider');
 const { createAuditLog } = require('../utils/auditLogger');
 
 // GET /api/admin/proxies - Lấy danh sách proxy
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('proxies:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status, location, assigned } = req.query;
     
@@ -64,7 +65,7 @@ router.get('/', async (req, res) => {
 });
 
 // POST /api/admin/proxies - Thêm proxy mới
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('proxies:write'), async (req, res) => {
   try {
     const { name, host, port, username, password, protocol, location, provider, notes } = req.body;
 
@@ -100,9 +101,11 @@ router.post('/', async (req, res) => {
     await newProxy.save();
 
     await createAuditLog({
+      req,
       action: 'CREATE_PROXY',
       details: `Created proxy: ${name} (${host}:${port})`,
-      adminId: req.adminId || 'system'
+      target: { type: 'proxy', id: newProxy._id },
+      after: newProxy
     });
 
     res.status(201).json({
@@ -121,7 +124,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/admin/proxies/:id - Cập nhật proxy
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('proxies:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -132,23 +135,27 @@ router.put('/:id', async (req, res) => {
     delete updateData.successCount;
     delete updateData.failureCount;
 
-    const proxy = await Proxy.findByIdAndUpdate(
-      id,
-      { ...updateData, updatedAt: Date.now() },
-      { new: true, runValidators: true }
-    );
-
-    if (!proxy) {
+    const before = await Proxy.findById(id);
+    if (!before) {
       return res.status(404).json({
         success: false,
         message: 'Proxy not found'
       });
     }
 
+    const proxy = await Proxy.findByIdAndUpdate(
+      id,
+      { ...updateData, updatedAt: Date.now() },
+      { new: true, runValidators: true }
+    );
+
     await createAuditLog({
+      req,
       action: 'UPDATE_PROXY',
       details: `Updated proxy: ${proxy.name} (${proxy.host}:${proxy.port})`,
-      adminId: req.adminId || 'system'
+      target: { type: 'proxy', id: proxy._id },
+      before,
+      after: proxy
     });
 
     res.json({
@@ -167,7 +174,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/admin/proxies/:id - Xóa proxy
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('proxies:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -190,9 +197,12 @@ router.delete('/:id', async (req, res) => {
     await Proxy.findByIdAndDelete(id);
 
     await createAuditLog({
+      req,
       action: 'DELETE_PROXY',
       details: `Deleted proxy: ${proxy.name} (${proxy.host}:${proxy.port})`,
-      adminId: req.adminId || 'system'
+      target: { type: 'proxy', id: proxy._id },
+      before: proxy,
+      after: {}
     });
 
     res.json({
@@ -210,7 +220,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // POST /api/admin/proxies/:id/test - Test proxy connection
-router.post('/:id/test', async (req, res) => {
+router.post('/:id/test', requirePermission('proxies:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -225,9 +235,10 @@ router.post('/:id/test', async (req, res) => {
     const testResult = await proxy.testConnection();
 
     await createAuditLog({
+      req,
       action: 'TEST_PROXY',
       details: `Tested proxy: ${proxy.name} - ${testResult.success ? 'SUCCESS' : 'FAILED'}`,
-      adminId: req.adminId || 'system'
+      target: { type: 'proxy', id: proxy._id }
     });
 
     res.json({
@@ -245,7 +256,7 @@ router.post('/:id/test', async (req, res) => {
 });
 
 // POST /api/admin/proxies/batch-test - Test tất cả proxy
-router.post('/batch-test', async (req, res) => {
+router.post('/batch-test', requirePermission('proxies:write'), async (req, res) => {
   try {
     const proxies = await Proxy.find({ isActive: true });
     const testResults = [];
@@ -276,9 +287,10 @@ router.post('/batch-test', async (req, res) => {
     const failCount = testResults.filter(r => !r.success).length;
 
     await createAuditLog({
+      req,
       action: 'BATCH_TEST_PROXIES',
       details: `Tested ${testResults.length} proxies - ${successCount} success, ${failCount} failed`,
-      adminId: req.adminId || 'system'
+      target: { type: 'proxy' }
     });
 
     res.json({
@@ -304,7 +316,7 @@ router.post('/batch-test', async (req, res) => {
 });
 
 // POST /api/admin/proxies/auto-assign - Tự động assign proxy cho API keys
-router.post('/auto-assign', async (req, res) => {
+router.post('/auto-assign', requirePermission('proxies:write'), async (req, res) => {
   try {
     const { provider = 'all', forceReassign = false } = req.body;
 
@@ -389,9 +401,10 @@ router.post('/auto-assign', async (req, res) => {
     }
 
     await createAuditLog({
+      req,
       action: 'AUTO_ASSIGN_PROXIES',
       details: `Auto-assigned ${totalAssigned} proxies to API keys`,
-      adminId: req.adminId || 'system'
+      target: { type: 'proxy' }
     });
 
     res.json({
@@ -413,7 +426,7 @@ router.post('/auto-assign', async (req, res) => {
 });
 
 // GET /api/admin/proxies/stats - Lấy thống kê proxy
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('proxies:read'), async (req, res) => {
   try {
     const totalProxies = await Proxy.countDocuments();
     const activeProxies = await Proxy.countDocuments({ isActive: true });
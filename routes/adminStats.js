@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { isAdmin } = require('../middleware/adminAuth');
+const { requirePermission } = require('../middleware/adminAuth');
 
 // Import models with error handling
 let ApiRequestLog, ApiProvider;
@@ -12,7 +12,7 @@ try {
 }
 
 // GET /admin/stats/daily-requests - Get daily API request statistics (temporarily without auth)
-router.get('/daily-requests', async (req, res) => {
+router.get('/daily-requests', requirePermission('stats:read'), async (req, res) => {
   try {
     if (!ApiRequestLog || !ApiProvider) {
       return res.json({
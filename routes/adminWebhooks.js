@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/adminAuth');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Webhooks = require('../services/webhooks');
+const { createAuditLog } = require('../utils/auditLogger');
+const { parsePagination, buildPagination, parseDate } = require('../utils/query');
+
+const isObjectId = (value) => /^[a-f0-9]{24}$/i.test(String(value || ''));
+
+const findEndpoint = (id) => isObjectId(id) ? WebhookEndpoint.findById(id) : null;
+
+// GET /api/admin/webhooks - Danh sách endpoint (secret bị che)
+router.get('/', requirePermission('webhooks:read'), async (req, res) => {
+    try {
+        const endpoints = await WebhookEndpoint.find().sort({ createdAt: -1 }).lean();
+        res.json({
+            success: true,
+            events: Webhooks.EVENTS,
+            endpoints: endpoints.map(endpoint => Webhooks.toPublic(endpoint))
+        });
+    } catch (error) {
+        console.error('❌ Error loading webhook endpoints:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// POST /api/admin/webhooks - Đăng ký endpoint { url, events, description, isActive }
+// Secret ký payload chỉ trả về một lần trong response này
+router.post('/', requirePermission('webhooks:write'), async (req, res) => {
+    try {
+        const fields = Webhooks.validateEndpoint(req.body);
+        const endpoint = await WebhookEndpoint.create({
+            ...fields,
+            secret: Webhooks.generateSecret(),
+            createdBy: req.admin.username
+        });
+        await createAuditLog({
+            req,
+            action: 'CREATE_WEBHOOK',
+            details: `Webhook endpoint ${endpoint.url} registered for ${endpoint.events.join(', ')}.`,
+            target: { type: 'webhook', id: endpoint._id },
+            after: endpoint
+        });
+        res.status(201).json({ success: true, endpoint: Webhooks.toPublic(endpoint, { revealSecret: true }) });
+    } catch (error) {
+        if (error.code === 'INVALID_INPUT') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('❌ Error creating webhook endpoint:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// GET /api/admin/webhooks/deliveries - Delivery log
+// Filter: endpointId, event, status, from, to; phân trang page, limit
+router.get('/deliveries', requirePermission('webhooks:read'), async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.endpointId) {
+            if (!isObjectId(req.query.endpointId)) {
+                return res.status(400).json({ success: false, message: 'Invalid endpointId' });
+            }
+            filter.endpointId = req.query.endpointId;
+        }
+        if (req.query.event) {
+            filter.event = req.query.event;
+        }
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+        const from = parseDate(req.query.from);
+        const to = parseDate(req.query.to);
+        if (from === null || to === null) {
+            return res.status(400).json({ success: false, message: 'Invalid from/to date' });
+        }
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = from;
+            if (to) filter.createdAt.$lte = to;
+        }
+
+        const pagination = parsePagination(req.query);
+        const [deliveries, total] = await Promise.all([
+            WebhookDelivery.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .lean(),
+            WebhookDelivery.countDocuments(filter)
+        ]);
+
+        res.json({ success: true, deliveries, pagination: buildPagination(pagination, total) });
+    } catch (error) {
+        console.error('❌ Error loading webhook deliveries:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// POST /api/admin/webhooks/deliveries/:deliveryId/retry - Gửi lại delivery lỗi
+router.post('/deliveries/:deliveryId/retry', requirePermission('webhooks:write'), async (req, res) => {
+    try {
+        if (!isObjectId(req.params.deliveryId)) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy delivery' });
+        }
+        const delivery = await Webhooks.retry(req.params.deliveryId);
+        await createAuditLog({
+            req,
+            action: 'RETRY_WEBHOOK_DELIVERY',
+            details: `Webhook delivery ${delivery._id} (${delivery.event}) queued for retry.`,
+            target: { type: 'webhook', id: delivery.endpointId }
+        });
+        res.json({ success: true, delivery });
+    } catch (error) {
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({ success: false, message: error.message });
+        }
+        console.error('❌ Error retrying webhook delivery:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// PUT /api/admin/webhooks/:id - Cập nhật { url, events, description, isActive }
+router.put('/:id', requirePermission('webhooks:write'), async (req, res) => {
+    try {
+        const endpoint = await findEndpoint(req.params.id);
+        if (!endpoint) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy webhook' });
+        }
+        const fields = Webhooks.validateEndpoint(req.body, { partial: true });
+        const before = endpoint.toObject();
+        endpoint.set({ ...fields, updatedAt: new Date() });
+        await endpoint.save();
+
+        await createAuditLog({
+            req,
+            action: 'UPDATE_WEBHOOK',
+            details: `Webhook endpoint ${endpoint.url} updated.`,
+            target: { type: 'webhook', id: endpoint._id },
+            before,
+            after: endpoint
+        });
+        res.json({ success: true, endpoint: Webhooks.toPublic(endpoint) });
+    } catch (error) {
+        if (error.code === 'INVALID_INPUT') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('❌ Error updating webhook endpoint:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// DELETE /api/admin/webhooks/:id - Xóa endpoint (delivery đang chờ sẽ chuyển sang failed)
+router.delete('/:id', requirePermission('webhooks:write'), async (req, res) => {
+    try {
+        const endpoint = await findEndpoint(req.params.id);
+        if (!endpoint) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy webhook' });
+        }
+        await endpoint.deleteOne();
+        await createAuditLog({
+            req,
+            action: 'DELETE_WEBHOOK',
+            details: `Webhook endpoint ${endpoint.url} deleted.`,
+            target: { type: 'webhook', id: endpoint._id },
+            before: endpoint
+        });
+        res.json({ success: true, message: 'Đã xóa webhook' });
+    } catch (error) {
+        console.error('❌ Error deleting webhook endpoint:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// POST /api/admin/webhooks/:id/rotate-secret - Tạo secret mới (secret cũ hết hiệu lực ngay)
+router.post('/:id/rotate-secret', requirePermission('webhooks:write'), async (req, res) => {
+    try {
+        const endpoint = await findEndpoint(req.params.id);
+        if (!endpoint) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy webhook' });
+        }
+        endpoint.set({ secret: Webhooks.generateSecret(), updatedAt: new Date() });
+        await endpoint.save();
+        await createAuditLog({
+            req,
+            action: 'ROTATE_WEBHOOK_SECRET',
+            details: `Signing secret rotated for webhook endpoint ${endpoint.url}.`,
+            target: { type: 'webhook', id: endpoint._id }
+        });
+        res.json({ success: true, endpoint: Webhooks.toPublic(endpoint, { revealSecret: true }) });
+    } catch (error) {
+        console.error('❌ Error rotating webhook secret:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+// POST /api/admin/webhooks/:id/test - Gửi event webhook.test và trả về kết quả
+router.post('/:id/test', requirePermission('webhooks:write'), async (req, res) => {
+    try {
+        const endpoint = await findEndpoint(req.params.id);
+        if (!endpoint) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy webhook' });
+        }
+        const delivery = await Webhooks.sendTest(endpoint);
+        res.json({ success: delivery.status === 'delivered', delivery });
+    } catch (error) {
+        console.error('❌ Error sending test webhook:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ' });
+    }
+});
+
+module.exports = router;
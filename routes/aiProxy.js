@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateUser } = require('../middleware/adminAuth');
-const rateLimit = require('express-rate-limit');
+const { keyRateLimit } = require('../middleware/keyRateLimit');
+const AIBilling = require('../services/aiBilling');
+const { validateUserKey } = require('../utils/keyValidation');
+const Settings = require('../models/Settings');
+const providers = require('../services/providers');
+const AIDispatcher = require('../services/aiDispatcher');
+const AIFallback = require('../services/aiFallback');
 
 // Import logging models (create simplified versions if they don't exist)
 let ApiRequestLog, ApiProvider;
@@ -12,22 +18,18 @@ try {
   console.log('⚠️ Logging models not found, statistics will be disabled');
 }
 
-// Rate limiting cho AI requests
-const aiRequestLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 phút
-  max: 100, // Giới hạn 100 requests per windowMs per IP
-  message: {
-    success: false,
-    message: 'Too many AI requests, please try again later'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// GET /ai/providers - Lấy danh sách provider đang bật
+// GET /ai/providers - Lấy danh sách provider đang bật (đã đăng ký adapter và có API key)
 router.get('/providers', async (req, res) => {
   try {
-    const activeProviders = await aiKeyManager.getActiveProviders();
+    const providerRecords = ApiProvider ? await ApiProvider.find({ 'apiKeys.0': { $exists: true } }).lean() : [];
+    const activeProviders = providerRecords
+      .map(record => providers.getAdapter(record.name))
+      .filter(adapter => adapter && (adapter.capabilities.text || adapter.capabilities.image))
+      .map(adapter => ({
+        name: adapter.name,
+        capabilities: adapter.capabilities,
+        defaultModel: adapter.defaultModel
+      }));
     
     res.json({
       success: true,
@@ -46,23 +48,35 @@ router.get('/providers', async (req, res) => {
 });
 
 // POST /ai/generate - Proxy AI text generation
-router.post('/generate', aiRequestLimiter, async (req, res) => {
+// Xác thực bằng session token (authenticateUser), giới hạn theo user key (keyRateLimit)
+router.post('/generate', authenticateUser, keyRateLimit, async (req, res) => {
+  let reservation = null;
   try {
     const { prompt, systemInstruction, provider, model, useGoogleSearch, options } = req.body;
-    const userId = req.headers.authorization?.split(' ')[1]; // Lấy user key từ authorization header
+    const userId = req.userKeyDoc.key; // User key của session token (authenticateUser)
 
     // Validate input
-    if (!userId) {
-      return res.status(401).json({
+    if (!prompt || !provider) {
+      return res.status(400).json({
         success: false,
-        message: 'Authorization header is required'
+        message: 'Prompt and provider are required'
       });
     }
 
-    if (!prompt || !provider) {
+    // Kiểm tra key còn hiệu lực giống /api/keys/validate (khóa, hết hạn, hết credit)
+    const keyCheck = await validateUserKey(userId);
+    if (!keyCheck.valid) {
+      return res.status(keyCheck.status).json({
+        success: false,
+        message: keyCheck.message
+      });
+    }
+
+    const adapter = providers.getAdapter(provider);
+    if (!adapter || !adapter.capabilities.text) {
       return res.status(400).json({
         success: false,
-        message: 'Prompt and provider are required'
+        message: `Unsupported provider: ${provider}`
       });
     }
 
@@ -87,143 +101,146 @@ router.post('/generate', aiRequestLimiter, async (req, res) => {
       });
     }
 
-    // TODO: Trừ credit trước khi gọi AI
-    // const creditResult = await consumeCredit(userId, 1);
-    // if (!creditResult.success) {
-    //   return res.status(402).json({
-    //     success: false,
-    //     message: creditResult.message
-    //   });
-    // }
-
-    // Lấy API key từ database (sử dụng key đầu tiên)
-    const apiKey = providerRecord.apiKeys[0];
-
-    // Gọi AI provider tương ứng
-    let result;
+    // Giữ credit theo ước lượng token (prompt + maxOutputTokens), quyết toán theo usage thực tế
+    let maxOutputTokens = Number(options?.maxOutputTokens) ||
+      await Settings.getSetting('aiMaxOutputTokens', 32768);
+    const billedModel = adapter.resolveModel(model);
     try {
-      switch (provider.toLowerCase()) {
-        case 'gemini':
-          result = await callGeminiAPI(prompt, systemInstruction, apiKey, useGoogleSearch, options);
-          break;
-        case 'openai':
-          result = await callOpenAIAPI(prompt, systemInstruction, apiKey, model, options);
-          break;
-        case 'deepseek':
-          result = await callDeepSeekAPI(prompt, systemInstruction, apiKey, model, options);
-          break;
-        default:
-          return res.status(400).json({
-            success: false,
-            message: `Unsupported provider: ${provider}`
-          });
+      reservation = await AIBilling.authorize(keyCheck.keyDoc, {
+        provider: provider.toLowerCase(),
+        model: billedModel,
+        promptText: `${systemInstruction || ''}${prompt}`,
+        maxOutputTokens
+      });
+      // Số dư không đủ cho maxOutputTokens yêu cầu: giới hạn độ dài trả lời theo số dư
+      if (reservation.maxOutputTokens) {
+        maxOutputTokens = reservation.maxOutputTokens;
       }
-
-      // Log request thành công
-      console.log(`AI request successful - User: ${userId}, Provider: ${provider}, Prompt length: ${prompt.length}`);
-
-      // Log to database for statistics
-      try {
-        await logApiRequest({
-          provider,
-          userId,
-          promptLength: prompt.length,
-          responseLength: result.text ? result.text.length : 0,
-          tokenUsage: result.usage || {},
-          success: true,
-          retries: 0,
-          requestType: 'text'
+    } catch (creditError) {
+      if (creditError.code === 'INSUFFICIENT_CREDIT') {
+        return res.status(402).json({
+          success: false,
+          message: 'Không đủ credit!'
         });
-      } catch (logError) {
-        console.error('Error logging request:', logError);
-        // Don't fail the request if logging fails
       }
+      throw creditError;
+    }
 
-      res.json({
-        success: true,
-        text: result.text,
-        usage: result.usage || null
+    // Streaming mode (SSE): stream=true hoặc Accept: text/event-stream
+    if (req.body.stream === true || req.accepts(['json', 'text/event-stream']) === 'text/event-stream') {
+      if (!adapter.capabilities.stream) {
+        await AIBilling.refund(reservation, `Streaming not supported (${provider})`);
+        return res.status(400).json({
+          success: false,
+          message: `Provider ${provider} does not support streaming`
+        });
+      }
+      return streamTextGeneration(req, res, {
+        userId,
+        adapter,
+        model: billedModel,
+        maxOutputTokens,
+        reservation,
+        chain: await AIFallback.getChain(adapter.name, 'text', 'stream')
       });
+    }
 
+    // Gọi provider theo chuỗi fallback (key lấy từ pool, request đi qua proxy của key)
+    const chain = await AIFallback.getChain(adapter.name, 'text');
+    let run;
+    try {
+      run = await AIFallback.run(chain, async (providerName) => {
+        const { result } = await AIDispatcher.call(providerName, 'generateText', {
+          prompt,
+          systemInstruction,
+          model: modelFor(providerName, adapter, billedModel),
+          options,
+          maxOutputTokens,
+          useGoogleSearch
+        });
+        return result;
+      });
     } catch (aiError) {
       console.error(`AI API error - Provider: ${provider}, Error:`, aiError);
-      
-      // ✅ AUTOMATIC FALLBACK: If Gemini fails with quota/rate limit, try DeepSeek
-      const errorMsg = aiError.message.toLowerCase();
-      const isQuotaError = errorMsg.includes('429') || 
-                          errorMsg.includes('too many requests') || 
-                          errorMsg.includes('quota') || 
-                          errorMsg.includes('rate limit');
-      
-      if (provider.toLowerCase() === 'gemini' && isQuotaError) {
-        console.log('🔄 Gemini quota exceeded, attempting DeepSeek fallback...');
-        
-        try {
-          // Check if DeepSeek is available
-          const deepseekProvider = await ApiProvider.findOne({ name: { $regex: new RegExp('^deepseek$', 'i') } });
-          if (deepseekProvider && deepseekProvider.apiKeys && deepseekProvider.apiKeys.length > 0) {
-            const deepseekKey = deepseekProvider.apiKeys[0];
-            console.log('🚀 Using DeepSeek as fallback provider');
-            
-            const fallbackResult = await callDeepSeekAPI(prompt, systemInstruction, deepseekKey, model, options);
-            
-            // Log successful fallback
-            try {
-              await logApiRequest({
-                provider: 'deepseek-fallback',
-                userId,
-                promptLength: prompt.length,
-                responseLength: fallbackResult.text ? fallbackResult.text.length : 0,
-                tokenUsage: fallbackResult.usage || {},
-                success: true,
-                retries: 1,
-                requestType: 'text'
-              });
-            } catch (logError) {
-              console.error('Error logging fallback request:', logError);
-            }
-            
-            return res.json({
-              success: true,
-              text: fallbackResult.text,
-              usage: fallbackResult.usage || null,
-              fallback: 'deepseek' // Indicate this was a fallback
-            });
-          }
-        } catch (fallbackError) {
-          console.error('❌ DeepSeek fallback also failed:', fallbackError);
-          // Continue to log original error and respond with failure
-        }
-      }
-      
+      const attempts = aiError.attempts || [];
+
       // Log failed request to database
       try {
         await logApiRequest({
-          provider,
+          provider: adapter.name,
           userId,
           promptLength: prompt.length,
           responseLength: 0,
           tokenUsage: {},
+          model: billedModel,
+          creditsCharged: 0,
           success: false,
           error: aiError.message,
-          retries: 0,
+          retries: Math.max(attempts.length - 1, 0),
+          attempts,
           requestType: 'text'
         });
       } catch (logError) {
         console.error('Error logging failed request:', logError);
       }
       
-      // TODO: Hoàn trả credit nếu có lỗi
-      // await refundCredit(userId, 1);
+      const remainingCredits = await AIBilling.refund(reservation, `AI generation failed (${provider})`);
 
-      res.status(500).json({
+      return res.status(500).json({
         success: false,
-        message: `AI generation failed: ${aiError.message}`
+        message: `AI generation failed: ${aiError.message}`,
+        attempts,
+        remainingCredits
       });
     }
 
+    const { result, provider: servedBy, attempts } = run;
+    const servedModel = modelFor(servedBy, adapter, billedModel);
+
+    // Log request thành công
+    console.log(`AI request successful - User: ${userId}, Provider: ${servedBy}, Prompt length: ${prompt.length}`);
+
+    const settlement = await AIBilling.settle(reservation, {
+      provider: servedBy,
+      model: servedModel,
+      usage: result.usage,
+      text: result.text
+    });
+
+    // Log to database for statistics
+    try {
+      await logApiRequest({
+        provider: servedBy,
+        userId,
+        promptLength: prompt.length,
+        responseLength: result.text ? result.text.length : 0,
+        tokenUsage: result.usage || {},
+        model: servedModel,
+        creditsCharged: settlement.charged,
+        success: true,
+        retries: attempts.length - 1,
+        attempts,
+        requestType: 'text'
+      });
+    } catch (logError) {
+      console.error('Error logging request:', logError);
+      // Don't fail the request if logging fails
+    }
+
+    res.json({
+      success: true,
+      text: result.text,
+      usage: result.usage || null,
+      provider: servedBy,
+      ...(servedBy !== adapter.name ? { fallback: servedBy } : {}),
+      attempts,
+      creditsCharged: settlement.charged,
+      remainingCredits: settlement.balance
+    });
+
   } catch (error) {
     console.error('Error in AI proxy:', error);
+    await AIBilling.refund(reservation, 'AI proxy internal error');
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -232,29 +249,32 @@ router.post('/generate', aiRequestLimiter, async (req, res) => {
 });
 
 // POST /ai/generate-image - Proxy AI image generation
-router.post('/generate-image', aiRequestLimiter, async (req, res) => {
+router.post('/generate-image', authenticateUser, keyRateLimit, async (req, res) => {
+  let reservation = null;
   try {
     const { prompt, aspectRatio, provider } = req.body;
-    const userId = req.headers.authorization?.split(' ')[1]; // Lấy user key từ authorization header
+    const userId = req.userKeyDoc.key; // User key của session token (authenticateUser)
 
     // Validate input
-    if (!userId) {
-      return res.status(401).json({
+    if (!prompt || !provider) {
+      return res.status(400).json({
         success: false,
-        message: 'Authorization header is required'
+        message: 'Prompt and provider are required'
       });
     }
 
-    if (!prompt || !provider) {
-      return res.status(400).json({
+    // Kiểm tra key còn hiệu lực giống /api/keys/validate (khóa, hết hạn, hết credit)
+    const keyCheck = await validateUserKey(userId);
+    if (!keyCheck.valid) {
+      return res.status(keyCheck.status).json({
         success: false,
-        message: 'Prompt and provider are required'
+        message: keyCheck.message
       });
     }
 
     // Kiểm tra provider có hỗ trợ image generation không
-    const imageProviders = ['gemini', 'stability'];
-    if (!imageProviders.includes(provider.toLowerCase())) {
+    const adapter = providers.getAdapter(provider);
+    if (!adapter || !adapter.capabilities.image) {
       return res.status(400).json({
         success: false,
         message: `Provider ${provider} does not support image generation`
@@ -282,57 +302,85 @@ router.post('/generate-image', aiRequestLimiter, async (req, res) => {
       });
     }
 
-    // TODO: Trừ credit cho image generation (thường cao hơn text)
-    // const creditResult = await consumeCredit(userId, 2);
-    // if (!creditResult.success) {
-    //   return res.status(402).json({
-    //     success: false,
-    //     message: creditResult.message
-    //   });
-    // }
-
-    // Lấy API key từ database (sử dụng key đầu tiên)
-    const apiKey = providerRecord.apiKeys[0];
-
-    // Gọi AI provider cho image generation
-    let result;
+    // Giữ credit cho image generation (giá cấu hình riêng, thường cao hơn text)
     try {
-      switch (provider.toLowerCase()) {
-        case 'gemini':
-          result = await callGeminiImageAPI(prompt, aspectRatio, apiKey);
-          break;
-        case 'stability':
-          result = await callStabilityImageAPI(prompt, aspectRatio, apiKey);
-          break;
-        default:
-          return res.status(400).json({
-            success: false,
-            message: `Unsupported image provider: ${provider}`
-          });
+      reservation = await AIBilling.reserve(keyCheck.keyDoc, { provider, requestType: 'image' });
+    } catch (creditError) {
+      if (creditError.code === 'INSUFFICIENT_CREDIT') {
+        return res.status(402).json({
+          success: false,
+          message: 'Không đủ credit!'
+        });
       }
+      throw creditError;
+    }
+
+    // Gọi provider theo chuỗi fallback (key lấy từ pool, request đi qua proxy của key)
+    const chain = await AIFallback.getChain(adapter.name, 'image');
+    try {
+      const { result, provider: servedBy, attempts } = await AIFallback.run(chain, async (providerName) => {
+        const { result } = await AIDispatcher.call(providerName, 'generateImage', { prompt, aspectRatio });
+        return result;
+      });
 
       // Log request thành công
-      console.log(`Image generation successful - User: ${userId}, Provider: ${provider}`);
+      console.log(`Image generation successful - User: ${userId}, Provider: ${servedBy}`);
+
+      await logApiRequest({
+        provider: servedBy,
+        userId,
+        promptLength: prompt.length,
+        responseLength: 0,
+        model: providers.getAdapter(servedBy).imageModel || null,
+        creditsCharged: reservation.amount,
+        success: true,
+        retries: attempts.length - 1,
+        attempts,
+        requestType: 'image'
+      });
 
       res.json({
         success: true,
-        imageData: result.imageData
+        imageData: result.imageData,
+        provider: servedBy,
+        ...(servedBy !== adapter.name ? { fallback: servedBy } : {}),
+        attempts,
+        creditsCharged: reservation.amount,
+        remainingCredits: reservation.balance
       });
 
     } catch (aiError) {
       console.error(`Image API error - Provider: ${provider}, Error:`, aiError);
+      const attempts = aiError.attempts || [];
       
-      // TODO: Hoàn trả credit nếu có lỗi
-      // await refundCredit(userId, 2);
+      const remainingCredits = await AIBilling.refund(reservation, `Image generation failed (${provider})`);
+
+      // Credit đã được hoàn: log với creditsCharged 0
+      await logApiRequest({
+        provider: adapter.name,
+        userId,
+        promptLength: prompt.length,
+        responseLength: 0,
+        model: adapter.imageModel || null,
+        creditsCharged: 0,
+        success: false,
+        error: aiError.message,
+        retries: Math.max(attempts.length - 1, 0),
+        attempts,
+        requestType: 'image'
+      });
 
       res.status(500).json({
         success: false,
-        message: `Image generation failed: ${aiError.message}`
+        message: `Image generation failed: ${aiError.message}`,
+        attempts,
+        remainingCredits
       });
     }
 
   } catch (error) {
     console.error('Error in image proxy:', error);
+    await AIBilling.refund(reservation, 'Image proxy internal error');
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -340,158 +388,146 @@ router.post('/generate-image', aiRequestLimiter, async (req, res) => {
   }
 });
 
-// Helper functions để gọi các AI provider
-async function callGeminiAPI(prompt, systemInstruction, apiKey, useGoogleSearch, options) {
-  const { GoogleGenerativeAI } = require('@google/generative-ai');
-  const genAI = new GoogleGenerativeAI(apiKey);
-  
-  // ✅ Fix: Sử dụng Gemini 1.5 Flash stable (tương tự index.js)
-  const model = genAI.getGenerativeModel({ 
-    model: "gemini-1.5-flash",
-    generationConfig: {
-      maxOutputTokens: 32768,
-      temperature: 0.7,
-      topP: 0.8,
-      topK: 40
-    }
-  });
-
-  // ✅ Fix: Sử dụng generateContent API như trong index.js
-  const result = await model.generateContent(prompt);
-  
-  let responseText = result.response.text();
-  
-  // ✅ Fix: Xử lý JSON parsing như frontend nếu cần
-  if (options && options.useJsonOutput) {
-    let jsonStr = responseText.trim();
-    const fenceRegex = /^```(\w*)?\s*\n?(.*?)\n?\s*```$/s;
-    const match = jsonStr.match(fenceRegex);
-    if (match && match[2]) {
-      jsonStr = match[2].trim();
-    }
-    responseText = jsonStr;
-  }
-  
-  return {
-    text: responseText,
-    usage: {
-      promptTokens: result.usageMetadata?.promptTokenCount || 0,
-      completionTokens: result.usageMetadata?.candidatesTokenCount || 0,
-      totalTokens: result.usageMetadata?.totalTokenCount || 0
-    }
-  };
+// Gửi một SSE event
+function writeSSE(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
-async function callOpenAIAPI(prompt, systemInstruction, apiKey, model = 'gpt-3.5-turbo', options) {
-  const OpenAI = require('openai');
-  const openai = new OpenAI({ apiKey });
+// Model gửi cho provider: model client chọn chỉ áp dụng cho provider chính,
+// provider fallback dùng model mặc định của nó
+function modelFor(providerName, primaryAdapter, primaryModel) {
+  return providerName === primaryAdapter.name
+    ? primaryModel
+    : providers.getAdapter(providerName).defaultModel;
+}
 
-  const messages = [];
-  if (systemInstruction) {
-    messages.push({ role: 'system', content: systemInstruction });
-  }
-  messages.push({ role: 'user', content: prompt });
+/**
+ * Stream text generation qua SSE.
+ * Events: `token` ({ text }), `done` ({ usage, provider, attempts, creditsCharged, remainingCredits }), `error` ({ message, attempts }).
+ * Chỉ fallback sang provider khác khi chưa có token nào được gửi cho client.
+ * Nếu client ngắt kết nối giữa chừng: hủy request tới provider, tính credit theo phần đã sinh ra.
+ * Nếu provider lỗi: hoàn lại toàn bộ credit đã giữ.
+ */
+async function streamTextGeneration(req, res, { userId, adapter, model, maxOutputTokens, reservation, chain }) {
+  const { prompt, systemInstruction, options } = req.body;
+  const controller = new AbortController();
+  let clientDisconnected = false;
+  let streamedText = '';
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientDisconnected = true;
+      controller.abort();
+      console.log(`🔌 Client disconnected mid-stream - User: ${userId.slice(0, 8)}..., Provider: ${adapter.name}`);
+    }
+  });
 
-  const completion = await openai.chat.completions.create({
-    model,
-    messages,
-    ...options
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
   });
+  res.flushHeaders();
 
-  return {
-    text: completion.choices[0].message.content,
-    usage: completion.usage
+  const onToken = (text) => {
+    if (!text || clientDisconnected) return;
+    streamedText += text;
+    writeSSE(res, 'token', { text });
   };
-}
 
-async function callDeepSeekAPI(prompt, systemInstruction, apiKey, model = 'deepseek-chat', options) {
-  const messages = [];
-  if (systemInstruction) {
-    messages.push({ role: 'system', content: systemInstruction });
+  let run = null;
+  let streamError = null;
+
+  try {
+    run = await AIFallback.run(chain, async (providerName) => {
+      try {
+        const { result } = await AIDispatcher.call(providerName, 'streamText', {
+          prompt,
+          systemInstruction,
+          model: modelFor(providerName, adapter, model),
+          options,
+          maxOutputTokens,
+          signal: controller.signal
+        }, onToken);
+        return result;
+      } catch (error) {
+        // Client đã nhận token (hoặc đã ngắt) thì không thể chuyển provider giữa chừng
+        if (streamedText || clientDisconnected) {
+          error.noFallback = true;
+        }
+        throw error;
+      }
+    });
+  } catch (error) {
+    streamError = error;
   }
-  messages.push({ role: 'user', content: prompt });
-
-  const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model,
-      messages,
-      ...options
-    })
-  });
 
-  if (!response.ok) {
-    throw new Error(`DeepSeek API error: ${response.statusText}`);
+  const attempts = run ? run.attempts : (streamError.attempts || []);
+  const provider = attempts.length > 0 ? attempts[attempts.length - 1].provider : adapter.name;
+  const servedModel = modelFor(provider, adapter, model);
+  const usage = run ? run.result : null;
+  const promptText = `${systemInstruction || ''}${prompt}`;
+
+  // Provider lỗi (không phải do client hủy): hoàn credit, báo lỗi
+  if (streamError && !clientDisconnected) {
+    console.error(`AI stream error - Provider: ${provider}, Error:`, streamError);
+    const remainingCredits = await AIBilling.refund(reservation, `AI stream failed (${provider})`);
+    await logApiRequest({
+      provider,
+      userId,
+      model: servedModel,
+      creditsCharged: 0,
+      promptLength: prompt.length,
+      responseLength: streamedText.length,
+      tokenUsage: {},
+      success: false,
+      error: streamError.message,
+      retries: Math.max(attempts.length - 1, 0),
+      attempts,
+      requestType: 'text'
+    });
+    writeSSE(res, 'error', { message: `AI generation failed: ${streamError.message}`, attempts, remainingCredits });
+    return res.end();
   }
 
-  const data = await response.json();
-  
-  return {
-    text: data.choices[0].message.content,
-    usage: data.usage
+  // Client ngắt giữa chừng thì provider không trả usage, ước lượng từ phần đã sinh
+  const finalUsage = usage && usage.totalTokens > 0 ? usage : {
+    promptTokens: AIBilling.estimateTokens(promptText),
+    completionTokens: AIBilling.estimateTokens(streamedText),
+    totalTokens: AIBilling.estimateTokens(promptText) + AIBilling.estimateTokens(streamedText)
   };
-}
-
-async function callGeminiImageAPI(prompt, aspectRatio, apiKey) {
-  const { GoogleGenerativeAI } = require('@google/generative-ai');
-  const genAI = new GoogleGenerativeAI(apiKey);
-  
-  // ✅ Fix: Sử dụng model mới cho image generation
-  const MODEL_IMAGE = "gemini-ultra";
-  
-  const response = await genAI.models.generateImages({
-    model: MODEL_IMAGE,
-    prompt: prompt, // Use the direct prompt from the user
-    config: { 
-      numberOfImages: 1, 
-      outputMimeType: 'image/png',
-      aspectRatio: aspectRatio // Pass aspectRatio directly in config
-    }
+  const settlement = await AIBilling.settle(reservation, { provider, model: servedModel, usage: finalUsage, text: streamedText });
+
+  await logApiRequest({
+    provider,
+    userId,
+    model: servedModel,
+    creditsCharged: settlement.charged,
+    promptLength: prompt.length,
+    responseLength: streamedText.length,
+    tokenUsage: finalUsage,
+    success: !clientDisconnected,
+    error: clientDisconnected ? 'Client disconnected mid-stream' : null,
+    retries: Math.max(attempts.length - 1, 0),
+    attempts,
+    requestType: 'text'
   });
 
-  if (response.generatedImages && response.generatedImages.length > 0 && response.generatedImages[0].image?.imageBytes) {
-    return {
-      imageData: response.generatedImages[0].image.imageBytes
-    };
-  } else {
-    throw new Error('No image data received from Gemini API');
+  if (clientDisconnected) {
+    return;
   }
-}
 
-async function callStabilityImageAPI(prompt, aspectRatio, apiKey) {
-  const response = await fetch('https://api.stability.ai/v1/generation/stable-diffusion-xl-1024-v1-0/text-to-image', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      text_prompts: [{ text: prompt }],
-      cfg_scale: 7,
-      height: aspectRatio === '16:9' ? 576 : 1024,
-      width: aspectRatio === '16:9' ? 1024 : 1024,
-      samples: 1,
-      steps: 30
-    })
+  console.log(`AI stream successful - User: ${userId}, Provider: ${provider}, Response length: ${streamedText.length}`);
+  writeSSE(res, 'done', {
+    usage: finalUsage,
+    provider,
+    attempts,
+    creditsCharged: settlement.charged,
+    remainingCredits: settlement.balance
   });
-
-  if (!response.ok) {
-    throw new Error(`Stability API error: ${response.statusText}`);
-  }
-
-  const data = await response.json();
-  
-  if (data.artifacts && data.artifacts.length > 0) {
-    return {
-      imageData: data.artifacts[0].base64
-    };
-  } else {
-    throw new Error('No image data received from Stability API');
-  }
+  res.end();
 }
 
 // Helper function to log API requests (optional if models exist)
@@ -502,6 +538,8 @@ async function logApiRequest(logData) {
     const requestLog = new ApiRequestLog({
       provider: logData.provider,
       userId: logData.userId,
+      model: logData.model || null,
+      creditsCharged: logData.creditsCharged || 0,
       promptLength: logData.promptLength || 0,
       responseLength: logData.responseLength || 0,
       tokenUsage: {
@@ -512,6 +550,7 @@ async function logApiRequest(logData) {
       success: logData.success,
       error: logData.error || null,
       retries: logData.retries || 0,
+      attempts: logData.attempts || [],
       requestType: logData.requestType || 'text'
     });
 
@@ -520,10 +559,11 @@ async function logApiRequest(logData) {
     // Also update provider statistics
     if (logData.success) {
       await ApiProvider.findOneAndUpdate(
-        { name: logData.provider },
+        { name: { $regex: new RegExp(`^${logData.provider}$`, 'i') } },
         { 
           $inc: { totalRequests: 1 },
-          lastChecked: new Date()
+          $set: { lastChecked: new Date() },
+          $setOnInsert: { name: logData.provider }
         },
         { upsert: true }
       );
@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/adminAuth');
+const AuditLog = require('../models/AuditLog');
+const { toCsv } = require('../utils/csv');
+const { escapeRegex, parsePagination, buildPagination, parseDate } = require('../utils/query');
+
+const CSV_EXPORT_LIMIT = 10000;
+const CSV_COLUMNS = ['timestamp', 'actor', 'actorId', 'actorRole', 'action', 'targetType', 'targetId', 'ip', 'details', 'changes'];
+
+/**
+ * Filter từ query: actor (username hoặc id), action (nhiều giá trị cách nhau bởi dấu phẩy),
+ * targetType, targetId, from, to (ISO date)
+ */
+const buildFilter = (query) => {
+    const filter = {};
+    if (query.actor) {
+        filter.$or = [
+            { actorId: query.actor },
+            { actor: { $regex: `^${escapeRegex(query.actor)}$`, $options: 'i' } }
+        ];
+    }
+    if (query.action) {
+        const actions = String(query.action).split(',').map(action => action.trim().toUpperCase()).filter(Boolean);
+        filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+    }
+    if (query.targetType) {
+        filter.targetType = query.targetType;
+    }
+    if (query.targetId) {
+        filter.targetId = query.targetId;
+    }
+    const from = parseDate(query.from);
+    const to = parseDate(query.to);
+    if (from === null || to === null) {
+        return null;
+    }
+    if (from || to) {
+        filter.timestamp = {};
+        if (from) filter.timestamp.$gte = from;
+        if (to) filter.timestamp.$lte = to;
+    }
+    return filter;
+};
+
+// GET /api/audit-log - Tra cứu audit log (filter, phân trang, ?format=csv để xuất CSV)
+router.get('/', requirePermission('audit:read'), async (req, res) => {
+    try {
+        const filter = buildFilter(req.query);
+        if (!filter) {
+            return res.status(400).json({ success: false, message: 'Invalid from/to date' });
+        }
+
+        if (req.query.format === 'csv') {
+            const logs = await AuditLog.find(filter).sort({ timestamp: -1 }).limit(CSV_EXPORT_LIMIT).lean();
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+            return res.send(toCsv(logs, CSV_COLUMNS));
+        }
+
+        const pagination = parsePagination(req.query);
+        const [logs, total] = await Promise.all([
+            AuditLog.find(filter)
+                .sort({ timestamp: -1, _id: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .lean(),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            logs,
+            pagination: buildPagination(pagination, total)
+        });
+    } catch (error) {
+        console.error('❌ Error loading audit logs:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch audit logs' });
+    }
+});
+
+module.exports = router;
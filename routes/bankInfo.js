@@ -1,6 +1,24 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/adminAuth');
 const BankInfo = require('../models/BankInfo');
+const { createAuditLog } = require('../utils/auditLogger');
+const vietQR = require('../utils/vietQR');
+
+// Thông tin ngân hàng trả về client, kèm BIN dùng cho VietQR (null nếu không nhận ra ngân hàng)
+const toPublicBankInfo = (bankInfo) => {
+    const bank = vietQR.findBank(bankInfo.bankBin || bankInfo.bankName);
+    return {
+        _id: bankInfo._id,
+        bankName: bankInfo.bankName,
+        bankBin: bank ? bank.bin : null,
+        accountNumber: bankInfo.accountNumber,
+        accountName: bankInfo.accountName,
+        branchName: bankInfo.branchName,
+        note: bankInfo.note,
+        updatedAt: bankInfo.updatedAt
+    };
+};
 
 // GET /api/bank-info - Get active bank info
 router.get('/', async (req, res) => {
@@ -13,6 +31,7 @@ router.get('/', async (req, res) => {
                 success: true,
                 bankInfo: {
                     bankName: 'Vietcombank',
+                    bankBin: '970436',
                     accountNumber: '0123456789',
                     accountName: 'NGUYEN VAN A',
                     branchName: 'CN Ho Chi Minh'
@@ -22,15 +41,7 @@ router.get('/', async (req, res) => {
 
         res.json({
             success: true,
-            bankInfo: {
-                _id: bankInfo._id,
-                bankName: bankInfo.bankName,
-                accountNumber: bankInfo.accountNumber,
-                accountName: bankInfo.accountName,
-                branchName: bankInfo.branchName,
-                note: bankInfo.note,
-                updatedAt: bankInfo.updatedAt
-            }
+            bankInfo: toPublicBankInfo(bankInfo)
         });
 
     } catch (error) {
@@ -43,9 +54,9 @@ router.get('/', async (req, res) => {
 });
 
 // POST /api/bank-info - Create or update bank info (Admin only)
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('bank:write'), async (req, res) => {
     try {
-        const { bankName, accountNumber, accountName, branchName, note } = req.body;
+        const { bankName, accountNumber, accountName, branchName, note, bankBin } = req.body;
 
         // Validation
         if (!bankName || !accountNumber || !accountName) {
@@ -55,8 +66,19 @@ router.post('/', async (req, res) => {
             });
         }
 
+        if (bankBin && !/^\d{6}$/.test(String(bankBin))) {
+            return res.status(400).json({
+                success: false,
+                error: 'bankBin must be a 6-digit NAPAS bank BIN'
+            });
+        }
+        if (!bankBin && !vietQR.findBank(bankName)) {
+            console.warn(`⚠️ Bank "${bankName}" has no known BIN, VietQR will be unavailable until bankBin is set`);
+        }
+
         // Check if bank info already exists
         let bankInfo = await BankInfo.getActiveBankInfo();
+        const before = bankInfo ? bankInfo.toObject() : {};
         
         if (bankInfo) {
             // Update existing
@@ -64,6 +86,7 @@ router.post('/', async (req, res) => {
             bankInfo.accountNumber = accountNumber;
             bankInfo.accountName = accountName;
             bankInfo.branchName = branchName || bankInfo.branchName;
+            bankInfo.bankBin = bankBin ? String(bankBin) : null;
             bankInfo.note = note || '';
             await bankInfo.save();
         } else {
@@ -74,24 +97,26 @@ router.post('/', async (req, res) => {
                 accountNumber,
                 accountName,
                 branchName: branchName || 'CN Ho Chi Minh',
+                bankBin: bankBin ? String(bankBin) : null,
                 note: note || '',
                 isActive: true
             });
             await bankInfo.save();
         }
 
+        await createAuditLog({
+            req,
+            action: 'UPDATE_BANK_INFO',
+            details: `Bank info set to ${bankInfo.bankName} ${bankInfo.accountNumber} (${bankInfo.accountName}).`,
+            target: { type: 'bank_info', id: bankInfo._id },
+            before,
+            after: bankInfo
+        });
+
         res.json({
             success: true,
             message: 'Bank info updated successfully',
-            bankInfo: {
-                _id: bankInfo._id,
-                bankName: bankInfo.bankName,
-                accountNumber: bankInfo.accountNumber,
-                accountName: bankInfo.accountName,
-                branchName: bankInfo.branchName,
-                note: bankInfo.note,
-                updatedAt: bankInfo.updatedAt
-            }
+            bankInfo: toPublicBankInfo(bankInfo)
         });
 
     } catch (error) {
@@ -103,8 +128,16 @@ router.post('/', async (req, res) => {
     }
 });
 
+// GET /api/bank-info/banks - Ngân hàng hỗ trợ VietQR (tên, mã, BIN)
+router.get('/banks', (req, res) => {
+    res.json({
+        success: true,
+        banks: vietQR.BANKS.map(({ bin, code, name }) => ({ bin, code, name }))
+    });
+});
+
 // GET /api/bank-info/admin - Get all bank info (Admin only)
-router.get('/admin', async (req, res) => {
+router.get('/admin', requirePermission('bank:read'), async (req, res) => {
     try {
         const bankInfos = await BankInfo.find().sort({ updatedAt: -1 });
         
@@ -1,10 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const Key = require('../models/Key');
+const CreditLedger = require('../services/creditLedger');
+const SessionTokens = require('../services/sessionTokens');
+const KeyActivations = require('../services/keyActivations');
+const KeyUsage = require('../services/keyUsage');
+const Subscriptions = require('../services/subscriptions');
+const CreditLots = require('../services/creditLots');
+const { authenticateUser } = require('../middleware/adminAuth');
+const { validateUserKey } = require('../utils/keyValidation');
+const { createAuditLog } = require('../utils/auditLogger');
 
 // Validate key thực tế
 router.post('/validate', async (req, res) => {
-  const { key } = req.body;
+  const { key, fingerprint, deviceName } = req.body;
   console.log('--- YÊU CẦU XÁC THỰC KEY ---');
   console.log('Key nhận được từ frontend:', key);
 
@@ -13,29 +22,186 @@ router.post('/validate', async (req, res) => {
   }
 
   try {
-    const foundKey = await Key.findOne({ key: key.trim() });
+    const { valid, keyDoc: foundKey, message } = await validateUserKey(key);
     console.log('Kết quả tìm thấy trong DB:', foundKey);
 
-    if (!foundKey) {
-      return res.json({ success: false, message: 'Key không tồn tại!' });
-    }
-    if (!foundKey.isActive) {
-      return res.json({ success: false, message: 'Key đã bị khóa!' });
+    if (!valid) {
+      return res.json({ success: false, message });
     }
-    if (foundKey.expiredAt && new Date(foundKey.expiredAt) < new Date()) {
-      return res.json({ success: false, message: 'Key đã hết hạn!' });
-    }
-    if (foundKey.credit <= 0) {
-      return res.json({ success: false, message: 'Key đã hết credit!' });
+
+    // Gắn key với thiết bị, từ chối khi vượt maxActivations
+    let registration;
+    try {
+      registration = await KeyActivations.register(foundKey, {
+        fingerprint,
+        deviceName,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_FINGERPRINT') {
+        return res.json({ success: false, code: error.code, message: 'Thiếu hoặc sai mã thiết bị (fingerprint)!' });
+      }
+      if (error.code === 'MAX_ACTIVATIONS') {
+        return res.json({
+          success: false,
+          code: error.code,
+          message: `Key đã kích hoạt trên tối đa ${foundKey.maxActivations} thiết bị. Hãy gỡ một thiết bị cũ để tiếp tục.`,
+          devices: await KeyActivations.list(foundKey._id)
+        });
+      }
+      throw error;
     }
 
-    res.json({ success: true, message: 'Key hợp lệ', keyInfo: { key: foundKey.key, credit: foundKey.credit, expiredAt: foundKey.expiredAt } });
+    // Session token dùng cho /api/ai thay cho raw key
+    const session = await SessionTokens.issue(foundKey, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      activationId: registration.activation._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Key hợp lệ',
+      keyInfo: { key: foundKey.key, credit: foundKey.credit, expiredAt: foundKey.expiredAt },
+      plan: Subscriptions.toPublic(foundKey),
+      balance: await CreditLots.getBreakdown(foundKey),
+      activation: {
+        deviceId: registration.activation._id,
+        isNewDevice: registration.isNew,
+        activationsUsed: registration.activationsUsed,
+        maxActivations: registration.maxActivations
+      },
+      session
+    });
   } catch (error) {
     console.error('Lỗi khi xác thực key:', error);
     res.status(500).json({ success: false, message: 'Lỗi server khi xác thực key.' });
   }
 });
 
+// Đổi refresh token lấy access token mới (refresh token cũ hết hiệu lực)
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, message: 'Thiếu refresh token!' });
+  }
+
+  try {
+    const { keyDoc, tokens } = await SessionTokens.refresh(refreshToken);
+    res.json({
+      success: true,
+      keyInfo: { key: keyDoc.key, credit: keyDoc.credit, expiredAt: keyDoc.expiredAt },
+      session: tokens
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_REFRESH_TOKEN') {
+      return res.status(401).json({ success: false, code: error.code, message: 'Phiên đăng nhập không hợp lệ hoặc đã hết hạn!' });
+    }
+    if (error.code === 'KEY_INACTIVE') {
+      return res.status(403).json({ success: false, code: error.code, message: 'Key đã bị khóa hoặc hết hạn!' });
+    }
+    console.error('Lỗi khi refresh session:', error);
+    res.status(500).json({ success: false, message: 'Lỗi máy chủ nội bộ.' });
+  }
+});
+
+// Đăng xuất: thu hồi session của refresh token
+router.post('/logout', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, message: 'Thiếu refresh token!' });
+  }
+
+  try {
+    await SessionTokens.logout(refreshToken);
+    res.json({ success: true, message: 'Đã đăng xuất.' });
+  } catch (error) {
+    if (error.code === 'INVALID_REFRESH_TOKEN') {
+      return res.status(401).json({ success: false, code: error.code, message: 'Phiên đăng nhập không hợp lệ hoặc đã hết hạn!' });
+    }
+    console.error('Lỗi khi đăng xuất:', error);
+    res.status(500).json({ success: false, message: 'Lỗi máy chủ nội bộ.' });
+  }
+});
+
+// Danh sách thiết bị đã kích hoạt key (xác thực bằng key để gỡ được thiết bị cũ khi đã đủ giới hạn)
+router.post('/devices', async (req, res) => {
+  const { key, fingerprint } = req.body;
+
+  try {
+    const { valid, keyDoc, status, message } = await validateUserKey(key, { requireCredit: false });
+    if (!valid) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    res.json({
+      success: true,
+      maxActivations: keyDoc.maxActivations || 0,
+      devices: await KeyActivations.list(keyDoc._id, fingerprint)
+    });
+  } catch (error) {
+    console.error('Lỗi khi lấy danh sách thiết bị:', error);
+    res.status(500).json({ success: false, message: 'Lỗi máy chủ nội bộ.' });
+  }
+});
+
+// Gỡ một thiết bị khỏi key (session của thiết bị đó bị thu hồi)
+// Key giới hạn thiết bị chỉ được tự gỡ KeyActivations.MAX_RELEASES_PER_DAY lần / 24 giờ
+router.post('/devices/:deviceId/release', async (req, res) => {
+  const { key } = req.body;
+  if (!/^[a-f0-9]{24}$/i.test(req.params.deviceId)) {
+    return res.status(400).json({ success: false, message: 'Mã thiết bị không hợp lệ!' });
+  }
+
+  try {
+    const { valid, keyDoc, status, message } = await validateUserKey(key, { requireCredit: false });
+    if (!valid) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const released = await KeyActivations.releaseByUser(keyDoc, req.params.deviceId);
+    if (!released) {
+      return res.status(404).json({ success: false, message: 'Không tìm thấy thiết bị!' });
+    }
+
+    await createAuditLog({
+      req,
+      action: 'DEVICE_RELEASED',
+      details: `Device ${released.deviceName || released._id} released from key ${keyDoc.key} by the key holder.`,
+      target: { type: 'key', id: keyDoc._id },
+      actor: 'User'
+    });
+    res.json({ success: true, message: 'Đã gỡ thiết bị.' });
+  } catch (error) {
+    if (error.code === 'RELEASE_LIMIT') {
+      return res.status(429).json({
+        success: false,
+        code: error.code,
+        message: `Đã gỡ thiết bị quá ${KeyActivations.MAX_RELEASES_PER_DAY} lần trong 24 giờ, vui lòng thử lại sau!`,
+        retryAt: error.retryAt
+      });
+    }
+    console.error('Lỗi khi gỡ thiết bị:', error);
+    res.status(500).json({ success: false, message: 'Lỗi máy chủ nội bộ.' });
+  }
+});
+
+// Lịch sử dùng AI của chính user (session token từ /validate)
+// Query: from, to (mặc định 30 ngày), timeZone, provider, success, page, limit
+router.get('/usage', authenticateUser, async (req, res) => {
+  try {
+    const report = await KeyUsage.getReport(req.userKeyDoc, req.query);
+    res.json({ success: true, credit: req.userKeyDoc.credit, ...report });
+  } catch (error) {
+    if (error.code === 'INVALID_INPUT') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Lỗi khi lấy lịch sử sử dụng:', error);
+    res.status(500).json({ success: false, message: 'Lỗi máy chủ nội bộ.' });
+  }
+});
+
 // Endpoint để sử dụng và trừ credit
 router.post('/use-credit', async (req, res) => {
   const { key, amount = 1 } = req.body; // Mặc định trừ 1 credit nếu không có amount
@@ -67,20 +233,27 @@ router.post('/use-credit', async (req, res) => {
       console.log('Amount không hợp lệ:', amount);
       return res.status(400).json({ success: false, message: 'Amount không hợp lệ!' });
     }
-    if (foundKey.credit < amountNum) {
-      console.log(`Không đủ credit! Key: ${key}, Credit hiện tại: ${foundKey.credit}, Amount yêu cầu: ${amountNum}`);
-      return res.status(402).json({ success: false, message: 'Không đủ credit!' });
-    }
 
-    // Trừ credit và lưu lại
-    foundKey.credit -= amountNum;
-    await foundKey.save();
+    // Trừ credit có điều kiện (credit >= amount) để không bị trừ trùng khi gọi đồng thời
+    let debitResult;
+    try {
+      debitResult = await CreditLedger.debit(foundKey, amountNum, {
+        reason: 'use-credit',
+        requireActive: true
+      });
+    } catch (debitError) {
+      if (debitError.code === 'INSUFFICIENT_CREDIT') {
+        console.log(`Không đủ credit! Key: ${key}, Amount yêu cầu: ${amountNum}`);
+        return res.status(402).json({ success: false, message: 'Không đủ credit!' });
+      }
+      throw debitError;
+    }
 
-    console.log(`Đã trừ ${amountNum} credit cho key ${key}. Credit còn lại: ${foundKey.credit}`);
+    console.log(`Đã trừ ${amountNum} credit cho key ${key}. Credit còn lại: ${debitResult.balance}`);
     res.json({ 
       success: true, 
       message: `Đã trừ ${amountNum} credit.`, 
-      newCredit: foundKey.credit 
+      newCredit: debitResult.balance 
     });
 
   } catch (error) {
@@ -1,7 +1,41 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/adminAuth');
 const axios = require('axios');
 const Payment = require('../models/Payment');
+const paymentService = require('../services/paymentService');
+const { createAuditLog } = require('../utils/auditLogger');
+
+/**
+ * Build a PayOS webhook body in the real format, signed with our checksum key
+ */
+const buildSignedWebhook = (orderCode, amount, reference) => {
+    const data = {
+        orderCode: parseInt(orderCode),
+        amount,
+        description: `NAPCREDIT ${orderCode}`,
+        accountNumber: '',
+        reference,
+        transactionDateTime: new Date().toISOString().replace('T', ' ').substring(0, 19),
+        currency: 'VND',
+        paymentLinkId: '',
+        code: '00',
+        desc: 'success',
+        counterAccountBankId: '',
+        counterAccountBankName: '',
+        counterAccountName: '',
+        counterAccountNumber: '',
+        virtualAccountName: '',
+        virtualAccountNumber: ''
+    };
+    return {
+        code: '00',
+        desc: 'success',
+        success: true,
+        data,
+        signature: paymentService.signPayOSWebhookData(data)
+    };
+};
 
 /**
  * MOCK PAYOS ENDPOINTS - FOR TESTING AUTO CREDIT SYSTEM
@@ -11,7 +45,7 @@ const Payment = require('../models/Payment');
  */
 
 // POST /api/mock-payos/complete-payment - Simulate payment completion
-router.post('/complete-payment', async (req, res) => {
+router.post('/complete-payment', requirePermission('payments:write'), async (req, res) => {
     try {
         const { orderCode, userKey } = req.body;
         
@@ -52,20 +86,11 @@ router.post('/complete-payment', async (req, res) => {
         console.log(`🧪 MOCK PayOS: Will add ${payment.creditAmount} credits`);
 
         // Simulate PayOS webhook data
-        const mockWebhookData = {
-            code: '00',
-            desc: 'Success',
-            data: {
-                orderCode: parseInt(orderCode),
-                status: 'PAID',
-                amount: payment.amount || (payment.creditAmount * 4545),
-                transactions: [{
-                    reference: `MOCK_TEST_${orderCode}`,
-                    amount: payment.amount || (payment.creditAmount * 4545),
-                    when: new Date().toISOString()
-                }]
-            }
-        };
+        const mockWebhookData = buildSignedWebhook(
+            payment.paymentData?.orderCode || orderCode,
+            payment.price,
+            `MOCK_TEST_${orderCode}_${Date.now()}`
+        );
 
         // Send webhook to our own endpoint to trigger auto credit addition
         const webhookUrl = `${req.protocol}://${req.get('host')}/api/payment/webhook/payos`;
@@ -82,6 +107,13 @@ router.post('/complete-payment', async (req, res) => {
             });
             
             console.log(`🧪 MOCK PayOS: Webhook sent successfully`);
+
+            await createAuditLog({
+                req,
+                action: 'MOCK_PAYMENT_COMPLETED',
+                details: `Mock payment completed for order ${orderCode} (${payment.creditAmount} credits)`,
+                target: { type: 'payment', id: payment._id }
+            });
             
             return res.json({
                 success: true,
@@ -113,7 +145,7 @@ router.post('/complete-payment', async (req, res) => {
 });
 
 // GET /api/mock-payos/payments - List pending payments for testing
-router.get('/payments', async (req, res) => {
+router.get('/payments', requirePermission('payments:read'), async (req, res) => {
     try {
         const { userKey } = req.query;
         
@@ -125,7 +157,7 @@ router.get('/payments', async (req, res) => {
         const payments = await Payment.find(filter)
             .sort({ createdAt: -1 })
             .limit(20)
-            .select('_id userKey creditAmount amount paymentData.orderCode createdAt status');
+            .select('_id userKey creditAmount price paymentData.orderCode createdAt status');
 
         return res.json({
             success: true,
@@ -133,7 +165,7 @@ router.get('/payments', async (req, res) => {
                 _id: p._id,
                 userKey: p.userKey,
                 creditAmount: p.creditAmount,
-                amount: p.amount,
+                amount: p.price,
                 orderCode: p.paymentData?.orderCode,
                 createdAt: p.createdAt,
                 status: p.status
@@ -151,24 +183,17 @@ router.get('/payments', async (req, res) => {
 });
 
 // POST /api/mock-payos/test-webhook - Direct webhook test
-router.post('/test-webhook', async (req, res) => {
+router.post('/test-webhook', requirePermission('payments:write'), async (req, res) => {
     try {
         const { orderCode } = req.body;
-        
-        const mockWebhookData = {
-            code: '00',
-            desc: 'Success',
-            data: {
-                orderCode: parseInt(orderCode),
-                status: 'PAID',
-                amount: 999000,
-                transactions: [{
-                    reference: `DIRECT_TEST_${orderCode}`,
-                    amount: 999000,
-                    when: new Date().toISOString()
-                }]
-            }
-        };
+
+        // Dùng đúng số tiền của payment (nếu có) để webhook qua được bước kiểm tra số tiền
+        const payment = await Payment.findOne({ 'paymentData.orderCode': parseInt(orderCode) });
+        const mockWebhookData = buildSignedWebhook(
+            orderCode,
+            payment ? payment.price : 999000,
+            `DIRECT_TEST_${orderCode}_${Date.now()}`
+        );
 
         // Send to webhook endpoint
         const webhookUrl = `${req.protocol}://${req.get('host')}/api/payment/webhook/payos`;
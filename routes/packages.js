@@ -1,12 +1,21 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/adminAuth');
 const CreditPackage = require('../models/CreditPackage');
 const { createAuditLog } = require('../utils/auditLogger');
+const KeyRateLimiter = require('../services/keyRateLimiter');
+const Subscriptions = require('../services/subscriptions');
 
-// GET /api/packages - Lấy tất cả gói cước
-router.get('/', async (req, res) => {
+// GET /api/packages - Lấy tất cả gói cước (?type=topup|subscription để lọc)
+router.get('/', requirePermission('packages:read'), async (req, res) => {
     try {
-        const packages = await CreditPackage.find().sort({ price: 1 });
+        const filter = {};
+        if (req.query.type === 'subscription') {
+            filter.type = 'subscription';
+        } else if (req.query.type === 'topup') {
+            filter.type = { $ne: 'subscription' };
+        }
+        const packages = await CreditPackage.find(filter).sort({ price: 1 });
         res.json({ success: true, packages });
     } catch (error) {
         res.status(500).json({ success: false, error: 'Lỗi máy chủ' });
@@ -14,9 +23,20 @@ router.get('/', async (req, res) => {
 });
 
 // POST /api/packages - Tạo gói cước mới
-router.post('/', async (req, res) => {
+// Gói tháng: type 'subscription', credits = credit cấp mỗi tháng, subscription { durationMonths, rolloverCap }
+router.post('/', requirePermission('packages:write'), async (req, res) => {
     try {
-        const { name, price, credits, bonus, isPopular, isActive, description } = req.body;
+        const { name, price, credits, bonus, isPopular, isActive, description, rateLimits, type, subscription } = req.body;
+        if (rateLimits !== undefined) {
+            const check = KeyRateLimiter.validateLimits(rateLimits);
+            if (!check.valid) {
+                return res.status(400).json({ success: false, error: 'Dữ liệu không hợp lệ', details: check.message });
+            }
+        }
+        const planCheck = Subscriptions.validatePlan({ type, credits, subscription });
+        if (!planCheck.valid) {
+            return res.status(400).json({ success: false, error: 'Dữ liệu không hợp lệ', details: planCheck.message });
+        }
         const newPackage = new CreditPackage({ 
             name, 
             price, 
@@ -24,10 +44,19 @@ router.post('/', async (req, res) => {
             bonus, 
             isPopular: isPopular || false,
             isActive: isActive !== undefined ? isActive : true,
-            description 
+            description,
+            rateLimits,
+            type: type || 'topup',
+            subscription: type === 'subscription' ? subscription : undefined
         });
         await newPackage.save();
-        await createAuditLog('CREATE_PACKAGE', `Gói cước "${name}" đã được tạo.`);
+        await createAuditLog({
+            req,
+            action: 'CREATE_PACKAGE',
+            details: `Gói cước "${name}" đã được tạo.`,
+            target: { type: 'package', id: newPackage._id },
+            after: newPackage
+        });
         res.status(201).json({ success: true, package: newPackage });
     } catch (error) {
         res.status(400).json({ success: false, error: 'Dữ liệu không hợp lệ', details: error.message });
@@ -35,18 +64,42 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/packages/:id - Cập nhật gói cước
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('packages:write'), async (req, res) => {
     try {
-        const { name, price, credits, bonus, isPopular, isActive, description } = req.body;
+        const { name, price, credits, bonus, isPopular, isActive, description, rateLimits, type, subscription } = req.body;
+        if (rateLimits !== undefined) {
+            const check = KeyRateLimiter.validateLimits(rateLimits);
+            if (!check.valid) {
+                return res.status(400).json({ success: false, error: 'Dữ liệu không hợp lệ', details: check.message });
+            }
+        }
+        const before = await CreditPackage.findById(req.params.id);
+        if (!before) {
+            return res.status(404).json({ success: false, error: 'Không tìm thấy gói cước' });
+        }
+        // Kiểm tra điều khoản gói tháng trên giá trị sau khi cập nhật
+        const planCheck = Subscriptions.validatePlan({
+            type: type !== undefined ? type : before.type,
+            credits: credits !== undefined ? credits : before.credits,
+            subscription: subscription !== undefined ? subscription : before.subscription
+        });
+        if (!planCheck.valid) {
+            return res.status(400).json({ success: false, error: 'Dữ liệu không hợp lệ', details: planCheck.message });
+        }
+        // Key đã mua giữ điều khoản lúc mua (Key.subscription), thay đổi chỉ áp dụng cho lần mua sau
         const updatedPackage = await CreditPackage.findByIdAndUpdate(
             req.params.id,
-            { name, price, credits, bonus, isPopular, isActive, description },
+            { name, price, credits, bonus, isPopular, isActive, description, rateLimits, type, subscription },
             { new: true, runValidators: true }
         );
-        if (!updatedPackage) {
-            return res.status(404).json({ success: false, error: 'Không tìm thấy gói cước' });
-        }
-        await createAuditLog('UPDATE_PACKAGE', `Gói cước "${updatedPackage.name}" đã được cập nhật.`);
+        await createAuditLog({
+            req,
+            action: 'UPDATE_PACKAGE',
+            details: `Gói cước "${updatedPackage.name}" đã được cập nhật.`,
+            target: { type: 'package', id: updatedPackage._id },
+            before,
+            after: updatedPackage
+        });
         res.json({ success: true, package: updatedPackage });
     } catch (error) {
         res.status(400).json({ success: false, error: 'Dữ liệu không hợp lệ', details: error.message });
@@ -54,13 +107,20 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/packages/:id - Xóa gói cước
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('packages:write'), async (req, res) => {
     try {
         const deletedPackage = await CreditPackage.findByIdAndDelete(req.params.id);
         if (!deletedPackage) {
             return res.status(404).json({ success: false, error: 'Không tìm thấy gói cước' });
         }
-        await createAuditLog('DELETE_PACKAGE', `Gói cước "${deletedPackage.name}" đã bị xóa.`);
+        await createAuditLog({
+            req,
+            action: 'DELETE_PACKAGE',
+            details: `Gói cước "${deletedPackage.name}" đã bị xóa.`,
+            target: { type: 'package', id: deletedPackage._id },
+            before: deletedPackage,
+            after: {}
+        });
         res.json({ success: true, message: 'Gói cước đã được xóa' });
     } catch (error) {
         res.status(500).json({ success: false, error: 'Lỗi máy chủ' });
@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/adminAuth');
+const QRCode = require('qrcode');
 const paymentService = require('../services/paymentService');
+const Payment = require('../models/Payment');
+const PaymentWebhookEvent = require('../models/PaymentWebhookEvent');
+const PaymentArchive = require('../models/PaymentArchive');
 const { createAuditLog } = require('../utils/auditLogger');
+const { parsePagination, buildPagination, parseDate } = require('../utils/query');
 
 // POST /api/payment/create - Tạo payment mới
 router.post('/create', async (req, res) => {
@@ -31,7 +37,8 @@ router.post('/create', async (req, res) => {
         const rawCreditAmount = creditAmount || credit || credits || amount;
         const finalCreditAmount = parseInt(rawCreditAmount) || parseFloat(rawCreditAmount);
         
-        if (!finalCreditAmount || finalCreditAmount <= 0 || isNaN(finalCreditAmount)) {
+        // Mua theo packageId (gói tháng) thì số credit lấy từ gói
+        if (!packageId && (!finalCreditAmount || finalCreditAmount <= 0 || isNaN(finalCreditAmount))) {
             console.log('❌ Invalid credit amount:', { rawCreditAmount, finalCreditAmount });
             return res.status(400).json({
                 success: false,
@@ -52,9 +59,9 @@ router.post('/create', async (req, res) => {
             referer: req.headers.referer
         };
 
-        const result = await paymentService.createPayment(key, finalCreditAmount, metadata);
+        const result = await paymentService.createPayment(key, finalCreditAmount, metadata, { packageId });
 
-        await createAuditLog('PAYMENT_CREATED', `Payment created for key ${key.substring(0, 10)}... Amount: ${finalCreditAmount} credits`);
+        await createAuditLog('PAYMENT_CREATED', `Payment created for key ${key.substring(0, 10)}... Amount: ${result.payment.creditAmount} credits${result.payment.subscription ? ` (plan ${result.payment.subscription.name})` : ''}`);
 
         return res.json({
             success: true,
@@ -89,7 +96,7 @@ router.post('/create', async (req, res) => {
 });
 
 // POST /api/payment/complete/:paymentId - Hoàn thành payment (manual verification)
-router.post('/complete/:paymentId', async (req, res) => {
+router.post('/complete/:paymentId', requirePermission('payments:write'), async (req, res) => {
     try {
         const { paymentId } = req.params;
         const { transactionId } = req.body;
@@ -101,9 +108,16 @@ router.post('/complete/:paymentId', async (req, res) => {
             });
         }
 
-        const result = await paymentService.completePayment(paymentId, transactionId);
+        const result = await paymentService.completePayment(paymentId, transactionId, { source: 'admin' });
 
-        await createAuditLog('PAYMENT_COMPLETED', `Payment ${paymentId} completed. Credits added: ${result.payment.creditAmount}`);
+        await createAuditLog({
+            req,
+            action: 'PAYMENT_COMPLETED',
+            details: `Payment ${paymentId} completed. Credits added: ${result.payment.creditAmount}`,
+            target: { type: 'payment', id: paymentId },
+            before: { status: 'pending' },
+            after: { status: result.payment.status }
+        });
 
         return res.json({
             success: true,
@@ -118,7 +132,10 @@ router.post('/complete/:paymentId', async (req, res) => {
         let statusCode = 500;
         let errorMessage = 'Internal server error';
 
-        if (error.message.includes('not found')) {
+        if (error.code === 'ALREADY_COMPLETED' || error.code === 'PAYMENT_BUSY') {
+            statusCode = 409;
+            errorMessage = error.message;
+        } else if (error.message.includes('not found')) {
             statusCode = 404;
             errorMessage = error.message;
         } else if (error.message.includes('not in pending') || error.message.includes('expired')) {
@@ -133,6 +150,59 @@ router.post('/complete/:paymentId', async (req, res) => {
     }
 });
 
+// POST /api/payment/refund/:paymentId - Hoàn tiền / chargeback payment đã hoàn tất
+// Body: { reason (bắt buộc), amount (VND, mặc định phần còn lại), credits (mặc định theo tỉ lệ), type: refund | chargeback, transactionId }
+router.post('/refund/:paymentId', requirePermission('payments:write'), async (req, res) => {
+    try {
+        const { reason, amount, credits, type, transactionId } = req.body;
+        const before = /^[a-f0-9]{24}$/i.test(req.params.paymentId)
+            ? await Payment.findById(req.params.paymentId, 'status refundedAmount refundedCredits').lean()
+            : null;
+
+        const result = await paymentService.refundPayment(req.params.paymentId, {
+            reason: reason ? String(reason).slice(0, 500) : reason,
+            amount,
+            credits,
+            type,
+            transactionId: transactionId ? String(transactionId).slice(0, 200) : null,
+            actor: req.admin.username
+        });
+        const { payment, refund } = result;
+
+        await createAuditLog({
+            req,
+            action: refund.type === 'chargeback' ? 'PAYMENT_CHARGEBACK' : 'PAYMENT_REFUNDED',
+            details: `Payment ${payment._id} ${refund.type}: ${refund.amount} VND, ${refund.credits} credit(s) clawed back from ${payment.userKey}` +
+                `${result.negativeBalance ? ` (key balance is now negative: ${result.balance})` : ''}. Reason: ${refund.reason}`,
+            target: { type: 'payment', id: payment._id },
+            before,
+            after: { status: payment.status, refundedAmount: payment.refundedAmount, refundedCredits: payment.refundedCredits }
+        });
+
+        return res.json({
+            success: true,
+            message: payment.status === 'refunded' ? 'Payment fully refunded' : 'Payment partially refunded',
+            payment,
+            refund,
+            newCreditBalance: result.balance,
+            negativeBalance: result.negativeBalance
+        });
+    } catch (error) {
+        const statusCodes = {
+            PAYMENT_NOT_FOUND: 404,
+            INVALID_INPUT: 400,
+            NOT_COMPLETED: 409,
+            ALREADY_REFUNDED: 409,
+            PAYMENT_BUSY: 409
+        };
+        if (statusCodes[error.code]) {
+            return res.status(statusCodes[error.code]).json({ success: false, error: error.message });
+        }
+        console.error('Payment refund error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to refund payment' });
+    }
+});
+
 // GET /api/payment/status/:paymentId - Kiểm tra trạng thái payment
 router.get('/status/:paymentId', async (req, res) => {
     try {
@@ -171,6 +241,122 @@ router.get('/status/:paymentId', async (req, res) => {
     }
 });
 
+// GET /api/payment/qr/:paymentId - Ảnh VietQR chuyển khoản thủ công cho payment đang chờ
+// Query: format=png (mặc định) | svg, size (px, 128-1024, mặc định 320)
+router.get('/qr/:paymentId', async (req, res) => {
+    try {
+        const format = String(req.query.format || 'png').toLowerCase();
+        if (!['png', 'svg'].includes(format)) {
+            return res.status(400).json({ success: false, error: 'format must be png or svg' });
+        }
+        const size = Math.min(Math.max(parseInt(req.query.size, 10) || 320, 128), 1024);
+
+        const { payload } = await paymentService.getPaymentQR(req.params.paymentId);
+        const options = { errorCorrectionLevel: 'M', margin: 2, width: size };
+
+        res.set('Cache-Control', 'no-store');
+        if (format === 'svg') {
+            return res.type('svg').send(await QRCode.toString(payload, { ...options, type: 'svg' }));
+        }
+        return res.type('png').send(await QRCode.toBuffer(payload, { ...options, type: 'png' }));
+    } catch (error) {
+        const statusCodes = {
+            PAYMENT_NOT_FOUND: 404,
+            NOT_PENDING: 410,
+            QR_UNAVAILABLE: 422
+        };
+        if (statusCodes[error.code]) {
+            return res.status(statusCodes[error.code]).json({ success: false, error: error.message });
+        }
+        console.error('Payment QR error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to generate QR code' });
+    }
+});
+
+// POST /api/payment/cancel/:paymentId - User hủy payment đang chờ { key }
+router.post('/cancel/:paymentId', async (req, res) => {
+    try {
+        const { paymentId } = req.params;
+        const { key, reason } = req.body;
+
+        if (!key) {
+            return res.status(400).json({
+                success: false,
+                error: 'Key is required'
+            });
+        }
+
+        const payment = await paymentService.cancelPayment(paymentId, {
+            userKey: String(key).trim(),
+            reason: reason ? String(reason).slice(0, 200) : undefined
+        });
+
+        return res.json({
+            success: true,
+            message: 'Payment cancelled',
+            payment
+        });
+
+    } catch (error) {
+        const statusCodes = { PAYMENT_NOT_FOUND: 404, FORBIDDEN: 404, NOT_PENDING: 400, PAYMENT_BUSY: 409 };
+        if (statusCodes[error.code]) {
+            // Không tiết lộ payment của key khác
+            const message = error.code === 'FORBIDDEN' ? 'Payment not found' : error.message;
+            return res.status(statusCodes[error.code]).json({ success: false, error: message });
+        }
+        console.error('Cancel payment error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// GET /api/payment/history - Lịch sử payment (admin)
+// Filter: status, userKey, from, to (theo createdAt); archived=true để xem payment đã lưu trữ; phân trang page, limit
+router.get('/history', requirePermission('payments:read'), async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.status) {
+            const statuses = String(req.query.status).split(',');
+            if (!statuses.every(status => Payment.STATUSES.includes(status))) {
+                return res.status(400).json({ success: false, error: `status must be one of: ${Payment.STATUSES.join(', ')}` });
+            }
+            filter.status = { $in: statuses };
+        }
+        if (req.query.userKey) {
+            filter.userKey = String(req.query.userKey).trim();
+        }
+        const from = parseDate(req.query.from);
+        const to = parseDate(req.query.to);
+        if (from === null || to === null) {
+            return res.status(400).json({ success: false, error: 'Invalid from/to date' });
+        }
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = from;
+            if (to) filter.createdAt.$lte = to;
+        }
+
+        const Model = req.query.archived === 'true' ? PaymentArchive : Payment;
+        const pagination = parsePagination(req.query);
+        const [payments, total] = await Promise.all([
+            Model.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .lean(),
+            Model.countDocuments(filter)
+        ]);
+
+        return res.json({ success: true, payments, pagination: buildPagination(pagination, total) });
+
+    } catch (error) {
+        console.error('Get payment history error:', error);
+        return res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
 // GET /api/payment/user/:userKey - Lấy danh sách payment của user
 router.get('/user/:userKey', async (req, res) => {
     try {
@@ -216,11 +402,30 @@ router.post('/check-payos/:orderCode', async (req, res) => {
         const result = await paymentService.checkPayOSPaymentStatus(orderCode);
 
         if (result.success && result.status === 'PAID') {
-            // Tự động hoàn thành payment nếu đã thanh toán
+            // Tự động hoàn thành payment nếu đã thanh toán (webhook có thể đã hoàn tất trước)
+            const payment = await Payment.findOne({ 'paymentData.orderCode': parseInt(orderCode) });
+            const amountPaid = result.data.amountPaid ?? result.data.amount;
+            if (payment && payment.status !== 'completed') {
+                if (amountPaid !== payment.price) {
+                    console.warn(`⚠️ PayOS order ${orderCode}: paid ${amountPaid}, expected ${payment.price}`);
+                } else {
+                    try {
+                        await paymentService.completePayment(
+                            payment._id,
+                            result.data.transactions?.[0]?.reference || `PAYOS_${orderCode}`,
+                            { source: 'polling', allowExpired: true }
+                        );
+                        await createAuditLog('PAYMENT_AUTO_COMPLETED', `PayOS payment ${orderCode} auto completed`);
+                    } catch (error) {
+                        if (!['ALREADY_COMPLETED', 'PAYMENT_BUSY'].includes(error.code)) throw error;
+                    }
+                }
+            }
+        } else if (result.success && result.status === 'CANCELLED') {
+            // Link đã bị hủy phía PayOS
             const payment = await Payment.findOne({ 'paymentData.orderCode': parseInt(orderCode) });
             if (payment && payment.status === 'pending') {
-                await paymentService.completePayment(payment._id, result.data.transactions?.[0]?.reference || `PAYOS_${orderCode}`);
-                await createAuditLog('PAYMENT_AUTO_COMPLETED', `PayOS payment ${orderCode} auto completed`);
+                await Payment.transition(payment._id, 'cancelled', { from: 'pending', actor: 'PayOS', reason: 'Payment link cancelled on PayOS' });
             }
         }
 
@@ -242,9 +447,9 @@ router.post('/check-payos/:orderCode', async (req, res) => {
 });
 
 // POST /api/payment/setup-webhook - Setup PayOS webhook URL
-router.post('/setup-webhook', async (req, res) => {
+router.post('/setup-webhook', requirePermission('payments:write'), async (req, res) => {
     try {
-        const webhookUrl = 'https://key-manager-backend.onrender.com/api/payment/webhook/payos';
+        const webhookUrl = `${paymentService.publicBaseUrl}/api/payment/webhook/payos`;
         const result = await paymentService.setupWebhook(webhookUrl);
         
         return res.json({
@@ -263,42 +468,71 @@ router.post('/setup-webhook', async (req, res) => {
 });
 
 // POST /api/payment/webhook/payos - Webhook cho PayOS
+// Chỉ chấp nhận webhook ký đúng bằng checksum key; mỗi reference chỉ được xử lý một lần.
+// Trả 2xx khi đã xử lý xong (kể cả bỏ qua / từ chối) để PayOS không gửi lại, lỗi tạm thời trả 5xx / 409 để PayOS gửi lại.
 router.post('/webhook/payos', async (req, res) => {
     try {
-        const webhookData = req.body;
-        
-        console.log('PayOS webhook received:', webhookData);
+        const webhookData = req.body || {};
+        console.log('PayOS webhook received:', { orderCode: webhookData.data?.orderCode, reference: webhookData.data?.reference });
 
-        // Verify webhook signature if needed
-        // const signature = req.headers['x-signature'];
-        
-        if (webhookData.code === '00' && webhookData.data.status === 'PAID') {
-            const orderCode = webhookData.data.orderCode;
-            
-            // Tìm payment tương ứng
-            const payment = await Payment.findOne({ 'paymentData.orderCode': orderCode });
-            
-            if (payment && payment.status === 'pending') {
-                // Tự động hoàn thành payment
-                await paymentService.completePayment(
-                    payment._id, 
-                    webhookData.data.transactions?.[0]?.reference || `PAYOS_WEBHOOK_${orderCode}`
-                );
-                
-                await createAuditLog('PAYMENT_WEBHOOK_COMPLETED', `PayOS webhook completed payment ${payment._id}`);
-                
-                console.log(`✅ PayOS webhook: Payment ${payment._id} completed automatically`);
-            }
+        const { result, event, payment, reason } = await paymentService.handlePayOSWebhook(webhookData);
+
+        if (result === 'processed') {
+            await createAuditLog('PAYMENT_WEBHOOK_COMPLETED', `PayOS webhook completed payment ${payment._id} (reference ${event.reference})`);
+            console.log(`✅ PayOS webhook: Payment ${payment._id} completed automatically`);
+        } else if (result === 'rejected') {
+            await createAuditLog('PAYMENT_WEBHOOK_REJECTED', `PayOS webhook ${event.reference} rejected for payment ${payment._id}: ${reason}`);
         }
 
-        return res.json({ success: true });
+        return res.json({ success: true, result, reason: reason || undefined });
 
     } catch (error) {
+        if (error.code === 'INVALID_SIGNATURE') {
+            console.warn('⚠️ PayOS webhook with invalid signature from', req.ip);
+            await createAuditLog('PAYMENT_WEBHOOK_INVALID_SIGNATURE', `Rejected PayOS webhook with invalid signature from ${req.ip} (orderCode ${req.body?.data?.orderCode})`);
+            return res.status(401).json({ success: false, error: 'Invalid signature' });
+        }
+        if (error.code === 'PAYMENT_BUSY') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
         console.error('PayOS webhook error:', error);
         return res.status(500).json({ success: false, error: 'Webhook processing failed' });
     }
 });
 
+// GET /api/payment/webhook-events - Webhook thanh toán đã nhận (admin)
+// Filter: status, orderCode; phân trang page, limit
+router.get('/webhook-events', requirePermission('payments:read'), async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+        if (req.query.orderCode) {
+            filter.orderCode = parseInt(req.query.orderCode);
+            if (isNaN(filter.orderCode)) {
+                return res.status(400).json({ success: false, error: 'Invalid orderCode' });
+            }
+        }
+
+        const pagination = parsePagination(req.query);
+        const [events, total] = await Promise.all([
+            PaymentWebhookEvent.find(filter)
+                .sort({ receivedAt: -1, _id: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .lean(),
+            PaymentWebhookEvent.countDocuments(filter)
+        ]);
+
+        return res.json({ success: true, events, pagination: buildPagination(pagination, total) });
+
+    } catch (error) {
+        console.error('Get payment webhook events error:', error);
+        return res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
 // GET /api/payment/packages - Lấy danh sách gói credit
 router.get('/packages', async (req, res) => {
     try {
@@ -316,7 +550,9 @@ router.get('/packages', async (req, res) => {
                 credits: pkg.credits,
                 bonus: pkg.bonus,
                 isPopular: pkg.isPopular,
-                isActive: pkg.isActive
+                isActive: pkg.isActive,
+                type: pkg.type || 'topup',
+                subscription: pkg.type === 'subscription' ? pkg.subscription : undefined
             }))
         });
 
@@ -331,13 +567,18 @@ router.get('/packages', async (req, res) => {
 });
 
 // POST /api/payment/init-packages - Khởi tạo gói credit mặc định (admin only)
-router.post('/init-packages', async (req, res) => {
+router.post('/init-packages', requirePermission('payments:write'), async (req, res) => {
     try {
         const { initCreditPackages } = require('../scripts/initCreditPackages');
         
         const packages = await initCreditPackages();
 
-        await createAuditLog('CREDIT_PACKAGES_INIT', `Initialized ${packages.length} credit packages`);
+        await createAuditLog({
+            req,
+            action: 'CREDIT_PACKAGES_INIT',
+            details: `Initialized ${packages.length} credit packages`,
+            target: { type: 'package' }
+        });
 
         return res.json({
             success: true,
@@ -361,11 +602,16 @@ router.post('/init-packages', async (req, res) => {
 });
 
 // POST /api/payment/cleanup - Cleanup expired payments (admin only)
-router.post('/cleanup', async (req, res) => {
+router.post('/cleanup', requirePermission('payments:write'), async (req, res) => {
     try {
         const result = await paymentService.cleanupExpiredPayments();
 
-        await createAuditLog('PAYMENT_CLEANUP', `Cleaned up ${result.modifiedCount} expired payments`);
+        await createAuditLog({
+            req,
+            action: 'PAYMENT_CLEANUP',
+            details: `Cleaned up ${result.modifiedCount} expired payments`,
+            target: { type: 'payment' }
+        });
 
         return res.json({
             success: true,
@@ -384,11 +630,9 @@ router.post('/cleanup', async (req, res) => {
 });
 
 // POST /api/payment/force-complete/:userKey - Force complete recent payment for debugging
-router.post('/force-complete/:userKey', async (req, res) => {
+router.post('/force-complete/:userKey', requirePermission('payments:write'), async (req, res) => {
     try {
         const { userKey } = req.params;
-        const Payment = require('../models/Payment');
-        
         console.log('🔧 Force completing payment for user:', userKey.substring(0, 10) + '...');
         
         // Find most recent pending payment for this user
@@ -407,9 +651,16 @@ router.post('/force-complete/:userKey', async (req, res) => {
         console.log('📝 Found payment to complete:', payment._id);
         
         // Force complete the payment
-        const result = await paymentService.completePayment(payment._id, `MANUAL_FORCE_${Date.now()}`);
+        const result = await paymentService.completePayment(payment._id, `MANUAL_FORCE_${Date.now()}`, { source: 'admin' });
         
-        await createAuditLog('PAYMENT_FORCE_COMPLETED', `Manually force completed payment ${payment._id} for user ${userKey.substring(0, 10)}...`);
+        await createAuditLog({
+            req,
+            action: 'PAYMENT_FORCE_COMPLETED',
+            details: `Manually force completed payment ${payment._id} for user ${userKey.substring(0, 10)}...`,
+            target: { type: 'payment', id: payment._id },
+            before: { status: 'pending' },
+            after: { status: result.payment.status }
+        });
         
         return res.json({
             success: true,
@@ -1,10 +1,48 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/adminAuth');
 const Settings = require('../models/Settings');
 const { createAuditLog } = require('../utils/auditLogger');
+const AIBilling = require('../services/aiBilling');
+const AIFallback = require('../services/aiFallback');
+const circuitBreaker = require('../services/circuitBreaker');
+const KeyMaintenanceJobs = require('../services/keyMaintenanceJobs');
+const KeyRateLimiter = require('../services/keyRateLimiter');
+const KeyGenerator = require('../services/keyGenerator');
+const KeyNotifications = require('../services/keyNotifications');
+const CreditLots = require('../services/creditLots');
+const PaymentLifecycle = require('../services/paymentLifecycle');
+
+// Validators cho các setting có cấu trúc, trả về { valid, message }
+const settingValidators = {
+    aiCreditPrices: (value) => AIBilling.validatePriceTable(value),
+    aiTokenRates: (value) => AIBilling.validateTokenRates(value),
+    aiTextBilling: (value) => ['metered', 'flat'].includes(value)
+        ? { valid: true }
+        : { valid: false, message: "must be 'metered' or 'flat'" },
+    aiFallbackChains: (value) => AIFallback.validateConfig(value),
+    aiCircuitBreaker: (value) => circuitBreaker.validateConfig(value),
+    aiQuotaResetSchedule: (value) => KeyMaintenanceJobs.validateSchedule(value),
+    aiUserRateLimits: (value) => KeyRateLimiter.validateLimits(value),
+    keyFormat: (value) => KeyGenerator.validateFormat(value),
+    webhookNotifications: (value) => KeyNotifications.validateConfig(value),
+    creditExpiry: (value) => CreditLots.validateConfig(value),
+    paymentRetention: (value) => PaymentLifecycle.validateConfig(value)
+};
+
+const validateSetting = (key, value) => {
+    const validator = settingValidators[key];
+    return validator ? validator(value) : { valid: true };
+};
+
+// Giá trị hiện tại của các setting (trước khi cập nhật, cho audit log)
+const getSettingValues = async (keys) => {
+    const current = await Settings.find({ key: { $in: keys } }).lean();
+    return Object.fromEntries(current.map(setting => [setting.key, setting.value]));
+};
 
 // GET /api/settings - Get all settings
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('settings:read'), async (req, res) => {
     try {
         console.log('⚙️ Loading system settings...');
         
@@ -30,7 +68,18 @@ router.get('/', async (req, res) => {
             aiMaxOutputTokens: { value: 32768, type: 'number', description: 'Maximum output tokens for AI generation' },
             aiTemperature: { value: 0.7, type: 'number', description: 'AI generation temperature (0.0-1.0)' },
             aiTopP: { value: 0.8, type: 'number', description: 'AI generation top P value (0.0-1.0)' },
-            aiTopK: { value: 40, type: 'number', description: 'AI generation top K value' }
+            aiTopK: { value: 40, type: 'number', description: 'AI generation top K value' },
+            aiCreditPrices: { value: AIBilling.DEFAULT_CREDIT_PRICES, type: 'object', description: 'Flat credit price per AI request by provider and request type (image, and text when aiTextBilling is flat)' },
+            aiTokenRates: { value: AIBilling.DEFAULT_TOKEN_RATES, type: 'object', description: 'Credits per 1000 prompt/completion tokens by provider and model' },
+            aiTextBilling: { value: 'metered', type: 'string', description: "Text generation billing mode: 'metered' (by tokens) or 'flat'" },
+            aiFallbackChains: { value: AIFallback.DEFAULT_FALLBACK_CHAINS, type: 'object', description: 'Provider fallback chains per provider and request type, error classes that trigger fallback and max attempts' },
+            aiCircuitBreaker: { value: circuitBreaker.DEFAULT_CIRCUIT_CONFIG, type: 'object', description: 'Circuit breaker for AI providers and upstream keys: windowMs, minRequests, failureRateThreshold, openMs' },
+            aiQuotaResetSchedule: { value: KeyMaintenanceJobs.DEFAULT_QUOTA_RESET_SCHEDULE, type: 'object', description: 'Daily quota reset time per provider ({ timeZone, hour })' },
+            aiUserRateLimits: { value: KeyRateLimiter.DEFAULT_USER_RATE_LIMITS, type: 'object', description: 'Default AI rate limits per user key: requestsPerMinute, requestsPerHour, maxConcurrent (0 = unlimited)' },
+            keyFormat: { value: KeyGenerator.DEFAULT_KEY_FORMAT, type: 'object', description: 'Format of generated license keys: prefix, length, checksum' },
+            webhookNotifications: { value: KeyNotifications.DEFAULT_NOTIFICATION_CONFIG, type: 'object', description: 'Webhook notification thresholds: expiringDays (key expiring within N days), lowCreditThreshold (0 = disabled)' },
+            creditExpiry: { value: CreditLots.DEFAULT_CREDIT_EXPIRY, type: 'object', description: 'Default credit lot lifetime in days by source: topupDays, subscriptionDays, adminDays (0 = never expires)' },
+            paymentRetention: { value: PaymentLifecycle.DEFAULT_PAYMENT_RETENTION, type: 'object', description: 'Unpaid payment retention: archiveAfterDays (move expired/failed/cancelled payments to the archive), purgeArchivedAfterDays (0 = never)' }
         };
         
         // Merge defaults with actual settings
@@ -53,7 +102,7 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/settings/:key - Get specific setting
-router.get('/:key', async (req, res) => {
+router.get('/:key', requirePermission('settings:read'), async (req, res) => {
     try {
         const { key } = req.params;
         const setting = await Settings.findOne({ key });
@@ -86,7 +135,7 @@ router.get('/:key', async (req, res) => {
 });
 
 // POST /api/settings - Update multiple settings
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('settings:write'), async (req, res) => {
     try {
         const { settings } = req.body;
         
@@ -97,7 +146,18 @@ router.post('/', async (req, res) => {
             });
         }
         
+        for (const [key, config] of Object.entries(settings)) {
+            const validation = validateSetting(key, config && config.value);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid value for ${key}: ${validation.message}`
+                });
+            }
+        }
+        
         console.log('⚙️ Updating system settings:', Object.keys(settings));
+        const before = await getSettingValues(Object.keys(settings));
         
         const updatePromises = Object.entries(settings).map(([key, config]) => {
             return Settings.setSetting(
@@ -110,7 +170,14 @@ router.post('/', async (req, res) => {
         
         await Promise.all(updatePromises);
         
-        await createAuditLog('UPDATE_SETTINGS', `Updated ${Object.keys(settings).length} system settings`);
+        await createAuditLog({
+            req,
+            action: 'UPDATE_SETTINGS',
+            details: `Updated ${Object.keys(settings).length} system settings`,
+            target: { type: 'setting', id: Object.keys(settings).join(',') },
+            before,
+            after: Object.fromEntries(Object.entries(settings).map(([key, config]) => [key, config.value]))
+        });
         
         console.log('✅ System settings updated successfully');
         
@@ -129,14 +196,30 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/settings/:key - Update specific setting
-router.put('/:key', async (req, res) => {
+router.put('/:key', requirePermission('settings:write'), async (req, res) => {
     try {
         const { key } = req.params;
         const { value, description, type } = req.body;
         
+        const validation = validateSetting(key, value);
+        if (!validation.valid) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid value for ${key}: ${validation.message}`
+            });
+        }
+        
+        const before = await getSettingValues([key]);
         const setting = await Settings.setSetting(key, value, description, type);
         
-        await createAuditLog('UPDATE_SETTING', `Updated setting: ${key}`);
+        await createAuditLog({
+            req,
+            action: 'UPDATE_SETTING',
+            details: `Updated setting: ${key}`,
+            target: { type: 'setting', id: key },
+            before,
+            after: { [key]: value }
+        });
         
         return res.json({
             success: true,
@@ -20,14 +20,11 @@ router.get('/dashboard', async (req, res) => {
             { $group: { _id: null, total: { $sum: '$credit' } } }
         ]);
         
-        // Thống kê payments
-        const totalRevenue = await Payment.aggregate([
-            { $match: { status: 'completed' } },
-            { $group: { _id: null, total: { $sum: '$price' } } }
-        ]);
+        // Thống kê payments (doanh thu ròng: tiền hoàn lại tính âm)
+        const totalRevenue = await Payment.revenueSummary();
         
         const monthlyTransactions = await Payment.countDocuments({
-            status: 'completed',
+            status: { $in: Payment.REVENUE_STATUSES },
             completedAt: {
                 $gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1)
             }
@@ -41,20 +38,7 @@ router.get('/dashboard', async (req, res) => {
         const todayStart = new Date();
         todayStart.setHours(0, 0, 0, 0);
         
-        const todayPayments = await Payment.countDocuments({
-            status: 'completed',
-            completedAt: { $gte: todayStart }
-        });
-        
-        const todayRevenue = await Payment.aggregate([
-            { 
-                $match: { 
-                    status: 'completed',
-                    completedAt: { $gte: todayStart }
-                } 
-            },
-            { $group: { _id: null, total: { $sum: '$price' } } }
-        ]);
+        const todayRevenue = await Payment.revenueSummary(todayStart);
         
         const stats = {
             // Key stats
@@ -65,10 +49,13 @@ router.get('/dashboard', async (req, res) => {
             
             // Billing stats
             billingStats: {
-                totalRevenue: totalRevenue[0]?.total || 0,
+                totalRevenue: totalRevenue.net,
+                grossRevenue: totalRevenue.gross,
+                refundedRevenue: -totalRevenue.refunds,
                 monthlyTransactions,
-                todayRevenue: todayRevenue[0]?.total || 0,
-                todayTransactions: todayPayments
+                todayRevenue: todayRevenue.net,
+                todayRefunds: -todayRevenue.refunds,
+                todayTransactions: todayRevenue.transactions
             },
             
             // Package stats
@@ -88,7 +75,7 @@ router.get('/dashboard', async (req, res) => {
         console.log('✅ Dashboard stats loaded:', {
             totalKeys,
             activeKeys,
-            totalRevenue: totalRevenue[0]?.total || 0,
+            totalRevenue: totalRevenue.net,
             monthlyTransactions
         });
         
@@ -107,46 +94,60 @@ router.get('/dashboard', async (req, res) => {
 });
 
 // GET /api/stats/revenue - Thống kê doanh thu chi tiết
+// revenue = doanh thu ròng; tiền hoàn / chargeback (refunds, số âm) tính vào kỳ của ngày hoàn
 router.get('/revenue', async (req, res) => {
     try {
         const { period = 'month' } = req.query;
         
-        let matchStage = { status: 'completed' };
-        let groupStage;
+        let matchStage = { status: { $in: Payment.REVENUE_STATUSES } };
+        let periodKey;
         
         if (period === 'week') {
-            groupStage = {
-                _id: { 
-                    year: { $year: '$completedAt' },
-                    week: { $week: '$completedAt' }
-                },
-                revenue: { $sum: '$price' },
-                transactions: { $sum: 1 }
+            periodKey = { 
+                year: { $year: '$events.at' },
+                week: { $week: '$events.at' }
             };
         } else if (period === 'day') {
-            groupStage = {
-                _id: { 
-                    year: { $year: '$completedAt' },
-                    month: { $month: '$completedAt' },
-                    day: { $dayOfMonth: '$completedAt' }
-                },
-                revenue: { $sum: '$price' },
-                transactions: { $sum: 1 }
+            periodKey = { 
+                year: { $year: '$events.at' },
+                month: { $month: '$events.at' },
+                day: { $dayOfMonth: '$events.at' }
             };
         } else {
             // Default to month
-            groupStage = {
-                _id: { 
-                    year: { $year: '$completedAt' },
-                    month: { $month: '$completedAt' }
-                },
-                revenue: { $sum: '$price' },
-                transactions: { $sum: 1 }
+            periodKey = { 
+                year: { $year: '$events.at' },
+                month: { $month: '$events.at' }
             };
         }
+
+        // Mỗi payment: một khoản thu (completedAt) và các khoản hoàn (refunds.at)
+        const eventsStage = {
+            events: {
+                $concatArrays: [
+                    [{ at: '$completedAt', amount: '$price', refund: false }],
+                    {
+                        $map: {
+                            input: { $ifNull: ['$refunds', []] },
+                            as: 'refund',
+                            in: { at: '$$refund.at', amount: { $multiply: ['$$refund.amount', -1] }, refund: true }
+                        }
+                    }
+                ]
+            }
+        };
+        const groupStage = {
+            _id: periodKey,
+            revenue: { $sum: '$events.amount' },
+            refunds: { $sum: { $cond: ['$events.refund', '$events.amount', 0] } },
+            transactions: { $sum: { $cond: ['$events.refund', 0, 1] } },
+            refundCount: { $sum: { $cond: ['$events.refund', 1, 0] } }
+        };
         
         const revenueData = await Payment.aggregate([
             { $match: matchStage },
+            { $project: eventsStage },
+            { $unwind: '$events' },
             { $group: groupStage },
             { $sort: { '_id.year': -1, '_id.month': -1, '_id.week': -1, '_id.day': -1 } },
             { $limit: 12 }
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const AdminUser = require('../models/AdminUser');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ADMIN_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+const PASSWORD_MIN_LENGTH = 10;
+const SCRYPT_KEY_LENGTH = 64;
+// Secret mẫu trong .env.example / code cũ, không được dùng ở production
+const PLACEHOLDER_SECRETS = ['your_admin_secret', 'your_super_secret_admin_jwt_key_here'];
+const MIN_SECRET_LENGTH = 32;
+
+const ROLES = ['owner', 'operator', 'support', 'read_only'];
+
+// Quyền theo role. owner có mọi quyền, kể cả quản lý tài khoản admin.
+const ROLE_PERMISSIONS = {
+    owner: ['*'],
+    operator: [
+        'keys:read', 'keys:write', 'keys:support',
+        'proxies:read', 'proxies:write',
+        'packages:read', 'packages:write',
+        'settings:read', 'settings:write',
+        'bank:read',
+        'payments:read', 'payments:write',
+        'providers:read', 'providers:write',
+        'stats:read', 'audit:read',
+        'webhooks:read', 'webhooks:write'
+    ],
+    support: [
+        'keys:read', 'keys:support',
+        'packages:read', 'payments:read', 'providers:read',
+        'stats:read', 'audit:read'
+    ],
+    read_only: [
+        'keys:read', 'proxies:read', 'packages:read', 'settings:read', 'bank:read',
+        'payments:read', 'providers:read', 'stats:read', 'audit:read', 'webhooks:read'
+    ]
+};
+
+const accountError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Tài khoản admin: băm mật khẩu (scrypt), đăng nhập cấp JWT, phân quyền theo role.
+ * JWT gắn `ver` = AdminUser.tokenVersion nên khóa tài khoản / đổi mật khẩu / đổi role có hiệu lực ngay.
+ */
+class AdminAccounts {
+    /**
+     * Secret ký JWT admin. Production bắt buộc có ADMIN_JWT_SECRET thật (xem assertProductionSecret)
+     */
+    static getSecret() {
+        return process.env.ADMIN_JWT_SECRET || 'your_admin_secret';
+    }
+
+    /**
+     * Gọi lúc khởi động: production thiếu ADMIN_JWT_SECRET (hoặc dùng giá trị mẫu) thì không chạy
+     */
+    static assertProductionSecret() {
+        if (process.env.NODE_ENV !== 'production') {
+            return;
+        }
+        const secret = process.env.ADMIN_JWT_SECRET;
+        if (!secret || PLACEHOLDER_SECRETS.includes(secret) || secret.length < MIN_SECRET_LENGTH) {
+            throw new Error(`ADMIN_JWT_SECRET must be set to a random value of at least ${MIN_SECRET_LENGTH} characters in production`);
+        }
+    }
+
+    static hasPermission(role, permission) {
+        const permissions = ROLE_PERMISSIONS[role] || [];
+        return permissions.includes('*') || permissions.includes(permission);
+    }
+
+    static validatePassword(password) {
+        if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+            return { valid: false, message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` };
+        }
+        return { valid: true };
+    }
+
+    static async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const derived = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+        return `scrypt$${salt}$${derived.toString('hex')}`;
+    }
+
+    static async verifyPassword(password, passwordHash) {
+        const [scheme, salt, hash] = String(passwordHash || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') {
+            return false;
+        }
+        const derived = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+        const expected = Buffer.from(hash, 'hex');
+        return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+    }
+
+    static toPublic(admin) {
+        return {
+            id: admin._id,
+            username: admin.username,
+            role: admin.role,
+            isActive: admin.isActive,
+            lastLoginAt: admin.lastLoginAt,
+            createdAt: admin.createdAt
+        };
+    }
+
+    static signToken(admin) {
+        return jwt.sign(
+            { sub: String(admin._id), username: admin.username, role: admin.role, ver: admin.tokenVersion || 0 },
+            this.getSecret(),
+            { expiresIn: ADMIN_TOKEN_TTL_SECONDS }
+        );
+    }
+
+    /**
+     * Đăng nhập. Lỗi: code INVALID_CREDENTIALS
+     * @returns {Promise<{ token, expiresIn, admin }>}
+     */
+    static async login(username, password, { ip } = {}) {
+        const admin = await AdminUser.findOne({ username: String(username || '').toLowerCase().trim() });
+        // Luôn băm để thời gian phản hồi không lộ username có tồn tại hay không
+        const valid = admin
+            ? await this.verifyPassword(password, admin.passwordHash)
+            : (await this.hashPassword(String(password || '')), false);
+        if (!valid || !admin.isActive) {
+            throw accountError('Invalid username or password', 'INVALID_CREDENTIALS');
+        }
+
+        admin.lastLoginAt = new Date();
+        admin.lastLoginIp = ip || null;
+        await admin.save();
+
+        return { token: this.signToken(admin), expiresIn: ADMIN_TOKEN_TTL_SECONDS, admin: this.toPublic(admin) };
+    }
+
+    /**
+     * Xác thực JWT admin, trả về tài khoản hiện tại. Lỗi: code INVALID_TOKEN
+     */
+    static async verifyToken(token) {
+        let claims;
+        try {
+            claims = jwt.verify(token, this.getSecret());
+        } catch (error) {
+            throw accountError('Invalid or expired token', 'INVALID_TOKEN');
+        }
+        const admin = claims.sub && await AdminUser.findById(claims.sub);
+        if (!admin || !admin.isActive || (admin.tokenVersion || 0) !== claims.ver) {
+            throw accountError('Invalid or expired token', 'INVALID_TOKEN');
+        }
+        return admin;
+    }
+
+    /**
+     * Tạo tài khoản admin. Lỗi: code INVALID_INPUT | USERNAME_TAKEN
+     */
+    static async createAdmin({ username, password, role = 'read_only' }, createdBy = null) {
+        if (!username || !/^[a-z0-9._-]{3,50}$/i.test(username)) {
+            throw accountError('Username must be 3-50 characters (letters, digits, . _ -)', 'INVALID_INPUT');
+        }
+        if (!ROLES.includes(role)) {
+            throw accountError(`Role must be one of: ${ROLES.join(', ')}`, 'INVALID_INPUT');
+        }
+        const check = this.validatePassword(password);
+        if (!check.valid) {
+            throw accountError(check.message, 'INVALID_INPUT');
+        }
+
+        try {
+            return await AdminUser.create({
+                username,
+                passwordHash: await this.hashPassword(password),
+                role,
+                createdBy
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw accountError('Username already exists', 'USERNAME_TAKEN');
+            }
+            throw error;
+        }
+    }
+
+    static async setPassword(admin, password) {
+        const check = this.validatePassword(password);
+        if (!check.valid) {
+            throw accountError(check.message, 'INVALID_INPUT');
+        }
+        admin.passwordHash = await this.hashPassword(password);
+        admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+        await admin.save();
+        return admin;
+    }
+
+    /**
+     * Tạo tài khoản owner đầu tiên từ ADMIN_BOOTSTRAP_USERNAME / ADMIN_BOOTSTRAP_PASSWORD
+     * khi chưa có tài khoản admin nào
+     */
+    static async bootstrapOwner() {
+        const { ADMIN_BOOTSTRAP_USERNAME: username, ADMIN_BOOTSTRAP_PASSWORD: password } = process.env;
+        if (await AdminUser.exists({})) {
+            return null;
+        }
+        if (!username || !password) {
+            console.warn('⚠️ No admin account exists. Set ADMIN_BOOTSTRAP_USERNAME and ADMIN_BOOTSTRAP_PASSWORD to create the first owner.');
+            return null;
+        }
+        const admin = await this.createAdmin({ username, password, role: 'owner' }, 'bootstrap');
+        console.log(`👤 Created first owner account '${admin.username}'`);
+        return admin;
+    }
+}
+
+AdminAccounts.ROLES = ROLES;
+AdminAccounts.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+AdminAccounts.ADMIN_TOKEN_TTL_SECONDS = ADMIN_TOKEN_TTL_SECONDS;
+
+module.exports = AdminAccounts;
@@ -0,0 +1,321 @@
+const { v4: uuidv4 } = require('uuid');
+const Settings = require('../models/Settings');
+const CreditLedger = require('./creditLedger');
+
+// Giá mặc định (credit/request). Admin ghi đè qua setting `aiCreditPrices`
+const DEFAULT_CREDIT_PRICES = {
+    default: { text: 1, image: 2 }
+};
+
+// Bảng giá theo token (credit / 1000 token). Admin ghi đè qua setting `aiTokenRates`:
+// { default: {...}, <provider>: { default: {...}, models: { <model>: {...} } } }
+const DEFAULT_TOKEN_RATES = {
+    default: { promptPer1k: 0.25, completionPer1k: 1, minimumCredits: 1 }
+};
+
+const RATE_FIELDS = ['promptPer1k', 'completionPer1k', 'minimumCredits'];
+
+// Ước lượng token từ số ký tự khi provider không trả usage (tiếng Việt ~3 ký tự/token)
+const CHARS_PER_TOKEN = 3;
+
+const REQUEST_TYPES = ['text', 'image'];
+
+const validateRate = (rate, path) => {
+    if (!rate || typeof rate !== 'object' || Array.isArray(rate)) {
+        return { valid: false, message: `${path} must be an object` };
+    }
+    for (const [field, value] of Object.entries(rate)) {
+        if (!RATE_FIELDS.includes(field)) {
+            return { valid: false, message: `Unknown field '${field}' in ${path}` };
+        }
+        if (typeof value !== 'number' || isNaN(value) || value < 0) {
+            return { valid: false, message: `${path}.${field} must be a non-negative number` };
+        }
+    }
+    return { valid: true };
+};
+
+class AIBilling {
+    /**
+     * Validate the `aiCreditPrices` setting: { default: { text, image }, <provider>: { text?, image? } }
+     */
+    static validatePriceTable(table) {
+        if (!table || typeof table !== 'object' || Array.isArray(table)) {
+            return { valid: false, message: 'aiCreditPrices must be an object' };
+        }
+        for (const [provider, prices] of Object.entries(table)) {
+            if (!prices || typeof prices !== 'object') {
+                return { valid: false, message: `Prices for ${provider} must be an object` };
+            }
+            for (const [requestType, price] of Object.entries(prices)) {
+                if (!REQUEST_TYPES.includes(requestType)) {
+                    return { valid: false, message: `Unknown request type '${requestType}' for ${provider}` };
+                }
+                if (typeof price !== 'number' || isNaN(price) || price < 0) {
+                    return { valid: false, message: `Price for ${provider}.${requestType} must be a non-negative number` };
+                }
+            }
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate the `aiTokenRates` setting
+     */
+    static validateTokenRates(table) {
+        if (!table || typeof table !== 'object' || Array.isArray(table)) {
+            return { valid: false, message: 'aiTokenRates must be an object' };
+        }
+        for (const [provider, config] of Object.entries(table)) {
+            if (provider === 'default') {
+                const result = validateRate(config, 'default');
+                if (!result.valid) return result;
+                continue;
+            }
+            if (!config || typeof config !== 'object' || Array.isArray(config)) {
+                return { valid: false, message: `Rates for ${provider} must be an object` };
+            }
+            for (const [field, value] of Object.entries(config)) {
+                if (field === 'default') {
+                    const result = validateRate(value, `${provider}.default`);
+                    if (!result.valid) return result;
+                } else if (field === 'models') {
+                    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                        return { valid: false, message: `${provider}.models must be an object` };
+                    }
+                    for (const [model, rate] of Object.entries(value)) {
+                        const result = validateRate(rate, `${provider}.models.${model}`);
+                        if (!result.valid) return result;
+                    }
+                } else {
+                    return { valid: false, message: `Unknown field '${field}' in ${provider}` };
+                }
+            }
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Resolve the token rate for a provider/model: model rate > provider default > global default
+     */
+    static async getTokenRate(provider, model) {
+        const table = await Settings.getSetting('aiTokenRates', DEFAULT_TOKEN_RATES) || {};
+        const providerConfig = table[(provider || '').toLowerCase()] || {};
+        const modelRate = (model && providerConfig.models && providerConfig.models[model]) || {};
+
+        return {
+            ...DEFAULT_TOKEN_RATES.default,
+            ...(table.default || {}),
+            ...(providerConfig.default || {}),
+            ...modelRate
+        };
+    }
+
+    /**
+     * Convert token usage into whole credits using a rate
+     */
+    static calculateCredits(rate, { promptTokens = 0, completionTokens = 0 } = {}) {
+        const raw = (promptTokens * rate.promptPer1k + completionTokens * rate.completionPer1k) / 1000;
+        return Math.max(Math.ceil(raw), rate.minimumCredits || 0);
+    }
+
+    static estimateTokens(text) {
+        return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+    }
+
+    /**
+     * Pre-authorise a metered text request: hold credits for the estimated prompt plus
+     * maxOutputTokens. When the balance can't cover that, maxOutputTokens is shrunk to what
+     * the balance pays for (hold.maxOutputTokens, the caller must pass it to the provider)
+     * so the generation can never cost more than the key holds.
+     */
+    static async authorize(keyDoc, { provider, model, promptText = '', maxOutputTokens = 0 }) {
+        const mode = await Settings.getSetting('aiTextBilling', 'metered');
+        if (mode === 'flat') {
+            const reservation = await this.reserve(keyDoc, { provider, requestType: 'text' });
+            reservation.metered = false;
+            return reservation;
+        }
+
+        const rate = await this.getTokenRate(provider, model);
+        const promptTokens = this.estimateTokens(promptText);
+        const available = Math.floor(keyDoc.credit || 0);
+        let outputTokens = maxOutputTokens;
+        let estimated = this.calculateCredits(rate, { promptTokens, completionTokens: outputTokens });
+        if (estimated > available) {
+            // Số token trả lời tối đa mà số dư còn trả được (sau phần prompt)
+            const budget = available * 1000 - promptTokens * rate.promptPer1k;
+            outputTokens = rate.completionPer1k > 0
+                ? Math.min(Math.floor(budget / rate.completionPer1k), maxOutputTokens)
+                : maxOutputTokens;
+            estimated = this.calculateCredits(rate, { promptTokens, completionTokens: Math.max(outputTokens, 0) });
+        }
+        const minimum = Math.max(rate.minimumCredits || 0, 1);
+        if (available < minimum || outputTokens < 1 || estimated > available) {
+            const error = new Error('Insufficient credit');
+            error.code = 'INSUFFICIENT_CREDIT';
+            throw error;
+        }
+        const amount = Math.max(estimated, minimum);
+
+        const hold = {
+            id: uuidv4(),
+            keyId: keyDoc._id,
+            key: keyDoc.key,
+            provider,
+            model,
+            requestType: 'text',
+            amount,
+            maxOutputTokens: outputTokens,
+            balance: keyDoc.credit,
+            refunded: false,
+            metered: true,
+            settled: false
+        };
+
+        const { balance } = await CreditLedger.debit(keyDoc, amount, {
+            reason: `AI text hold (${provider}${model ? `/${model}` : ''})`,
+            reference: { type: 'ai_request', id: hold.id },
+            requireActive: true
+        });
+        hold.balance = balance;
+
+        console.log(`💳 Held ${amount} credit for key ${keyDoc.key.slice(0, 8)}...${outputTokens < maxOutputTokens ? ` (maxOutputTokens reduced to ${outputTokens})` : ''}`);
+        return hold;
+    }
+
+    /**
+     * Settle a hold against actual usage: refund the surplus or debit the extra.
+     * If the key can't cover the extra, whatever is left is taken and the rest is written off.
+     * `provider`/`model` may differ from the hold when a fallback provider answered.
+     */
+    static async settle(hold, { provider, model, usage, text } = {}) {
+        if (!hold || hold.settled || hold.refunded) {
+            return { charged: hold ? hold.amount : 0, balance: hold ? hold.balance : null };
+        }
+        if (!hold.metered) {
+            hold.settled = true;
+            return { charged: hold.amount, balance: hold.balance };
+        }
+
+        const tokens = {
+            promptTokens: (usage && usage.promptTokens) || 0,
+            completionTokens: (usage && usage.completionTokens) || this.estimateTokens(text)
+        };
+        const rate = await this.getTokenRate(provider || hold.provider, model || hold.model);
+        const actual = this.calculateCredits(rate, tokens);
+        const reference = { type: 'ai_request', id: hold.id };
+        let charged = hold.amount;
+
+        try {
+            if (actual < hold.amount) {
+                const { balance } = await CreditLedger.credit(hold.keyId, hold.amount - actual, 'refund', {
+                    reason: 'AI hold settlement',
+                    reference
+                });
+                hold.balance = balance;
+                charged = actual;
+            } else if (actual > hold.amount) {
+                const extra = actual - hold.amount;
+                try {
+                    const { balance } = await CreditLedger.debit(hold.keyId, extra, {
+                        reason: 'AI hold settlement',
+                        reference
+                    });
+                    hold.balance = balance;
+                    charged = actual;
+                } catch (error) {
+                    if (error.code !== 'INSUFFICIENT_CREDIT') throw error;
+                    const keyDoc = await CreditLedger.resolveKey(hold.keyId);
+                    const available = Math.max(Math.floor(keyDoc.credit || 0), 0);
+                    if (available > 0) {
+                        const { balance } = await CreditLedger.debit(keyDoc, available, {
+                            reason: 'AI hold settlement (partial)',
+                            reference
+                        });
+                        hold.balance = balance;
+                    }
+                    charged = hold.amount + available;
+                    console.warn(`⚠️ Key ${hold.key.slice(0, 8)}... could not cover ${actual - charged} credit of AI usage`);
+                }
+            }
+        } catch (error) {
+            console.error(`Failed to settle hold ${hold.id}:`, error);
+        }
+
+        hold.settled = true;
+        hold.charged = charged;
+        return { charged, balance: hold.balance };
+    }
+
+    /**
+     * Credit price of one request for a provider and request type
+     */
+    static async getCreditPrice(provider, requestType = 'text') {
+        const table = await Settings.getSetting('aiCreditPrices', DEFAULT_CREDIT_PRICES);
+        const providerPrices = (table && table[provider.toLowerCase()]) || {};
+        const defaultPrices = { ...DEFAULT_CREDIT_PRICES.default, ...((table && table.default) || {}) };
+
+        const price = providerPrices[requestType] !== undefined
+            ? providerPrices[requestType]
+            : defaultPrices[requestType];
+
+        return typeof price === 'number' && price >= 0 ? price : DEFAULT_CREDIT_PRICES.default[requestType];
+    }
+
+    /**
+     * Reserve credits before calling the provider. Throws INSUFFICIENT_CREDIT if the key can't cover it.
+     */
+    static async reserve(keyDoc, { provider, requestType = 'text' }) {
+        const amount = await this.getCreditPrice(provider, requestType);
+        const reservation = {
+            id: uuidv4(),
+            keyId: keyDoc._id,
+            key: keyDoc.key,
+            provider,
+            requestType,
+            amount,
+            balance: keyDoc.credit,
+            refunded: false
+        };
+
+        if (amount > 0) {
+            const { balance } = await CreditLedger.debit(keyDoc, amount, {
+                reason: `AI ${requestType} generation (${provider})`,
+                reference: { type: 'ai_request', id: reservation.id },
+                requireActive: true
+            });
+            reservation.balance = balance;
+        }
+
+        return reservation;
+    }
+
+    /**
+     * Give reserved credits back after a failed provider call. Safe to call more than once.
+     */
+    static async refund(reservation, reason = 'AI generation failed') {
+        if (!reservation || reservation.refunded || reservation.settled || reservation.amount <= 0) {
+            return reservation ? reservation.balance : null;
+        }
+
+        try {
+            const { balance } = await CreditLedger.credit(reservation.keyId, reservation.amount, 'refund', {
+                reason,
+                reference: { type: 'ai_request', id: reservation.id }
+            });
+            reservation.refunded = true;
+            reservation.balance = balance;
+            console.log(`↩️ Refunded ${reservation.amount} credit to key ${reservation.key.slice(0, 8)}...`);
+            return balance;
+        } catch (error) {
+            console.error(`Failed to refund reservation ${reservation.id}:`, error);
+            return reservation.balance;
+        }
+    }
+}
+
+AIBilling.DEFAULT_CREDIT_PRICES = DEFAULT_CREDIT_PRICES;
+AIBilling.DEFAULT_TOKEN_RATES = DEFAULT_TOKEN_RATES;
+
+module.exports = AIBilling;
@@ -0,0 +1,85 @@
+const ApiKeyManager = require('./apiKeyManager');
+const proxyManager = require('./proxyManager');
+const providers = require('./providers');
+const circuitBreaker = require('./circuitBreaker');
+
+// Error class của adapter → errorType của ApiKeyManager.markKeyError
+const KEY_ERROR_TYPES = {
+    quota: 'quota_exceeded',
+    auth: 'invalid_key'
+};
+
+/**
+ * Gọi AI provider bằng key pool của ApiProvider:
+ * - chọn key qua ApiKeyManager.getBestApiKey (ít dùng nhất, bỏ qua key hết quota/bị khóa)
+ * - mọi HTTP call của adapter đi qua proxy được gán cho key (proxyManager)
+ * - ghi nhận thành công/lỗi lên keyStatus của key (thống kê proxy do proxyManager ghi)
+ * - bỏ qua provider/key có circuit breaker đang mở, ghi kết quả vào circuit breaker
+ */
+class AIDispatcher {
+    /**
+     * @param {string} providerName - tên provider đã đăng ký adapter
+     * @param {string} method - 'generateText' | 'streamText' | 'generateImage'
+     * @param {Object} request - request gửi cho adapter (không cần apiKey/fetch)
+     * @param {Function} [onToken] - callback cho streamText
+     * @returns {Promise<{ result, apiKey }>}
+     * Lỗi ném ra luôn có `errorClass` (một trong providers.ERROR_CLASSES);
+     * `circuitOpen` = true nếu provider bị circuit breaker chặn (không gọi upstream)
+     */
+    static async call(providerName, method, request, onToken) {
+        const adapter = providers.getAdapter(providerName);
+        if (!adapter || typeof adapter[method] !== 'function') {
+            throw new Error(`Provider ${providerName} does not support ${method}`);
+        }
+
+        if (!(await circuitBreaker.allowProvider(adapter.name))) {
+            const error = new Error(`Provider ${adapter.name} is temporarily unavailable (circuit open)`);
+            error.errorClass = 'server';
+            error.circuitOpen = true;
+            throw error;
+        }
+
+        let apiKey;
+        try {
+            const blockedKeys = await circuitBreaker.getBlockedKeys(adapter.name);
+            apiKey = await ApiKeyManager.getBestApiKey(adapter.name, { excludeKeys: blockedKeys });
+            // Key half-open chỉ cho một request thăm dò: request song song khác bỏ key đó, chọn key khác
+            while (!(await circuitBreaker.acquireKey(adapter.name, apiKey))) {
+                blockedKeys.push(apiKey);
+                apiKey = await ApiKeyManager.getBestApiKey(adapter.name, { excludeKeys: blockedKeys });
+            }
+        } catch (error) {
+            // Pool trống, mọi key đều hết quota/bị khóa hoặc bị circuit breaker chặn
+            error.errorClass = 'quota';
+            await circuitBreaker.record(adapter.name, null, false, error.errorClass);
+            throw error;
+        }
+
+        const proxiedFetch = (url, init) => proxyManager.makeRequestWithProxy(url, init, apiKey);
+
+        try {
+            const result = await adapter[method]({ ...request, apiKey, fetch: proxiedFetch }, onToken);
+            await ApiKeyManager.markKeyUsed(adapter.name, apiKey);
+            await circuitBreaker.record(adapter.name, apiKey, true);
+            return { result, apiKey };
+        } catch (error) {
+            error.errorClass = providers.classifyError(adapter.name, error);
+
+            // Client tự hủy (SSE disconnect) không phải lỗi của key
+            if (request.signal?.aborted) {
+                circuitBreaker.release(adapter.name, apiKey);
+            } else {
+                await ApiKeyManager.markKeyError(
+                    adapter.name,
+                    apiKey,
+                    KEY_ERROR_TYPES[error.errorClass] || error.errorClass,
+                    error.message
+                );
+                await circuitBreaker.record(adapter.name, apiKey, false, error.errorClass);
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = AIDispatcher;
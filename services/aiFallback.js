@@ -0,0 +1,172 @@
+const Settings = require('../models/Settings');
+const providers = require('./providers');
+
+// Cấu hình fallback mặc định: giữ hành vi cũ "Gemini hết quota → DeepSeek".
+// Admin ghi đè qua setting `aiFallbackChains`:
+// {
+//   maxAttempts: 3,                          // tổng số provider được thử (kể cả provider chính)
+//   triggers: ['quota', 'timeout', 'server'], // error class kích hoạt fallback
+//   chains: {
+//     gemini: {
+//       text: ['deepseek', 'openai'],        // dạng rút gọn
+//       image: { providers: ['stability'], triggers: ['quota', 'safety'], maxAttempts: 2 }
+//     }
+//   }
+// }
+const DEFAULT_FALLBACK_CHAINS = {
+    maxAttempts: 2,
+    triggers: ['quota'],
+    chains: {
+        gemini: { text: ['deepseek'] }
+    }
+};
+
+const REQUEST_TYPES = ['text', 'image'];
+const MAX_ATTEMPTS_LIMIT = 10;
+
+const validateTriggers = (triggers, path) => {
+    if (!Array.isArray(triggers) || triggers.some(t => !providers.ERROR_CLASSES.includes(t))) {
+        return { valid: false, message: `${path} must be an array of: ${providers.ERROR_CLASSES.join(', ')}` };
+    }
+    return { valid: true };
+};
+
+const validateMaxAttempts = (maxAttempts, path) => {
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS_LIMIT) {
+        return { valid: false, message: `${path} must be an integer between 1 and ${MAX_ATTEMPTS_LIMIT}` };
+    }
+    return { valid: true };
+};
+
+const validateProviderList = (list, path) => {
+    if (!Array.isArray(list) || list.some(name => typeof name !== 'string' || !providers.getAdapter(name))) {
+        return { valid: false, message: `${path} must be an array of registered providers` };
+    }
+    return { valid: true };
+};
+
+class AIFallback {
+    /**
+     * Validate the `aiFallbackChains` setting
+     */
+    static validateConfig(config) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            return { valid: false, message: 'aiFallbackChains must be an object' };
+        }
+        for (const field of Object.keys(config)) {
+            if (!['maxAttempts', 'triggers', 'chains'].includes(field)) {
+                return { valid: false, message: `Unknown field '${field}' in aiFallbackChains` };
+            }
+        }
+        if (config.maxAttempts !== undefined) {
+            const result = validateMaxAttempts(config.maxAttempts, 'maxAttempts');
+            if (!result.valid) return result;
+        }
+        if (config.triggers !== undefined) {
+            const result = validateTriggers(config.triggers, 'triggers');
+            if (!result.valid) return result;
+        }
+        const chains = config.chains || {};
+        if (typeof chains !== 'object' || Array.isArray(chains)) {
+            return { valid: false, message: 'chains must be an object' };
+        }
+        for (const [provider, byType] of Object.entries(chains)) {
+            if (!providers.getAdapter(provider)) {
+                return { valid: false, message: `Unknown provider '${provider}' in chains` };
+            }
+            if (!byType || typeof byType !== 'object' || Array.isArray(byType)) {
+                return { valid: false, message: `chains.${provider} must be an object` };
+            }
+            for (const [requestType, chain] of Object.entries(byType)) {
+                const path = `chains.${provider}.${requestType}`;
+                if (!REQUEST_TYPES.includes(requestType)) {
+                    return { valid: false, message: `Unknown request type '${requestType}' in chains.${provider}` };
+                }
+                if (Array.isArray(chain)) {
+                    const result = validateProviderList(chain, path);
+                    if (!result.valid) return result;
+                    continue;
+                }
+                if (!chain || typeof chain !== 'object') {
+                    return { valid: false, message: `${path} must be an array or an object` };
+                }
+                const checks = [
+                    validateProviderList(chain.providers, `${path}.providers`),
+                    chain.triggers !== undefined ? validateTriggers(chain.triggers, `${path}.triggers`) : { valid: true },
+                    chain.maxAttempts !== undefined ? validateMaxAttempts(chain.maxAttempts, `${path}.maxAttempts`) : { valid: true }
+                ];
+                const failed = checks.find(result => !result.valid);
+                if (failed) return failed;
+            }
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Lấy chuỗi provider sẽ thử cho một request.
+     * @param {string} provider - provider client yêu cầu (luôn đứng đầu chuỗi)
+     * @param {string} requestType - 'text' | 'image'
+     * @param {string} capability - capability adapter cần có ('text' | 'stream' | 'image')
+     * @returns {{ providers: string[], triggers: string[], maxAttempts: number }}
+     */
+    static async getChain(provider, requestType, capability = requestType) {
+        const config = await Settings.getSetting('aiFallbackChains', DEFAULT_FALLBACK_CHAINS) || {};
+        const primary = provider.toLowerCase();
+        const entry = config.chains && config.chains[primary] && config.chains[primary][requestType];
+        const chain = Array.isArray(entry) ? { providers: entry } : (entry || { providers: [] });
+
+        const names = [primary, ...chain.providers.map(name => name.toLowerCase())]
+            .filter((name, index, list) => list.indexOf(name) === index)
+            .filter(name => name === primary || providers.supports(name, capability));
+
+        const maxAttempts = chain.maxAttempts || config.maxAttempts || DEFAULT_FALLBACK_CHAINS.maxAttempts;
+
+        return {
+            providers: names.slice(0, maxAttempts),
+            triggers: chain.triggers || config.triggers || DEFAULT_FALLBACK_CHAINS.triggers,
+            maxAttempts
+        };
+    }
+
+    /**
+     * Chạy lần lượt các provider trong chuỗi cho tới khi một provider thành công.
+     * Chỉ chuyển sang provider kế tiếp khi lỗi thuộc `triggers` (error.errorClass do AIDispatcher gán)
+     * và lỗi không đánh dấu `noFallback`. Provider bị circuit breaker chặn (`circuitOpen`) luôn được bỏ qua.
+     * @param {Object} chain - kết quả getChain()
+     * @param {Function} attempt - async (providerName) => result
+     * @returns {Promise<{ result, provider, attempts }>}
+     * Lỗi cuối cùng được ném ra kèm `error.attempts`
+     */
+    static async run(chain, attempt) {
+        const attempts = [];
+
+        for (let i = 0; i < chain.providers.length; i++) {
+            const providerName = chain.providers[i];
+            try {
+                const result = await attempt(providerName);
+                attempts.push({ provider: providerName, success: true });
+                return { result, provider: providerName, attempts };
+            } catch (error) {
+                const errorClass = error.errorClass || providers.classifyError(providerName, error);
+                attempts.push({ provider: providerName, success: false, errorClass, error: error.message });
+
+                const hasNext = i < chain.providers.length - 1;
+                const canFallback = error.circuitOpen || chain.triggers.includes(errorClass);
+                if (!hasNext || error.noFallback || !canFallback) {
+                    error.attempts = attempts;
+                    throw error;
+                }
+                console.log(`🔄 ${providerName} failed (${errorClass}), falling back to ${chain.providers[i + 1]}...`);
+            }
+        }
+
+        // Chuỗi rỗng chỉ xảy ra khi cấu hình sai
+        const error = new Error('No provider available in fallback chain');
+        error.attempts = attempts;
+        throw error;
+    }
+}
+
+AIFallback.DEFAULT_FALLBACK_CHAINS = DEFAULT_FALLBACK_CHAINS;
+
+module.exports = AIFallback;
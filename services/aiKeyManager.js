@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const path = require('path');
+const providers = require('./providers');
 
 class AIKeyManager {
   constructor() {
@@ -85,38 +86,16 @@ class AIKeyManager {
 
     const trimmedKey = apiKey.trim();
     
-    // Kiểm tra format cơ bản cho từng provider
-    switch (provider.toLowerCase()) {
-      case 'gemini':
-        if (!trimmedKey.startsWith('AIza')) {
-          return { valid: false, message: 'Invalid Gemini API key format' };
-        }
-        break;
-      case 'openai':
-        if (!trimmedKey.startsWith('sk-')) {
-          return { valid: false, message: 'Invalid OpenAI API key format' };
-        }
-        break;
-      case 'deepseek':
-        if (trimmedKey.length < 20) {
-          return { valid: false, message: 'Invalid DeepSeek API key format' };
-        }
-        break;
-      case 'stability':
-        if (!trimmedKey.startsWith('sk-')) {
-          return { valid: false, message: 'Invalid Stability AI API key format' };
-        }
-        break;
-      case 'elevenlabs':
-        if (trimmedKey.length < 20) {
-          return { valid: false, message: 'Invalid ElevenLabs API key format' };
-        }
-        break;
-      default:
-        // Cho các provider khác, chỉ kiểm tra độ dài tối thiểu
-        if (trimmedKey.length < 10) {
-          return { valid: false, message: 'API key too short' };
-        }
+    // Kiểm tra format theo adapter của provider (services/providers)
+    const adapter = providers.getAdapter(provider);
+    if (adapter) {
+      const result = adapter.validateKeyFormat(trimmedKey);
+      if (!result.valid) {
+        return result;
+      }
+    } else if (trimmedKey.length < 10) {
+      // Cho các provider khác, chỉ kiểm tra độ dài tối thiểu
+      return { valid: false, message: 'API key too short' };
     }
 
     return { valid: true, message: 'API key format is valid' };
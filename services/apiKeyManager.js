@@ -4,8 +4,10 @@ class ApiKeyManager {
     /**
      * Get the best available API key for a provider
      * Prioritizes active keys without quota issues
+     * @param {Object} [options]
+     * @param {string[]} [options.excludeKeys] - keys to skip (e.g. open circuit breaker)
      */
-    static async getBestApiKey(providerName) {
+    static async getBestApiKey(providerName, { excludeKeys = [] } = {}) {
         const provider = await ApiProvider.findOne({ 
             name: { $regex: new RegExp(`^${providerName}$`, "i") } 
         });
@@ -18,13 +20,18 @@ class ApiKeyManager {
         await this.syncKeyStatus(provider);
         
         // Find the best available key
-        const availableKeys = provider.keyStatus.filter(keyInfo => 
+        const candidateKeys = provider.keyStatus.filter(keyInfo => !excludeKeys.includes(keyInfo.key));
+        if (candidateKeys.length === 0) {
+            throw new Error(`All API keys for provider ${providerName} are blocked by the circuit breaker`);
+        }
+
+        const availableKeys = candidateKeys.filter(keyInfo => 
             keyInfo.isActive && !keyInfo.quotaExceeded
         );
         
         if (availableKeys.length === 0) {
             // All keys have issues, try to use the least recently failed one
-            const fallbackKeys = provider.keyStatus
+            const fallbackKeys = candidateKeys
                 .filter(keyInfo => keyInfo.isActive)
                 .sort((a, b) => (a.lastErrorTime || new Date(0)) - (b.lastErrorTime || new Date(0)));
             
@@ -60,7 +67,8 @@ class ApiKeyManager {
                     $set: { 
                         'keyStatus.$.lastUsed': new Date(),
                         'keyStatus.$.lastError': null,
-                        'keyStatus.$.lastErrorTime': null
+                        'keyStatus.$.lastErrorTime': null,
+                        'keyStatus.$.lastErrorType': null
                     },
                     $inc: { 'keyStatus.$.requestCount': 1 }
                 }
@@ -77,16 +85,21 @@ class ApiKeyManager {
         try {
             const updateData = {
                 'keyStatus.$.lastError': errorMessage,
-                'keyStatus.$.lastErrorTime': new Date()
+                'keyStatus.$.lastErrorTime': new Date(),
+                'keyStatus.$.lastErrorType': errorType || null
             };
 
+            // Chỉ đoán loại lỗi từ message khi caller không phân loại sẵn
+            // (tránh khóa key chỉ vì prompt "invalid")
+            const guess = !errorType;
+
             // Handle specific error types
-            if (errorType === 'quota_exceeded' || errorMessage.includes('429') || errorMessage.includes('quota')) {
+            if (errorType === 'quota_exceeded' || (guess && (errorMessage.includes('429') || errorMessage.includes('quota')))) {
                 updateData['keyStatus.$.quotaExceeded'] = true;
                 console.warn(`🚫 API key quota exceeded: ${apiKey.slice(0, 12)}...`);
             }
             
-            if (errorType === 'invalid_key' || errorMessage.includes('invalid') || errorMessage.includes('401')) {
+            if (errorType === 'invalid_key' || (guess && (errorMessage.includes('invalid') || errorMessage.includes('401')))) {
                 updateData['keyStatus.$.isActive'] = false;
                 console.error(`❌ API key marked as invalid: ${apiKey.slice(0, 12)}...`);
             }
@@ -114,7 +127,8 @@ class ApiKeyManager {
                     $set: { 
                         'keyStatus.$[].quotaExceeded': false,
                         'keyStatus.$[].lastError': null,
-                        'keyStatus.$[].lastErrorTime': null
+                        'keyStatus.$[].lastErrorTime': null,
+                        'keyStatus.$[].lastErrorType': null
                     }
                 }
             );
@@ -179,7 +193,8 @@ class ApiKeyManager {
                 quotaExceeded: k.quotaExceeded,
                 requestCount: k.requestCount,
                 lastUsed: k.lastUsed,
-                lastError: k.lastError
+                lastError: k.lastError,
+                circuitState: k.circuitState
             }))
         };
     }
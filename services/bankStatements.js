@@ -0,0 +1,555 @@
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const Payment = require('../models/Payment');
+const BankStatementImport = require('../models/BankStatementImport');
+const BankTransaction = require('../models/BankTransaction');
+const paymentService = require('./paymentService');
+
+const MAX_ROWS = 20000;
+const MAX_ROW_ERRORS = 100;
+const HEADER_SCAN_ROWS = 30;
+// Payment được xét khớp: tạo trong khoảng này trước ngày giao dịch sớm nhất của file
+const MATCH_LOOKBACK_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Sao kê ngân hàng Việt Nam ghi giờ địa phương (UTC+7)
+const VN_OFFSET_MS = 7 * 60 * 60 * 1000;
+const TRANSFER_PREFIX = 'NAPCREDIT';
+// Payment có thể nhận tiền chuyển khoản (tiền về muộn vẫn hoàn tất được payment expired / failed)
+const PAYABLE_STATUSES = ['pending', 'expired', 'failed'];
+
+// Tên cột (đã bỏ dấu, chữ thường) theo định dạng sao kê. File song ngữ ("Số tiền ghi có/Credit") khớp theo từng phần.
+const FORMATS = {
+    vietcombank: {
+        date: ['ngay giao dich', 'ngay gd', 'transaction date', 'ngay'],
+        reference: ['so tham chieu', 'so ct', 'reference no', 'reference'],
+        debit: ['so tien ghi no', 'ghi no', 'debit'],
+        credit: ['so tien ghi co', 'ghi co', 'credit'],
+        content: ['mo ta', 'noi dung chi tiet', 'noi dung', 'description', 'transactions in detail']
+    },
+    mb: {
+        date: ['ngay giao dich', 'ngay hach toan', 'transaction date'],
+        reference: ['so but toan', 'ma giao dich', 'so tham chieu', 'transaction id'],
+        debit: ['phat sinh no', 'ghi no', 'so tien ghi no', 'debit'],
+        credit: ['phat sinh co', 'ghi co', 'so tien ghi co', 'credit'],
+        content: ['noi dung', 'dien giai', 'noi dung giao dich', 'description']
+    }
+};
+
+const MAPPING_FIELDS = ['date', 'content', 'amount', 'credit', 'debit', 'reference'];
+
+const statementError = (message, code = 'INVALID_INPUT') => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const normalizeHeader = (value) => String(value === null || value === undefined ? '' : value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .toLowerCase()
+    .replace(/[^a-z0-9/\n]+/g, ' ')
+    .trim();
+
+// Nội dung chuyển khoản để so khớp: bỏ dấu, chữ hoa, bỏ mọi ký tự không phải chữ/số (ngân hàng hay thêm/bớt khoảng trắng, dấu chấm)
+const compactContent = (value) => normalizeHeader(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Parse CSV (RFC 4180: ô trong ngoặc kép, "" là dấu ngoặc kép). Tự nhận dấu phân cách , ; hoặc tab.
+ * @returns {Array<Array<string>>}
+ */
+const parseCsv = (text) => {
+    const source = text.replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/).find(line => line.trim()) || '';
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Giá trị ô Excel (exceljs): số, chuỗi, Date, rich text, công thức, hyperlink
+const cellValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date || typeof value !== 'object') return value;
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.text !== undefined) return cellValue(value.text);
+    return String(value);
+};
+
+const readWorkbook = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw statementError('Unable to read Excel file (only .xlsx is supported, save .xls files as .xlsx or CSV)');
+    }
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+        throw statementError('Excel file has no worksheet');
+    }
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        const values = [];
+        for (let col = 1; col <= row.cellCount; col++) {
+            values.push(cellValue(row.getCell(col).value));
+        }
+        rows[rowNumber - 1] = values;
+    });
+    return Array.from(rows, row => row || []);
+};
+
+/**
+ * Số tiền VND từ ô sao kê: "1.500.000", "1,500,000", "1500000.00", "+500,000 VND", "(200.000)".
+ * Khi chỉ có một loại dấu: lặp lại hoặc theo sau bởi đúng 3 chữ số thì là dấu phân cách hàng nghìn.
+ * @returns {number|null} làm tròn về đồng, null nếu trống / không phải số
+ */
+const parseAmount = (value) => {
+    if (typeof value === 'number') {
+        return isFinite(value) ? Math.round(value) : null;
+    }
+    let text = String(value === null || value === undefined ? '' : value).trim();
+    if (!text) return null;
+
+    let negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text);
+    text = text.replace(/[^0-9.,]/g, '');
+    if (!text) return null;
+
+    const lastDot = text.lastIndexOf('.');
+    const lastComma = text.lastIndexOf(',');
+    let normalized;
+    if (lastDot >= 0 && lastComma >= 0) {
+        const decimal = lastDot > lastComma ? '.' : ',';
+        const thousands = decimal === '.' ? ',' : '.';
+        normalized = text.split(thousands).join('').replace(decimal, '.');
+    } else if (lastDot >= 0 || lastComma >= 0) {
+        const separator = lastDot >= 0 ? '.' : ',';
+        const parts = text.split(separator);
+        const isThousands = parts.length > 2 || parts[parts.length - 1].length === 3;
+        normalized = isThousands ? parts.join('') : parts.join('.');
+    } else {
+        normalized = text;
+    }
+
+    const amount = Number(normalized);
+    if (!isFinite(amount)) return null;
+    negative = negative && amount !== 0;
+    return Math.round(negative ? -amount : amount);
+};
+
+/**
+ * Ngày giao dịch: Date (Excel), "dd/mm/yyyy[ hh:mm[:ss]]" (mặc định), "yyyy-mm-dd[ hh:mm[:ss]]", "mm/dd/yyyy" với dateFormat MDY.
+ * Giờ trong sao kê là giờ Việt Nam.
+ * @returns {Date|null}
+ */
+const parseStatementDate = (value, dateFormat = 'DMY') => {
+    if (value instanceof Date) {
+        // exceljs đọc giờ trong ô như UTC
+        return isNaN(value.getTime()) ? null : new Date(value.getTime() - VN_OFFSET_MS);
+    }
+    const text = String(value === null || value === undefined ? '' : value).trim();
+    let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+    let year, month, day;
+    if (match) {
+        [year, month, day] = [match[1], match[2], match[3]];
+    } else {
+        match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+        if (!match) return null;
+        [day, month] = dateFormat === 'MDY' ? [match[2], match[1]] : [match[1], match[2]];
+        year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    }
+
+    const [hour, minute, second] = [match[4], match[5], match[6]].map(part => Number(part || 0));
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), hour, minute, second) - VN_OFFSET_MS);
+    const check = new Date(date.getTime() + VN_OFFSET_MS);
+    if (isNaN(date.getTime()) || check.getUTCDate() !== Number(day) || check.getUTCMonth() !== Number(month) - 1) {
+        return null;
+    }
+    return date;
+};
+
+/**
+ * Tìm dòng tiêu đề và vị trí cột theo bộ tên cột của định dạng
+ * @returns {{ headerIndex, columns }|null} columns: { field: index }
+ */
+const detectColumns = (rows, aliases) => {
+    for (let index = 0; index < Math.min(rows.length, HEADER_SCAN_ROWS); index++) {
+        const headers = rows[index].map(header => normalizeHeader(header).split(/[/\n]/).map(part => part.trim()));
+        const columns = {};
+        for (const [field, names] of Object.entries(aliases)) {
+            // Tên cụ thể hơn được ưu tiên (thứ tự trong danh sách)
+            for (const name of names) {
+                const col = headers.findIndex((parts, colIndex) =>
+                    parts.includes(name) && !Object.values(columns).includes(colIndex));
+                if (col >= 0) {
+                    columns[field] = col;
+                    break;
+                }
+            }
+        }
+        if (columns.date !== undefined && columns.content !== undefined &&
+            (columns.credit !== undefined || columns.amount !== undefined)) {
+            return { headerIndex: index, columns };
+        }
+    }
+    return null;
+};
+
+/**
+ * Cột theo mapping của admin (định dạng generic): tên cột trong dòng tiêu đề hoặc chỉ số cột (0 = cột đầu tiên)
+ */
+const resolveMapping = (rows, mapping) => {
+    if (!mapping || typeof mapping !== 'object') {
+        throw statementError('mapping is required for generic format: { date, content, amount | credit (, debit, reference, headerRow, dateFormat) }');
+    }
+    const headerIndex = mapping.headerRow !== undefined ? Number(mapping.headerRow) - 1 : 0;
+    if (!Number.isInteger(headerIndex) || headerIndex < 0 || headerIndex >= rows.length) {
+        throw statementError('mapping.headerRow must be a row number within the file (1 = first row)');
+    }
+
+    const headers = (rows[headerIndex] || []).map(header => normalizeHeader(header));
+    const columns = {};
+    for (const field of MAPPING_FIELDS) {
+        const column = mapping[field];
+        if (column === undefined || column === null || column === '') continue;
+        const index = Number.isInteger(column) ? column : headers.indexOf(normalizeHeader(column));
+        if (index < 0) {
+            throw statementError(`Column '${column}' for ${field} not found in header row ${headerIndex + 1}`);
+        }
+        columns[field] = index;
+    }
+    if (columns.date === undefined || columns.content === undefined ||
+        (columns.amount === undefined && columns.credit === undefined)) {
+        throw statementError('mapping must define date, content and amount or credit columns');
+    }
+    return { headerIndex, columns };
+};
+
+/**
+ * Nhập sao kê ngân hàng (CSV / Excel) và đối soát với payment chuyển khoản thủ công
+ * (nội dung `NAPCREDIT <8 ký tự cuối key> <8 ký tự cuối payment id>`, paymentService.generateTransferContent).
+ * Khớp đúng một payment với đúng số tiền: hoàn tất payment; còn lại vào hàng chờ admin.
+ */
+class BankStatements {
+    /**
+     * Đọc file thành các dòng giao dịch
+     * @param {Buffer} buffer
+     * @param {Object} options - { fileName, format: auto|vietcombank|mb|generic, mapping }
+     * @returns {{ format, transactions: Array<{ row, transactionDate, amount, content, reference }>, rowErrors }}
+     */
+    static async parse(buffer, { fileName = '', format = 'auto', mapping } = {}) {
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            throw statementError('File is empty');
+        }
+        if (!['auto', 'generic', ...Object.keys(FORMATS)].includes(format)) {
+            throw statementError(`format must be one of: auto, generic, ${Object.keys(FORMATS).join(', ')}`);
+        }
+
+        // File .xlsx là file zip (bắt đầu bằng "PK")
+        const isExcel = /\.xlsx$/i.test(fileName) || buffer.slice(0, 2).toString('latin1') === 'PK';
+        const rows = isExcel ? await readWorkbook(buffer) : parseCsv(buffer.toString('utf8'));
+        if (rows.length > MAX_ROWS) {
+            throw statementError(`File has too many rows (max ${MAX_ROWS})`);
+        }
+
+        let layout;
+        let detectedFormat = format;
+        if (format === 'generic') {
+            layout = resolveMapping(rows, mapping);
+        } else {
+            const candidates = format === 'auto' ? Object.keys(FORMATS) : [format];
+            for (const name of candidates) {
+                layout = detectColumns(rows, FORMATS[name]);
+                if (layout) {
+                    detectedFormat = name;
+                    break;
+                }
+            }
+            if (!layout) {
+                throw statementError('Unable to find the header row (date, description, credit columns). Use format "generic" with a column mapping.');
+            }
+        }
+
+        const dateFormat = mapping && mapping.dateFormat === 'MDY' ? 'MDY' : 'DMY';
+        const { headerIndex, columns } = layout;
+        const transactions = [];
+        const rowErrors = [];
+        const cell = (row, field) => (columns[field] === undefined ? '' : row[columns[field]]);
+
+        for (let index = headerIndex + 1; index < rows.length; index++) {
+            const row = rows[index];
+            if (!row || row.every(value => String(value === null || value === undefined ? '' : value).trim() === '')) continue;
+
+            const rowNumber = index + 1;
+            const transactionDate = parseStatementDate(cell(row, 'date'), dateFormat);
+            let amount;
+            if (columns.amount !== undefined) {
+                amount = parseAmount(cell(row, 'amount'));
+            } else {
+                const credit = parseAmount(cell(row, 'credit'));
+                const debit = parseAmount(cell(row, 'debit'));
+                amount = credit ? Math.abs(credit) : (debit ? -Math.abs(debit) : null);
+            }
+
+            // Dòng tổng cộng / số dư cuối kỳ không có ngày: bỏ qua không báo lỗi
+            if (!transactionDate) {
+                if (amount !== null && /\d/.test(String(cell(row, 'date') || '')) && rowErrors.length < MAX_ROW_ERRORS) {
+                    rowErrors.push({ row: rowNumber, message: `Invalid date '${cell(row, 'date')}'` });
+                }
+                continue;
+            }
+            if (amount === null) {
+                if (rowErrors.length < MAX_ROW_ERRORS) {
+                    rowErrors.push({ row: rowNumber, message: 'Missing or invalid amount' });
+                }
+                continue;
+            }
+
+            const reference = String(cell(row, 'reference') || '').trim();
+            transactions.push({
+                row: rowNumber,
+                transactionDate,
+                amount,
+                content: String(cell(row, 'content') || '').trim(),
+                reference: reference || null
+            });
+        }
+
+        return { format: detectedFormat, transactions, rowErrors };
+    }
+
+    /**
+     * Dấu vân tay giao dịch (chống import trùng).
+     * occurrence: thứ tự (từ 0) của giao dịch trong các dòng giống hệt nhau của cùng sao kê
+     * (cùng người chuyển, cùng số tiền, cùng ngày, không có mã giao dịch) để hai lần chuyển thật
+     * không bị gộp thành một, còn import lại cùng file vẫn ra đúng các fingerprint cũ.
+     */
+    static fingerprint(bank, transaction, occurrence = 0) {
+        const parts = [bank, transaction.transactionDate.toISOString(), transaction.amount, compactContent(transaction.content), transaction.reference || ''];
+        if (occurrence > 0) {
+            parts.push(`#${occurrence}`);
+        }
+        return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+    }
+
+    /**
+     * Tìm payment cho một giao dịch tiền vào
+     * @param {Object} transaction
+     * @param {Array} payments - payment (lean) có nội dung chuyển khoản
+     * @returns {{ status: 'matched'|'review'|'unmatched', payment, candidates, reason }}
+     */
+    static matchTransaction(transaction, payments) {
+        const content = compactContent(transaction.content);
+        if (!content.includes(TRANSFER_PREFIX)) {
+            return { status: 'unmatched', payment: null, candidates: [], reason: `No ${TRANSFER_PREFIX} transfer content` };
+        }
+
+        // Nội dung đầy đủ xuất hiện trong diễn giải của ngân hàng
+        const exact = payments.filter(payment => content.includes(compactContent(payment.paymentData.transferContent)));
+        // Chỉ khớp phần mã payment (user gõ sai key hoặc ngân hàng cắt bớt nội dung)
+        const partial = exact.length ? exact : payments.filter(payment => {
+            // Mã payment: 8 ký tự cuối của nội dung chuyển khoản
+            const paymentCode = compactContent(payment.paymentData.transferContent).slice(-8);
+            return content.slice(content.indexOf(TRANSFER_PREFIX)).includes(paymentCode);
+        });
+
+        if (partial.length === 0) {
+            return { status: 'review', payment: null, candidates: [], reason: `${TRANSFER_PREFIX} content does not match any payment` };
+        }
+        const candidates = partial.map(payment => payment._id);
+        if (partial.length > 1) {
+            return { status: 'review', payment: null, candidates, reason: `Matches ${partial.length} payments` };
+        }
+
+        const payment = partial[0];
+        if (!exact.length) {
+            return { status: 'review', payment, candidates, reason: 'Only the payment code matches, key part differs' };
+        }
+        if (payment.price !== transaction.amount) {
+            return { status: 'review', payment, candidates, reason: `Amount mismatch: received ${transaction.amount}, expected ${payment.price}` };
+        }
+        if (!PAYABLE_STATUSES.includes(payment.status)) {
+            return { status: 'review', payment, candidates, reason: `Payment is ${payment.status}` };
+        }
+        return { status: 'matched', payment, candidates, reason: null };
+    }
+
+    /**
+     * Import sao kê: lưu giao dịch mới, tự hoàn tất payment khớp chính xác
+     * @param {Buffer} buffer
+     * @param {Object} options - { fileName, format, mapping, actor }
+     * @returns {{ statementImport, transactions }}
+     */
+    static async import(buffer, options = {}) {
+        const { fileName = null, actor = 'System' } = options;
+        const { format, transactions, rowErrors } = await this.parse(buffer, options);
+
+        const statementImport = new BankStatementImport({
+            fileName,
+            format,
+            importedBy: actor,
+            rowErrors,
+            counts: { rows: transactions.length }
+        });
+        await statementImport.save();
+
+        const credits = transactions.filter(transaction => transaction.amount > 0);
+        const earliest = credits.reduce((min, transaction) => Math.min(min, transaction.transactionDate.getTime()), Date.now());
+        const payments = credits.length === 0 ? [] : await Payment.find({
+            'paymentData.transferContent': { $regex: `^${TRANSFER_PREFIX}` },
+            createdAt: { $gte: new Date(earliest - MATCH_LOOKBACK_DAYS * DAY_MS) }
+        }, 'userKey price status creditAmount paymentData.transferContent createdAt').lean();
+
+        const counts = statementImport.counts;
+        counts.credits = credits.length;
+        const saved = [];
+        const occurrences = new Map();
+
+        for (const transaction of transactions) {
+            const base = this.fingerprint(format, transaction);
+            const occurrence = occurrences.get(base) || 0;
+            occurrences.set(base, occurrence + 1);
+            const fingerprint = this.fingerprint(format, transaction, occurrence);
+            const match = transaction.amount > 0
+                ? this.matchTransaction(transaction, payments)
+                : { status: 'ignored', payment: null, candidates: [], reason: 'Outgoing transaction' };
+
+            let record;
+            try {
+                record = await BankTransaction.create({
+                    importId: statementImport._id,
+                    bank: format,
+                    fingerprint,
+                    ...transaction,
+                    // Chỉ chuyển sang matched sau khi payment hoàn tất
+                    status: match.status === 'matched' ? 'review' : match.status,
+                    reason: match.reason,
+                    paymentId: match.payment ? match.payment._id : null,
+                    candidates: match.candidates
+                });
+            } catch (error) {
+                if (error.code === 11000) {
+                    counts.duplicates++;
+                    continue;
+                }
+                throw error;
+            }
+
+            if (match.status === 'matched') {
+                await this.completeMatch(record, match.payment, { actor: 'Bank import', auto: true });
+            }
+            counts[record.status] = (counts[record.status] || 0) + 1;
+            saved.push(record);
+        }
+
+        statementImport.markModified('counts');
+        await statementImport.save();
+        console.log(`🏦 Bank statement imported (${format}): ${counts.credits} credit(s), ${counts.matched} matched, ${counts.review} to review, ${counts.duplicates} duplicate(s)`);
+        return { statementImport, transactions: saved };
+    }
+
+    /**
+     * Hoàn tất payment cho giao dịch (tự động hoặc admin ghép tay).
+     * Lỗi hoàn tất (payment vừa được webhook hoàn tất, đang xử lý...) đưa giao dịch về hàng chờ review.
+     */
+    static async completeMatch(record, payment, { actor, auto = false } = {}) {
+        const transactionId = `BANK_${record.bank.toUpperCase()}_${record.reference || record.fingerprint.slice(0, 16)}`;
+        try {
+            await paymentService.completePayment(payment._id, transactionId, { source: 'bank_import', allowExpired: true });
+            Object.assign(record, {
+                status: auto ? 'matched' : 'resolved',
+                paymentId: payment._id,
+                reason: auto ? null : record.reason,
+                resolvedBy: auto ? null : actor,
+                resolvedAt: auto ? null : new Date()
+            });
+        } catch (error) {
+            if (!auto) throw error;
+            Object.assign(record, { status: 'review', reason: `Auto-complete failed: ${error.message}` });
+        }
+        await record.save();
+        return record;
+    }
+
+    /**
+     * Admin ghép giao dịch đang chờ với một payment (số tiền phải bằng giá payment)
+     * Lỗi có code: NOT_FOUND | INVALID_STATE | AMOUNT_MISMATCH | lỗi của completePayment
+     */
+    static async resolve(transactionId, paymentId, { actor = 'System' } = {}) {
+        const record = await BankTransaction.findById(transactionId);
+        if (!record) {
+            throw statementError('Bank transaction not found', 'NOT_FOUND');
+        }
+        if (!['review', 'unmatched'].includes(record.status)) {
+            throw statementError(`Bank transaction is ${record.status}`, 'INVALID_STATE');
+        }
+        const payment = /^[a-f0-9]{24}$/i.test(String(paymentId)) && await Payment.findById(paymentId);
+        if (!payment) {
+            throw statementError('Payment not found', 'NOT_FOUND');
+        }
+        if (payment.price !== record.amount) {
+            throw statementError(`Amount mismatch: transaction ${record.amount}, payment ${payment.price}`, 'AMOUNT_MISMATCH');
+        }
+        return this.completeMatch(record, payment, { actor });
+    }
+
+    /**
+     * Admin bỏ qua giao dịch (không phải tiền nạp credit, đã xử lý tay...)
+     */
+    static async dismiss(transactionId, { actor = 'System', reason } = {}) {
+        const record = await BankTransaction.findOneAndUpdate(
+            { _id: transactionId, status: { $in: ['review', 'unmatched'] } },
+            { $set: { status: 'dismissed', reason: reason || 'Dismissed by admin', resolvedBy: actor, resolvedAt: new Date() } },
+            { new: true }
+        );
+        if (!record) {
+            const exists = await BankTransaction.exists({ _id: transactionId });
+            throw exists
+                ? statementError('Bank transaction is not waiting for review', 'INVALID_STATE')
+                : statementError('Bank transaction not found', 'NOT_FOUND');
+        }
+        return record;
+    }
+}
+
+BankStatements.FORMATS = FORMATS;
+BankStatements.parseCsv = parseCsv;
+BankStatements.parseAmount = parseAmount;
+BankStatements.parseStatementDate = parseStatementDate;
+
+module.exports = BankStatements;
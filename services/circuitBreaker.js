@@ -0,0 +1,267 @@
+const ApiProvider = require('../models/ApiProvider');
+const Settings = require('../models/Settings');
+
+// Cấu hình mặc định, admin ghi đè qua setting `aiCircuitBreaker`
+const DEFAULT_CIRCUIT_CONFIG = {
+    windowMs: 60 * 1000,        // cửa sổ tính tỉ lệ lỗi
+    minRequests: 5,             // số request tối thiểu trong cửa sổ trước khi được phép mở mạch
+    failureRateThreshold: 0.5,  // tỉ lệ lỗi để mở mạch
+    openMs: 30 * 1000           // thời gian mở mạch trước khi cho một request thăm dò (half-open)
+};
+
+// Chỉ các lỗi cho thấy upstream không khỏe mới tính là failure.
+// Lỗi do prompt (bad_request, safety) không phản ánh sức khỏe provider/key.
+const FAILURE_CLASSES = ['server', 'timeout', 'network', 'quota', 'unknown'];
+
+const STATES = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half_open' };
+
+// Trạng thái mạch → ApiProvider.status hiển thị trên dashboard
+const PROVIDER_STATUS = {
+    closed: 'Operational',
+    half_open: 'Degraded',
+    open: 'Error'
+};
+
+const CONFIG_FIELDS = Object.keys(DEFAULT_CIRCUIT_CONFIG);
+
+const providerFilter = (providerName) => ({ name: { $regex: new RegExp(`^${providerName}$`, 'i') } });
+
+/**
+ * Circuit breaker cho từng provider và từng upstream API key.
+ * Trạng thái giữ trong memory của process (rolling window), mỗi lần chuyển trạng thái
+ * được ghi vào ApiProvider.status / keyStatus để dashboard phản ánh traffic thực.
+ */
+class CircuitBreaker {
+    constructor() {
+        this.circuits = new Map(); // `${provider}` hoặc `${provider}:${apiKey}` → circuit
+    }
+
+    /**
+     * Validate the `aiCircuitBreaker` setting
+     */
+    static validateConfig(config) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            return { valid: false, message: 'aiCircuitBreaker must be an object' };
+        }
+        for (const [field, value] of Object.entries(config)) {
+            if (!CONFIG_FIELDS.includes(field)) {
+                return { valid: false, message: `Unknown field '${field}' in aiCircuitBreaker` };
+            }
+            if (typeof value !== 'number' || isNaN(value) || value <= 0) {
+                return { valid: false, message: `${field} must be a positive number` };
+            }
+        }
+        if (config.failureRateThreshold !== undefined && config.failureRateThreshold > 1) {
+            return { valid: false, message: 'failureRateThreshold must be between 0 and 1' };
+        }
+        return { valid: true };
+    }
+
+    async getConfig() {
+        const config = await Settings.getSetting('aiCircuitBreaker', DEFAULT_CIRCUIT_CONFIG);
+        return { ...DEFAULT_CIRCUIT_CONFIG, ...(config || {}) };
+    }
+
+    getCircuit(provider, apiKey) {
+        const id = apiKey ? `${provider}:${apiKey}` : provider;
+        if (!this.circuits.has(id)) {
+            this.circuits.set(id, {
+                provider,
+                apiKey: apiKey || null,
+                state: STATES.CLOSED,
+                events: [],
+                openedAt: null,
+                probing: false,
+                persisted: false
+            });
+        }
+        return this.circuits.get(id);
+    }
+
+    /**
+     * Mạch có cho phép request đi qua không. Mạch mở quá openMs chuyển sang half-open
+     * và chỉ cho một request thăm dò.
+     */
+    allow(circuit, config) {
+        if (circuit.state === STATES.CLOSED) {
+            return true;
+        }
+        if (circuit.state === STATES.OPEN && Date.now() - circuit.openedAt >= config.openMs) {
+            this.transition(circuit, STATES.HALF_OPEN);
+        }
+        if (circuit.state === STATES.HALF_OPEN && !circuit.probing) {
+            circuit.probing = true;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Provider có được gọi không (mạch của provider không mở)
+     */
+    async allowProvider(provider) {
+        const config = await this.getConfig();
+        return this.allow(this.getCircuit(provider), config);
+    }
+
+    /**
+     * Danh sách key đang bị mạch chặn (getBestApiKey sẽ bỏ qua).
+     * Key có mạch đã hết thời gian mở không nằm trong danh sách: request kế tiếp dùng nó để thăm dò.
+     */
+    async getBlockedKeys(provider) {
+        const config = await this.getConfig();
+        const blocked = [];
+        for (const circuit of this.circuits.values()) {
+            if (circuit.provider !== provider || !circuit.apiKey || circuit.state === STATES.CLOSED) {
+                continue;
+            }
+            const probeDue = circuit.state === STATES.OPEN && Date.now() - circuit.openedAt >= config.openMs;
+            const probeFree = circuit.state === STATES.HALF_OPEN && !circuit.probing;
+            if (!probeDue && !probeFree) {
+                blocked.push(circuit.apiKey);
+            }
+        }
+        return blocked;
+    }
+
+    /**
+     * Đánh dấu key được chọn: nếu mạch của key cần thăm dò thì chiếm lượt thăm dò
+     */
+    async acquireKey(provider, apiKey) {
+        const config = await this.getConfig();
+        return this.allow(this.getCircuit(provider, apiKey), config);
+    }
+
+    /**
+     * Trả lại lượt thăm dò khi request không cho biết gì về sức khỏe upstream (client tự hủy)
+     */
+    release(provider, apiKey) {
+        for (const id of [provider, apiKey ? `${provider}:${apiKey}` : null]) {
+            const circuit = id && this.circuits.get(id);
+            if (circuit) {
+                circuit.probing = false;
+            }
+        }
+    }
+
+    /**
+     * Ghi nhận kết quả một request lên mạch của provider và của key
+     * @param {string} provider
+     * @param {string|null} apiKey
+     * @param {boolean} success
+     * @param {string} [errorClass] - một trong providers.ERROR_CLASSES
+     */
+    async record(provider, apiKey, success, errorClass) {
+        const failed = !success && FAILURE_CLASSES.includes(errorClass);
+        const config = await this.getConfig();
+
+        const circuits = [this.getCircuit(provider)];
+        if (apiKey) {
+            circuits.push(this.getCircuit(provider, apiKey));
+        }
+
+        for (const circuit of circuits) {
+            this.recordOutcome(circuit, failed, config);
+        }
+    }
+
+    recordOutcome(circuit, failed, config) {
+        const now = Date.now();
+
+        if (circuit.state === STATES.HALF_OPEN) {
+            // Kết quả của request thăm dò quyết định đóng hay mở lại mạch
+            this.transition(circuit, failed ? STATES.OPEN : STATES.CLOSED);
+            return;
+        }
+        if (circuit.state === STATES.OPEN) {
+            // Request đang bay từ trước khi mở mạch, bỏ qua
+            return;
+        }
+
+        circuit.events.push({ time: now, failed });
+        circuit.events = circuit.events.filter(event => now - event.time <= config.windowMs);
+
+        const failures = circuit.events.filter(event => event.failed).length;
+        if (circuit.events.length >= config.minRequests &&
+            failures / circuit.events.length >= config.failureRateThreshold) {
+            this.transition(circuit, STATES.OPEN);
+        } else if (!circuit.persisted) {
+            // Lần đầu có traffic sau khi khởi động: ghi trạng thái thực thay cho giá trị cũ trong DB
+            this.savePersist(circuit);
+        }
+    }
+
+    savePersist(circuit) {
+        circuit.persisted = true;
+        this.persist(circuit).catch(error => {
+            console.error(`Failed to persist circuit state: ${error.message}`);
+        });
+    }
+
+    transition(circuit, state) {
+        if (circuit.state === state) return;
+
+        const label = circuit.apiKey ? `${circuit.provider} key ${circuit.apiKey.slice(0, 12)}...` : circuit.provider;
+        const icons = { open: '🔴', half_open: '🟡', closed: '🟢' };
+        console.log(`${icons[state]} Circuit ${label}: ${circuit.state} → ${state}`);
+
+        circuit.state = state;
+        circuit.probing = false;
+        if (state === STATES.OPEN) {
+            circuit.openedAt = Date.now();
+        }
+        if (state === STATES.CLOSED) {
+            circuit.events = [];
+            circuit.openedAt = null;
+        }
+
+        this.savePersist(circuit);
+    }
+
+    async persist(circuit) {
+        if (circuit.apiKey) {
+            await ApiProvider.updateOne(
+                { ...providerFilter(circuit.provider), 'keyStatus.key': circuit.apiKey },
+                {
+                    $set: {
+                        'keyStatus.$.circuitState': circuit.state,
+                        'keyStatus.$.circuitOpenedAt': circuit.openedAt ? new Date(circuit.openedAt) : null
+                    }
+                }
+            );
+            return;
+        }
+
+        await ApiProvider.updateOne(providerFilter(circuit.provider), {
+            $set: {
+                status: PROVIDER_STATUS[circuit.state],
+                circuitState: circuit.state,
+                circuitOpenedAt: circuit.openedAt ? new Date(circuit.openedAt) : null,
+                lastChecked: new Date()
+            }
+        });
+    }
+
+    /**
+     * Trạng thái hiện tại của các mạch (cho admin)
+     */
+    getSnapshot() {
+        return [...this.circuits.values()].map(circuit => ({
+            provider: circuit.provider,
+            apiKey: circuit.apiKey ? `${circuit.apiKey.slice(0, 12)}...` : null,
+            state: circuit.state,
+            requestsInWindow: circuit.events.length,
+            failuresInWindow: circuit.events.filter(event => event.failed).length,
+            openedAt: circuit.openedAt ? new Date(circuit.openedAt) : null
+        }));
+    }
+}
+
+// Singleton instance
+const circuitBreaker = new CircuitBreaker();
+
+circuitBreaker.validateConfig = CircuitBreaker.validateConfig;
+circuitBreaker.DEFAULT_CIRCUIT_CONFIG = DEFAULT_CIRCUIT_CONFIG;
+circuitBreaker.STATES = STATES;
+
+module.exports = circuitBreaker;
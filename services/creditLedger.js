@@ -0,0 +1,408 @@
+const mongoose = require('mongoose');
+const Key = require('../models/Key');
+const CreditLedgerEntry = require('../models/CreditLedgerEntry');
+const CreditLots = require('./creditLots');
+const scheduler = require('./scheduler');
+
+const LOT_EXPIRY_INTERVAL_MS = 15 * 60 * 1000;
+const SET_BALANCE_ATTEMPTS = 5;
+
+// Nguồn lô credit theo loại entry cộng credit
+const LOT_SOURCE_BY_TYPE = { topup: 'payment', subscription_grant: 'subscription' };
+
+const ledgerError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+class CreditLedger {
+    /**
+     * Resolve a Key document from a document, ObjectId or key string
+     */
+    static async resolveKey(keyRef) {
+        if (!keyRef) {
+            throw ledgerError('KEY_NOT_FOUND', 'Key not found');
+        }
+        if (keyRef instanceof Key) {
+            return keyRef;
+        }
+
+        const keyDoc = keyRef instanceof mongoose.Types.ObjectId
+            ? await Key.findById(keyRef)
+            : await Key.findOne({ key: String(keyRef).trim() });
+
+        if (!keyDoc) {
+            throw ledgerError('KEY_NOT_FOUND', 'Key not found');
+        }
+        return keyDoc;
+    }
+
+    /**
+     * Append an entry for a balance change that has already been applied to Key.credit
+     */
+    static async appendEntry(keyDoc, type, amount, balanceAfter, options = {}) {
+        const entry = new CreditLedgerEntry({
+            keyId: keyDoc._id,
+            key: keyDoc.key,
+            type,
+            amount,
+            balanceAfter,
+            reason: options.reason || '',
+            reference: options.reference || {},
+            lots: options.lots || [],
+            actor: options.actor || 'System'
+        });
+        await entry.save();
+        return entry;
+    }
+
+    /**
+     * Atomically debit credits. Fails instead of going below zero, so concurrent
+     * debits can never spend the same credit twice.
+     */
+    static async debit(keyRef, amount, options = {}) {
+        if (typeof amount !== 'number' || isNaN(amount) || amount <= 0) {
+            throw ledgerError('INVALID_AMOUNT', 'Amount must be a positive number');
+        }
+
+        const keyDoc = await this.resolveKey(keyRef);
+        const filter = { _id: keyDoc._id, credit: { $gte: amount } };
+        if (options.requireActive) {
+            filter.isActive = true;
+        }
+
+        const updatedKey = await Key.findOneAndUpdate(
+            filter,
+            { $inc: { credit: -amount }, $set: { lastUsedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!updatedKey) {
+            throw ledgerError('INSUFFICIENT_CREDIT', 'Insufficient credit');
+        }
+
+        const lots = await CreditLots.consume(updatedKey._id, amount);
+        const entry = await this.appendEntry(updatedKey, options.type || 'debit', -amount, updatedKey.credit, { ...options, lots });
+        return { entry, balance: updatedKey.credit, key: updatedKey };
+    }
+
+    /**
+     * Add credits (top-up from payment, refund of an earlier debit or a subscription grant).
+     * Top-ups and grants open a new credit lot (options.expiresAt overrides the `creditExpiry` setting);
+     * refunds go back to the lots the original debit (same reference) was taken from.
+     */
+    static async credit(keyRef, amount, type = 'topup', options = {}) {
+        if (typeof amount !== 'number' || isNaN(amount) || amount <= 0) {
+            throw ledgerError('INVALID_AMOUNT', 'Amount must be a positive number');
+        }
+        if (!['topup', 'refund', 'subscription_grant'].includes(type)) {
+            throw ledgerError('INVALID_TYPE', `Invalid credit entry type: ${type}`);
+        }
+
+        const keyDoc = await this.resolveKey(keyRef);
+        const updatedKey = await Key.findByIdAndUpdate(
+            keyDoc._id,
+            { $inc: { credit: amount } },
+            { new: true }
+        );
+
+        let lots;
+        if (type === 'refund') {
+            ({ lots } = await CreditLots.restore(updatedKey._id, options.reference, amount));
+        } else {
+            const reference = options.reference || {};
+            const lot = await CreditLots.add(updatedKey._id, amount, {
+                source: { type: LOT_SOURCE_BY_TYPE[type], id: reference.id },
+                expiresAt: options.expiresAt
+            });
+            lots = [{ lotId: lot._id, amount }];
+        }
+
+        const entry = await this.appendEntry(updatedKey, type, amount, updatedKey.credit, { ...options, lots });
+        return { entry, balance: updatedKey.credit, key: updatedKey };
+    }
+
+    /**
+     * Xóa credit hết hạn (lô hết hạn, vượt mức rollover của gói tháng). Không trừ quá số dư hiện có
+     * và không tính là lượt dùng (không cập nhật lastUsedAt).
+     * options.lots: lô đã được đánh dấu hết hạn sẵn (job); không có thì trừ từ các lô như debit,
+     * giới hạn theo options.sourceType nếu có.
+     * @returns {{ entry, balance, key }} - entry null nếu không còn gì để trừ
+     */
+    static async expire(keyRef, amount, options = {}) {
+        if (typeof amount !== 'number' || isNaN(amount) || amount <= 0) {
+            throw ledgerError('INVALID_AMOUNT', 'Amount must be a positive number');
+        }
+
+        const keyDoc = await this.resolveKey(keyRef);
+        const balance = Math.max(keyDoc.credit || 0, 0);
+        const expired = Math.min(amount, balance);
+        if (expired <= 0) {
+            return { entry: null, balance: keyDoc.credit, key: keyDoc };
+        }
+
+        const updatedKey = await Key.findOneAndUpdate(
+            { _id: keyDoc._id, credit: { $gte: expired } },
+            { $inc: { credit: -expired } },
+            { new: true }
+        );
+        if (!updatedKey) {
+            // Số dư vừa thay đổi, đọc lại và thử lại
+            return this.expire(keyDoc._id, amount, options);
+        }
+
+        const lots = options.lots || await CreditLots.consume(updatedKey._id, expired, { sourceType: options.sourceType });
+        const entry = await this.appendEntry(updatedKey, 'expiry', -expired, updatedKey.credit, { ...options, lots });
+        return { entry, balance: updatedKey.credit, key: updatedKey };
+    }
+
+    /**
+     * Thu hồi credit của một payment đã hoàn tiền / chargeback. Luôn trừ đủ `amount`: phần key đã dùng hết
+     * (shortfall) làm số dư âm, key không dùng được cho tới khi nạp bù.
+     * Trừ trước các lô do chính payment đó cấp (options.sourceId = id payment), rồi tới lô khác như debit.
+     * @param {Object} [options] - { reason, reference, sourceId, actor }
+     * @returns {{ entry, balance, key, shortfall }}
+     */
+    static async clawback(keyRef, amount, options = {}) {
+        if (typeof amount !== 'number' || isNaN(amount) || amount <= 0) {
+            throw ledgerError('INVALID_AMOUNT', 'Amount must be a positive number');
+        }
+
+        const keyDoc = await this.resolveKey(keyRef);
+        const updatedKey = await Key.findByIdAndUpdate(
+            keyDoc._id,
+            { $inc: { credit: -amount } },
+            { new: true }
+        );
+
+        const available = Math.max(Math.min(updatedKey.credit + amount, amount), 0);
+        const reference = options.reference || {};
+        let lots = [];
+        if (available > 0) {
+            const sourceId = options.sourceId || reference.id;
+            lots = sourceId ? await CreditLots.consume(updatedKey._id, available, { sourceId }) : [];
+            const taken = lots.reduce((sum, lot) => sum + lot.amount, 0);
+            if (taken < available) {
+                lots = lots.concat(await CreditLots.consume(updatedKey._id, available - taken));
+            }
+        }
+
+        const entry = await this.appendEntry(updatedKey, 'clawback', -amount, updatedKey.credit, { ...options, lots });
+        return { entry, balance: updatedKey.credit, key: updatedKey, shortfall: amount - available };
+    }
+
+    /**
+     * Ghi entry số dư ban đầu cho các key vừa được tạo sẵn credit (sinh key hàng loạt)
+     */
+    static async recordOpeningBalances(keyDocs, options = {}) {
+        const funded = keyDocs.filter(keyDoc => keyDoc.credit > 0);
+        const reference = options.reference || {};
+        const expiresAt = await CreditLots.resolveExpiry('batch', options.expiresAt);
+        const lots = funded.map(keyDoc => ({
+            _id: new mongoose.Types.ObjectId(),
+            keyId: keyDoc._id,
+            source: { type: 'batch', id: reference.id ? String(reference.id) : null },
+            amount: keyDoc.credit,
+            remaining: keyDoc.credit,
+            expiresAt
+        }));
+        const entries = funded.map((keyDoc, index) => ({
+            keyId: keyDoc._id,
+            key: keyDoc.key,
+            type: 'admin_adjustment',
+            amount: keyDoc.credit,
+            balanceAfter: keyDoc.credit,
+            reason: options.reason || 'Initial credit',
+            reference,
+            lots: [{ lotId: lots[index]._id, amount: keyDoc.credit }],
+            actor: options.actor || 'System'
+        }));
+        if (entries.length > 0) {
+            await CreditLots.addMany(lots);
+            await CreditLedgerEntry.insertMany(entries);
+        }
+        return entries.length;
+    }
+
+    /**
+     * Admin adjustment (signed). Not bounded at zero, same as the old manual edit.
+     * Positive adjustments open an `admin` credit lot (options.expiresAt for promotional credit),
+     * negative ones are taken from lots like a debit.
+     */
+    static async adjust(keyRef, delta, options = {}) {
+        if (typeof delta !== 'number' || isNaN(delta) || delta === 0) {
+            throw ledgerError('INVALID_AMOUNT', 'Adjustment must be a non-zero number');
+        }
+
+        const keyDoc = await this.resolveKey(keyRef);
+        const updatedKey = await Key.findByIdAndUpdate(
+            keyDoc._id,
+            { $inc: { credit: delta } },
+            { new: true }
+        );
+        return this.recordAdjustment(updatedKey, delta, options);
+    }
+
+    /**
+     * Admin đặt số dư tuyệt đối (sửa chi tiết key). Chênh lệch tính trên số dư vừa đọc và chỉ ghi
+     * nếu số dư chưa đổi; bị debit chen giữa thì đọc lại và thử lại (tối đa SET_BALANCE_ATTEMPTS lần).
+     * @returns {{ entry, balance, key }} entry null nếu số dư đã bằng target
+     */
+    static async setBalance(keyRef, target, options = {}) {
+        if (typeof target !== 'number' || !Number.isFinite(target)) {
+            throw ledgerError('INVALID_AMOUNT', 'Balance must be a number');
+        }
+
+        let current = await this.resolveKey(keyRef);
+        for (let attempt = 0; attempt < SET_BALANCE_ATTEMPTS; attempt++) {
+            if (attempt > 0) {
+                // Số dư vừa thay đổi, đọc lại và thử lại
+                current = await this.resolveKey(current._id);
+            }
+            const delta = target - current.credit;
+            if (delta === 0) {
+                return { entry: null, balance: current.credit, key: current };
+            }
+            const updatedKey = await Key.findOneAndUpdate(
+                { _id: current._id, credit: current.credit },
+                { $inc: { credit: delta } },
+                { new: true }
+            );
+            if (updatedKey) {
+                return this.recordAdjustment(updatedKey, delta, options);
+            }
+        }
+        throw ledgerError('BALANCE_CONFLICT', 'Balance keeps changing, please retry');
+    }
+
+    /**
+     * Lô + entry admin_adjustment cho một điều chỉnh đã áp vào Key.credit
+     */
+    static async recordAdjustment(updatedKey, delta, options = {}) {
+        let lots;
+        if (delta > 0) {
+            const lot = await CreditLots.add(updatedKey._id, delta, {
+                source: { type: 'admin', id: options.actor || null },
+                expiresAt: options.expiresAt
+            });
+            lots = [{ lotId: lot._id, amount: delta }];
+        } else {
+            lots = await CreditLots.consume(updatedKey._id, -delta);
+        }
+
+        const entry = await this.appendEntry(updatedKey, 'admin_adjustment', delta, updatedKey.credit, { ...options, lots });
+        return { entry, balance: updatedKey.credit, key: updatedKey };
+    }
+
+    /**
+     * Expire credit lots past their expiry date (job `credit-lot-expiry`)
+     */
+    static async expireDueLots(now = new Date()) {
+        const lots = await CreditLots.findDue(now);
+        let expiredLots = 0;
+        let expiredCredits = 0;
+
+        for (const lot of lots) {
+            const amount = await CreditLots.markExpired(lot, now);
+            if (!amount) continue;
+
+            expiredLots++;
+            try {
+                const { entry } = await this.expire(lot.keyId, amount, {
+                    reason: `Credit lot expired (${lot.source.type})`,
+                    reference: { type: 'credit_lot', id: String(lot._id) },
+                    lots: [{ lotId: lot._id, amount }]
+                });
+                expiredCredits += entry ? -entry.amount : 0;
+            } catch (error) {
+                // Key đã bị xóa: lô chỉ cần đánh dấu hết hạn
+                if (error.code !== 'KEY_NOT_FOUND') throw error;
+            }
+        }
+
+        if (expiredLots > 0) {
+            console.log(`⌛ Expired ${expiredLots} credit lot(s), ${expiredCredits} credit(s) removed`);
+        }
+        return { expiredLots, expiredCredits };
+    }
+
+    static register() {
+        scheduler.register('credit-lot-expiry', {
+            intervalMs: LOT_EXPIRY_INTERVAL_MS,
+            run: () => this.expireDueLots()
+        });
+    }
+
+    /**
+     * List ledger entries of a key, newest first
+     */
+    static async getHistory(keyRef, { page = 1, limit = 50, type } = {}) {
+        const keyDoc = await this.resolveKey(keyRef);
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+        const filter = { keyId: keyDoc._id };
+        if (type) {
+            filter.type = type;
+        }
+
+        const [entries, total] = await Promise.all([
+            CreditLedgerEntry.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            CreditLedgerEntry.countDocuments(filter)
+        ]);
+
+        return {
+            key: keyDoc.key,
+            balance: keyDoc.credit,
+            entries,
+            pagination: {
+                currentPage: pageNum,
+                totalPages: Math.ceil(total / limitNum),
+                totalItems: total,
+                itemsPerPage: limitNum
+            }
+        };
+    }
+
+    /**
+     * Compare Key.credit with the sum of its ledger entries.
+     * Keys created before the ledger existed have no entries, so `fix` books the
+     * difference as an admin adjustment to bring the ledger in line.
+     */
+    static async reconcile(keyRef, { fix = false, actor = 'System' } = {}) {
+        const keyDoc = await this.resolveKey(keyRef);
+        const [sum] = await CreditLedgerEntry.aggregate([
+            { $match: { keyId: keyDoc._id } },
+            { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+        ]);
+
+        const ledgerBalance = sum ? sum.total : 0;
+        const drift = (keyDoc.credit || 0) - ledgerBalance;
+        const result = {
+            key: keyDoc.key,
+            balance: keyDoc.credit || 0,
+            ledgerBalance,
+            entryCount: sum ? sum.count : 0,
+            drift,
+            fixed: false
+        };
+
+        if (fix && drift !== 0) {
+            await this.appendEntry(keyDoc, 'admin_adjustment', drift, keyDoc.credit || 0, {
+                reason: sum ? 'Reconciliation' : 'Opening balance',
+                actor
+            });
+            result.fixed = true;
+            console.log(`🧾 Reconciled ledger for key ${keyDoc.key}: drift ${drift}`);
+        }
+
+        return result;
+    }
+}
+
+module.exports = CreditLedger;
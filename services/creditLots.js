@@ -0,0 +1,229 @@
+const CreditLot = require('../models/CreditLot');
+const CreditLedgerEntry = require('../models/CreditLedgerEntry');
+const Settings = require('../models/Settings');
+
+// Hạn dùng mặc định (ngày) của lô credit theo nguồn, admin ghi đè qua setting `creditExpiry`.
+// 0 = không hết hạn. Admin cộng credit có thể đặt expiresAt riêng cho từng lần.
+const DEFAULT_CREDIT_EXPIRY = {
+    topupDays: 0,
+    subscriptionDays: 0,
+    adminDays: 0
+};
+
+const CONFIG_FIELDS = Object.keys(DEFAULT_CREDIT_EXPIRY);
+const SOURCE_CONFIG_FIELD = { payment: 'topupDays', subscription: 'subscriptionDays', admin: 'adminDays' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lô credit: mỗi lần cộng credit tạo một CreditLot (nguồn, số lượng, hạn dùng).
+ * Trừ credit lấy từ lô sắp hết hạn nhất trước, lô không hết hạn sau cùng.
+ * Chỉ quản lý CreditLot; Key.credit và ledger entry do CreditLedger cập nhật.
+ */
+class CreditLots {
+    /**
+     * Validate the `creditExpiry` setting
+     */
+    static validateConfig(config) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            return { valid: false, message: 'creditExpiry must be an object' };
+        }
+        for (const [field, value] of Object.entries(config)) {
+            if (!CONFIG_FIELDS.includes(field)) {
+                return { valid: false, message: `Unknown field '${field}' in creditExpiry` };
+            }
+            if (!Number.isInteger(value) || value < 0) {
+                return { valid: false, message: `${field} must be a non-negative integer (0 = never expires)` };
+            }
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Hạn dùng của lô mới: expiresAt truyền vào (Date hoặc null) được ưu tiên, không có thì theo setting
+     */
+    static async resolveExpiry(sourceType, expiresAt) {
+        if (expiresAt !== undefined) {
+            return expiresAt;
+        }
+        const field = SOURCE_CONFIG_FIELD[sourceType];
+        if (!field) {
+            return null;
+        }
+        const config = { ...DEFAULT_CREDIT_EXPIRY, ...(await Settings.getSetting('creditExpiry', DEFAULT_CREDIT_EXPIRY) || {}) };
+        return config[field] ? new Date(Date.now() + config[field] * DAY_MS) : null;
+    }
+
+    /**
+     * Tạo lô mới
+     * @param {ObjectId} keyId
+     * @param {number} amount
+     * @param {Object} options - { source: { type, id }, expiresAt }
+     */
+    static async add(keyId, amount, { source, expiresAt } = {}) {
+        return CreditLot.create({
+            keyId,
+            source: { type: source.type, id: source.id ? String(source.id) : null },
+            amount,
+            remaining: amount,
+            expiresAt: await this.resolveExpiry(source.type, expiresAt)
+        });
+    }
+
+    /**
+     * Tạo nhiều lô đã dựng sẵn (sinh key hàng loạt)
+     */
+    static async addMany(lots) {
+        return CreditLot.insertMany(lots);
+    }
+
+    /**
+     * Trừ `amount` khỏi các lô: lô có hạn (sớm nhất trước), rồi lô không hạn (cũ nhất trước).
+     * Phần không đủ lô (credit có từ trước khi có lô) không được ghi nhận vào lô nào.
+     * @param {Object} [options] - { sourceType, sourceId } chỉ trừ lô của một nguồn
+     * @returns {Array<{ lotId, amount }>}
+     */
+    static async consume(keyId, amount, { sourceType, sourceId } = {}) {
+        const used = [];
+        let left = amount;
+        const base = { keyId, remaining: { $gt: 0 } };
+        if (sourceType) {
+            base['source.type'] = sourceType;
+        }
+        if (sourceId) {
+            base['source.id'] = String(sourceId);
+        }
+        const passes = [
+            { filter: { ...base, expiresAt: { $ne: null } }, sort: { expiresAt: 1, createdAt: 1 } },
+            { filter: { ...base, expiresAt: null }, sort: { createdAt: 1 } }
+        ];
+
+        for (const { filter, sort } of passes) {
+            while (left > 0) {
+                const lot = await CreditLot.findOne(filter).sort(sort);
+                if (!lot) break;
+
+                const take = Math.min(left, lot.remaining);
+                const updated = await CreditLot.findOneAndUpdate(
+                    { _id: lot._id, remaining: { $gte: take } },
+                    { $inc: { remaining: -take } }
+                );
+                // Lô vừa bị trừ song song: đọc lại
+                if (!updated) continue;
+
+                used.push({ lotId: lot._id, amount: take });
+                left -= take;
+            }
+        }
+        return used;
+    }
+
+    /**
+     * Hoàn credit về đúng các lô đã bị trừ bởi cùng reference (vd. hoàn tiền AI request),
+     * để credit khuyến mãi hoàn lại vẫn giữ hạn dùng cũ.
+     * @returns {{ lots: Array<{ lotId, amount }>, remainder }} remainder: phần không thuộc lô nào
+     */
+    static async restore(keyId, reference, amount) {
+        const restored = [];
+        let left = amount;
+
+        if (reference && reference.type && reference.id) {
+            const entries = await CreditLedgerEntry.find({
+                keyId,
+                'reference.type': reference.type,
+                'reference.id': reference.id,
+                'lots.0': { $exists: true }
+            }).sort({ createdAt: 1, _id: 1 }).lean();
+
+            // Lượng còn có thể hoàn của từng lô = đã trừ - đã hoàn trước đó
+            const net = new Map();
+            for (const entry of entries) {
+                const sign = entry.amount < 0 ? 1 : -1;
+                for (const lot of entry.lots) {
+                    const id = String(lot.lotId);
+                    net.set(id, (net.get(id) || 0) + sign * lot.amount);
+                }
+            }
+
+            // Lô bị trừ sau cùng (hạn dài nhất) được hoàn trước
+            for (const [lotId, consumed] of [...net.entries()].reverse()) {
+                if (left <= 0) break;
+                const give = Math.min(left, consumed);
+                if (give <= 0) continue;
+                const updated = await CreditLot.findByIdAndUpdate(lotId, { $inc: { remaining: give } });
+                if (!updated) continue;
+                restored.push({ lotId: updated._id, amount: give });
+                left -= give;
+            }
+        }
+
+        return { lots: restored, remainder: left };
+    }
+
+    /**
+     * Tổng remaining của các lô (lọc theo nguồn nếu có)
+     */
+    static async sumRemaining(keyId, { sourceType } = {}) {
+        const filter = { keyId, remaining: { $gt: 0 } };
+        if (sourceType) {
+            filter['source.type'] = sourceType;
+        }
+        const lots = await CreditLot.find(filter, 'remaining').lean();
+        return lots.reduce((sum, lot) => sum + lot.remaining, 0);
+    }
+
+    /**
+     * Lô tới hạn chưa xử lý (job credit-lot-expiry)
+     */
+    static async findDue(now = new Date(), limit = 500) {
+        return CreditLot.find({ expiresAt: { $lte: now }, remaining: { $gt: 0 } })
+            .sort({ expiresAt: 1 })
+            .limit(limit)
+            .lean();
+    }
+
+    /**
+     * Đánh dấu lô hết hạn (nguyên tử), trả về lượng credit cần trừ khỏi key, 0 nếu lô đã được xử lý
+     */
+    static async markExpired(lot, now = new Date()) {
+        const claimed = await CreditLot.findOneAndUpdate(
+            { _id: lot._id, remaining: lot.remaining },
+            { $set: { remaining: 0, expiredAmount: lot.remaining, expiredAt: now } }
+        );
+        return claimed ? lot.remaining : 0;
+    }
+
+    /**
+     * Các lô của key, mới nhất trước (kể cả lô đã dùng hết / hết hạn)
+     */
+    static async list(keyId, limit = 200) {
+        return CreditLot.find({ keyId }).sort({ createdAt: -1 }).limit(limit).lean();
+    }
+
+    /**
+     * Cơ cấu số dư của key: phần không hết hạn và các lô có hạn (sớm nhất trước)
+     */
+    static async getBreakdown(keyDoc) {
+        const total = keyDoc.credit || 0;
+        const lots = await CreditLot.find({ keyId: keyDoc._id, remaining: { $gt: 0 } })
+            .sort({ expiresAt: 1, createdAt: 1 })
+            .lean();
+
+        const tracked = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+        const expiring = lots
+            .filter(lot => lot.expiresAt)
+            .map(lot => ({ amount: lot.remaining, expiresAt: lot.expiresAt, source: lot.source.type }));
+        const permanentLots = lots.filter(lot => !lot.expiresAt).reduce((sum, lot) => sum + lot.remaining, 0);
+
+        return {
+            total,
+            // Credit không có lô (có từ trước) được tính là không hết hạn
+            permanent: permanentLots + Math.max(total - tracked, 0),
+            expiring,
+            nextExpiry: expiring[0] || null
+        };
+    }
+}
+
+CreditLots.DEFAULT_CREDIT_EXPIRY = DEFAULT_CREDIT_EXPIRY;
+
+module.exports = CreditLots;
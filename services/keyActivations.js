@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const Key = require('../models/Key');
+const KeyActivation = require('../models/KeyActivation');
+const SessionTokens = require('./sessionTokens');
+
+const FINGERPRINT_MIN_LENGTH = 8;
+const FINGERPRINT_MAX_LENGTH = 512;
+const DEVICE_NAME_MAX_LENGTH = 100;
+// User tự gỡ thiết bị tối đa N lần mỗi 24 giờ (key giới hạn thiết bị); admin reset không bị giới hạn
+const MAX_RELEASES_PER_DAY = 2;
+const RELEASE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const activationError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const hashFingerprint = (fingerprint) => crypto.createHash('sha256').update(fingerprint).digest('hex');
+
+/**
+ * Gắn user key với thiết bị (device binding), giới hạn bởi Key.maxActivations (0 = không giới hạn).
+ * Key.activationCount được tăng/giảm nguyên tử cùng KeyActivation để không vượt giới hạn
+ * khi nhiều thiết bị validate cùng lúc.
+ */
+class KeyActivations {
+    static isValidFingerprint(fingerprint) {
+        return typeof fingerprint === 'string' &&
+            fingerprint.trim().length >= FINGERPRINT_MIN_LENGTH &&
+            fingerprint.length <= FINGERPRINT_MAX_LENGTH;
+    }
+
+    /**
+     * Thông tin thiết bị trả cho client (không lộ hash fingerprint)
+     */
+    static toPublic(activation, currentHash = null) {
+        return {
+            id: activation._id,
+            deviceName: activation.deviceName,
+            ip: activation.ip,
+            userAgent: activation.userAgent,
+            activatedAt: activation.activatedAt,
+            lastSeenAt: activation.lastSeenAt,
+            current: currentHash ? activation.deviceHash === currentHash : undefined
+        };
+    }
+
+    /**
+     * Đăng ký thiết bị cho key (thiết bị đã đăng ký thì chỉ cập nhật lastSeenAt).
+     * Lỗi: code INVALID_FINGERPRINT | MAX_ACTIVATIONS
+     * @returns {Promise<{ activation, isNew, activationsUsed, maxActivations }>}
+     */
+    static async register(keyDoc, { fingerprint, deviceName, ip, userAgent } = {}) {
+        if (!this.isValidFingerprint(fingerprint)) {
+            throw activationError('Invalid device fingerprint', 'INVALID_FINGERPRINT');
+        }
+        const deviceHash = hashFingerprint(fingerprint.trim());
+        const seen = {
+            ip: ip || null,
+            userAgent: userAgent || null,
+            lastSeenAt: new Date(),
+            ...(deviceName ? { deviceName: String(deviceName).slice(0, DEVICE_NAME_MAX_LENGTH) } : {})
+        };
+
+        const existing = await KeyActivation.findOneAndUpdate(
+            { keyId: keyDoc._id, deviceHash },
+            { $set: seen },
+            { new: true }
+        );
+        if (existing) {
+            return this.buildResult(keyDoc._id, existing, false);
+        }
+
+        // Giữ chỗ trước khi tạo activation: chỉ tăng khi còn dưới giới hạn
+        const maxActivations = keyDoc.maxActivations || 0;
+        const reserveFilter = maxActivations > 0
+            ? {
+                _id: keyDoc._id,
+                $or: [{ activationCount: { $lt: maxActivations } }, { activationCount: { $exists: false } }]
+            }
+            : { _id: keyDoc._id };
+        const reserved = await Key.findOneAndUpdate(reserveFilter, { $inc: { activationCount: 1 } }, { new: true });
+        if (!reserved) {
+            throw activationError('Maximum number of activations reached', 'MAX_ACTIVATIONS');
+        }
+
+        try {
+            const activation = await KeyActivation.create({ keyId: keyDoc._id, deviceHash, ...seen });
+            console.log(`📱 Key ${keyDoc.key} activated on a new device (${reserved.activationCount}/${maxActivations || '∞'})`);
+            return this.buildResult(keyDoc._id, activation, true);
+        } catch (error) {
+            await Key.updateOne({ _id: keyDoc._id }, { $inc: { activationCount: -1 } });
+            // Cùng thiết bị validate song song: request kia đã tạo activation
+            if (error.code === 11000) {
+                const activation = await KeyActivation.findOne({ keyId: keyDoc._id, deviceHash });
+                return this.buildResult(keyDoc._id, activation, false);
+            }
+            throw error;
+        }
+    }
+
+    static async buildResult(keyId, activation, isNew) {
+        const key = await Key.findById(keyId, 'maxActivations activationCount').lean();
+        return {
+            activation,
+            isNew,
+            activationsUsed: key ? key.activationCount || 0 : 0,
+            maxActivations: key ? key.maxActivations || 0 : 0
+        };
+    }
+
+    /**
+     * Danh sách thiết bị của key
+     * @param {string} [fingerprint] - fingerprint của thiết bị đang gọi, để đánh dấu `current`
+     */
+    static async list(keyId, fingerprint = null) {
+        const currentHash = this.isValidFingerprint(fingerprint) ? hashFingerprint(fingerprint.trim()) : null;
+        const activations = await KeyActivation.find({ keyId }).sort({ activatedAt: 1 }).lean();
+        return activations.map(activation => this.toPublic(activation, currentHash));
+    }
+
+    /**
+     * Trừ một lượt gỡ thiết bị trong cửa sổ 24 giờ của key (nguyên tử).
+     * Lỗi: code RELEASE_LIMIT (error.retryAt = lúc có lượt mới)
+     */
+    static async claimRelease(keyDoc, now = new Date()) {
+        const windowFrom = new Date(now.getTime() - RELEASE_WINDOW_MS);
+        const inWindow = await Key.findOneAndUpdate(
+            {
+                _id: keyDoc._id,
+                'deviceReleases.windowStart': { $gt: windowFrom },
+                'deviceReleases.count': { $lt: MAX_RELEASES_PER_DAY }
+            },
+            { $inc: { 'deviceReleases.count': 1 }, $set: { 'deviceReleases.lastAt': now } },
+            { new: true }
+        );
+        if (inWindow) {
+            return inWindow.deviceReleases;
+        }
+
+        // Cửa sổ cũ đã hết (hoặc chưa từng gỡ): mở cửa sổ mới
+        const newWindow = await Key.findOneAndUpdate(
+            {
+                _id: keyDoc._id,
+                $or: [{ 'deviceReleases.windowStart': null }, { 'deviceReleases.windowStart': { $lte: windowFrom } }]
+            },
+            { $set: { 'deviceReleases.windowStart': now, 'deviceReleases.count': 1, 'deviceReleases.lastAt': now } },
+            { new: true }
+        );
+        if (newWindow) {
+            return newWindow.deviceReleases;
+        }
+
+        const current = await Key.findById(keyDoc._id, 'deviceReleases').lean();
+        const error = activationError(`Device release limit reached (${MAX_RELEASES_PER_DAY} per 24 hours)`, 'RELEASE_LIMIT');
+        error.retryAt = new Date(new Date(current.deviceReleases.windowStart).getTime() + RELEASE_WINDOW_MS);
+        throw error;
+    }
+
+    /**
+     * User tự gỡ một thiết bị: key giới hạn thiết bị bị giới hạn MAX_RELEASES_PER_DAY lần / 24 giờ
+     * để không gỡ / kích hoạt lại liên tục vượt maxActivations.
+     * Lỗi: code RELEASE_LIMIT
+     * @returns {Object|null} activation đã gỡ, null nếu thiết bị không thuộc key
+     */
+    static async releaseByUser(keyDoc, activationId) {
+        const activation = await KeyActivation.findOne({ _id: activationId, keyId: keyDoc._id }).lean();
+        if (!activation) {
+            return null;
+        }
+        if ((keyDoc.maxActivations || 0) > 0) {
+            await this.claimRelease(keyDoc);
+        }
+        return (await this.release(keyDoc._id, activationId)) ? activation : null;
+    }
+
+    /**
+     * Gỡ một thiết bị và thu hồi các session của nó
+     * @returns {boolean} false nếu thiết bị không thuộc key
+     */
+    static async release(keyId, activationId) {
+        const removed = await KeyActivation.findOneAndDelete({ _id: activationId, keyId });
+        if (!removed) {
+            return false;
+        }
+        await Key.updateOne({ _id: keyId, activationCount: { $gt: 0 } }, { $inc: { activationCount: -1 } });
+        await SessionTokens.revokeByActivation(removed._id, 'Device released');
+        return true;
+    }
+
+    /**
+     * Gỡ mọi thiết bị của key (admin reset) và thu hồi mọi session
+     * @returns {number} số thiết bị đã gỡ
+     */
+    static async reset(keyId) {
+        const result = await KeyActivation.deleteMany({ keyId });
+        await Key.updateOne({ _id: keyId }, { $set: { activationCount: 0 } });
+        await SessionTokens.revokeAll(keyId, 'Activations reset by admin');
+        return result.deletedCount;
+    }
+}
+
+KeyActivations.MAX_RELEASES_PER_DAY = MAX_RELEASES_PER_DAY;
+
+module.exports = KeyActivations;
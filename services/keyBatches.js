@@ -0,0 +1,252 @@
+const Key = require('../models/Key');
+const KeyBatch = require('../models/KeyBatch');
+const KeyActivation = require('../models/KeyActivation');
+const UserSession = require('../models/UserSession');
+const CreditLot = require('../models/CreditLot');
+const CreditLedgerEntry = require('../models/CreditLedgerEntry');
+const crypto = require('crypto');
+const CreditLedger = require('./creditLedger');
+const KeyGenerator = require('./keyGenerator');
+const SessionTokens = require('./sessionTokens');
+
+const MAX_BATCH_SIZE = 1000;
+const BATCH_ACTIONS = ['lock', 'unlock', 'extend', 'add_credit', 'delete'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const batchError = (message, code = 'INVALID_INPUT') => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Sinh key hàng loạt theo lô, xuất lô và thao tác trên cả lô
+ */
+class KeyBatches {
+    /**
+     * Tạo lô `count` key dùng chung credit / hạn dùng / ghi chú.
+     * Lỗi: code INVALID_INPUT
+     * @returns {Promise<{ batch, keys }>}
+     */
+    static async create(options, actor = 'System') {
+        const { count, label, note = '', prefix, length, checksum } = options;
+        const credit = options.credit === undefined ? 0 : options.credit;
+        const maxActivations = options.maxActivations === undefined ? 1 : options.maxActivations;
+
+        if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_SIZE) {
+            throw batchError(`count must be an integer between 1 and ${MAX_BATCH_SIZE}`);
+        }
+        if (!label || typeof label !== 'string' || !label.trim()) {
+            throw batchError('label is required');
+        }
+        if (typeof credit !== 'number' || isNaN(credit) || credit < 0) {
+            throw batchError('credit must be a non-negative number');
+        }
+        if (!Number.isInteger(maxActivations) || maxActivations < 0) {
+            throw batchError('maxActivations must be a non-negative integer');
+        }
+        const expiredAt = options.expiredAt ? new Date(options.expiredAt) : null;
+        if (expiredAt && isNaN(expiredAt.getTime())) {
+            throw batchError('expiredAt must be a valid date');
+        }
+
+        const overrides = {};
+        for (const [field, value] of Object.entries({ prefix, length, checksum })) {
+            if (value !== undefined) overrides[field] = value;
+        }
+        const check = KeyGenerator.validateFormat(overrides);
+        if (!check.valid) {
+            throw batchError(check.message);
+        }
+        const format = await KeyGenerator.resolveFormat(overrides);
+
+        const keyStrings = await this.generateUnique(count, format);
+        const batch = await KeyBatch.create({
+            label: label.trim(),
+            count,
+            credit,
+            expiredAt,
+            maxActivations,
+            note,
+            format,
+            createdBy: actor
+        });
+
+        try {
+            const keys = await Key.insertMany(keyStrings.map(key => ({
+                key,
+                credit,
+                expiredAt,
+                maxActivations,
+                note,
+                batchId: batch._id
+            })));
+            await CreditLedger.recordOpeningBalances(keys, {
+                reason: `Initial credit (batch ${batch.label})`,
+                reference: { type: 'key_batch', id: String(batch._id) },
+                actor
+            });
+            console.log(`🔑 Generated batch "${batch.label}": ${keys.length} key(s)`);
+            return { batch, keys };
+        } catch (error) {
+            // Không để lại lô dở dang (kể cả lô credit / entry số dư ban đầu đã ghi)
+            const keyIds = (await Key.find({ batchId: batch._id }, '_id').lean()).map(doc => doc._id);
+            await CreditLot.deleteMany({ keyId: { $in: keyIds } });
+            await CreditLedgerEntry.deleteMany({ keyId: { $in: keyIds } });
+            await Key.deleteMany({ batchId: batch._id });
+            await KeyBatch.deleteOne({ _id: batch._id });
+            throw error;
+        }
+    }
+
+    /**
+     * Sinh key và loại các key đã tồn tại trong DB
+     */
+    static async generateUnique(count, format) {
+        const keys = new Set();
+        for (let attempt = 0; attempt < 5 && keys.size < count; attempt++) {
+            const candidates = KeyGenerator.generateMany(count - keys.size, format)
+                .filter(key => !keys.has(key));
+            const taken = await Key.find({ key: { $in: candidates } }, 'key').lean();
+            const takenSet = new Set(taken.map(doc => doc.key));
+            candidates.filter(key => !takenSet.has(key)).forEach(key => keys.add(key));
+        }
+        if (keys.size < count) {
+            throw batchError('Could not generate enough unique keys, use a longer key length');
+        }
+        return [...keys];
+    }
+
+    /**
+     * Danh sách lô kèm thống kê hiện tại (số key còn, đang hoạt động, tổng credit)
+     */
+    static async list() {
+        const [batches, stats] = await Promise.all([
+            KeyBatch.find().sort({ createdAt: -1 }).lean(),
+            Key.aggregate([
+                { $match: { batchId: { $ne: null } } },
+                {
+                    $group: {
+                        _id: '$batchId',
+                        keys: { $sum: 1 },
+                        activeKeys: { $sum: { $cond: ['$isActive', 1, 0] } },
+                        totalCredit: { $sum: '$credit' }
+                    }
+                }
+            ])
+        ]);
+        const statsById = new Map(stats.map(stat => [String(stat._id), stat]));
+        return batches.map(batch => {
+            const stat = statsById.get(String(batch._id)) || { keys: 0, activeKeys: 0, totalCredit: 0 };
+            return { ...batch, keys: stat.keys, activeKeys: stat.activeKeys, totalCredit: stat.totalCredit };
+        });
+    }
+
+    static async getKeys(batchId) {
+        return Key.find({ batchId }).sort({ createdAt: 1, _id: 1 }).lean();
+    }
+
+    /**
+     * Thao tác trên cả lô.
+     * @param {string} action - lock | unlock | extend ({ days } hoặc { expiredAt }) | add_credit ({ amount, operationId }) | delete
+     * Lỗi: code INVALID_INPUT | BATCH_IN_USE
+     * @returns {Promise<{ action, affected }>} add_credit trả thêm operationId, alreadyCredited, failed
+     */
+    static async applyAction(batch, action, params = {}, actor = 'System') {
+        if (!BATCH_ACTIONS.includes(action)) {
+            throw batchError(`action must be one of: ${BATCH_ACTIONS.join(', ')}`);
+        }
+        const filter = { batchId: batch._id };
+
+        switch (action) {
+            case 'lock':
+            case 'unlock': {
+                const isActive = action === 'unlock';
+                const keyIds = (await Key.find({ ...filter, isActive: !isActive }, '_id').lean()).map(doc => doc._id);
+                await Key.updateMany({ _id: { $in: keyIds } }, { $set: { isActive } });
+                if (!isActive && keyIds.length > 0) {
+                    await SessionTokens.revokeAll(keyIds, `Batch ${batch.label} locked by admin`);
+                }
+                return { action, affected: keyIds.length };
+            }
+            case 'extend': {
+                const { days, expiredAt } = params;
+                let update;
+                if (expiredAt !== undefined) {
+                    const date = new Date(expiredAt);
+                    if (isNaN(date.getTime())) {
+                        throw batchError('expiredAt must be a valid date');
+                    }
+                    update = { $set: { expiredAt: date } };
+                } else if (Number.isInteger(days) && days > 0) {
+                    // Cộng thêm vào hạn hiện tại; key đã hết hạn / không có hạn thì tính từ bây giờ
+                    update = [{ $set: { expiredAt: { $add: [{ $max: ['$expiredAt', '$$NOW'] }, days * DAY_MS] } } }];
+                } else {
+                    throw batchError('extend requires a positive integer days or an expiredAt date');
+                }
+                const result = await Key.updateMany(filter, update);
+                return { action, affected: result.modifiedCount };
+            }
+            case 'add_credit': {
+                // Mỗi lần cộng là một operationId; gọi lại cùng operationId (sau lỗi giữa chừng)
+                // chỉ cộng cho các key chưa có entry của lần đó
+                const { amount, operationId = crypto.randomBytes(8).toString('hex') } = params;
+                if (typeof amount !== 'number' || isNaN(amount) || amount <= 0) {
+                    throw batchError('add_credit requires a positive amount');
+                }
+                if (typeof operationId !== 'string' || !/^[\w-]{1,64}$/.test(operationId)) {
+                    throw batchError('operationId must be 1-64 letters, digits, _ or -');
+                }
+                const reference = { type: 'key_batch_credit', id: `${batch._id}:${operationId}` };
+                const credited = new Set((await CreditLedgerEntry.find(
+                    { 'reference.type': reference.type, 'reference.id': reference.id },
+                    'keyId'
+                ).lean()).map(entry => String(entry.keyId)));
+
+                const keys = await Key.find(filter);
+                let affected = 0;
+                const failed = [];
+                for (const keyDoc of keys) {
+                    if (credited.has(String(keyDoc._id))) continue;
+                    try {
+                        await CreditLedger.adjust(keyDoc, amount, {
+                            reason: `Batch credit (${batch.label})`,
+                            reference,
+                            actor
+                        });
+                        affected++;
+                    } catch (error) {
+                        failed.push({ key: keyDoc.key, message: error.message });
+                    }
+                }
+                if (failed.length > 0) {
+                    console.error(`❌ Batch credit ${reference.id}: ${failed.length} key(s) failed, retry with the same operationId`);
+                }
+                return { action, affected, operationId, alreadyCredited: credited.size, failed };
+            }
+            case 'delete': {
+                const keyIds = (await Key.find(filter, '_id').lean()).map(doc => doc._id);
+                // Key đã được dùng / nạp tiền / mua gói thì không xóa cả lô (mất lịch sử credit)
+                const used = await CreditLedgerEntry.exists({
+                    keyId: { $in: keyIds },
+                    'reference.type': { $nin: ['key_batch', 'key_batch_credit'] }
+                }) || await Key.exists({ ...filter, 'subscription.status': 'active' });
+                if (used) {
+                    throw batchError('Batch has keys with credit history (usage, payments or subscriptions), lock it instead of deleting', 'BATCH_IN_USE');
+                }
+                await KeyActivation.deleteMany({ keyId: { $in: keyIds } });
+                await UserSession.deleteMany({ keyId: { $in: keyIds } });
+                await CreditLot.deleteMany({ keyId: { $in: keyIds } });
+                await CreditLedgerEntry.deleteMany({ keyId: { $in: keyIds } });
+                const result = await Key.deleteMany(filter);
+                await KeyBatch.deleteOne({ _id: batch._id });
+                return { action, affected: result.deletedCount };
+            }
+        }
+    }
+}
+
+KeyBatches.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
+KeyBatches.BATCH_ACTIONS = BATCH_ACTIONS;
+
+module.exports = KeyBatches;
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const Settings = require('../models/Settings');
+
+// Bảng ký tự không gây nhầm lẫn khi đọc/gõ tay (bỏ 0/O, 1/I)
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Định dạng mặc định giữ như key cũ: KEY-XXXXXXXX. Admin ghi đè qua setting `keyFormat`
+// hoặc theo từng batch: { prefix, length, checksum }
+const DEFAULT_KEY_FORMAT = {
+    prefix: 'KEY',
+    length: 8,
+    checksum: false
+};
+
+const MIN_LENGTH = 6;
+const MAX_LENGTH = 32;
+
+/**
+ * Ký tự kiểm tra: tổng có trọng số của các ký tự mod kích thước bảng chữ
+ * (phát hiện gõ sai một ký tự hoặc đảo hai ký tự liền kề)
+ */
+const checksumChar = (body) => {
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) {
+        sum += (i + 1) * ALPHABET.indexOf(body[i]);
+    }
+    return ALPHABET[sum % ALPHABET.length];
+};
+
+class KeyGenerator {
+    /**
+     * Validate a key format (setting `keyFormat` hoặc tham số của batch)
+     */
+    static validateFormat(format) {
+        if (!format || typeof format !== 'object' || Array.isArray(format)) {
+            return { valid: false, message: 'key format must be an object' };
+        }
+        for (const field of Object.keys(format)) {
+            if (!Object.keys(DEFAULT_KEY_FORMAT).includes(field)) {
+                return { valid: false, message: `Unknown key format field '${field}'` };
+            }
+        }
+        if (format.prefix !== undefined && (typeof format.prefix !== 'string' || !/^[A-Z0-9]{0,12}$/.test(format.prefix))) {
+            return { valid: false, message: 'prefix must be 0-12 uppercase letters or digits' };
+        }
+        if (format.length !== undefined &&
+            (!Number.isInteger(format.length) || format.length < MIN_LENGTH || format.length > MAX_LENGTH)) {
+            return { valid: false, message: `length must be an integer between ${MIN_LENGTH} and ${MAX_LENGTH}` };
+        }
+        if (format.checksum !== undefined && typeof format.checksum !== 'boolean') {
+            return { valid: false, message: 'checksum must be a boolean' };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Định dạng áp dụng: tham số truyền vào > setting `keyFormat` > mặc định
+     */
+    static async resolveFormat(overrides = {}) {
+        const setting = await Settings.getSetting('keyFormat', DEFAULT_KEY_FORMAT);
+        const format = { ...DEFAULT_KEY_FORMAT, ...(setting || {}) };
+        for (const field of Object.keys(DEFAULT_KEY_FORMAT)) {
+            if (overrides[field] !== undefined) {
+                format[field] = overrides[field];
+            }
+        }
+        return format;
+    }
+
+    /**
+     * Sinh một key bằng crypto.randomInt: PREFIX-BODY[CHECK]
+     */
+    static generate(format = DEFAULT_KEY_FORMAT) {
+        let body = '';
+        for (let i = 0; i < format.length; i++) {
+            body += ALPHABET[crypto.randomInt(ALPHABET.length)];
+        }
+        if (format.checksum) {
+            body += checksumChar(body);
+        }
+        return format.prefix ? `${format.prefix}-${body}` : body;
+    }
+
+    /**
+     * Sinh `count` key không trùng nhau trong cùng lô
+     */
+    static generateMany(count, format = DEFAULT_KEY_FORMAT) {
+        const keys = new Set();
+        while (keys.size < count) {
+            keys.add(this.generate(format));
+        }
+        return [...keys];
+    }
+
+    /**
+     * Kiểm tra ký tự checksum của key (chỉ có ý nghĩa với key sinh ra khi checksum = true)
+     */
+    static verifyChecksum(key) {
+        const body = String(key || '').split('-').pop();
+        if (body.length < 2) return false;
+        return checksumChar(body.slice(0, -1)) === body.slice(-1);
+    }
+}
+
+KeyGenerator.DEFAULT_KEY_FORMAT = DEFAULT_KEY_FORMAT;
+
+module.exports = KeyGenerator;
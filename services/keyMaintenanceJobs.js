@@ -0,0 +1,184 @@
+const ApiProvider = require('../models/ApiProvider');
+const Settings = require('../models/Settings');
+const ApiKeyManager = require('./apiKeyManager');
+const proxyManager = require('./proxyManager');
+const providers = require('./providers');
+const scheduler = require('./scheduler');
+const { createAuditLog } = require('../utils/auditLogger');
+
+// Thời điểm reset quota theo provider (giờ địa phương). Gemini reset lúc 0h Pacific.
+// Admin ghi đè qua setting `aiQuotaResetSchedule`
+const DEFAULT_QUOTA_RESET_SCHEDULE = {
+    default: { timeZone: 'UTC', hour: 0 },
+    gemini: { timeZone: 'America/Los_Angeles', hour: 0 }
+};
+
+const QUOTA_RESET_INTERVAL_MS = 5 * 60 * 1000;
+const KEY_RECOVERY_INTERVAL_MS = 60 * 60 * 1000;
+
+// Key bị khóa vì lỗi xác thực thật sự không được thăm dò lại, admin phải tự bật
+const PERMANENT_ERROR_TYPES = ['invalid_key'];
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Chu kỳ quota hiện tại (ngày địa phương của lần reset gần nhất, dạng YYYY-MM-DD)
+ */
+const getQuotaPeriod = (now, { timeZone, hour }) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    const date = new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)));
+    if (Number(parts.hour) < hour) {
+        date.setUTCDate(date.getUTCDate() - 1);
+    }
+    return date.toISOString().slice(0, 10);
+};
+
+class KeyMaintenanceJobs {
+    /**
+     * Validate the `aiQuotaResetSchedule` setting: { default?: { timeZone, hour }, <provider>: { timeZone, hour } }
+     */
+    static validateSchedule(schedule) {
+        if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+            return { valid: false, message: 'aiQuotaResetSchedule must be an object' };
+        }
+        for (const [provider, entry] of Object.entries(schedule)) {
+            if (!entry || typeof entry !== 'object') {
+                return { valid: false, message: `Schedule for ${provider} must be an object` };
+            }
+            if (!isValidTimeZone(entry.timeZone)) {
+                return { valid: false, message: `Invalid timeZone for ${provider}` };
+            }
+            if (!Number.isInteger(entry.hour) || entry.hour < 0 || entry.hour > 23) {
+                return { valid: false, message: `hour for ${provider} must be an integer between 0 and 23` };
+            }
+        }
+        return { valid: true };
+    }
+
+    static async getSchedule(providerName) {
+        const schedule = await Settings.getSetting('aiQuotaResetSchedule', DEFAULT_QUOTA_RESET_SCHEDULE) || {};
+        const name = providerName.toLowerCase();
+        return schedule[name] || schedule.default || DEFAULT_QUOTA_RESET_SCHEDULE[name] || DEFAULT_QUOTA_RESET_SCHEDULE.default;
+    }
+
+    /**
+     * Reset cờ quota cho các provider đã qua thời điểm reset của chu kỳ mới
+     */
+    static async resetDueQuotas(now = new Date()) {
+        const providerRecords = await ApiProvider.find({}, 'name quotaResetPeriod keyStatus');
+        const reset = [];
+
+        for (const provider of providerRecords) {
+            const schedule = await this.getSchedule(provider.name);
+            const period = getQuotaPeriod(now, schedule);
+            if (provider.quotaResetPeriod === period) {
+                continue;
+            }
+
+            const flaggedKeys = provider.keyStatus.filter(keyInfo => keyInfo.quotaExceeded).length;
+            await ApiKeyManager.resetDailyQuotas(provider.name);
+            await ApiProvider.updateOne({ _id: provider._id }, { $set: { quotaResetPeriod: period } });
+            reset.push({ provider: provider.name, period, flaggedKeys });
+
+            await createAuditLog(
+                'AI_QUOTA_RESET',
+                `Daily quota reset for ${provider.name} (period ${period}, ${schedule.timeZone} ${schedule.hour}:00). ${flaggedKeys} key(s) unflagged.`
+            );
+        }
+
+        return { reset };
+    }
+
+    /**
+     * Thăm dò lại các key bị khóa vì lỗi tạm thời, bật lại key nếu test connection thành công
+     */
+    static async recoverInactiveKeys() {
+        const providerRecords = await ApiProvider.find({ 'keyStatus.isActive': false }, 'name keyStatus');
+        const results = [];
+
+        for (const provider of providerRecords) {
+            const adapter = providers.getAdapter(provider.name);
+            if (!adapter) continue;
+
+            const candidates = provider.keyStatus.filter(keyInfo =>
+                !keyInfo.isActive && !PERMANENT_ERROR_TYPES.includes(keyInfo.lastErrorType)
+            );
+
+            for (const keyInfo of candidates) {
+                const apiKey = keyInfo.key;
+                let probe;
+                try {
+                    probe = await adapter.testConnection(apiKey, {
+                        fetch: (url, init) => proxyManager.makeRequestWithProxy(url, init, apiKey)
+                    });
+                } catch (error) {
+                    probe = { valid: false, message: error.message };
+                }
+
+                const update = probe.valid
+                    ? {
+                        'keyStatus.$.isActive': true,
+                        'keyStatus.$.lastError': null,
+                        'keyStatus.$.lastErrorTime': null,
+                        'keyStatus.$.lastErrorType': null
+                    }
+                    : {
+                        'keyStatus.$.lastError': probe.message,
+                        'keyStatus.$.lastErrorTime': new Date()
+                    };
+                await ApiProvider.updateOne(
+                    { _id: provider._id, 'keyStatus.key': apiKey },
+                    { $set: update }
+                );
+
+                results.push({ provider: provider.name, key: `${apiKey.slice(0, 12)}...`, recovered: !!probe.valid });
+                console.log(`${probe.valid ? '✅' : '❌'} Key recovery probe ${provider.name} ${apiKey.slice(0, 12)}...: ${probe.message}`);
+            }
+        }
+
+        const recovered = results.filter(result => result.recovered).length;
+        await createAuditLog(
+            'AI_KEY_RECOVERY',
+            `Key recovery run: probed ${results.length} inactive key(s), recovered ${recovered}.`
+        );
+
+        return { probed: results.length, recovered, results };
+    }
+
+    /**
+     * Đăng ký các job vào scheduler
+     */
+    static register() {
+        scheduler.register('ai-quota-reset', {
+            intervalMs: QUOTA_RESET_INTERVAL_MS,
+            run: () => this.resetDueQuotas()
+        });
+        scheduler.register('ai-key-recovery', {
+            intervalMs: KEY_RECOVERY_INTERVAL_MS,
+            run: () => this.recoverInactiveKeys()
+        });
+    }
+}
+
+KeyMaintenanceJobs.DEFAULT_QUOTA_RESET_SCHEDULE = DEFAULT_QUOTA_RESET_SCHEDULE;
+KeyMaintenanceJobs.getQuotaPeriod = getQuotaPeriod;
+
+module.exports = KeyMaintenanceJobs;
@@ -0,0 +1,177 @@
+const Key = require('../models/Key');
+const Settings = require('../models/Settings');
+const Webhooks = require('./webhooks');
+const scheduler = require('./scheduler');
+
+// Ngưỡng thông báo mặc định, admin ghi đè qua setting `webhookNotifications`.
+// expiringDays: báo key sắp hết hạn trước N ngày; lowCreditThreshold: báo khi credit <= ngưỡng.
+// Giá trị 0 = tắt loại thông báo đó.
+const DEFAULT_NOTIFICATION_CONFIG = {
+    expiringDays: 3,
+    lowCreditThreshold: 10
+};
+
+const CONFIG_FIELDS = Object.keys(DEFAULT_NOTIFICATION_CONFIG);
+const SCAN_INTERVAL_MS = 15 * 60 * 1000;
+const SCAN_BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const keyPayload = (key) => ({
+    keyId: String(key._id),
+    key: key.key,
+    note: key.note,
+    credit: key.credit,
+    expiredAt: key.expiredAt || null
+});
+
+/**
+ * Quét Key định kỳ và phát webhook key.expiring / key.credit_low / key.credit_exhausted.
+ * Mỗi loại chỉ báo một lần cho mỗi "đợt" (Key.notifications): gia hạn hoặc nạp thêm credit thì cờ được
+ * đặt lại và lần chạm ngưỡng kế tiếp sẽ được báo tiếp.
+ */
+class KeyNotifications {
+    /**
+     * Validate the `webhookNotifications` setting
+     */
+    static validateConfig(config) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            return { valid: false, message: 'webhookNotifications must be an object' };
+        }
+        for (const [field, value] of Object.entries(config)) {
+            if (!CONFIG_FIELDS.includes(field)) {
+                return { valid: false, message: `Unknown field '${field}' in webhookNotifications` };
+            }
+            if (typeof value !== 'number' || isNaN(value) || value < 0) {
+                return { valid: false, message: `${field} must be a non-negative number` };
+            }
+        }
+        if (config.expiringDays !== undefined && (!Number.isInteger(config.expiringDays) || config.expiringDays > 365)) {
+            return { valid: false, message: 'expiringDays must be an integer between 0 and 365' };
+        }
+        return { valid: true };
+    }
+
+    static async getConfig() {
+        const config = await Settings.getSetting('webhookNotifications', DEFAULT_NOTIFICATION_CONFIG);
+        return { ...DEFAULT_NOTIFICATION_CONFIG, ...(config || {}) };
+    }
+
+    /**
+     * Đặt cờ thông báo (nguyên tử theo `condition`) rồi phát event; gửi lỗi thì trả cờ để lần quét sau thử lại
+     * @returns {boolean} đã phát event hay chưa
+     */
+    static async notify(key, condition, flag, event, data, dedupeKey) {
+        const claimed = await Key.updateOne({ _id: key._id, ...condition }, { $set: flag.set });
+        if (claimed.modifiedCount === 0) {
+            return false;
+        }
+        try {
+            await Webhooks.emit(event, data, { dedupeKey });
+            return true;
+        } catch (error) {
+            await Key.updateOne({ _id: key._id }, { $set: flag.unset });
+            throw error;
+        }
+    }
+
+    static async scanExpiring(days, now) {
+        if (!days) return 0;
+
+        const keys = await Key.find({
+            isActive: true,
+            expiredAt: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) },
+            $expr: { $ne: ['$notifications.expiringFor', '$expiredAt'] }
+        }).limit(SCAN_BATCH_SIZE).lean();
+
+        let sent = 0;
+        for (const key of keys) {
+            const notified = await this.notify(
+                key,
+                { expiredAt: key.expiredAt, 'notifications.expiringFor': { $ne: key.expiredAt } },
+                {
+                    set: { 'notifications.expiringFor': key.expiredAt },
+                    unset: { 'notifications.expiringFor': null }
+                },
+                'key.expiring',
+                { ...keyPayload(key), daysLeft: Math.ceil((key.expiredAt.getTime() - now.getTime()) / DAY_MS) },
+                `key.expiring:${key._id}:${key.expiredAt.toISOString()}`
+            );
+            if (notified) sent++;
+        }
+        return sent;
+    }
+
+    static async scanLowCredit(threshold) {
+        // Nạp thêm vượt ngưỡng → báo lại ở lần chạm ngưỡng kế tiếp
+        await Key.updateMany(
+            { 'notifications.lowCredit': true, credit: { $gt: threshold } },
+            { $set: { 'notifications.lowCredit': false } }
+        );
+        if (!threshold) return 0;
+
+        const condition = { credit: { $gt: 0, $lte: threshold }, 'notifications.lowCredit': { $ne: true } };
+        const keys = await Key.find({ isActive: true, ...condition }).limit(SCAN_BATCH_SIZE).lean();
+
+        let sent = 0;
+        for (const key of keys) {
+            const notified = await this.notify(
+                key,
+                condition,
+                { set: { 'notifications.lowCredit': true }, unset: { 'notifications.lowCredit': false } },
+                'key.credit_low',
+                { ...keyPayload(key), threshold },
+                null
+            );
+            if (notified) sent++;
+        }
+        return sent;
+    }
+
+    static async scanExhausted() {
+        await Key.updateMany(
+            { 'notifications.creditExhausted': true, credit: { $gt: 0 } },
+            { $set: { 'notifications.creditExhausted': false } }
+        );
+
+        // Chỉ key đã từng dùng credit: key mới tạo với 0 credit không tính là "dùng hết"
+        const condition = { credit: { $lte: 0 }, lastUsedAt: { $ne: null }, 'notifications.creditExhausted': { $ne: true } };
+        const keys = await Key.find({ isActive: true, ...condition }).limit(SCAN_BATCH_SIZE).lean();
+
+        let sent = 0;
+        for (const key of keys) {
+            const notified = await this.notify(
+                key,
+                condition,
+                { set: { 'notifications.creditExhausted': true }, unset: { 'notifications.creditExhausted': false } },
+                'key.credit_exhausted',
+                keyPayload(key),
+                null
+            );
+            if (notified) sent++;
+        }
+        return sent;
+    }
+
+    /**
+     * Một lượt quét (job `key-notification-scan`)
+     */
+    static async scan(now = new Date()) {
+        const config = await this.getConfig();
+        return {
+            expiring: await this.scanExpiring(config.expiringDays, now),
+            lowCredit: await this.scanLowCredit(config.lowCreditThreshold),
+            exhausted: await this.scanExhausted()
+        };
+    }
+
+    static register() {
+        scheduler.register('key-notification-scan', {
+            intervalMs: SCAN_INTERVAL_MS,
+            run: () => this.scan()
+        });
+    }
+}
+
+KeyNotifications.DEFAULT_NOTIFICATION_CONFIG = DEFAULT_NOTIFICATION_CONFIG;
+
+module.exports = KeyNotifications;
@@ -0,0 +1,162 @@
+const { v4: uuidv4 } = require('uuid');
+const Settings = require('../models/Settings');
+const CreditPackage = require('../models/CreditPackage');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const KeyConcurrency = require('../models/KeyConcurrency');
+
+// Giới hạn mặc định cho mỗi user key, admin ghi đè qua setting `aiUserRateLimits`.
+// Thứ tự ưu tiên: Key.rateLimits > CreditPackage.rateLimits (gói đã mua) > setting > mặc định.
+// Giá trị 0 = không giới hạn.
+const DEFAULT_USER_RATE_LIMITS = {
+    requestsPerMinute: 20,
+    requestsPerHour: 300,
+    maxConcurrent: 2
+};
+
+const LIMIT_FIELDS = Object.keys(DEFAULT_USER_RATE_LIMITS);
+
+const WINDOWS = {
+    requestsPerMinute: { name: 'minute', ms: 60 * 1000 },
+    requestsPerHour: { name: 'hour', ms: 60 * 60 * 1000 }
+};
+
+// Slot của request bị bỏ dở (instance chết) tự hết hạn sau thời gian này (> server.timeout)
+const SLOT_TTL_MS = 10 * 60 * 1000;
+// Gợi ý thời gian chờ khi chạm giới hạn đồng thời
+const CONCURRENCY_RETRY_AFTER_SECONDS = 5;
+
+const pickLimits = (source) => {
+    const limits = {};
+    if (!source) return limits;
+    for (const field of LIMIT_FIELDS) {
+        if (typeof source[field] === 'number' && source[field] >= 0) {
+            limits[field] = source[field];
+        }
+    }
+    return limits;
+};
+
+class KeyRateLimiter {
+    /**
+     * Validate rate limits (setting `aiUserRateLimits`, Key.rateLimits, CreditPackage.rateLimits)
+     */
+    static validateLimits(limits) {
+        if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+            return { valid: false, message: 'rate limits must be an object' };
+        }
+        for (const [field, value] of Object.entries(limits)) {
+            if (!LIMIT_FIELDS.includes(field)) {
+                return { valid: false, message: `Unknown rate limit field '${field}'` };
+            }
+            if (value !== null && (!Number.isInteger(value) || value < 0)) {
+                return { valid: false, message: `${field} must be a non-negative integer or null` };
+            }
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Giới hạn áp dụng cho một key
+     */
+    static async resolveLimits(keyDoc) {
+        const systemLimits = await Settings.getSetting('aiUserRateLimits', DEFAULT_USER_RATE_LIMITS);
+        let packageLimits = {};
+        if (keyDoc.packageId) {
+            const creditPackage = await CreditPackage.findById(keyDoc.packageId).lean();
+            packageLimits = pickLimits(creditPackage && creditPackage.rateLimits);
+        }
+
+        return {
+            ...DEFAULT_USER_RATE_LIMITS,
+            ...pickLimits(systemLimits),
+            ...packageLimits,
+            ...pickLimits(keyDoc.rateLimits)
+        };
+    }
+
+    /**
+     * Đếm một request vào các cửa sổ (phút, giờ).
+     * @returns {{ allowed, limit, remaining, retryAfter, window }} - retryAfter tính bằng giây
+     */
+    static async hit(keyDoc, limits) {
+        const now = Date.now();
+        let tightest = null;
+
+        for (const [field, window] of Object.entries(WINDOWS)) {
+            const limit = limits[field];
+            if (!limit) continue;
+
+            const windowStart = Math.floor(now / window.ms) * window.ms;
+            const windowEnd = windowStart + window.ms;
+            const counter = await RateLimitCounter.findOneAndUpdate(
+                { bucket: `${keyDoc._id}:${window.name}:${windowStart}` },
+                { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowEnd) } },
+                { upsert: true, new: true }
+            );
+
+            const result = {
+                allowed: counter.count <= limit,
+                limit,
+                remaining: Math.max(limit - counter.count, 0),
+                retryAfter: Math.ceil((windowEnd - now) / 1000),
+                window: window.name
+            };
+            if (!result.allowed) {
+                return result;
+            }
+            if (!tightest || result.remaining < tightest.remaining) {
+                tightest = result;
+            }
+        }
+
+        return tightest || { allowed: true, limit: null, remaining: null, retryAfter: 0, window: null };
+    }
+
+    /**
+     * Giữ một slot generation đồng thời.
+     * @returns {string|null} slot id, null nếu đã đủ maxConcurrent
+     */
+    static async acquireSlot(keyDoc, maxConcurrent) {
+        const slotId = uuidv4();
+        if (!maxConcurrent) {
+            return slotId;
+        }
+
+        const now = new Date();
+        // Dọn slot hết hạn trước khi đếm
+        await KeyConcurrency.updateOne(
+            { keyId: keyDoc._id },
+            { $pull: { slots: { expiresAt: { $lte: now } } } }
+        );
+
+        try {
+            const doc = await KeyConcurrency.findOneAndUpdate(
+                // Còn chỗ khi phần tử thứ maxConcurrent chưa tồn tại
+                { keyId: keyDoc._id, [`slots.${maxConcurrent - 1}`]: { $exists: false } },
+                { $push: { slots: { id: slotId, expiresAt: new Date(now.getTime() + SLOT_TTL_MS) } } },
+                { upsert: true, new: true }
+            );
+            return doc ? slotId : null;
+        } catch (error) {
+            // Upsert trùng keyId: document đã tồn tại và đã đủ slot
+            if (error.code === 11000) return null;
+            throw error;
+        }
+    }
+
+    static async releaseSlot(keyDoc, slotId) {
+        try {
+            await KeyConcurrency.updateOne(
+                { keyId: keyDoc._id },
+                { $pull: { slots: { id: slotId } } }
+            );
+        } catch (error) {
+            console.error('Failed to release concurrency slot:', error);
+        }
+    }
+}
+
+KeyRateLimiter.DEFAULT_USER_RATE_LIMITS = DEFAULT_USER_RATE_LIMITS;
+KeyRateLimiter.CONCURRENCY_RETRY_AFTER_SECONDS = CONCURRENCY_RETRY_AFTER_SECONDS;
+
+module.exports = KeyRateLimiter;
@@ -0,0 +1,147 @@
+const ApiRequestLog = require('../models/ApiRequestLog');
+const { parsePagination, buildPagination, parseDate } = require('../utils/query');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+// Ngày của daily aggregate tính theo giờ Việt Nam trừ khi truyền timeZone
+const DEFAULT_TIME_ZONE = 'Asia/Ho_Chi_Minh';
+
+const usageError = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_INPUT';
+    return error;
+};
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const dayString = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+}).format(date);
+
+const usageTotals = {
+    requests: { $sum: 1 },
+    successful: { $sum: { $cond: ['$success', 1, 0] } },
+    failed: { $sum: { $cond: ['$success', 0, 1] } },
+    creditsCharged: { $sum: '$creditsCharged' },
+    totalTokens: { $sum: '$tokenUsage.totalTokens' }
+};
+
+/**
+ * Lịch sử dùng AI của một user key (ApiRequestLog.userId = Key.key)
+ */
+class KeyUsage {
+    /**
+     * @param {Object} keyDoc
+     * @param {Object} query - from, to (mặc định 30 ngày gần nhất), timeZone, page, limit, provider, success
+     * @param {Object} options - { includeAttempts } (chỉ admin xem chi tiết fallback)
+     * Lỗi: code INVALID_INPUT
+     */
+    static async getReport(keyDoc, query = {}, { includeAttempts = false } = {}) {
+        const to = parseDate(query.to) || new Date();
+        const from = parseDate(query.from) || new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+        if (parseDate(query.from) === null || parseDate(query.to) === null) {
+            throw usageError('from/to must be valid dates');
+        }
+        if (from > to) {
+            throw usageError('from must be before to');
+        }
+        if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+            throw usageError(`Range must not exceed ${MAX_RANGE_DAYS} days`);
+        }
+        const timeZone = query.timeZone || DEFAULT_TIME_ZONE;
+        if (!isValidTimeZone(timeZone)) {
+            throw usageError('Invalid timeZone');
+        }
+
+        const match = { userId: keyDoc.key, createdAt: { $gte: from, $lte: to } };
+        if (query.provider) {
+            match.provider = String(query.provider).toLowerCase();
+        }
+        if (query.success === 'true' || query.success === 'false') {
+            match.success = query.success === 'true';
+        }
+
+        const pagination = parsePagination(query);
+        const projection = {
+            provider: 1, model: 1, requestType: 1, success: 1, error: 1,
+            promptLength: 1, responseLength: 1, tokenUsage: 1, creditsCharged: 1, createdAt: 1,
+            ...(includeAttempts ? { attempts: 1 } : {})
+        };
+
+        const [timeline, total, daily, byProvider] = await Promise.all([
+            ApiRequestLog.find(match, projection)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .lean(),
+            ApiRequestLog.countDocuments(match),
+            ApiRequestLog.aggregate([
+                { $match: match },
+                { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: timeZone } }, ...usageTotals } },
+                { $sort: { _id: 1 } }
+            ]),
+            ApiRequestLog.aggregate([
+                { $match: match },
+                { $group: { _id: '$provider', ...usageTotals } },
+                { $sort: { requests: -1 } }
+            ])
+        ]);
+
+        const strip = ({ _id, ...rest }) => rest;
+        const summary = byProvider.reduce((totals, row) => {
+            for (const field of Object.keys(usageTotals)) {
+                totals[field] += row[field] || 0;
+            }
+            return totals;
+        }, { requests: 0, successful: 0, failed: 0, creditsCharged: 0, totalTokens: 0 });
+
+        return {
+            key: keyDoc.key,
+            range: { from, to, timeZone },
+            summary: {
+                ...summary,
+                byProvider: byProvider.map(row => ({ provider: row._id, ...strip(row) }))
+            },
+            daily: this.fillDays(daily, from, to, timeZone),
+            timeline,
+            pagination: buildPagination(pagination, total)
+        };
+    }
+
+    /**
+     * Thêm các ngày không có request (giá trị 0) để biểu đồ liền mạch
+     */
+    static fillDays(rows, from, to, timeZone) {
+        const byDay = new Map(rows.map(row => [row._id, row]));
+        const days = [];
+        const last = dayString(to, timeZone);
+        // Duyệt theo ngày lịch (không cộng 24h) để không bỏ sót ngày khi đổi giờ mùa hè
+        for (let cursor = new Date(`${dayString(from, timeZone)}T00:00:00Z`); ; cursor.setUTCDate(cursor.getUTCDate() + 1)) {
+            const date = cursor.toISOString().slice(0, 10);
+            const row = byDay.get(date) || {};
+            days.push({
+                date,
+                requests: row.requests || 0,
+                successful: row.successful || 0,
+                failed: row.failed || 0,
+                creditsCharged: row.creditsCharged || 0,
+                totalTokens: row.totalTokens || 0
+            });
+            if (date >= last) break;
+        }
+        return days;
+    }
+}
+
+module.exports = KeyUsage;
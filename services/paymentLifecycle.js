@@ -0,0 +1,154 @@
+const Payment = require('../models/Payment');
+const PaymentArchive = require('../models/PaymentArchive');
+const Settings = require('../models/Settings');
+const scheduler = require('./scheduler');
+const { createAuditLog } = require('../utils/auditLogger');
+
+// Chính sách lưu giữ payment, admin ghi đè qua setting `paymentRetention`. 0 = không bao giờ.
+// Payment đã thanh toán (completed / refunded) luôn được giữ trong collection payments (thống kê doanh thu).
+const DEFAULT_PAYMENT_RETENTION = {
+    archiveAfterDays: 0, // chuyển payment chưa thanh toán sang payment_archive sau N ngày kể từ lần đổi trạng thái cuối
+    purgeArchivedAfterDays: 0 // xóa hẳn bản lưu trữ sau N ngày kể từ lúc lưu trữ
+};
+
+const ARCHIVABLE_STATUSES = ['expired', 'failed', 'cancelled'];
+const EXPIRY_INTERVAL_MS = 5 * 60 * 1000;
+const ARCHIVE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const ARCHIVE_BATCH_SIZE = 500;
+const MAX_ARCHIVE_BATCHES = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PaymentLifecycle {
+    /**
+     * Validate the `paymentRetention` setting
+     */
+    static validateConfig(config) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            return { valid: false, message: 'paymentRetention must be an object' };
+        }
+        for (const [field, value] of Object.entries(config)) {
+            if (!Object.keys(DEFAULT_PAYMENT_RETENTION).includes(field)) {
+                return { valid: false, message: `Unknown field '${field}' in paymentRetention` };
+            }
+            if (!Number.isInteger(value) || value < 0) {
+                return { valid: false, message: `${field} must be a non-negative integer (0 = never)` };
+            }
+        }
+        return { valid: true };
+    }
+
+    static async getConfig() {
+        return { ...DEFAULT_PAYMENT_RETENTION, ...(await Settings.getSetting('paymentRetention', DEFAULT_PAYMENT_RETENTION) || {}) };
+    }
+
+    /**
+     * Bản cũ có TTL index trên expiredAt (xóa mọi payment sau 30 phút). Bỏ khỏi schema chưa đủ,
+     * index đã tạo trong MongoDB phải được drop.
+     */
+    static async dropLegacyTtlIndex() {
+        const indexes = await Payment.collection.indexes();
+        const legacy = indexes.find(index => index.expireAfterSeconds !== undefined && index.key && index.key.expiredAt);
+        if (legacy) {
+            await Payment.collection.dropIndex(legacy.name);
+            console.log(`🗂️ Dropped legacy TTL index ${legacy.name} on payments`);
+        }
+        return !!legacy;
+    }
+
+    /**
+     * Job `payment-expiry`: pending quá hạn → expired
+     */
+    static async expireStale(now = new Date()) {
+        const result = await Payment.cleanup(now);
+        if (result.modifiedCount > 0) {
+            console.log(`🧹 Expired ${result.modifiedCount} stale pending payment(s)`);
+        }
+        return { expired: result.modifiedCount };
+    }
+
+    /**
+     * Chuyển một lô payment chưa thanh toán quá hạn lưu giữ sang payment_archive
+     * @returns {number} số payment đã lưu trữ
+     */
+    static async archiveBatch(cutoff) {
+        const filter = {
+            status: { $in: ARCHIVABLE_STATUSES },
+            $or: [
+                { statusChangedAt: { $lte: cutoff } },
+                // Payment có từ trước khi có statusChangedAt
+                { statusChangedAt: null, updatedAt: { $lte: cutoff } }
+            ]
+        };
+        const payments = await Payment.find(filter).limit(ARCHIVE_BATCH_SIZE).lean();
+        if (payments.length === 0) {
+            return 0;
+        }
+
+        const now = new Date();
+        try {
+            await PaymentArchive.insertMany(payments.map(payment => ({ ...payment, archivedAt: now })), { ordered: false });
+        } catch (error) {
+            // Lần chạy trước đã chép nhưng chưa kịp xóa bản gốc
+            if (!(error.writeErrors || []).every(writeError => writeError.code === 11000)) throw error;
+        }
+
+        const ids = payments.map(payment => payment._id);
+        const deleted = await Payment.deleteMany({ _id: { $in: ids }, status: { $in: ARCHIVABLE_STATUSES } });
+
+        // Payment vừa đổi trạng thái (vd. tiền về muộn) vẫn còn trong payments: bỏ bản lưu trữ
+        if (deleted.deletedCount < ids.length) {
+            const kept = await Payment.find({ _id: { $in: ids } }, '_id').lean();
+            await PaymentArchive.deleteMany({ _id: { $in: kept.map(payment => payment._id) } });
+        }
+        return deleted.deletedCount;
+    }
+
+    /**
+     * Job `payment-archive`: áp dụng chính sách lưu giữ `paymentRetention`
+     */
+    static async applyRetention(now = new Date()) {
+        const config = await this.getConfig();
+        let archived = 0;
+        let purged = 0;
+
+        if (config.archiveAfterDays > 0) {
+            const cutoff = new Date(now.getTime() - config.archiveAfterDays * DAY_MS);
+            for (let batch = 0; batch < MAX_ARCHIVE_BATCHES; batch++) {
+                const count = await this.archiveBatch(cutoff);
+                archived += count;
+                if (count < ARCHIVE_BATCH_SIZE) break;
+            }
+        }
+
+        if (config.purgeArchivedAfterDays > 0) {
+            const cutoff = new Date(now.getTime() - config.purgeArchivedAfterDays * DAY_MS);
+            const result = await PaymentArchive.deleteMany({ archivedAt: { $lte: cutoff } });
+            purged = result.deletedCount;
+        }
+
+        if (archived > 0 || purged > 0) {
+            console.log(`🗄️ Payment retention: archived ${archived}, purged ${purged}`);
+            await createAuditLog(
+                'PAYMENT_RETENTION',
+                `Payment retention run: archived ${archived} unpaid payment(s) older than ${config.archiveAfterDays} day(s), purged ${purged} archived payment(s).`
+            );
+        }
+        return { archived, purged };
+    }
+
+    static register() {
+        scheduler.register('payment-expiry', {
+            intervalMs: EXPIRY_INTERVAL_MS,
+            run: () => this.expireStale()
+        });
+        scheduler.register('payment-archive', {
+            intervalMs: ARCHIVE_INTERVAL_MS,
+            run: () => this.applyRetention()
+        });
+    }
+}
+
+PaymentLifecycle.DEFAULT_PAYMENT_RETENTION = DEFAULT_PAYMENT_RETENTION;
+PaymentLifecycle.ARCHIVABLE_STATUSES = ARCHIVABLE_STATUSES;
+
+module.exports = PaymentLifecycle;
@@ -2,6 +2,14 @@ const Payment = require('../models/Payment');
 const Key = require('../models/Key');
 const CreditPackage = require('../models/CreditPackage');
 const BankInfo = require('../models/BankInfo');
+const CreditLedgerEntry = require('../models/CreditLedgerEntry');
+const PaymentWebhookEvent = require('../models/PaymentWebhookEvent');
+const PaymentArchive = require('../models/PaymentArchive');
+const CreditLedger = require('./creditLedger');
+const Webhooks = require('./webhooks');
+const Subscriptions = require('./subscriptions');
+const vietQR = require('../utils/vietQR');
+const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const axios = require('axios');
@@ -14,18 +22,46 @@ try {
     console.warn('PayOS SDK not installed, using fallback mode');
 }
 
+// Thời gian giữ khóa payment khi đang cộng credit (tiến trình chết giữa chừng thì hết khóa)
+const PAYMENT_LOCK_MS = 2 * 60 * 1000;
+
+const paymentError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
 class PaymentService {
+    /**
+     * Gọi lúc khởi động: production thiếu PAYOS_CHECKSUM_KEY thì không chạy
+     * (không có key thì không xác thực được webhook PayOS)
+     */
+    static assertProductionConfig() {
+        if (process.env.NODE_ENV !== 'production') {
+            return;
+        }
+        if (!process.env.PAYOS_CHECKSUM_KEY) {
+            throw new Error('PAYOS_CHECKSUM_KEY must be set in production');
+        }
+    }
+
     constructor() {
-        // PayOS Configuration
+        // PayOS Configuration: chỉ lấy từ biến môi trường. Thiếu checksum key thì mọi webhook bị từ chối.
         this.payos = {
-            clientId: process.env.PAYOS_CLIENT_ID || 'be64263c-d0b5-48c7-a5e4-9e1357786d4c',
-            apiKey: process.env.PAYOS_API_KEY || '6c790eab-3334-4180-bf54-d3071ca7f277',
-            checksumKey: process.env.PAYOS_CHECKSUM_KEY || '271d878407a1020d240d9064d0bfb4300bfe2e02bf997bb28771dea73912bd55',
+            clientId: process.env.PAYOS_CLIENT_ID || null,
+            apiKey: process.env.PAYOS_API_KEY || null,
+            checksumKey: process.env.PAYOS_CHECKSUM_KEY || null,
             baseUrl: 'https://api-merchant.payos.vn'
         };
 
+        // URL public của backend (link QR chuyển khoản thủ công, webhook PayOS)
+        this.publicBaseUrl = (process.env.PUBLIC_BASE_URL || 'https://key-manager-backend.onrender.com').replace(/\/+$/, '');
+
         // Initialize PayOS SDK if available
-        if (PayOS) {
+        if (PayOS && !this.isPayOSConfigured()) {
+            console.warn('⚠️ PAYOS_CLIENT_ID / PAYOS_API_KEY / PAYOS_CHECKSUM_KEY not set, PayOS disabled (manual transfer only)');
+            this.payOSClient = null;
+        } else if (PayOS) {
             try {
                 this.payOSClient = new PayOS(
                     this.payos.clientId,
@@ -114,6 +150,7 @@ class PaymentService {
             // First check if exact package exists
             const creditPackage = await CreditPackage.findOne({ 
                 credits: creditAmount, 
+                type: { $ne: 'subscription' },
                 isActive: { $ne: false } 
             });
             
@@ -145,6 +182,7 @@ class PaymentService {
             // First check if exact package exists
             const creditPackage = await CreditPackage.findOne({ 
                 credits: creditAmount, 
+                type: { $ne: 'subscription' },
                 isActive: { $ne: false } 
             });
             
@@ -171,10 +209,20 @@ class PaymentService {
         return `NAPCREDIT ${keyShort} ${paymentShort}`;
     }
 
+    /**
+     * Đủ thông tin kết nối PayOS (tạo link, xác thực webhook)
+     */
+    isPayOSConfigured() {
+        return !!(this.payos.clientId && this.payos.apiKey && this.payos.checksumKey);
+    }
+
     /**
      * Generate PayOS signature
      */
     generatePayOSSignature(data) {
+        if (!this.payos.checksumKey) {
+            throw paymentError('PAYOS_CHECKSUM_KEY is not configured', 'PAYOS_NOT_CONFIGURED');
+        }
         const sortedKeys = Object.keys(data).sort();
         const dataString = sortedKeys.map(key => {
             const value = data[key];
@@ -228,41 +276,87 @@ class PaymentService {
     }
 
     /**
-     * Generate payment URL (fallback to manual transfer if PayOS fails)
+     * Generate payment URL (fallback to manual transfer if PayOS fails): ảnh QR VietQR của payment
      */
-    generatePaymentUrl(paymentData, bankInfo) {
-        // Fallback manual transfer URL
-        const params = new URLSearchParams({
-            amount: paymentData.amount,
-            content: paymentData.transferContent,
-            account: bankInfo.accountNumber,
-            bank: bankInfo.bankName
-        });
-        
-        return `https://your-manual-payment-page.com/pay?${params.toString()}`;
+    generatePaymentUrl(paymentData, bankInfo, paymentId) {
+        return `${this.publicBaseUrl}/api/payment/qr/${paymentId}`;
     }
 
     /**
-     * Generate QR code data (fallback for manual transfer)
+     * Generate QR code data (fallback for manual transfer): payload VietQR (EMVCo) kèm số tiền và nội dung.
+     * BIN lấy từ BankInfo.bankBin hoặc tra theo BankInfo.bankName; không xác định được ngân hàng thì trả ''.
      */
     generateQRData(paymentData, bankInfo) {
-        // Vietnam QR Pay format for manual transfer
-        return `2|010|${bankInfo.accountNumber}|${bankInfo.accountName}|${bankInfo.bankName}|${paymentData.amount}|${paymentData.transferContent}|VN`;
+        const bank = vietQR.findBank(bankInfo.bankBin || bankInfo.bankName);
+        if (!bank) {
+            console.warn(`⚠️ Unknown bank "${bankInfo.bankName}", set bankBin in bank info to enable VietQR`);
+            return '';
+        }
+        try {
+            return vietQR.buildPayload({
+                bin: bank.bin,
+                accountNumber: bankInfo.accountNumber,
+                amount: paymentData.amount,
+                content: paymentData.transferContent
+            });
+        } catch (error) {
+            console.warn('⚠️ Unable to build VietQR payload:', error.message);
+            return '';
+        }
+    }
+
+    /**
+     * Payload QR của payment đang chờ thanh toán (QR PayOS hoặc VietQR chuyển khoản thủ công).
+     * Payment cũ lưu chuỗi QR không hợp lệ được tạo lại từ thông tin ngân hàng hiện tại.
+     * Lỗi có code: PAYMENT_NOT_FOUND | NOT_PENDING | QR_UNAVAILABLE
+     */
+    async getPaymentQR(paymentId) {
+        const payment = /^[a-f0-9]{24}$/i.test(String(paymentId)) && await Payment.findById(paymentId);
+        if (!payment) {
+            throw paymentError('Payment not found', 'PAYMENT_NOT_FOUND');
+        }
+        if (payment.status !== 'pending' || payment.isExpired()) {
+            throw paymentError(`Payment is ${payment.status === 'pending' ? 'expired' : payment.status}`, 'NOT_PENDING');
+        }
+
+        const paymentData = payment.paymentData || {};
+        let payload = paymentData.qrCode;
+        if (!vietQR.isValidPayload(payload)) {
+            const bankInfo = await this.getBankInfo();
+            payload = this.generateQRData({ amount: payment.price, transferContent: paymentData.transferContent }, bankInfo);
+        }
+        if (!payload) {
+            throw paymentError('QR code is not available for this payment', 'QR_UNAVAILABLE');
+        }
+        return { payment, payload };
     }
 
     /**
      * Create payment
      */
-    async createPayment(userKey, creditAmount, metadata = {}) {
+    async createPayment(userKey, creditAmount, metadata = {}, options = {}) {
         try {
-            console.log('🚀 Creating payment:', { userKey: userKey.substring(0, 10) + '...', creditAmount, metadata });
+            console.log('🚀 Creating payment:', { userKey: userKey.substring(0, 10) + '...', creditAmount, packageId: options.packageId, metadata });
+
+            // Mua theo packageId (bắt buộc với gói tháng): credit và giá lấy từ gói
+            let creditPackage = null;
+            if (options.packageId) {
+                creditPackage = /^[a-f0-9]{24}$/i.test(String(options.packageId)) && await CreditPackage.findOne({
+                    _id: options.packageId,
+                    isActive: { $ne: false }
+                });
+                if (!creditPackage) {
+                    throw new Error('Invalid package');
+                }
+                creditAmount = creditPackage.credits;
+            }
             
             // Validate inputs
             if (!userKey || !creditAmount) {
                 throw new Error('User key and credit amount are required');
             }
 
-            if (!(await this.isValidCreditAmount(creditAmount))) {
+            if (!creditPackage && !(await this.isValidCreditAmount(creditAmount))) {
                 throw new Error('Invalid credit amount');
             }
 
@@ -274,11 +368,20 @@ class PaymentService {
             
             console.log('✅ User key validated:', userKey.substring(0, 10) + '...');
 
-            const price = await this.getPriceForCredit(creditAmount);
+            const price = creditPackage ? creditPackage.price : await this.getPriceForCredit(creditAmount);
             if (!price) {
                 throw new Error('Unable to get price for credit amount');
             }
 
+            // Gói cước tương ứng (nếu có) được gán cho key khi thanh toán xong
+            if (!creditPackage) {
+                creditPackage = await CreditPackage.findOne({
+                    credits: creditAmount,
+                    type: { $ne: 'subscription' },
+                    isActive: { $ne: false }
+                });
+            }
+
             // Get bank info from database - ALWAYS fresh from DB
             const bankInfo = await this.getBankInfo();
             console.log('💳 Using bank info for payment:', {
@@ -308,6 +411,7 @@ class PaymentService {
             console.log('🆕 Creating new payment with fresh bank info');
 
             // Create new payment
+            const paymentObjectId = new mongoose.Types.ObjectId();
             const paymentId = uuidv4();
             const orderCode = Date.now(); // Unique order code for PayOS
             const transferContent = this.generateTransferContent(userKey, paymentId);
@@ -339,13 +443,16 @@ class PaymentService {
             } catch (payosError) {
                 console.warn('PayOS payment creation failed, falling back to manual transfer:', payosError.message);
                 // Fallback to manual transfer
-                paymentData.payUrl = this.generatePaymentUrl(paymentData, bankInfo);
+                paymentData.payUrl = this.generatePaymentUrl(paymentData, bankInfo, paymentObjectId);
                 paymentData.qrCode = this.generateQRData(paymentData, bankInfo);
             }
 
             const payment = new Payment({
+                _id: paymentObjectId,
                 userKey,
                 creditAmount,
+                packageId: creditPackage ? creditPackage._id : null,
+                subscription: Subscriptions.snapshotPlan(creditPackage),
                 price,
                 paymentData,
                 metadata,
@@ -412,17 +519,175 @@ class PaymentService {
     }
 
     /**
-     * Complete payment (manual verification for now)
+     * Chuỗi ký dữ liệu webhook PayOS: key sắp xếp a-z, `key=value` nối bằng `&`,
+     * null/undefined thành chuỗi rỗng, mảng object được JSON hóa với key đã sắp xếp
      */
-    async completePayment(paymentId, transactionId = null) {
+    buildPayOSDataString(data) {
+        const sortObject = (obj) => Object.keys(obj).sort().reduce((sorted, key) => {
+            sorted[key] = obj[key];
+            return sorted;
+        }, {});
+
+        return Object.keys(data).sort().map(key => {
+            let value = data[key];
+            if (Array.isArray(value)) {
+                value = JSON.stringify(value.map(item => (item && typeof item === 'object' ? sortObject(item) : item)));
+            } else if (value && typeof value === 'object') {
+                value = JSON.stringify(sortObject(value));
+            } else if (value === null || value === undefined || value === 'null' || value === 'undefined') {
+                value = '';
+            }
+            return `${key}=${value}`;
+        }).join('&');
+    }
+
+    /**
+     * Ký `data` của webhook PayOS bằng checksum key (mock PayOS dùng để gửi webhook hợp lệ)
+     */
+    signPayOSWebhookData(data) {
+        if (!this.payos.checksumKey) {
+            throw paymentError('PAYOS_CHECKSUM_KEY is not configured', 'PAYOS_NOT_CONFIGURED');
+        }
+        return crypto.createHmac('sha256', this.payos.checksumKey).update(this.buildPayOSDataString(data)).digest('hex');
+    }
+
+    /**
+     * Xác thực chữ ký webhook PayOS ({ code, desc, success, data, signature })
+     */
+    verifyPayOSWebhook(body) {
+        // Chưa cấu hình checksum key: không có gì để xác thực, từ chối mọi webhook
+        if (!this.payos.checksumKey) {
+            return false;
+        }
+        if (!body || !body.data || typeof body.data !== 'object' || typeof body.signature !== 'string') {
+            return false;
+        }
+        const expected = Buffer.from(this.signPayOSWebhookData(body.data), 'hex');
+        const received = Buffer.from(body.signature, 'hex');
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    }
+
+    /**
+     * Ghi nhận webhook đã xác thực (một bản ghi cho mỗi reference), lần gửi lại chỉ tăng `deliveries`
+     */
+    async recordWebhookEvent(provider, reference, fields) {
+        const query = { provider, reference };
+        const update = { $setOnInsert: fields, $inc: { deliveries: 1 } };
         try {
-            console.log('🔄 Starting payment completion for:', paymentId);
-            
+            return await PaymentWebhookEvent.findOneAndUpdate(query, update, { upsert: true, new: true });
+        } catch (error) {
+            // Hai webhook cùng reference đến đồng thời: bản ghi vừa được tạo, cập nhật lại
+            if (error.code !== 11000) throw error;
+            return PaymentWebhookEvent.findOneAndUpdate(query, update, { new: true });
+        }
+    }
+
+    /**
+     * Xử lý webhook PayOS: xác thực chữ ký, chống xử lý lặp theo reference, kiểm tra số tiền
+     * với Payment.price rồi hoàn tất payment (completePayment đảm bảo chỉ cộng credit một lần).
+     * Lỗi có code: INVALID_SIGNATURE | PAYMENT_BUSY (để PayOS gửi lại)
+     * @returns {{ result: 'processed'|'duplicate'|'ignored'|'rejected', event, payment, reason }}
+     */
+    async handlePayOSWebhook(body) {
+        if (!this.verifyPayOSWebhook(body)) {
+            throw paymentError('Invalid webhook signature', 'INVALID_SIGNATURE');
+        }
+
+        const data = body.data;
+        const orderCode = parseInt(data.orderCode);
+        const reference = String(data.reference || data.paymentLinkId || `ORDER_${data.orderCode}`);
+        const event = await this.recordWebhookEvent('payos', reference, {
+            orderCode: isNaN(orderCode) ? null : orderCode,
+            amount: typeof data.amount === 'number' ? data.amount : null,
+            payload: body
+        });
+
+        if (event.deliveries > 1 && ['processed', 'ignored', 'rejected'].includes(event.status)) {
+            console.log(`🔁 PayOS webhook ${reference} already handled (${event.status})`);
+            return { result: 'duplicate', event, payment: null, reason: event.reason };
+        }
+
+        const finish = async (status, fields = {}) => {
+            Object.assign(event, { status, processedAt: new Date(), lastError: null }, fields);
+            await event.save();
+            return event;
+        };
+
+        if (body.code !== '00' || (data.code !== undefined && data.code !== '00')) {
+            const reason = `Not a successful payment (code ${data.code || body.code})`;
+            await finish('ignored', { reason });
+            return { result: 'ignored', event, payment: null, reason };
+        }
+
+        const payment = isNaN(orderCode) ? null : await Payment.findOne({ 'paymentData.orderCode': orderCode });
+        if (!payment) {
+            // Payment chưa thanh toán đã bị lưu trữ (chính sách paymentRetention): cần admin xử lý tay
+            const archived = isNaN(orderCode) ? null : await PaymentArchive.findOne({ 'paymentData.orderCode': orderCode });
+            if (archived) {
+                const reason = `Payment ${archived._id} is archived (${archived.status})`;
+                await finish('rejected', { reason, paymentId: archived._id });
+                return { result: 'rejected', event, payment: archived, reason };
+            }
+
+            // PayOS gửi orderCode giả khi xác nhận URL webhook
+            const reason = `No payment with orderCode ${data.orderCode}`;
+            await finish('ignored', { reason });
+            return { result: 'ignored', event, payment: null, reason };
+        }
+        event.paymentId = payment._id;
+
+        if (Number(data.amount) !== payment.price) {
+            const reason = `Amount mismatch: received ${data.amount}, expected ${payment.price}`;
+            await finish('rejected', { reason });
+            console.warn(`⚠️ PayOS webhook ${reference} rejected: ${reason}`);
+            return { result: 'rejected', event, payment, reason };
+        }
+
+        try {
+            const completed = await this.completePayment(payment._id, reference, { source: 'webhook', allowExpired: true });
+            await finish('processed');
+            return { result: 'processed', event, payment: completed.payment, reason: null };
+        } catch (error) {
+            if (error.code === 'ALREADY_COMPLETED') {
+                const reason = 'Payment was already completed';
+                await finish('processed', { reason });
+                return { result: 'duplicate', event, payment, reason };
+            }
+            if (error.code === 'NOT_PENDING') {
+                const reason = `Payment is ${payment.status}`;
+                await finish('rejected', { reason });
+                return { result: 'rejected', event, payment, reason };
+            }
+            // Lỗi tạm thời / đang xử lý song song: giữ trạng thái để lần gửi lại xử lý tiếp
+            await PaymentWebhookEvent.updateOne(
+                { _id: event._id, status: { $in: ['received', 'failed'] } },
+                { $set: { status: 'failed', lastError: error.message } }
+            );
+            throw error;
+        }
+    }
+
+    /**
+     * Complete payment: cộng credit (hoặc kích hoạt gói tháng) đúng một lần.
+     * Webhook, polling PayOS và admin có thể gọi đồng thời: payment được khóa nguyên tử (lockedUntil)
+     * trước khi cộng credit, và không cộng lại nếu ledger đã có entry của payment này (thử lại sau khi lỗi giữa chừng).
+     * Lỗi có code: PAYMENT_NOT_FOUND | ALREADY_COMPLETED | NOT_PENDING | PAYMENT_BUSY | PAYMENT_EXPIRED | KEY_NOT_FOUND
+     * @param {string} paymentId
+     * @param {string} [transactionId]
+     * @param {Object} [options]
+     * @param {string} [options.source] - 'admin' | 'webhook' | 'polling' | 'bank_import' (lưu vào Payment.completedVia)
+     * @param {boolean} [options.allowExpired] - cổng thanh toán đã xác nhận nhận tiền: hoàn tất cả payment đã quá hạn
+     */
+    async completePayment(paymentId, transactionId = null, options = {}) {
+        const { source = 'admin', allowExpired = false } = options;
+        try {
+            console.log('🔄 Starting payment completion for:', paymentId, `(${source})`);
+
             const payment = await Payment.findById(paymentId);
             if (!payment) {
-                throw new Error('Payment not found');
+                throw paymentError('Payment not found', 'PAYMENT_NOT_FOUND');
             }
-            
+
             console.log('📋 Payment details:', {
                 id: payment._id,
                 userKey: payment.userKey.substring(0, 10) + '...',
@@ -430,43 +695,328 @@ class PaymentService {
                 status: payment.status
             });
 
-            if (payment.status !== 'pending') {
-                throw new Error('Payment is not in pending status');
+            if (payment.status === 'completed') {
+                throw paymentError('Payment is already completed', 'ALREADY_COMPLETED');
+            }
+            const claimableStatuses = allowExpired ? ['pending', 'expired', 'failed'] : ['pending'];
+            if (!claimableStatuses.includes(payment.status)) {
+                throw paymentError('Payment is not in pending status', 'NOT_PENDING');
+            }
+            if (!allowExpired && payment.isExpired()) {
+                await Payment.transition(payment._id, 'failed', { from: 'pending', reason: 'Payment has expired' });
+                throw paymentError('Payment has expired', 'PAYMENT_EXPIRED');
             }
 
-            if (payment.isExpired()) {
-                await payment.markAsFailed();
-                throw new Error('Payment has expired');
+            // Khóa payment: chỉ một tiến trình được cộng credit
+            const now = new Date();
+            const claimed = await Payment.findOneAndUpdate(
+                {
+                    _id: payment._id,
+                    status: { $in: claimableStatuses },
+                    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+                },
+                { $set: { lockedUntil: new Date(now.getTime() + PAYMENT_LOCK_MS) } },
+                { new: true }
+            );
+            if (!claimed) {
+                const current = await Payment.findById(payment._id, 'status').lean();
+                if (current && current.status === 'completed') {
+                    throw paymentError('Payment is already completed', 'ALREADY_COMPLETED');
+                }
+                throw paymentError('Payment is being processed', 'PAYMENT_BUSY');
             }
 
-            // Update user credit
-            const key = await Key.findOne({ key: payment.userKey });
-            if (!key) {
-                throw new Error('User key not found');
+            try {
+                const key = await Key.findOne({ key: claimed.userKey });
+                if (!key) {
+                    throw paymentError('User key not found', 'KEY_NOT_FOUND');
+                }
+
+                const reference = { type: 'payment', id: String(claimed._id) };
+                const alreadyCredited = await CreditLedgerEntry.exists({
+                    'reference.type': reference.type,
+                    'reference.id': reference.id,
+                    amount: { $gt: 0 }
+                });
+
+                let newCreditBalance = key.credit;
+                if (alreadyCredited) {
+                    // Lần trước đã cộng credit nhưng chưa kịp đánh dấu completed
+                    console.warn(`⚠️ Payment ${claimed._id} was already credited, finishing completion only`);
+                } else if (claimed.subscription) {
+                    // Gói tháng: gia hạn key và cấp credit chu kỳ đầu (các chu kỳ sau do job subscription-grants cấp)
+                    const updatedKey = await Subscriptions.activate(key, {
+                        packageId: claimed.packageId,
+                        name: claimed.subscription.name,
+                        monthlyCredits: claimed.creditAmount,
+                        durationMonths: claimed.subscription.durationMonths,
+                        rolloverCap: claimed.subscription.rolloverCap
+                    }, { reference, paymentId: String(claimed._id) });
+                    newCreditBalance = updatedKey.credit;
+                } else {
+                    console.log('💰 Current user credit:', key.credit);
+                    console.log('➕ Adding credit amount:', claimed.creditAmount);
+                    ({ balance: newCreditBalance } = await CreditLedger.credit(key, claimed.creditAmount, 'topup', {
+                        reason: `Payment ${claimed._id}`,
+                        reference
+                    }));
+                }
+
+                console.log('✅ Updated user credit:', newCreditBalance);
+
+                if (claimed.packageId) {
+                    await Key.updateOne({ _id: key._id }, { $set: { packageId: claimed.packageId } });
+                }
+
+                // Credit đã cộng: hoàn tất kể cả khi job vừa chuyển payment sang expired
+                const completed = await Payment.transition(claimed._id, 'completed', {
+                    actor: source,
+                    set: {
+                        transactionId: transactionId || `MANUAL_${Date.now()}`,
+                        completedAt: new Date(),
+                        completedVia: source,
+                        lockedUntil: null
+                    }
+                });
+                if (!completed) {
+                    throw paymentError('Payment status changed during completion', 'PAYMENT_BUSY');
+                }
+
+                console.log(`✅ Payment completed: ${claimed._id} - Added ${claimed.creditAmount} credits to ${claimed.userKey.substring(0, 10)}...`);
+
+                // Webhook payment.completed: lỗi ghi delivery không làm hỏng việc hoàn tất thanh toán
+                Webhooks.emit('payment.completed', {
+                    paymentId: String(completed._id),
+                    keyId: String(key._id),
+                    key: completed.userKey,
+                    creditAmount: completed.creditAmount,
+                    price: completed.price,
+                    packageId: completed.packageId ? String(completed.packageId) : null,
+                    transactionId: completed.transactionId,
+                    credit: newCreditBalance,
+                    completedAt: completed.completedAt
+                }, { dedupeKey: `payment.completed:${completed._id}` }).catch(error => {
+                    console.error('❌ Failed to emit payment.completed webhook:', error.message);
+                });
+
+                return {
+                    success: true,
+                    payment: completed,
+                    newCreditBalance
+                };
+            } catch (error) {
+                // Nhả khóa để lần gọi sau (webhook gửi lại, polling) thử lại
+                await Payment.updateOne({ _id: claimed._id, status: { $ne: 'completed' } }, { $set: { lockedUntil: null } });
+                throw error;
             }
-            
-            console.log('💰 Current user credit:', key.credit);
-            console.log('➕ Adding credit amount:', payment.creditAmount);
 
-            const updateResult = await Key.findByIdAndUpdate(key._id, {
-                $inc: { credit: payment.creditAmount }
-            }, { new: true });
-            
-            console.log('✅ Updated user credit:', updateResult.credit);
+        } catch (error) {
+            console.error('❌ Payment completion error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Hủy payment đang chờ (user bỏ thanh toán hoặc admin hủy). Link PayOS được hủy nếu có (lỗi chỉ ghi log).
+     * Lỗi có code: PAYMENT_NOT_FOUND | FORBIDDEN | NOT_PENDING | PAYMENT_BUSY
+     * @param {string} paymentId
+     * @param {Object} [options] - { userKey: bắt buộc khớp với payment khi user tự hủy, actor, reason }
+     */
+    async cancelPayment(paymentId, options = {}) {
+        const { userKey, actor = 'User', reason = 'Cancelled by user' } = options;
+        const payment = /^[a-f0-9]{24}$/i.test(String(paymentId)) && await Payment.findById(paymentId);
+        if (!payment) {
+            throw paymentError('Payment not found', 'PAYMENT_NOT_FOUND');
+        }
+        if (userKey !== undefined && payment.userKey !== userKey) {
+            throw paymentError('Payment does not belong to this key', 'FORBIDDEN');
+        }
+        if (payment.status !== 'pending') {
+            throw paymentError(`Payment is ${payment.status}`, 'NOT_PENDING');
+        }
+        if (payment.lockedUntil && payment.lockedUntil > new Date()) {
+            throw paymentError('Payment is being processed', 'PAYMENT_BUSY');
+        }
 
-            // Mark payment as completed
-            await payment.markAsCompleted(transactionId || `MANUAL_${Date.now()}`);
+        const cancelled = await Payment.transition(payment._id, 'cancelled', { from: 'pending', actor, reason });
+        if (!cancelled) {
+            throw paymentError('Payment status changed, please reload', 'PAYMENT_BUSY');
+        }
 
-            console.log(`✅ Payment completed: ${payment._id} - Added ${payment.creditAmount} credits to ${payment.userKey.substring(0, 10)}...`);
+        const orderCode = cancelled.paymentData && cancelled.paymentData.orderCode;
+        if (orderCode && this.payOSClient && typeof this.payOSClient.cancelPaymentLink === 'function') {
+            this.payOSClient.cancelPaymentLink(orderCode, reason).catch(error => {
+                console.error(`❌ Failed to cancel PayOS link ${orderCode}:`, error.message);
+            });
+        }
 
-            return {
-                success: true,
-                payment,
-                newCreditBalance: updateResult.credit
+        console.log(`🚫 Payment cancelled: ${cancelled._id} (${actor})`);
+        return cancelled;
+    }
+
+    /**
+     * Số credit payment thực sự đã cấp: nạp lẻ là creditAmount; gói tháng là các entry subscription_grant
+     * mang reference của payment (gia hạn cùng gói không cấp credit nên là 0)
+     */
+    async getGrantedCredits(payment) {
+        if (!payment.subscription) {
+            return payment.creditAmount;
+        }
+        const [granted] = await CreditLedgerEntry.aggregate([
+            { $match: { type: 'subscription_grant', 'reference.type': 'payment', 'reference.id': String(payment._id) } },
+            { $group: { _id: null, total: { $sum: '$amount' } } }
+        ]);
+        return granted ? granted.total : 0;
+    }
+
+    /**
+     * Hoàn tiền / chargeback toàn bộ hoặc một phần payment đã hoàn tất: thu hồi credit khỏi key
+     * (key đã dùng hết thì thành số dư âm). Hoàn đủ price thì payment chuyển sang refunded
+     * và gói tháng mua bằng payment đó kết thúc.
+     * @param {string} paymentId
+     * @param {Object} options - { reason (bắt buộc), amount: VND (mặc định phần còn lại),
+     *   credits: số credit thu hồi (mặc định theo tỉ lệ amount / price của credit payment đã cấp), type: refund | chargeback, transactionId, actor }
+     * Lỗi có code: PAYMENT_NOT_FOUND | NOT_COMPLETED | ALREADY_REFUNDED | INVALID_INPUT | PAYMENT_BUSY
+     */
+    async refundPayment(paymentId, options = {}) {
+        const { reason, type = 'refund', transactionId = null, actor = 'System' } = options;
+        const payment = /^[a-f0-9]{24}$/i.test(String(paymentId)) && await Payment.findById(paymentId);
+        if (!payment) {
+            throw paymentError('Payment not found', 'PAYMENT_NOT_FOUND');
+        }
+        if (payment.status === 'refunded') {
+            throw paymentError('Payment is already fully refunded', 'ALREADY_REFUNDED');
+        }
+        if (payment.status !== 'completed') {
+            throw paymentError(`Only completed payments can be refunded (payment is ${payment.status})`, 'NOT_COMPLETED');
+        }
+        if (!['refund', 'chargeback'].includes(type)) {
+            throw paymentError('type must be refund or chargeback', 'INVALID_INPUT');
+        }
+        if (!reason || !String(reason).trim()) {
+            throw paymentError('Refund reason is required', 'INVALID_INPUT');
+        }
+
+        const remainingAmount = payment.price - (payment.refundedAmount || 0);
+        const grantedCredits = await this.getGrantedCredits(payment);
+        const remainingCredits = Math.max(grantedCredits - (payment.refundedCredits || 0), 0);
+        const amount = options.amount === undefined || options.amount === null ? remainingAmount : Number(options.amount);
+        if (!Number.isFinite(amount) || amount <= 0 || amount > remainingAmount) {
+            throw paymentError(`Refund amount must be between 1 and ${remainingAmount}`, 'INVALID_INPUT');
+        }
+        const isFull = amount === remainingAmount;
+
+        let credits;
+        if (options.credits === undefined || options.credits === null) {
+            credits = isFull ? remainingCredits : Math.min(Math.round(grantedCredits * amount / payment.price), remainingCredits);
+        } else {
+            credits = Number(options.credits);
+            if (!Number.isInteger(credits) || credits < 0 || credits > remainingCredits) {
+                throw paymentError(`credits must be an integer between 0 and ${remainingCredits}`, 'INVALID_INPUT');
+            }
+        }
+
+        // Khóa payment như lúc hoàn tất: hai lần hoàn tiền song song không thu hồi credit hai lần
+        const now = new Date();
+        const claimed = await Payment.findOneAndUpdate(
+            {
+                _id: payment._id,
+                status: 'completed',
+                refundedAmount: payment.refundedAmount ? payment.refundedAmount : { $in: [0, null] },
+                $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+            },
+            { $set: { lockedUntil: new Date(now.getTime() + PAYMENT_LOCK_MS) } },
+            { new: true }
+        );
+        if (!claimed) {
+            throw paymentError('Payment is being processed, please reload', 'PAYMENT_BUSY');
+        }
+
+        try {
+            const key = await Key.findOne({ key: claimed.userKey });
+            // Mỗi lần hoàn tiền có reference riêng (lần thứ n của payment): thử lại sau lỗi không thu hồi hai lần
+            const clawbackReference = { type: 'payment_refund', id: `${claimed._id}:${claimed.refunds.length + 1}` };
+            let shortfall = 0;
+            let balance = key ? key.credit : null;
+            const previousClawback = key && await CreditLedgerEntry.findOne({
+                type: 'clawback',
+                'reference.type': clawbackReference.type,
+                'reference.id': clawbackReference.id
+            }).lean();
+            if (previousClawback) {
+                // Lần trước đã thu hồi nhưng chưa kịp ghi vào payment: chỉ ghi nhận lại
+                console.warn(`⚠️ Refund ${clawbackReference.id} was already clawed back, recording refund only`);
+                credits = -previousClawback.amount;
+                shortfall = credits - (previousClawback.lots || []).reduce((sum, lot) => sum + lot.amount, 0);
+            } else if (key && credits > 0) {
+                ({ balance, shortfall } = await CreditLedger.clawback(key, credits, {
+                    reason: `${type === 'chargeback' ? 'Chargeback' : 'Refund'} of payment ${claimed._id}: ${reason}`,
+                    reference: clawbackReference,
+                    sourceId: String(claimed._id),
+                    actor
+                }));
+            } else if (!key) {
+                // Key đã bị xóa: vẫn ghi nhận hoàn tiền, không còn credit để thu hồi
+                console.warn(`⚠️ Key of payment ${claimed._id} no longer exists, refund recorded without clawback`);
+                credits = 0;
+            }
+
+            const refund = {
+                type,
+                amount,
+                credits,
+                shortfall,
+                reason: String(reason).trim(),
+                transactionId,
+                actor,
+                at: new Date()
+            };
+            const totals = {
+                refundedAmount: (claimed.refundedAmount || 0) + amount,
+                refundedCredits: (claimed.refundedCredits || 0) + credits,
+                lockedUntil: null
             };
 
+            const updated = isFull
+                ? await Payment.transition(claimed._id, 'refunded', { from: 'completed', actor, reason: refund.reason, set: totals, push: { refunds: refund } })
+                : await Payment.findOneAndUpdate(
+                    { _id: claimed._id, status: 'completed' },
+                    { $set: totals, $push: { refunds: refund } },
+                    { new: true }
+                );
+            if (!updated) {
+                throw paymentError('Payment status changed during refund', 'PAYMENT_BUSY');
+            }
+
+            if (isFull && key && claimed.subscription) {
+                await Subscriptions.end(key._id, { packageId: claimed.packageId });
+            }
+
+            console.log(`↩️ Payment ${type}: ${updated._id} - ${amount} VND, ${credits} credits clawed back from ${updated.userKey.substring(0, 10)}...${shortfall ? ` (negative balance ${balance})` : ''}`);
+
+            Webhooks.emit('payment.refunded', {
+                paymentId: String(updated._id),
+                keyId: key ? String(key._id) : null,
+                key: updated.userKey,
+                type,
+                amount,
+                credits,
+                refundedAmount: updated.refundedAmount,
+                status: updated.status,
+                credit: balance,
+                reason: refund.reason
+            }, { dedupeKey: `payment.refunded:${updated._id}:${updated.refunds.length}` }).catch(error => {
+                console.error('❌ Failed to emit payment.refunded webhook:', error.message);
+            });
+
+            return {
+                payment: updated,
+                refund: updated.refunds[updated.refunds.length - 1],
+                balance,
+                negativeBalance: balance !== null && balance < 0
+            };
         } catch (error) {
-            console.error('❌ Payment completion error:', error);
+            await Payment.updateOne({ _id: claimed._id }, { $set: { lockedUntil: null } });
             throw error;
         }
     }
@@ -0,0 +1,110 @@
+const { classifyCommonError, normalizeOpenAIUsage, buildChatMessages, pickChatOptions, httpError, readSSEData } = require('./utils');
+
+const DEFAULT_MODEL = 'deepseek-chat';
+const BASE_URL = 'https://api.deepseek.com/v1';
+// DeepSeek giới hạn max_tokens thấp hơn Gemini
+const MAX_OUTPUT_TOKENS = 8192;
+
+// Tham số của client (allow-list) trước, các field server quyết định sau để không bị ghi đè
+function buildBody({ prompt, systemInstruction, model, options, maxOutputTokens }) {
+  return {
+    ...pickChatOptions(options),
+    model: model || DEFAULT_MODEL,
+    messages: buildChatMessages(prompt, systemInstruction),
+    ...(maxOutputTokens ? { max_tokens: Math.min(maxOutputTokens, MAX_OUTPUT_TOKENS) } : {}),
+    stream: false
+  };
+}
+
+function headers(apiKey) {
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${apiKey}`
+  };
+}
+
+module.exports = {
+  name: 'deepseek',
+  capabilities: { text: true, stream: true, image: false },
+  defaultModel: DEFAULT_MODEL,
+
+  resolveModel(model) {
+    return model || DEFAULT_MODEL;
+  },
+
+  validateKeyFormat(apiKey) {
+    if (apiKey.length < 20) {
+      return { valid: false, message: 'Invalid DeepSeek API key format' };
+    }
+    return { valid: true };
+  },
+
+  normalizeUsage: normalizeOpenAIUsage,
+
+  async generateText(request) {
+    const doFetch = request.fetch || fetch;
+    const response = await doFetch(`${BASE_URL}/chat/completions`, {
+      method: 'POST',
+      headers: headers(request.apiKey),
+      body: JSON.stringify(buildBody(request)),
+      signal: request.signal
+    });
+
+    if (!response.ok) {
+      throw await httpError(response, 'DeepSeek');
+    }
+
+    const data = await response.json();
+    return {
+      text: data.choices[0].message.content,
+      usage: normalizeOpenAIUsage(data.usage)
+    };
+  },
+
+  async streamText(request, onToken) {
+    const doFetch = request.fetch || fetch;
+    const response = await doFetch(`${BASE_URL}/chat/completions`, {
+      method: 'POST',
+      headers: headers(request.apiKey),
+      body: JSON.stringify({
+        ...buildBody(request),
+        stream: true,
+        stream_options: { include_usage: true }
+      }),
+      signal: request.signal
+    });
+
+    if (!response.ok) {
+      throw await httpError(response, 'DeepSeek');
+    }
+
+    let usage = null;
+    for await (const data of readSSEData(response.body)) {
+      if (data === '[DONE]') break;
+      const chunk = JSON.parse(data);
+      onToken(chunk.choices?.[0]?.delta?.content);
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }
+    return normalizeOpenAIUsage(usage);
+  },
+
+  async testConnection(apiKey, { fetch: doFetch = fetch } = {}) {
+    const response = await doFetch(`${BASE_URL}/models`, {
+      headers: { 'Authorization': `Bearer ${apiKey}` }
+    });
+    if (response.ok) {
+      return { valid: true, message: 'DeepSeek API key is valid' };
+    }
+    return { valid: false, message: 'DeepSeek API key is invalid' };
+  },
+
+  classifyError(error) {
+    // DeepSeek trả 402 khi tài khoản hết số dư
+    if (error?.status === 402) {
+      return 'quota';
+    }
+    return classifyCommonError(error);
+  }
+};
@@ -0,0 +1,35 @@
+const { classifyCommonError } = require('./utils');
+
+// ElevenLabs (TTS) chưa được proxy qua /api/ai, chỉ quản lý key
+module.exports = {
+  name: 'elevenlabs',
+  capabilities: { text: false, stream: false, image: false },
+  defaultModel: null,
+
+  resolveModel() {
+    return null;
+  },
+
+  validateKeyFormat(apiKey) {
+    if (apiKey.length < 20) {
+      return { valid: false, message: 'Invalid ElevenLabs API key format' };
+    }
+    return { valid: true };
+  },
+
+  normalizeUsage() {
+    return { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  },
+
+  async testConnection(apiKey, { fetch: doFetch = fetch } = {}) {
+    const response = await doFetch('https://api.elevenlabs.io/v1/user', {
+      headers: { 'xi-api-key': apiKey }
+    });
+    if (response.ok) {
+      return { valid: true, message: 'ElevenLabs API key is valid' };
+    }
+    return { valid: false, message: 'ElevenLabs API key is invalid' };
+  },
+
+  classifyError: classifyCommonError
+};
@@ -0,0 +1,170 @@
+const { classifyCommonError, httpError, readSSEData } = require('./utils');
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+const IMAGE_MODEL = 'imagen-3.0-generate-002';
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Gọi REST API trực tiếp (thay vì SDK) để request đi qua được proxy của API key
+function buildBody({ prompt, systemInstruction, maxOutputTokens = 32768 }) {
+  return {
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    ...(systemInstruction ? { systemInstruction: { parts: [{ text: systemInstruction }] } } : {}),
+    generationConfig: {
+      maxOutputTokens,
+      temperature: 0.7,
+      topP: 0.8,
+      topK: 40
+    }
+  };
+}
+
+function headers(apiKey) {
+  return {
+    'Content-Type': 'application/json',
+    'x-goog-api-key': apiKey
+  };
+}
+
+function extractText(data) {
+  const candidate = data.candidates?.[0];
+  if (!candidate && data.promptFeedback?.blockReason) {
+    throw new Error(`Gemini prompt blocked by safety filter: ${data.promptFeedback.blockReason}`);
+  }
+  if (candidate?.finishReason === 'SAFETY' && !candidate.content) {
+    throw new Error('Gemini response blocked: finishReason SAFETY');
+  }
+  return (candidate?.content?.parts || []).map(part => part.text || '').join('');
+}
+
+function normalizeUsage(usageMetadata) {
+  return {
+    promptTokens: usageMetadata?.promptTokenCount || 0,
+    completionTokens: usageMetadata?.candidatesTokenCount || 0,
+    totalTokens: usageMetadata?.totalTokenCount || 0
+  };
+}
+
+module.exports = {
+  name: 'gemini',
+  capabilities: { text: true, stream: true, image: true },
+  defaultModel: DEFAULT_MODEL,
+  imageModel: IMAGE_MODEL,
+
+  // Gemini luôn dùng model mặc định, bỏ qua model client gửi lên
+  resolveModel() {
+    return DEFAULT_MODEL;
+  },
+
+  validateKeyFormat(apiKey) {
+    if (!apiKey.startsWith('AIza')) {
+      return { valid: false, message: 'Invalid Gemini API key format' };
+    }
+    return { valid: true };
+  },
+
+  normalizeUsage,
+
+  async generateText(request) {
+    const doFetch = request.fetch || fetch;
+    const response = await doFetch(`${BASE_URL}/models/${DEFAULT_MODEL}:generateContent`, {
+      method: 'POST',
+      headers: headers(request.apiKey),
+      body: JSON.stringify(buildBody(request)),
+      signal: request.signal
+    });
+
+    if (!response.ok) {
+      throw await httpError(response, 'Gemini');
+    }
+
+    const data = await response.json();
+    let responseText = extractText(data);
+
+    // Xử lý JSON parsing như frontend nếu cần
+    if (request.options && request.options.useJsonOutput) {
+      let jsonStr = responseText.trim();
+      const fenceRegex = /^```(\w*)?\s*\n?(.*?)\n?\s*```$/s;
+      const match = jsonStr.match(fenceRegex);
+      if (match && match[2]) {
+        jsonStr = match[2].trim();
+      }
+      responseText = jsonStr;
+    }
+
+    return {
+      text: responseText,
+      usage: normalizeUsage(data.usageMetadata)
+    };
+  },
+
+  async streamText(request, onToken) {
+    const doFetch = request.fetch || fetch;
+    const response = await doFetch(`${BASE_URL}/models/${DEFAULT_MODEL}:streamGenerateContent?alt=sse`, {
+      method: 'POST',
+      headers: headers(request.apiKey),
+      body: JSON.stringify(buildBody(request)),
+      signal: request.signal
+    });
+
+    if (!response.ok) {
+      throw await httpError(response, 'Gemini');
+    }
+
+    let usageMetadata = null;
+    for await (const data of readSSEData(response.body)) {
+      const chunk = JSON.parse(data);
+      onToken(extractText(chunk));
+      if (chunk.usageMetadata) {
+        usageMetadata = chunk.usageMetadata;
+      }
+    }
+    return normalizeUsage(usageMetadata);
+  },
+
+  async generateImage(request) {
+    const doFetch = request.fetch || fetch;
+    const response = await doFetch(`${BASE_URL}/models/${IMAGE_MODEL}:predict`, {
+      method: 'POST',
+      headers: headers(request.apiKey),
+      body: JSON.stringify({
+        instances: [{ prompt: request.prompt }],
+        parameters: {
+          sampleCount: 1,
+          ...(request.aspectRatio ? { aspectRatio: request.aspectRatio } : {})
+        }
+      }),
+      signal: request.signal
+    });
+
+    if (!response.ok) {
+      throw await httpError(response, 'Gemini');
+    }
+
+    const data = await response.json();
+    if (data.predictions && data.predictions.length > 0 && data.predictions[0].bytesBase64Encoded) {
+      return { imageData: data.predictions[0].bytesBase64Encoded };
+    }
+    throw new Error('No image data received from Gemini API');
+  },
+
+  async testConnection(apiKey, { fetch: doFetch = fetch } = {}) {
+    const response = await doFetch(`${BASE_URL}/models?pageSize=1`, {
+      headers: { 'x-goog-api-key': apiKey }
+    });
+    if (response.ok) {
+      return { valid: true, message: 'Gemini API key is valid' };
+    }
+    return { valid: false, message: 'Gemini API key is invalid' };
+  },
+
+  classifyError(error) {
+    const message = (error?.message || '').toLowerCase();
+    if (message.includes('safety')) {
+      return 'safety';
+    }
+    if (message.includes('api_key_invalid')) {
+      return 'auth';
+    }
+    return classifyCommonError(error);
+  }
+};
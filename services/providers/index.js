@@ -0,0 +1,91 @@
+const { ERROR_CLASSES } = require('./utils');
+
+/**
+ * Registry các AI provider adapter.
+ *
+ * Một adapter là một module export object:
+ *   name                      - tên provider (lowercase, trùng ApiProvider.name)
+ *   capabilities              - { text, stream, image }
+ *   defaultModel              - model mặc định
+ *   imageModel                - model tạo ảnh (nếu capabilities.image, ghi vào ApiRequestLog)
+ *   resolveModel(model)       - model thực sự được dùng cho request
+ *   validateKeyFormat(apiKey) - { valid, message }
+ *   normalizeUsage(raw)       - { promptTokens, completionTokens, totalTokens }
+ *   classifyError(error)      - một trong ERROR_CLASSES
+ *   testConnection(apiKey, { fetch }) - { valid, message }
+ *   generateText(request)               - { text, usage }        (nếu capabilities.text)
+ *   streamText(request, onToken)        - usage                  (nếu capabilities.stream)
+ *   generateImage(request)              - { imageData }          (nếu capabilities.image)
+ *
+ * `request` gồm apiKey, prompt, systemInstruction, model, options, maxOutputTokens, signal
+ * và `fetch` - adapter phải dùng hàm này (nếu có) cho mọi HTTP call để đi qua proxy của key.
+ *
+ * Thêm provider mới: tạo module trong thư mục này và thêm vào BUILT_IN_ADAPTERS
+ * (hoặc gọi register() từ nơi khác khi khởi động).
+ */
+
+const BUILT_IN_ADAPTERS = ['./gemini', './openai', './deepseek', './stability', './elevenlabs'];
+
+const adapters = new Map();
+
+function register(adapter) {
+  if (!adapter || !adapter.name) {
+    throw new Error('Provider adapter must have a name');
+  }
+  for (const method of ['validateKeyFormat', 'normalizeUsage', 'classifyError', 'testConnection']) {
+    if (typeof adapter[method] !== 'function') {
+      throw new Error(`Provider adapter '${adapter.name}' is missing ${method}()`);
+    }
+  }
+  const capabilities = { text: false, stream: false, image: false, ...(adapter.capabilities || {}) };
+  if (capabilities.text && typeof adapter.generateText !== 'function') {
+    throw new Error(`Provider adapter '${adapter.name}' declares text but has no generateText()`);
+  }
+  if (capabilities.stream && typeof adapter.streamText !== 'function') {
+    throw new Error(`Provider adapter '${adapter.name}' declares stream but has no streamText()`);
+  }
+  if (capabilities.image && typeof adapter.generateImage !== 'function') {
+    throw new Error(`Provider adapter '${adapter.name}' declares image but has no generateImage()`);
+  }
+
+  adapters.set(adapter.name.toLowerCase(), { ...adapter, capabilities });
+}
+
+function getAdapter(name) {
+  if (!name) return null;
+  return adapters.get(String(name).toLowerCase()) || null;
+}
+
+/**
+ * Danh sách tên provider, có thể lọc theo capability ('text' | 'stream' | 'image')
+ */
+function listProviders(capability) {
+  return [...adapters.values()]
+    .filter(adapter => !capability || adapter.capabilities[capability])
+    .map(adapter => adapter.name);
+}
+
+function supports(name, capability) {
+  const adapter = getAdapter(name);
+  return !!(adapter && adapter.capabilities[capability]);
+}
+
+/**
+ * Phân loại lỗi bằng adapter của provider, luôn trả về một giá trị trong ERROR_CLASSES
+ */
+function classifyError(name, error) {
+  const adapter = getAdapter(name);
+  const errorClass = adapter ? adapter.classifyError(error) : 'unknown';
+  return ERROR_CLASSES.includes(errorClass) ? errorClass : 'unknown';
+}
+
+BUILT_IN_ADAPTERS.forEach(modulePath => register(require(modulePath)));
+
+module.exports = {
+  register,
+  getAdapter,
+  listProviders,
+  supports,
+  classifyError,
+  ERROR_CLASSES
+};
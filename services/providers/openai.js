@@ -0,0 +1,79 @@
+const { classifyCommonError, normalizeOpenAIUsage, buildChatMessages, pickChatOptions } = require('./utils');
+
+const DEFAULT_MODEL = 'gpt-3.5-turbo';
+
+// `fetch` cho phép request đi qua proxy của API key
+function getClient(apiKey, customFetch) {
+  const OpenAI = require('openai');
+  return new OpenAI({ apiKey, ...(customFetch ? { fetch: customFetch } : {}) });
+}
+
+// Tham số của client (allow-list) trước, các field server quyết định sau để không bị ghi đè
+function buildRequest({ prompt, systemInstruction, model, options, maxOutputTokens }) {
+  return {
+    ...pickChatOptions(options),
+    model: model || DEFAULT_MODEL,
+    messages: buildChatMessages(prompt, systemInstruction),
+    ...(maxOutputTokens ? { max_tokens: maxOutputTokens } : {}),
+    stream: false
+  };
+}
+
+module.exports = {
+  name: 'openai',
+  capabilities: { text: true, stream: true, image: false },
+  defaultModel: DEFAULT_MODEL,
+
+  resolveModel(model) {
+    return model || DEFAULT_MODEL;
+  },
+
+  validateKeyFormat(apiKey) {
+    if (!apiKey.startsWith('sk-')) {
+      return { valid: false, message: 'Invalid OpenAI API key format' };
+    }
+    return { valid: true };
+  },
+
+  normalizeUsage: normalizeOpenAIUsage,
+
+  async generateText(request) {
+    const completion = await getClient(request.apiKey, request.fetch).chat.completions.create(buildRequest(request));
+    return {
+      text: completion.choices[0].message.content,
+      usage: normalizeOpenAIUsage(completion.usage)
+    };
+  },
+
+  async streamText(request, onToken) {
+    const stream = await getClient(request.apiKey, request.fetch).chat.completions.create({
+      ...buildRequest(request),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal: request.signal });
+
+    let usage = null;
+    for await (const chunk of stream) {
+      onToken(chunk.choices[0]?.delta?.content);
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }
+    return normalizeOpenAIUsage(usage);
+  },
+
+  async testConnection(apiKey, { fetch: customFetch } = {}) {
+    await getClient(apiKey, customFetch).models.list();
+    return { valid: true, message: 'OpenAI API key is valid' };
+  },
+
+  classifyError(error) {
+    if (error?.code === 'insufficient_quota') {
+      return 'quota';
+    }
+    if (error?.code === 'content_filter') {
+      return 'safety';
+    }
+    return classifyCommonError(error);
+  }
+};
@@ -0,0 +1,73 @@
+const { classifyCommonError, httpError } = require('./utils');
+
+const ENGINE = 'stable-diffusion-xl-1024-v1-0';
+const BASE_URL = 'https://api.stability.ai/v1';
+
+module.exports = {
+  name: 'stability',
+  capabilities: { text: false, stream: false, image: true },
+  defaultModel: ENGINE,
+  imageModel: ENGINE,
+
+  resolveModel() {
+    return ENGINE;
+  },
+
+  validateKeyFormat(apiKey) {
+    if (!apiKey.startsWith('sk-')) {
+      return { valid: false, message: 'Invalid Stability AI API key format' };
+    }
+    return { valid: true };
+  },
+
+  normalizeUsage() {
+    return { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  },
+
+  async generateImage({ apiKey, prompt, aspectRatio, signal, fetch: doFetch = fetch }) {
+    const response = await doFetch(`${BASE_URL}/generation/${ENGINE}/text-to-image`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({
+        text_prompts: [{ text: prompt }],
+        cfg_scale: 7,
+        height: aspectRatio === '16:9' ? 576 : 1024,
+        width: 1024,
+        samples: 1,
+        steps: 30
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await httpError(response, 'Stability');
+    }
+
+    const data = await response.json();
+    if (data.artifacts && data.artifacts.length > 0) {
+      return { imageData: data.artifacts[0].base64 };
+    }
+    throw new Error('No image data received from Stability API');
+  },
+
+  async testConnection(apiKey, { fetch: doFetch = fetch } = {}) {
+    const response = await doFetch(`${BASE_URL}/user/account`, {
+      headers: { 'Authorization': `Bearer ${apiKey}` }
+    });
+    if (response.ok) {
+      return { valid: true, message: 'Stability AI API key is valid' };
+    }
+    return { valid: false, message: 'Stability AI API key is invalid' };
+  },
+
+  classifyError(error) {
+    const message = (error?.message || '').toLowerCase();
+    if (message.includes('invalid_prompts')) {
+      return 'safety';
+    }
+    return classifyCommonError(error);
+  }
+};
@@ -0,0 +1,111 @@
+// Các helper dùng chung cho provider adapters
+
+// Nhóm lỗi chuẩn mà mọi adapter trả về từ classifyError()
+const ERROR_CLASSES = ['quota', 'auth', 'timeout', 'server', 'safety', 'bad_request', 'network', 'unknown'];
+
+/**
+ * Tạo Error kèm HTTP status từ một fetch response lỗi
+ */
+async function httpError(response, label) {
+  let detail = '';
+  try {
+    detail = (await response.text()).slice(0, 500);
+  } catch (err) {
+    // Bỏ qua nếu không đọc được body
+  }
+  const error = new Error(`${label} API error: ${response.status} ${response.statusText}${detail ? ` - ${detail}` : ''}`);
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * Phân loại lỗi theo HTTP status / error code / message.
+ * Adapter có thể gọi hàm này rồi bổ sung các trường hợp riêng của provider.
+ */
+function classifyCommonError(error) {
+  if (!error) return 'unknown';
+  const status = error.status || error.statusCode || error.response?.status;
+  const message = (error.message || '').toLowerCase();
+
+  if (error.name === 'AbortError' || error.code === 'ETIMEDOUT' || message.includes('timeout') || message.includes('timed out')) {
+    return 'timeout';
+  }
+  if (status === 429 || message.includes('429') || message.includes('quota') || message.includes('rate limit') || message.includes('too many requests') || message.includes('resource_exhausted')) {
+    return 'quota';
+  }
+  if (status === 401 || status === 403 || message.includes('401') || message.includes('api key not valid') || message.includes('invalid api key') || message.includes('incorrect api key')) {
+    return 'auth';
+  }
+  if (message.includes('safety') || message.includes('blocked') || message.includes('content_filter') || message.includes('content policy')) {
+    return 'safety';
+  }
+  if ((status && status >= 500) || /\b5\d\d\b/.test(message) || message.includes('overloaded') || message.includes('unavailable')) {
+    return 'server';
+  }
+  if (status === 400 || status === 404 || status === 422) {
+    return 'bad_request';
+  }
+  if (['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EHOSTUNREACH', 'EAI_AGAIN'].includes(error.code) || message.includes('fetch failed') || message.includes('socket hang up')) {
+    return 'network';
+  }
+  return 'unknown';
+}
+
+// OpenAI-compatible API trả usage dạng snake_case, chuẩn hóa về dạng ApiRequestLog.tokenUsage
+function normalizeOpenAIUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0
+  };
+}
+
+function buildChatMessages(prompt, systemInstruction) {
+  const messages = [];
+  if (systemInstruction) {
+    messages.push({ role: 'system', content: systemInstruction });
+  }
+  messages.push({ role: 'user', content: prompt });
+  return messages;
+}
+
+// Tham số sinh text client được phép gửi (req.body.options) cho API kiểu OpenAI.
+// model, messages, max_tokens, n, stream... do server đặt (tính credit theo maxOutputTokens), không nhận từ client.
+const CHAT_OPTION_FIELDS = ['temperature', 'top_p', 'stop', 'presence_penalty', 'frequency_penalty'];
+
+function pickChatOptions(options) {
+  const picked = {};
+  for (const field of CHAT_OPTION_FIELDS) {
+    if (options && options[field] !== undefined) {
+      picked[field] = options[field];
+    }
+  }
+  return picked;
+}
+
+// Đọc các dòng `data:` của một SSE response (fetch body)
+async function* readSSEData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+      if (line.startsWith('data:')) {
+        yield line.slice(5).trim();
+      }
+    }
+  }
+}
+
+module.exports = {
+  ERROR_CLASSES,
+  httpError,
+  classifyCommonError,
+  normalizeOpenAIUsage,
+  buildChatMessages,
+  pickChatOptions,
+  readSSEData
+};
@@ -101,7 +101,8 @@ class ProxyManager {
    * @returns {Promise} Response từ fetch
    */
   async makeRequestWithProxy(url, options = {}, apiKey) {
-    const fetch = require('node-fetch');
+    // node-fetch v3 là ESM-only, không require() được
+    const { default: fetch } = await import('node-fetch');
     const proxy = await this.getProxyForApiKey(apiKey);
     
     if (!proxy) {
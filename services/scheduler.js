@@ -0,0 +1,138 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const JobLock = require('../models/JobLock');
+
+const DEFAULT_TICK_MS = 60 * 1000;
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Scheduler chạy trong process. Mỗi job có leader lock trong MongoDB (JobLock):
+ * khi nhiều instance cùng chạy, chỉ instance lấy được lock mới chạy job trong chu kỳ đó.
+ */
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.instanceId = `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+    this.timer = null;
+  }
+
+  /**
+   * Đăng ký job
+   * @param {string} name - tên job (unique)
+   * @param {Object} job
+   * @param {number} job.intervalMs - chu kỳ chạy
+   * @param {Function} job.run - async () => result (lưu vào JobLock.lastResult)
+   * @param {number} [job.lockTtlMs] - thời gian giữ lock tối đa nếu instance chết giữa chừng
+   */
+  register(name, { intervalMs, run, lockTtlMs = DEFAULT_LOCK_TTL_MS }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} is already registered`);
+    }
+    this.jobs.set(name, { name, intervalMs, run, lockTtlMs, running: false });
+  }
+
+  start(tickMs = DEFAULT_TICK_MS) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), tickMs);
+    console.log(`⏰ Scheduler started (${this.jobs.size} jobs, instance ${this.instanceId})`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    for (const job of this.jobs.values()) {
+      if (!job.running) {
+        await this.runJob(job);
+      }
+    }
+  }
+
+  /**
+   * Lấy lock nếu job đã tới hạn (lastRunAt cũ hơn intervalMs) và không có instance nào đang giữ lock
+   */
+  async acquireLock(job) {
+    const now = new Date();
+    try {
+      const lock = await JobLock.findOneAndUpdate(
+        {
+          name: job.name,
+          $and: [
+            { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+            { $or: [{ lastRunAt: null }, { lastRunAt: { $lte: new Date(now.getTime() - job.intervalMs) } }] }
+          ]
+        },
+        { $set: { owner: this.instanceId, lockedUntil: new Date(now.getTime() + job.lockTtlMs) } },
+        { upsert: true, new: true }
+      );
+      return lock && lock.owner === this.instanceId;
+    } catch (error) {
+      // Upsert trùng name: job chưa tới hạn hoặc instance khác đang giữ lock
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  async runJob(job) {
+    job.running = true;
+    try {
+      if (!(await this.acquireLock(job))) {
+        return;
+      }
+
+      const startTime = Date.now();
+      let result = null;
+      let jobError = null;
+      try {
+        result = await job.run();
+      } catch (error) {
+        jobError = error;
+        console.error(`❌ Job ${job.name} failed:`, error);
+      }
+
+      await JobLock.updateOne(
+        { name: job.name, owner: this.instanceId },
+        {
+          $set: {
+            lockedUntil: null,
+            lastRunAt: new Date(),
+            lastDurationMs: Date.now() - startTime,
+            lastResult: result === undefined ? null : result,
+            lastError: jobError ? jobError.message : null
+          }
+        }
+      );
+    } catch (error) {
+      console.error(`❌ Scheduler error for job ${job.name}:`, error);
+    } finally {
+      job.running = false;
+    }
+  }
+
+  /**
+   * Trạng thái các job (đọc từ JobLock)
+   */
+  async getStatus() {
+    const locks = await JobLock.find({ name: { $in: [...this.jobs.keys()] } }).lean();
+    return [...this.jobs.values()].map(job => {
+      const lock = locks.find(item => item.name === job.name) || {};
+      return {
+        name: job.name,
+        intervalMs: job.intervalMs,
+        owner: lock.owner || null,
+        lockedUntil: lock.lockedUntil || null,
+        lastRunAt: lock.lastRunAt || null,
+        lastDurationMs: lock.lastDurationMs || 0,
+        lastResult: lock.lastResult || null,
+        lastError: lock.lastError || null
+      };
+    });
+  }
+}
+
+// Singleton instance
+const scheduler = new Scheduler();
+
+module.exports = scheduler;
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Key = require('../models/Key');
+const UserSession = require('../models/UserSession');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const PLACEHOLDER_SECRETS = ['your_user_secret', 'your_super_secret_user_jwt_key_here'];
+const MIN_SECRET_LENGTH = 32;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Session token cho user key:
+ * - access token: JWT ký bằng USER_JWT_SECRET, sống ACCESS_TOKEN_TTL_SECONDS, gắn keyId + sessionVersion
+ * - refresh token: `<sessionId>.<random>`, chỉ lưu hash trong UserSession, xoay vòng mỗi lần refresh
+ * Khóa key → tăng Key.sessionVersion và thu hồi mọi UserSession: access token cũ bị từ chối ngay.
+ */
+class SessionTokens {
+    /**
+     * Gọi lúc khởi động: production thiếu USER_JWT_SECRET (hoặc dùng giá trị mẫu / quá ngắn) thì không chạy
+     */
+    static assertProductionSecret() {
+        if (process.env.NODE_ENV !== 'production') {
+            return;
+        }
+        const secret = process.env.USER_JWT_SECRET;
+        if (!secret || PLACEHOLDER_SECRETS.includes(secret) || secret.length < MIN_SECRET_LENGTH) {
+            throw new Error(`USER_JWT_SECRET must be set to a random value of at least ${MIN_SECRET_LENGTH} characters in production`);
+        }
+    }
+
+    static getSecret() {
+        if (process.env.USER_JWT_SECRET) {
+            return process.env.USER_JWT_SECRET;
+        }
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('USER_JWT_SECRET is required in production');
+        }
+        return 'your_user_secret';
+    }
+
+    static signAccessToken(keyDoc, sessionId) {
+        return jwt.sign(
+            {
+                type: 'access',
+                keyId: String(keyDoc._id),
+                sid: String(sessionId),
+                ver: keyDoc.sessionVersion || 0
+            },
+            this.getSecret(),
+            { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+        );
+    }
+
+    static buildTokens(keyDoc, session, refreshSecret) {
+        return {
+            tokenType: 'Bearer',
+            accessToken: this.signAccessToken(keyDoc, session._id),
+            expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+            refreshToken: `${session._id}.${refreshSecret}`,
+            refreshExpiresAt: session.expiresAt
+        };
+    }
+
+    /**
+     * Tạo session mới cho key (gọi sau khi /api/keys/validate thành công)
+     * @param {Object} keyDoc
+     * @param {Object} options - { ip, userAgent, activationId } (activationId: thiết bị đã kích hoạt)
+     */
+    static async issue(keyDoc, { ip, userAgent, activationId } = {}) {
+        const refreshSecret = crypto.randomBytes(32).toString('hex');
+        const session = await UserSession.create({
+            keyId: keyDoc._id,
+            activationId: activationId || null,
+            refreshTokenHash: hashToken(refreshSecret),
+            ip: ip || null,
+            userAgent: userAgent || null,
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+        });
+        return this.buildTokens(keyDoc, session, refreshSecret);
+    }
+
+    /**
+     * Tìm session còn hiệu lực của refresh token, lỗi code INVALID_REFRESH_TOKEN nếu không có
+     */
+    static async findSession(refreshToken) {
+        const [sessionId, refreshSecret] = String(refreshToken || '').split('.');
+        if (!sessionId || !refreshSecret || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+            throw sessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+        }
+
+        const session = await UserSession.findById(sessionId);
+        const matches = session && crypto.timingSafeEqual(
+            Buffer.from(session.refreshTokenHash, 'hex'),
+            Buffer.from(hashToken(refreshSecret), 'hex')
+        );
+        if (!matches || session.revokedAt || session.expiresAt < new Date()) {
+            throw sessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+        }
+        return session;
+    }
+
+    /**
+     * Đổi refresh token lấy cặp token mới (refresh token cũ hết hiệu lực)
+     * Lỗi: code INVALID_REFRESH_TOKEN | KEY_INACTIVE
+     */
+    static async refresh(refreshToken) {
+        const session = await this.findSession(refreshToken);
+
+        const keyDoc = await Key.findById(session.keyId);
+        if (!keyDoc || !keyDoc.isActive || (keyDoc.expiredAt && new Date(keyDoc.expiredAt) < new Date())) {
+            await this.revokeSession(session._id, 'Key inactive or expired');
+            throw sessionError('Key is inactive or expired', 'KEY_INACTIVE');
+        }
+
+        // Xoay refresh token: chỉ session còn đúng hash cũ mới được cập nhật (tránh dùng lại song song)
+        const nextSecret = crypto.randomBytes(32).toString('hex');
+        const rotated = await UserSession.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+            { $set: { refreshTokenHash: hashToken(nextSecret), lastRefreshedAt: new Date() } },
+            { new: true }
+        );
+        if (!rotated) {
+            throw sessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+        }
+
+        return { keyDoc, tokens: this.buildTokens(keyDoc, rotated, nextSecret) };
+    }
+
+    /**
+     * Xác thực access token, trả về { keyDoc, claims }
+     * Lỗi: code INVALID_TOKEN | SESSION_REVOKED
+     */
+    static async verifyAccessToken(token) {
+        let claims;
+        try {
+            claims = jwt.verify(token, this.getSecret());
+        } catch (error) {
+            throw sessionError('Invalid or expired user token', 'INVALID_TOKEN');
+        }
+        if (claims.type !== 'access' || !claims.keyId) {
+            throw sessionError('Invalid or expired user token', 'INVALID_TOKEN');
+        }
+
+        const keyDoc = await Key.findById(claims.keyId);
+        if (!keyDoc || (keyDoc.sessionVersion || 0) !== claims.ver) {
+            throw sessionError('Session has been revoked', 'SESSION_REVOKED');
+        }
+        // Session bị thu hồi riêng lẻ (logout, gỡ thiết bị)
+        const active = await UserSession.exists({ _id: claims.sid, revokedAt: null });
+        if (!active) {
+            throw sessionError('Session has been revoked', 'SESSION_REVOKED');
+        }
+        return { keyDoc, claims };
+    }
+
+    /**
+     * Đăng xuất: thu hồi session của refresh token (lỗi INVALID_REFRESH_TOKEN nếu token sai)
+     */
+    static async logout(refreshToken) {
+        const session = await this.findSession(refreshToken);
+        await this.revokeSession(session._id, 'Logout');
+    }
+
+    static async revokeSession(sessionId, reason = 'Logout') {
+        await UserSession.updateOne(
+            { _id: sessionId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokeReason: reason } }
+        );
+    }
+
+    /**
+     * Thu hồi các session đăng nhập từ một thiết bị
+     * @returns {number} số session bị thu hồi
+     */
+    static async revokeByActivation(activationId, reason = 'Device released') {
+        const result = await UserSession.updateMany(
+            { activationId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokeReason: reason } }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * Thu hồi mọi session của key (access token cũ bị từ chối ngay nhờ sessionVersion)
+     * @param {ObjectId|ObjectId[]} keyId - một key hoặc danh sách key (thao tác theo lô)
+     * @returns {number} số session bị thu hồi
+     */
+    static async revokeAll(keyId, reason = 'Revoked by admin') {
+        const keyIds = [].concat(keyId);
+        await Key.updateMany({ _id: { $in: keyIds } }, { $inc: { sessionVersion: 1 } });
+        const result = await UserSession.updateMany(
+            { keyId: { $in: keyIds }, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokeReason: reason } }
+        );
+        return result.modifiedCount;
+    }
+}
+
+SessionTokens.ACCESS_TOKEN_TTL_SECONDS = ACCESS_TOKEN_TTL_SECONDS;
+
+module.exports = SessionTokens;
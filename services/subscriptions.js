@@ -0,0 +1,298 @@
+const Key = require('../models/Key');
+const CreditLedger = require('./creditLedger');
+const CreditLots = require('./creditLots');
+const scheduler = require('./scheduler');
+
+const GRANT_INTERVAL_MS = 60 * 60 * 1000;
+const GRANT_BATCH_SIZE = 500;
+// Số chu kỳ bù tối đa cho một key trong một lần chạy (server ngừng lâu)
+const MAX_CATCH_UP_CYCLES = 12;
+const MAX_DURATION_MONTHS = 60;
+// Số payment gần nhất giữ trong Key.subscription.appliedPayments
+const MAX_APPLIED_PAYMENTS = 50;
+
+const subscriptionError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Cộng N tháng theo lịch UTC, ngày vượt quá cuối tháng được kẹp về ngày cuối (31/01 + 1 tháng = 28/02)
+ */
+const addMonths = (date, months) => {
+    const result = new Date(date);
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, lastDay));
+    return result;
+};
+
+/**
+ * Gói tháng: CreditPackage type 'subscription' cấp `credits` mỗi chu kỳ một tháng.
+ * Mua gói gia hạn Key.expiredAt thêm durationMonths; job `subscription-grants` cấp credit mỗi chu kỳ.
+ * Credit gói chưa dùng (các lô nguồn `subscription`) được chuyển sang chu kỳ sau tối đa rolloverCap,
+ * phần vượt bị xóa (ledger entry `expiry`). Credit nạp lẻ không bị ảnh hưởng.
+ */
+class Subscriptions {
+    /**
+     * Validate field gói cước (routes/packages.js)
+     * @returns {{ valid, message }}
+     */
+    static validatePlan({ type, credits, subscription } = {}) {
+        if (type !== undefined && !['topup', 'subscription'].includes(type)) {
+            return { valid: false, message: "type must be 'topup' or 'subscription'" };
+        }
+        if (type !== 'subscription') {
+            return { valid: true };
+        }
+        if (!Number.isInteger(credits) || credits <= 0) {
+            return { valid: false, message: 'credits (monthly allowance) must be a positive integer' };
+        }
+        if (!subscription || typeof subscription !== 'object') {
+            return { valid: false, message: 'subscription must be an object: { durationMonths, rolloverCap }' };
+        }
+        const { durationMonths, rolloverCap } = subscription;
+        if (!Number.isInteger(durationMonths) || durationMonths < 1 || durationMonths > MAX_DURATION_MONTHS) {
+            return { valid: false, message: `subscription.durationMonths must be an integer between 1 and ${MAX_DURATION_MONTHS}` };
+        }
+        if (rolloverCap !== undefined && rolloverCap !== null && (typeof rolloverCap !== 'number' || isNaN(rolloverCap) || rolloverCap < 0)) {
+            return { valid: false, message: 'subscription.rolloverCap must be a non-negative number or null (unlimited)' };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Điều khoản gói lưu vào Payment lúc tạo (null nếu không phải gói tháng)
+     */
+    static snapshotPlan(creditPackage) {
+        if (!creditPackage || creditPackage.type !== 'subscription') {
+            return null;
+        }
+        const terms = creditPackage.subscription || {};
+        return {
+            name: creditPackage.name,
+            durationMonths: terms.durationMonths,
+            rolloverCap: terms.rolloverCap === undefined ? null : terms.rolloverCap
+        };
+    }
+
+    /**
+     * Kích hoạt / gia hạn gói tháng sau khi thanh toán xong.
+     * Cùng gói đang chạy: chỉ gia hạn; gói khác hoặc gói cũ đã hết: bắt đầu chu kỳ mới và cấp credit ngay.
+     * Mỗi paymentId chỉ được áp dụng một lần (hoàn tất payment gọi lại sau lỗi không gia hạn hai lần).
+     * @param {Object} keyDoc
+     * @param {Object} plan - { packageId, name, monthlyCredits, durationMonths, rolloverCap }
+     * @param {Object} [options] - { reference, paymentId, actor }
+     * @returns {Object} Key sau khi cập nhật
+     */
+    static async activate(keyDoc, plan, options = {}) {
+        if (!plan || !plan.durationMonths || !plan.monthlyCredits) {
+            throw subscriptionError('Invalid subscription plan', 'INVALID_PLAN');
+        }
+
+        const now = new Date();
+        const current = keyDoc.subscription || {};
+        const samePlan = current.status === 'active' && current.endsAt > now &&
+            String(current.packageId) === String(plan.packageId);
+
+        const expiryBase = keyDoc.expiredAt && keyDoc.expiredAt > now ? keyDoc.expiredAt : now;
+        const endsAt = addMonths(expiryBase, plan.durationMonths);
+
+        const update = {
+            expiredAt: endsAt,
+            'subscription.endsAt': endsAt,
+            'subscription.status': 'active'
+        };
+        if (!samePlan) {
+            Object.assign(update, {
+                'subscription.packageId': plan.packageId || null,
+                'subscription.name': plan.name || null,
+                'subscription.monthlyCredits': plan.monthlyCredits,
+                'subscription.rolloverCap': plan.rolloverCap === undefined ? null : plan.rolloverCap,
+                'subscription.startedAt': now,
+                'subscription.nextGrantAt': now
+            });
+            // Credit còn lại của gói đã kết thúc trở thành credit thường, không tính rollover nữa
+            if (current.status !== 'active') {
+                update['subscription.planBalance'] = 0;
+            }
+        }
+
+        const filter = { _id: keyDoc._id };
+        const change = { $set: update };
+        if (options.paymentId) {
+            filter['subscription.appliedPayments'] = { $ne: String(options.paymentId) };
+            change.$push = { 'subscription.appliedPayments': { $each: [String(options.paymentId)], $slice: -MAX_APPLIED_PAYMENTS } };
+        }
+        const result = await Key.updateOne(filter, change);
+        const alreadyApplied = result.matchedCount === 0;
+        if (alreadyApplied) {
+            console.warn(`⚠️ Payment ${options.paymentId} was already applied to subscription of ${keyDoc.key.substring(0, 10)}..., skipping extension`);
+        } else {
+            console.log(`📅 Subscription ${samePlan ? 'extended' : 'started'} for ${keyDoc.key.substring(0, 10)}...: ${plan.name || plan.packageId} until ${endsAt.toISOString()}`);
+        }
+
+        // Chỉ chu kỳ đầu của gói mới thuộc về payment (reference payment); gia hạn không cấp credit,
+        // chu kỳ tới hạn khác cấp như job với reference chu kỳ
+        const firstCyclePending = alreadyApplied
+            ? Boolean(current.startedAt && current.nextGrantAt && current.nextGrantAt <= current.startedAt)
+            : !samePlan;
+        await this.grantDue(keyDoc._id, firstCyclePending ? options : { actor: options.actor });
+        return Key.findById(keyDoc._id);
+    }
+
+    /**
+     * Kết thúc gói đang chạy ngay (payment gói đã hoàn tiền): không cấp thêm chu kỳ nào.
+     * Chỉ kết thúc nếu gói đang chạy đúng là packageId (nếu truyền vào).
+     * @returns {boolean} đã kết thúc gói hay chưa
+     */
+    static async end(keyId, { packageId } = {}) {
+        const filter = { _id: keyId, 'subscription.status': 'active' };
+        if (packageId) {
+            filter['subscription.packageId'] = packageId;
+        }
+        const result = await Key.updateOne(filter, {
+            $set: { 'subscription.status': 'ended', 'subscription.endsAt': new Date(), 'subscription.nextGrantAt': null }
+        });
+        return result.modifiedCount > 0;
+    }
+
+    /**
+     * Cấp credit cho một chu kỳ đã tới hạn. Chu kỳ được "nhận" nguyên tử bằng cách dời nextGrantAt,
+     * nên chạy song song (job + kích hoạt) không cấp trùng.
+     * @returns {Object|null} { granted, expired, balance } hoặc null nếu không có chu kỳ tới hạn
+     */
+    static async grantCycle(keyId, options = {}) {
+        const now = new Date();
+        const keyDoc = await Key.findById(keyId);
+        const subscription = keyDoc && keyDoc.subscription;
+        if (!subscription || subscription.status !== 'active' || !subscription.nextGrantAt ||
+            subscription.nextGrantAt > now || subscription.nextGrantAt >= subscription.endsAt) {
+            return null;
+        }
+
+        const cycle = (subscription.cyclesGranted || 0) + 1;
+        const claimed = await Key.findOneAndUpdate(
+            {
+                _id: keyDoc._id,
+                'subscription.status': 'active',
+                'subscription.nextGrantAt': subscription.nextGrantAt
+            },
+            {
+                $set: {
+                    'subscription.nextGrantAt': addMonths(subscription.nextGrantAt, 1),
+                    'subscription.lastGrantAt': now
+                },
+                $inc: { 'subscription.cyclesGranted': 1 }
+            },
+            { new: true }
+        );
+        if (!claimed) {
+            return null;
+        }
+
+        const reference = options.reference || { type: 'subscription', id: `${keyDoc._id}:${cycle}` };
+        const actor = options.actor || 'System';
+
+        // Rollover: credit còn lại trong các lô của gói được giữ tối đa rolloverCap
+        const unused = Math.min(Math.max(claimed.credit || 0, 0), await CreditLots.sumRemaining(claimed._id, { sourceType: 'subscription' }));
+        const cap = subscription.rolloverCap;
+        const forfeit = cap === null || cap === undefined ? 0 : Math.max(unused - cap, 0);
+        let expired = 0;
+        if (forfeit > 0) {
+            const result = await CreditLedger.expire(claimed, forfeit, {
+                reason: `Subscription rollover cap (${cap}) exceeded`,
+                reference,
+                sourceType: 'subscription',
+                actor
+            });
+            expired = result.entry ? -result.entry.amount : 0;
+        }
+
+        const { balance } = await CreditLedger.credit(claimed._id, subscription.monthlyCredits, 'subscription_grant', {
+            reason: `${subscription.name || 'Subscription'} - cycle ${cycle}`,
+            reference,
+            actor
+        });
+        await Key.updateOne(
+            { _id: keyDoc._id },
+            { $set: { 'subscription.planBalance': unused - expired + subscription.monthlyCredits } }
+        );
+
+        console.log(`🎁 Subscription grant for ${keyDoc.key.substring(0, 10)}...: +${subscription.monthlyCredits} credits (cycle ${cycle}${expired ? `, ${expired} expired` : ''})`);
+        return { granted: subscription.monthlyCredits, expired, balance };
+    }
+
+    /**
+     * Cấp mọi chu kỳ tới hạn của một key (bù tối đa MAX_CATCH_UP_CYCLES chu kỳ)
+     * @returns {number} số chu kỳ đã cấp
+     */
+    static async grantDue(keyId, options = {}) {
+        let cycles = 0;
+        while (cycles < MAX_CATCH_UP_CYCLES && await this.grantCycle(keyId, options)) {
+            cycles++;
+        }
+        return cycles;
+    }
+
+    /**
+     * Job `subscription-grants`: cấp credit các chu kỳ tới hạn và đóng gói đã hết hạn
+     */
+    static async processDue(now = new Date()) {
+        const ended = await Key.updateMany(
+            { 'subscription.status': 'active', 'subscription.endsAt': { $lte: now } },
+            { $set: { 'subscription.status': 'ended', 'subscription.nextGrantAt': null } }
+        );
+
+        const keys = await Key.find(
+            { 'subscription.status': 'active', 'subscription.nextGrantAt': { $lte: now } },
+            '_id'
+        ).limit(GRANT_BATCH_SIZE).lean();
+
+        let grants = 0;
+        for (const key of keys) {
+            try {
+                grants += await this.grantDue(key._id);
+            } catch (error) {
+                console.error(`❌ Subscription grant failed for key ${key._id}:`, error.message);
+            }
+        }
+        return { keys: keys.length, grants, ended: ended.modifiedCount };
+    }
+
+    /**
+     * Thông tin gói trả về cho client (/api/keys/validate)
+     */
+    static toPublic(keyDoc) {
+        const subscription = keyDoc && keyDoc.subscription;
+        if (!subscription || !subscription.status || subscription.status === 'none') {
+            return null;
+        }
+        return {
+            name: subscription.name,
+            status: subscription.status,
+            monthlyCredits: subscription.monthlyCredits,
+            rolloverCap: subscription.rolloverCap,
+            planBalance: subscription.planBalance,
+            startedAt: subscription.startedAt,
+            endsAt: subscription.endsAt,
+            nextGrantAt: subscription.status === 'active' && subscription.nextGrantAt < subscription.endsAt
+                ? subscription.nextGrantAt
+                : null
+        };
+    }
+
+    static register() {
+        scheduler.register('subscription-grants', {
+            intervalMs: GRANT_INTERVAL_MS,
+            run: () => this.processDue()
+        });
+    }
+}
+
+Subscriptions.addMonths = addMonths;
+
+module.exports = Subscriptions;
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const scheduler = require('./scheduler');
+
+// Event admin có thể đăng ký. `webhook.test` chỉ gửi qua POST /api/admin/webhooks/:id/test
+const EVENTS = ['key.expiring', 'key.credit_low', 'key.credit_exhausted', 'payment.completed', 'payment.refunded'];
+const TEST_EVENT = 'webhook.test';
+
+// Khoảng chờ trước mỗi lần thử lại; hết danh sách thì delivery chuyển sang failed
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 6 * 60 * 60 * 1000];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// Delivery đang gửi mà instance chết giữa chừng được nhận lại sau thời gian này
+const DELIVERY_LOCK_MS = 60 * 1000;
+const DELIVERY_INTERVAL_MS = 60 * 1000;
+const DELIVERY_BATCH_SIZE = 50;
+const RESPONSE_BODY_LIMIT = 500;
+
+const webhookError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Chữ ký gửi kèm header `X-Webhook-Signature: t=<timestamp>,v1=<hex>`,
+ * v1 = HMAC-SHA256(secret, `${timestamp}.${rawBody}`)
+ */
+const sign = (secret, timestamp, body) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Webhook gửi ra ngoài: emit() ghi một WebhookDelivery cho mỗi endpoint đăng ký event,
+ * job `webhook-delivery` gửi các delivery tới hạn và thử lại theo RETRY_DELAYS_MS.
+ */
+class Webhooks {
+    static generateSecret() {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    /**
+     * Validate dữ liệu endpoint (tạo mới: partial = false, cập nhật: partial = true)
+     * @returns {Object} các field hợp lệ; lỗi code INVALID_INPUT
+     */
+    static validateEndpoint(input = {}, { partial = false } = {}) {
+        const fields = {};
+
+        if (!partial || input.url !== undefined) {
+            let url;
+            try {
+                url = new URL(String(input.url || ''));
+            } catch (error) {
+                throw webhookError('url must be a valid http(s) URL', 'INVALID_INPUT');
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                throw webhookError('url must be a valid http(s) URL', 'INVALID_INPUT');
+            }
+            if (process.env.NODE_ENV === 'production' && url.protocol !== 'https:') {
+                throw webhookError('url must use https in production', 'INVALID_INPUT');
+            }
+            fields.url = url.toString();
+        }
+        if (!partial || input.events !== undefined) {
+            const events = input.events;
+            if (!Array.isArray(events) || events.length === 0 || events.some(event => !EVENTS.includes(event))) {
+                throw webhookError(`events must be a non-empty array of: ${EVENTS.join(', ')}`, 'INVALID_INPUT');
+            }
+            fields.events = [...new Set(events)];
+        }
+        if (input.description !== undefined) {
+            fields.description = String(input.description || '').trim();
+        }
+        if (input.isActive !== undefined) {
+            if (typeof input.isActive !== 'boolean') {
+                throw webhookError('isActive must be a boolean', 'INVALID_INPUT');
+            }
+            fields.isActive = input.isActive;
+        }
+        return fields;
+    }
+
+    /**
+     * Endpoint trả về cho admin: secret chỉ hiện đầy đủ lúc tạo / xoay secret
+     */
+    static toPublic(endpoint, { revealSecret = false } = {}) {
+        const data = typeof endpoint.toObject === 'function' ? endpoint.toObject() : { ...endpoint };
+        data.secret = revealSecret ? data.secret : `${data.secret.slice(0, 10)}...`;
+        return data;
+    }
+
+    static buildPayload(eventId, event, data) {
+        return { id: eventId, event, createdAt: new Date().toISOString(), data };
+    }
+
+    /**
+     * Phát một event tới mọi endpoint đang bật có đăng ký event đó.
+     * Không chờ gửi: delivery được đẩy đi ngay sau đó và job định kỳ lo phần thử lại.
+     * @param {string} event - một trong EVENTS
+     * @param {Object} data
+     * @param {Object} [options]
+     * @param {string} [options.dedupeKey] - cùng dedupeKey chỉ tạo một delivery cho mỗi endpoint
+     * @returns {number} số delivery được tạo
+     */
+    static async emit(event, data, { dedupeKey = null } = {}) {
+        const endpoints = await WebhookEndpoint.find({ isActive: true, events: event }, '_id').lean();
+        if (endpoints.length === 0) {
+            return 0;
+        }
+
+        const eventId = uuidv4();
+        const payload = this.buildPayload(eventId, event, data);
+        let created = 0;
+        for (const endpoint of endpoints) {
+            try {
+                await WebhookDelivery.create({ endpointId: endpoint._id, eventId, event, dedupeKey, payload });
+                created++;
+            } catch (error) {
+                // Sự kiện đã được ghi nhận cho endpoint này
+                if (error.code !== 11000) throw error;
+            }
+        }
+
+        if (created > 0) {
+            setImmediate(() => {
+                this.processDue().catch(error => console.error('❌ Webhook delivery error:', error.message));
+            });
+        }
+        return created;
+    }
+
+    /**
+     * Gửi event thử tới một endpoint (bỏ qua danh sách event đăng ký), chờ kết quả lần gửi đầu
+     */
+    static async sendTest(endpoint) {
+        const eventId = uuidv4();
+        const delivery = await WebhookDelivery.create({
+            endpointId: endpoint._id,
+            eventId,
+            event: TEST_EVENT,
+            payload: this.buildPayload(eventId, TEST_EVENT, { endpointId: String(endpoint._id), message: 'Test webhook' }),
+            status: 'delivering',
+            lockedUntil: new Date(Date.now() + DELIVERY_LOCK_MS)
+        });
+        return this.attempt(delivery, { retry: false });
+    }
+
+    /**
+     * POST payload đã ký tới endpoint
+     * @returns {{ ok, status, body, error }}
+     */
+    static async send(endpoint, delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        try {
+            const response = await axios.post(endpoint.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'KeyManager-Webhooks/1.0',
+                    'X-Webhook-Id': delivery.eventId,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `t=${timestamp},v1=${sign(endpoint.secret, timestamp, body)}`
+                },
+                timeout: DELIVERY_TIMEOUT_MS,
+                maxRedirects: 0,
+                responseType: 'text',
+                transformResponse: [(raw) => raw],
+                validateStatus: () => true
+            });
+            const responseBody = typeof response.data === 'string' ? response.data.slice(0, RESPONSE_BODY_LIMIT) : null;
+            const ok = response.status >= 200 && response.status < 300;
+            return { ok, status: response.status, body: responseBody, error: ok ? null : `HTTP ${response.status}` };
+        } catch (error) {
+            return { ok: false, status: null, body: null, error: error.message };
+        }
+    }
+
+    /**
+     * Gửi một delivery đã được nhận (status delivering) và cập nhật kết quả / lịch thử lại
+     * @param {Object} [options] - { retry: false } để không lên lịch thử lại khi lỗi (event thử)
+     */
+    static async attempt(delivery, { retry = true } = {}) {
+        const endpoint = await WebhookEndpoint.findById(delivery.endpointId);
+        const attempts = delivery.attempts + 1;
+        const now = new Date();
+
+        const result = endpoint && endpoint.isActive
+            ? await this.send(endpoint, delivery)
+            : { ok: false, status: null, body: null, error: 'Endpoint is disabled or deleted' };
+
+        const update = {
+            attempts,
+            lastAttemptAt: now,
+            lockedUntil: null,
+            responseStatus: result.status,
+            responseBody: result.body,
+            lastError: result.error
+        };
+        if (result.ok) {
+            update.status = 'delivered';
+            update.deliveredAt = now;
+        } else if (!retry || !endpoint || !endpoint.isActive || attempts >= MAX_ATTEMPTS) {
+            update.status = 'failed';
+        } else {
+            update.status = 'pending';
+            update.nextAttemptAt = new Date(now.getTime() + RETRY_DELAYS_MS[attempts - 1]);
+        }
+
+        const saved = await WebhookDelivery.findByIdAndUpdate(delivery._id, { $set: update }, { new: true });
+        if (endpoint) {
+            await WebhookEndpoint.updateOne(
+                { _id: endpoint._id },
+                { $set: { lastDeliveryAt: now, lastDeliveryStatus: update.status } }
+            );
+        }
+
+        const icon = result.ok ? '✅' : (update.status === 'failed' ? '❌' : '🔁');
+        console.log(`${icon} Webhook ${delivery.event} → ${endpoint ? endpoint.url : delivery.endpointId}: ${result.ok ? result.status : result.error} (attempt ${attempts})`);
+        return saved;
+    }
+
+    /**
+     * Nhận một delivery tới hạn (nguyên tử, an toàn khi nhiều instance cùng chạy)
+     */
+    static async claimNext() {
+        const now = new Date();
+        return WebhookDelivery.findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'pending', nextAttemptAt: { $lte: now } },
+                    { status: 'delivering', lockedUntil: { $lte: now } }
+                ]
+            },
+            { $set: { status: 'delivering', lockedUntil: new Date(now.getTime() + DELIVERY_LOCK_MS) } },
+            { new: true, sort: { nextAttemptAt: 1 } }
+        );
+    }
+
+    /**
+     * Gửi các delivery tới hạn
+     */
+    static async processDue(limit = DELIVERY_BATCH_SIZE) {
+        const summary = { processed: 0, delivered: 0, retrying: 0, failed: 0 };
+        for (let i = 0; i < limit; i++) {
+            const delivery = await this.claimNext();
+            if (!delivery) break;
+
+            const saved = await this.attempt(delivery);
+            summary.processed++;
+            if (saved.status === 'delivered') summary.delivered++;
+            else if (saved.status === 'failed') summary.failed++;
+            else summary.retrying++;
+        }
+        return summary;
+    }
+
+    /**
+     * Admin gửi lại một delivery: bắt đầu lại chu kỳ thử (attempts về 0)
+     */
+    static async retry(deliveryId) {
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+            { _id: deliveryId, status: { $in: ['failed', 'pending'] } },
+            { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null } },
+            { new: true }
+        );
+        if (!delivery) {
+            throw webhookError('Delivery not found or is being delivered', 'NOT_FOUND');
+        }
+        setImmediate(() => {
+            this.processDue().catch(error => console.error('❌ Webhook delivery error:', error.message));
+        });
+        return delivery;
+    }
+
+    static register() {
+        scheduler.register('webhook-delivery', {
+            intervalMs: DELIVERY_INTERVAL_MS,
+            run: () => this.processDue()
+        });
+    }
+}
+
+Webhooks.EVENTS = EVENTS;
+Webhooks.TEST_EVENT = TEST_EVENT;
+Webhooks.MAX_ATTEMPTS = MAX_ATTEMPTS;
+Webhooks.sign = sign;
+
+module.exports = Webhooks;
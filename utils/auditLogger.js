@@ -1,12 +1,82 @@
 const AuditLog = require('../models/AuditLog');
 
-const createAuditLog = async (action, details = '', actor = 'System') => {
+// Không bao giờ ghi giá trị của các field này vào audit log
+const REDACTED_FIELDS = ['passwordHash', 'refreshTokenHash', 'apiKeys', 'password', 'checksumKey', 'apiKey', 'secret'];
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const toPlain = (doc) => {
+  if (!doc) return {};
+  const obj = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return JSON.parse(JSON.stringify(obj));
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Các field khác nhau giữa before/after: { 'path.to.field': { before, after } }.
+ * Object lồng nhau (vd. rateLimits) được so sánh theo từng field con.
+ */
+const diffChanges = (before, after, prefix = '') => {
+  const a = prefix ? before : toPlain(before);
+  const b = prefix ? after : toPlain(after);
+  const changes = {};
+  const fields = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const path = prefix ? `${prefix}.${field}` : field;
+    const oldValue = a ? a[field] : undefined;
+    const newValue = b ? b[field] : undefined;
+
+    if (isPlainObject(oldValue) || isPlainObject(newValue)) {
+      Object.assign(changes, diffChanges(isPlainObject(oldValue) ? oldValue : {}, isPlainObject(newValue) ? newValue : {}, path));
+      continue;
+    }
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+    changes[path] = REDACTED_FIELDS.includes(field)
+      ? { before: '[redacted]', after: '[redacted]' }
+      : { before: oldValue === undefined ? null : oldValue, after: newValue === undefined ? null : newValue };
+  }
+  return changes;
+};
+
+/**
+ * Ghi một audit event.
+ *
+ * Dạng có cấu trúc (route admin):
+ *   createAuditLog({ req, action, details, target: { type, id }, before, after })
+ *   - actor lấy từ req.admin (JWT admin), ip từ req
+ *   - before/after (document hoặc object) được lưu dưới dạng diff trong `changes`
+ *
+ * Dạng cũ (job hệ thống): createAuditLog(action, details, actor)
+ */
+const createAuditLog = async (actionOrEvent, details = '', actor = 'System') => {
   try {
-    const log = new AuditLog({ action, details, actor });
+    const event = typeof actionOrEvent === 'object'
+      ? actionOrEvent
+      : { action: actionOrEvent, details, actor };
+    const { req, target } = event;
+    const admin = req && req.admin;
+
+    const log = new AuditLog({
+      action: event.action,
+      details: event.details || '',
+      actor: admin ? admin.username : (event.actor || 'System'),
+      actorId: admin ? admin.id : null,
+      actorRole: admin ? admin.role : null,
+      targetType: target ? target.type : null,
+      targetId: target && target.id ? String(target.id) : null,
+      changes: event.before !== undefined || event.after !== undefined
+        ? diffChanges(event.before, event.after)
+        : null,
+      ip: req ? req.ip : null,
+      userAgent: req && typeof req.get === 'function' ? req.get('user-agent') || null : null
+    });
     await log.save();
   } catch (error) {
     console.error('Failed to create audit log:', error);
   }
 };
 
-module.exports = { createAuditLog }; 
\ No newline at end of file
+module.exports = { createAuditLog, diffChanges };
@@ -0,0 +1,24 @@
+/**
+ * Một ô CSV: Date → ISO, object → JSON, bọc ngoặc kép khi chứa dấu phẩy / ngoặc kép / xuống dòng.
+ * Chuỗi bắt đầu bằng = + - @ (hoặc tab / CR) được thêm ' phía trước để Excel / Sheets không chạy như công thức.
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date
+    ? value.toISOString()
+    : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Dựng nội dung CSV từ danh sách object theo các cột cho trước
+ */
+const toCsv = (rows, columns) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => toCsvValue(row[column])).join(','))
+].join('\n');
+
+module.exports = { toCsv, toCsvValue };
@@ -0,0 +1,30 @@
+const Key = require('../models/Key');
+
+/**
+ * Kiểm tra user key giống /api/keys/validate: tồn tại, chưa khóa, chưa hết hạn, còn credit.
+ * Trả về { valid, keyDoc, status, message } để route tự chọn cách phản hồi.
+ */
+const validateUserKey = async (keyString, { requireCredit = true } = {}) => {
+  if (!keyString || typeof keyString !== 'string' || keyString.trim() === '') {
+    return { valid: false, status: 401, message: 'Thiếu key!' };
+  }
+
+  const keyDoc = await Key.findOne({ key: keyString.trim() });
+
+  if (!keyDoc) {
+    return { valid: false, status: 401, message: 'Key không tồn tại!' };
+  }
+  if (!keyDoc.isActive) {
+    return { valid: false, status: 403, message: 'Key đã bị khóa!', keyDoc };
+  }
+  if (keyDoc.expiredAt && new Date(keyDoc.expiredAt) < new Date()) {
+    return { valid: false, status: 403, message: 'Key đã hết hạn!', keyDoc };
+  }
+  if (requireCredit && keyDoc.credit <= 0) {
+    return { valid: false, status: 402, message: 'Key đã hết credit!', keyDoc };
+  }
+
+  return { valid: true, status: 200, message: 'Key hợp lệ', keyDoc };
+};
+
+module.exports = { validateUserKey };
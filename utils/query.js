@@ -0,0 +1,31 @@
+/**
+ * Escape chuỗi người dùng nhập trước khi đưa vào $regex
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Đọc page/limit từ query string, giới hạn limit trong [1, maxLimit]
+ */
+const parsePagination = (query, { defaultLimit = 50, maxLimit = 200 } = {}) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const buildPagination = ({ page, limit }, total) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  totalItems: total,
+  itemsPerPage: limit
+});
+
+/**
+ * Ngày từ query string; undefined nếu không truyền, null nếu sai định dạng
+ */
+const parseDate = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+module.exports = { escapeRegex, parsePagination, buildPagination, parseDate };
@@ -0,0 +1,177 @@
+// VietQR (chuẩn NAPAS dựa trên EMVCo Merchant Presented QR): chuỗi mà app ngân hàng quét được
+// để chuyển khoản tới số tài khoản, kèm số tiền và nội dung.
+
+// Mã BIN NAPAS theo ngân hàng; aliases là các cách admin hay nhập BankInfo.bankName
+const BANKS = [
+  { bin: '970436', code: 'VCB', name: 'Vietcombank', aliases: ['Ngoại thương', 'Ngoai thuong Viet Nam'] },
+  { bin: '970415', code: 'ICB', name: 'VietinBank', aliases: ['Công thương', 'CTG'] },
+  { bin: '970418', code: 'BIDV', name: 'BIDV', aliases: ['Đầu tư và Phát triển'] },
+  { bin: '970405', code: 'VBA', name: 'Agribank', aliases: ['Nông nghiệp và Phát triển Nông thôn'] },
+  { bin: '970422', code: 'MB', name: 'MB Bank', aliases: ['MBBank', 'Quân đội', 'Military Bank'] },
+  { bin: '970407', code: 'TCB', name: 'Techcombank', aliases: ['Kỹ thương'] },
+  { bin: '970416', code: 'ACB', name: 'ACB', aliases: ['Á Châu', 'Asia Commercial Bank'] },
+  { bin: '970432', code: 'VPB', name: 'VPBank', aliases: ['Việt Nam Thịnh Vượng'] },
+  { bin: '970423', code: 'TPB', name: 'TPBank', aliases: ['Tiên Phong'] },
+  { bin: '970403', code: 'STB', name: 'Sacombank', aliases: ['Sài Gòn Thương Tín'] },
+  { bin: '970437', code: 'HDB', name: 'HDBank', aliases: ['Phát triển TP.HCM'] },
+  { bin: '970441', code: 'VIB', name: 'VIB', aliases: ['Quốc tế'] },
+  { bin: '970443', code: 'SHB', name: 'SHB', aliases: ['Sài Gòn - Hà Nội'] },
+  { bin: '970431', code: 'EIB', name: 'Eximbank', aliases: ['Xuất Nhập khẩu'] },
+  { bin: '970426', code: 'MSB', name: 'MSB', aliases: ['Maritime Bank', 'Hàng Hải'] },
+  { bin: '970440', code: 'SEAB', name: 'SeABank', aliases: ['Đông Nam Á'] },
+  { bin: '970448', code: 'OCB', name: 'OCB', aliases: ['Phương Đông'] },
+  { bin: '970449', code: 'LPB', name: 'LPBank', aliases: ['LienVietPostBank', 'Lộc Phát'] },
+  { bin: '970428', code: 'NAB', name: 'Nam A Bank', aliases: ['Nam Á'] },
+  { bin: '970409', code: 'BAB', name: 'Bac A Bank', aliases: ['Bắc Á'] },
+  { bin: '970425', code: 'ABB', name: 'ABBANK', aliases: ['An Bình'] },
+  { bin: '970427', code: 'VAB', name: 'VietABank', aliases: ['Việt Á'] },
+  { bin: '970412', code: 'PVCB', name: 'PVcomBank', aliases: ['Đại Chúng'] },
+  { bin: '970429', code: 'SCB', name: 'SCB', aliases: [] },
+  { bin: '970454', code: 'VCCB', name: 'BVBank', aliases: ['Viet Capital Bank', 'Bản Việt'] },
+  { bin: '970452', code: 'KLB', name: 'KienlongBank', aliases: ['Kiên Long'] },
+  { bin: '970400', code: 'SGICB', name: 'Saigonbank', aliases: ['Sài Gòn Công Thương'] },
+  { bin: '970406', code: 'DOB', name: 'DongA Bank', aliases: ['Đông Á'] },
+  { bin: '970438', code: 'BVB', name: 'BaoViet Bank', aliases: ['Bảo Việt'] },
+  { bin: '970419', code: 'NCB', name: 'NCB', aliases: ['Quốc Dân'] },
+  { bin: '970430', code: 'PGB', name: 'PGBank', aliases: ['Thịnh vượng và Phát triển'] },
+  { bin: '970408', code: 'GPB', name: 'GPBank', aliases: ['Dầu Khí Toàn Cầu'] },
+  { bin: '970414', code: 'OCEANBANK', name: 'OceanBank', aliases: ['Đại Dương'] },
+  { bin: '970433', code: 'VIETBANK', name: 'VietBank', aliases: ['Việt Nam Thương Tín'] },
+  { bin: '970444', code: 'CBB', name: 'CBBank', aliases: ['Xây dựng'] },
+  { bin: '970424', code: 'SHBVN', name: 'Shinhan Bank', aliases: ['Shinhan'] },
+  { bin: '970457', code: 'WVN', name: 'Woori Bank', aliases: ['Woori'] },
+  { bin: '970439', code: 'PBVN', name: 'Public Bank', aliases: [] },
+  { bin: '970434', code: 'IVB', name: 'Indovina Bank', aliases: ['Indovina'] },
+  { bin: '970458', code: 'UOB', name: 'UOB', aliases: ['United Overseas Bank'] },
+  { bin: '970410', code: 'SCVN', name: 'Standard Chartered', aliases: [] },
+  { bin: '458761', code: 'HSBC', name: 'HSBC', aliases: [] },
+  { bin: '546034', code: 'CAKE', name: 'Cake by VPBank', aliases: ['Cake'] },
+  { bin: '546035', code: 'UBANK', name: 'Ubank by VPBank', aliases: ['Ubank'] },
+  { bin: '963388', code: 'TIMO', name: 'Timo', aliases: [] }
+];
+
+const GUID = 'A000000727'; // NAPAS
+const SERVICE_TO_ACCOUNT = 'QRIBFTTA'; // chuyển khoản nhanh tới số tài khoản
+const CURRENCY_VND = '704';
+const COUNTRY = 'VN';
+const MAX_CONTENT_LENGTH = 25;
+
+// Bỏ dấu, chữ thường, bỏ các từ chung ("ngân hàng", "TMCP", "bank") để so khớp tên ngân hàng
+const normalizeBankName = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[đĐ]/g, 'd')
+  .toLowerCase()
+  .replace(/ngan hang|thuong mai co phan|tmcp|viet nam|bank/g, '')
+  .replace(/[^a-z0-9]/g, '');
+
+const BANK_INDEX = new Map();
+for (const bank of BANKS) {
+  for (const name of [bank.code, bank.name, ...bank.aliases]) {
+    const key = normalizeBankName(name);
+    if (key && !BANK_INDEX.has(key)) {
+      BANK_INDEX.set(key, bank);
+    }
+  }
+}
+
+/**
+ * Tìm ngân hàng theo tên / mã viết tắt / BIN
+ * @returns {{ bin, code, name }|null}
+ */
+const findBank = (bankName) => {
+  const text = String(bankName || '').trim();
+  if (/^\d{6}$/.test(text)) {
+    return BANKS.find(bank => bank.bin === text) || { bin: text, code: null, name: text };
+  }
+  return BANK_INDEX.get(normalizeBankName(text)) || null;
+};
+
+// Một trường EMVCo: ID (2 số) + độ dài (2 số) + giá trị
+const field = (id, value) => `${id}${String(value.length).padStart(2, '0')}${value}`;
+
+/**
+ * CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF) theo EMVCo, 4 ký tự hex in hoa
+ */
+const crc16 = (text) => {
+  let crc = 0xFFFF;
+  for (const byte of Buffer.from(text, 'utf8')) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+};
+
+/**
+ * Nội dung chuyển khoản trong QR: chỉ chữ/số không dấu và khoảng trắng, tối đa 25 ký tự.
+ * Nội dung dài hơn bỏ khoảng trắng trước khi cắt ("NAPCREDIT abcd1234 ef567890" vừa đúng 25 ký tự),
+ * đối soát sao kê so khớp nội dung đã bỏ khoảng trắng nên vẫn nhận ra.
+ */
+const sanitizeContent = (content) => {
+  let text = String(content || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[đĐ]/g, match => (match === 'đ' ? 'd' : 'D'))
+    .replace(/[^A-Za-z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (text.length > MAX_CONTENT_LENGTH) {
+    text = text.replace(/ /g, '');
+  }
+  return text.slice(0, MAX_CONTENT_LENGTH);
+};
+
+/**
+ * Tạo payload VietQR
+ * @param {Object} options
+ * @param {string} options.bin - BIN ngân hàng nhận (6 số)
+ * @param {string} options.accountNumber
+ * @param {number} [options.amount] - VND; có số tiền thì tạo QR động (dùng một lần)
+ * @param {string} [options.content] - nội dung chuyển khoản
+ * @returns {string}
+ */
+const buildPayload = ({ bin, accountNumber, amount, content }) => {
+  const account = String(accountNumber || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(String(bin || ''))) {
+    throw new Error('Bank BIN must be 6 digits');
+  }
+  if (!/^[A-Za-z0-9]{1,19}$/.test(account)) {
+    throw new Error('Account number must be 1-19 letters or digits');
+  }
+  const hasAmount = amount !== undefined && amount !== null && Number(amount) > 0;
+
+  const beneficiary = field('00', String(bin)) + field('01', account);
+  const merchantAccount = field('00', GUID) + field('01', beneficiary) + field('02', SERVICE_TO_ACCOUNT);
+  const purpose = sanitizeContent(content);
+
+  let payload = field('00', '01') +
+    field('01', hasAmount ? '12' : '11') +
+    field('38', merchantAccount) +
+    field('53', CURRENCY_VND) +
+    (hasAmount ? field('54', String(Math.round(Number(amount)))) : '') +
+    field('58', COUNTRY) +
+    (purpose ? field('62', field('08', purpose)) : '');
+
+  payload += '6304';
+  return payload + crc16(payload);
+};
+
+/**
+ * Kiểm tra CRC của payload EMVCo
+ */
+const isValidPayload = (payload) => typeof payload === 'string' &&
+  /^000201/.test(payload) &&
+  payload.length > 8 &&
+  payload.slice(-8, -4) === '6304' &&
+  crc16(payload.slice(0, -4)) === payload.slice(-4);
+
+module.exports = {
+  BANKS,
+  findBank,
+  buildPayload,
+  isValidPayload,
+  sanitizeContent,
+  crc16
+};